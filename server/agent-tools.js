@@ -0,0 +1,236 @@
+// server/agent-tools.js
+// Tool registry for agent mode. A tool is { description, parameters (JSON Schema for its arguments),
+// run(args, context) } and returns { content } (text for the model) plus optional `sourceIds` of the
+// chunks it cited. `context` carries what the request may see: see RAGService.agentQuery.
+import { parseFilters } from './filters.js';
+import { documentText, summarizeDocument } from './document-store.js';
+
+const tools = new Map();
+
+export function registerTool(name, tool) {
+  tools.set(name, { ...tool, name });
+}
+
+export function getTool(name) {
+  const tool = tools.get(name);
+  if (!tool) {
+    throw new Error(`Unknown tool "${name}" (expected one of: ${[...tools.keys()].join(', ')})`);
+  }
+  return tool;
+}
+
+export const listTools = () => [...tools.values()];
+
+// The tool definitions handed to the chat model's bindTools()
+export const toolDefinitions = (selected) => selected.map(({ name, description, parameters }) => ({
+  type: 'function',
+  function: { name, description, parameters },
+}));
+
+// Longest get_document text handed to the model; the rest is cut off with a note
+const MAX_DOCUMENT_CHARS = 12000;
+
+const MAX_SEARCH_RESULTS = 8;
+
+// Request filters AND the tool's own narrowing, like accessFilters()
+function narrowFilters(filters, extra) {
+  if (!extra) return filters;
+  return {
+    filters: [...(filters?.filters || []), ...extra.filters],
+    condition: 'and',
+  };
+}
+
+registerTool('search_knowledge_base', {
+  description: 'Search the document knowledge base for passages relevant to a query. Returns numbered sources to cite. '
+    + 'Narrow the search to one document with `filename` or `documentId`; search once per document to compare documents.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to search for' },
+      filename: { type: 'string', description: 'Only search this document (as named by list_documents)' },
+      documentId: { type: 'string', description: 'Only search the document with this ID' },
+      topK: { type: 'integer', description: `Number of passages to return (1-${MAX_SEARCH_RESULTS})` },
+    },
+    required: ['query'],
+  },
+  async run({ query, filename, documentId, topK }, { ragService, filters, retrieval, cite }) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new Error('query must be a non-empty string');
+    }
+    const narrowed = narrowFilters(filters, parseFilters({
+      ...(filename ? { filename } : {}),
+      ...(documentId ? { documentId } : {}),
+    }));
+    const limit = Number.isInteger(topK) ? Math.min(Math.max(topK, 1), MAX_SEARCH_RESULTS) : retrieval.topK;
+    const { relevantDocs } = await ragService.retrieveContext(query, {
+      filters: narrowed,
+      retrieval: { ...retrieval, topK: limit },
+    });
+    if (relevantDocs.length === 0) {
+      return { content: 'No matching passages found.' };
+    }
+    const sources = cite(relevantDocs);
+    return {
+      content: sources.map(source => `[Source ${source.id}]: (${source.filename ?? 'unknown'}) ${source.text}`).join('\n\n'),
+      sourceIds: sources.map(source => source.id),
+    };
+  },
+});
+
+registerTool('list_documents', {
+  description: 'List the documents in the knowledge base with their IDs, filenames, types and sizes.',
+  parameters: { type: 'object', properties: {} },
+  async run(args, { documents }) {
+    const list = documents.list().map(summarizeDocument);
+    if (list.length === 0) {
+      return { content: 'The knowledge base has no uploaded documents.' };
+    }
+    return {
+      content: list.map(document =>
+        `- ${document.filename} (id: ${document.id}, type: ${document.fileType ?? 'unknown'}, ${document.chunkCount} chunks, uploaded ${document.createdAt})`
+      ).join('\n'),
+    };
+  },
+});
+
+registerTool('get_document', {
+  description: `Fetch the full text of one document by \`documentId\` or \`filename\` (long documents are cut off after ${MAX_DOCUMENT_CHARS} characters).`,
+  parameters: {
+    type: 'object',
+    properties: {
+      documentId: { type: 'string' },
+      filename: { type: 'string' },
+    },
+  },
+  async run({ documentId, filename }, { documents }) {
+    if (!documentId && !filename) {
+      throw new Error('Pass documentId or filename');
+    }
+    const record = documentId
+      ? documents.get(documentId)
+      : documents.list().find(candidate => candidate.filename === filename);
+    if (!record) {
+      throw new Error(`Document ${documentId || filename} not found`);
+    }
+    const text = documentText(record);
+    const truncated = text.length > MAX_DOCUMENT_CHARS;
+    return {
+      content: `${record.filename} (id: ${record.id})\n\n${truncated ? `${text.slice(0, MAX_DOCUMENT_CHARS)}\n\n[truncated: ${text.length - MAX_DOCUMENT_CHARS} more characters]` : text}`,
+    };
+  },
+});
+
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  log: Math.log,
+  log10: Math.log10,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+};
+
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Arithmetic without eval(): numbers, + - * / % ^, parentheses, MATH_FUNCTIONS and MATH_CONSTANTS.
+// Throws on anything else.
+export function evaluateExpression(expression) {
+  const tokens = expression.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[A-Za-z_]\w*|\*\*|[-+*/%^(),]|\S/gi) || [];
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}" in "${expression}"`);
+  };
+
+  // Lowest to highest precedence: + -, * / %, unary -, ^ (right-associative)
+  const parseSum = () => {
+    let value = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  };
+  const parseProduct = () => {
+    let value = parseUnary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const right = parseUnary();
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+  const parseUnary = () => {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+  const parsePower = () => {
+    const base = parseAtom();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return base ** parseUnary();
+    }
+    return base;
+  };
+  const parseAtom = () => {
+    const token = next();
+    if (token === undefined) throw new Error(`Unexpected end of "${expression}"`);
+    if (token === '(') {
+      const value = parseSum();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return Number(token);
+    const name = token.toLowerCase();
+    if (Object.hasOwn(MATH_CONSTANTS, name)) return MATH_CONSTANTS[name];
+    if (Object.hasOwn(MATH_FUNCTIONS, name)) {
+      expect('(');
+      const args = [parseSum()];
+      while (peek() === ',') {
+        next();
+        args.push(parseSum());
+      }
+      expect(')');
+      return MATH_FUNCTIONS[name](...args);
+    }
+    throw new Error(`Unexpected "${token}" in "${expression}"`);
+  };
+
+  const value = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek()}" in "${expression}"`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error(`"${expression}" has no finite result`);
+  }
+  return value;
+}
+
+registerTool('calculator', {
+  description: `Evaluate an arithmetic expression exactly, e.g. "(1299 - 999) / 999 * 100". Supports + - * / % ^, parentheses, `
+    + `${Object.keys(MATH_FUNCTIONS).join(', ')} and the constants pi and e.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'The expression to evaluate' },
+    },
+    required: ['expression'],
+  },
+  async run({ expression }) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('expression must be a non-empty string');
+    }
+    return { content: String(evaluateExpression(expression)) };
+  },
+});
@@ -0,0 +1,113 @@
+// server/agent.js
+// Agent mode: the chat model calls tools (agent-tools.js) in a bounded loop until it answers.
+// Every tool call becomes a step of the trace returned next to the answer.
+//
+// Settings: AGENT_MAX_STEPS (model turns before the agent must answer) and AGENT_TOOLS
+// (comma-separated tool names, default all registered tools); requests may override both.
+import { AIMessage, HumanMessage, SystemMessage, ToolMessage } from '@langchain/core/messages';
+import { getTool, listTools, toolDefinitions } from './agent-tools.js';
+import { mergeConfig } from './config.js';
+import { contentText } from './providers/index.js';
+
+export const DEFAULT_AGENT = {
+  maxSteps: 5,
+  tools: null, // null = every registered tool
+};
+
+const MAX_STEPS = 10;
+
+// Tool output kept in the trace; the model sees all of it
+const TRACE_OUTPUT_CHARS = 1000;
+
+export function getAgentConfig(overrides = {}) {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('agent must be an object');
+  }
+  const fromEnv = {
+    maxSteps: process.env.AGENT_MAX_STEPS,
+    tools: process.env.AGENT_TOOLS?.split(',').map(name => name.trim()).filter(Boolean),
+  };
+  const config = mergeConfig(DEFAULT_AGENT, [fromEnv, overrides], { label: 'agent' });
+
+  config.maxSteps = Number(config.maxSteps);
+  if (!Number.isInteger(config.maxSteps) || config.maxSteps < 1 || config.maxSteps > MAX_STEPS) {
+    throw new Error(`maxSteps must be an integer between 1 and ${MAX_STEPS}`);
+  }
+  if (config.tools === null) {
+    config.tools = listTools().map(tool => tool.name);
+  }
+  if (!Array.isArray(config.tools) || config.tools.length === 0) {
+    throw new Error('tools must be a non-empty array of tool names');
+  }
+  config.tools.forEach(getTool);
+  return config;
+}
+
+const HISTORY_MESSAGES = {
+  human: HumanMessage,
+  user: HumanMessage,
+  ai: AIMessage,
+  assistant: AIMessage,
+};
+
+const systemPrompt = (date) => `You are a research agent answering questions from a document knowledge base. Today is ${date}.
+Look things up with the tools before answering:
+- search_knowledge_base finds relevant passages; to compare documents, search each one separately
+- list_documents shows which documents exist
+- get_document reads a whole document
+- calculator does exact arithmetic
+Search results are numbered sources. Cite the sources you use by number right after the statement they support, e.g. [1] or [2][4].
+If the tools don't turn up the answer, say so instead of guessing.`;
+
+const ANSWER_NOW = 'You have used all of your tool calls. Answer the question now with the information gathered so far.';
+
+// Runs the loop, yielding { type: 'step', step } after every tool call and finally
+// { type: 'answer', answer, stopReason: 'answered' | 'max_steps' }.
+// `chatHistory` is [{ role, content }]; `context` is passed to every tool's run().
+export async function* runAgent({ llm, question, chatHistory = [], config = getAgentConfig(), context }) {
+  const tools = config.tools.map(getTool);
+  const model = llm.bindTools(toolDefinitions(tools));
+  const messages = [
+    new SystemMessage(systemPrompt(new Date().toISOString().slice(0, 10))),
+    ...chatHistory
+      .filter(msg => msg.content && HISTORY_MESSAGES[msg.role])
+      .map(msg => new HISTORY_MESSAGES[msg.role](msg.content)),
+    new HumanMessage(question),
+  ];
+
+  let index = 0;
+  for (let turn = 1; turn <= config.maxSteps; turn++) {
+    const response = await model.invoke(messages);
+    messages.push(response);
+    if (!response.tool_calls?.length) {
+      yield { type: 'answer', answer: contentText(response.content), stopReason: 'answered' };
+      return;
+    }
+
+    for (const call of response.tool_calls) {
+      const started = Date.now();
+      const step = { index: ++index, turn, tool: call.name, args: call.args };
+      let content;
+      try {
+        // Only the tools offered this run, even if the model names another registered one
+        const tool = tools.find(candidate => candidate.name === call.name);
+        if (!tool) throw new Error(`Unknown tool "${call.name}"`);
+        const result = await tool.run(call.args ?? {}, context);
+        content = result.content;
+        if (result.sourceIds) step.sourceIds = result.sourceIds;
+      } catch (error) {
+        // The model sees the error and can try something else
+        content = `Error: ${error.message}`;
+        step.error = error.message;
+      }
+      step.output = content.length > TRACE_OUTPUT_CHARS ? `${content.slice(0, TRACE_OUTPUT_CHARS)}…` : content;
+      step.durationMs = Date.now() - started;
+      messages.push(new ToolMessage({ content, tool_call_id: call.id, name: call.name }));
+      yield { type: 'step', step };
+    }
+  }
+
+  // Out of turns: one last call without tools forces an answer
+  const response = await llm.invoke([...messages, new HumanMessage(ANSWER_NOW)]);
+  yield { type: 'answer', answer: contentText(response.content), stopReason: 'max_steps' };
+}
@@ -0,0 +1,888 @@
+// server/api-schema.js
+// The HTTP API contract: zod schemas for the request and response of every /api/v1 route, and the table
+// of operations that ties them to a method and path. validation.js checks requests and responses against
+// it, openapi.js publishes it as the OpenAPI document, and tests check app.js and the frontend client
+// (src/services/agentService.js) against it, so none of them can drift from the others unnoticed.
+//
+// Responses may gain fields within a version; removing or retyping one needs a new API version.
+// The frontend imports this module too, so it must not import anything but zod: the values the API shares
+// with the server modules that implement them are defined here and imported by those modules.
+import { z } from 'zod/v4';
+
+export const API_VERSION = 'v1';
+
+export const QUERY_METHODS = ['llamaindex', 'langchain', 'hybrid'];
+export const REWRITE_MODES = ['off', 'condense', 'multi'];
+export const GROUNDING_MODES = ['off', 'overlap', 'llm'];
+export const SPLITTERS = ['characters', 'tokens'];
+// Per-file states of an ingestion job, in the order a file goes through them
+export const FILE_STATES = ['queued', 'parsing', 'chunking', 'embedding', 'done', 'failed'];
+export const COMPONENTS = ['vectorStore', 'embeddings', 'chatModel'];
+
+// Named schemas, which become components of the OpenAPI document. Requests and responses are kept apart
+// because a default makes a field optional in a request but always present in a response.
+export const components = { input: {}, output: {} };
+
+const requestSchema = (id, schema) => {
+  components.input[id] = schema;
+  return schema;
+};
+const responseSchema = (id, schema) => {
+  components.output[id] = schema;
+  return schema;
+};
+
+const timestamp = z.iso.datetime();
+const count = z.int().nonnegative();
+const nonEmpty = (message) => z.string({ error: message }).trim().min(1, message);
+
+// Errors
+
+export const ErrorResponse = responseSchema('Error', z.object({
+  error: z.string().describe('What went wrong, e.g. "Invalid request" or "Document not found"'),
+  details: z.string().optional().describe('A longer explanation'),
+  issues: z.array(z.object({ path: z.string(), message: z.string() })).optional()
+    .describe('Every problem found in an invalid request'),
+}).describe('Error body of every 4xx and 5xx response. Some errors add fields, e.g. `retryAfter` on a 429.'));
+
+// Answers
+
+export const Source = responseSchema('Source', z.object({
+  id: z.int().positive().describe('Number the answer cites the source by, e.g. [Source 1]'),
+  content: z.string().describe('Start of the chunk text, for previews'),
+  text: z.string().describe('The whole chunk text'),
+  similarity: z.number().nullable()
+    .describe('Retrieval score: the fused rank score for hybrid search, vector similarity otherwise'),
+  documentId: z.string().optional(),
+  filename: z.string().optional(),
+  chunkIndex: count.optional(),
+  startChar: count.optional(),
+  endChar: count.optional(),
+  page: z.int().positive().optional(),
+  headingPath: z.string().optional(),
+  assetId: z.string().optional()
+    .describe('The image the chunk was read from, served by GET /documents/{documentId}/assets/{assetId}'),
+}).describe('A retrieved chunk the answer was built from'));
+
+export const Citation = responseSchema('Citation', z.object({
+  marker: z.string().describe('The marker as it appears in the answer, e.g. "[Source 1]"'),
+  start: count,
+  end: count,
+  sourceId: z.int().positive(),
+  documentId: z.string().optional(),
+  filename: z.string().optional(),
+  chunkIndex: count.optional(),
+  startChar: count.optional(),
+  endChar: count.optional(),
+}));
+
+export const Grounding = responseSchema('Grounding', z.object({
+  mode: z.enum(GROUNDING_MODES),
+  grounded: z.boolean(),
+  unsupportedCount: count,
+  sentences: z.array(z.object({
+    text: z.string(),
+    start: count,
+    end: count,
+    supported: z.boolean(),
+    sourceIds: z.array(z.int().positive()),
+    score: z.number().optional(),
+  })),
+}).describe('Which answer sentences the sources support; null when the check is off'));
+
+export const PromptRef = responseSchema('PromptRef', z.object({
+  id: z.string(),
+  version: z.int().positive(),
+}).describe('The prompt template (and version) an answer was written with'));
+
+export const CacheInfo = responseSchema('CacheInfo', z.object({
+  hit: z.boolean(),
+  match: z.enum(['exact', 'semantic']).optional(),
+  similarity: z.number().optional(),
+  cachedAt: timestamp.optional(),
+  query: z.string().optional().describe('The question the cached answer was written for'),
+}));
+
+export const Debug = responseSchema('Debug', z.object({
+  requestId: z.string(),
+  timings: z.record(z.string(), z.number()).describe('Milliseconds per stage, plus `total`'),
+  chunkIds: z.array(z.string()),
+  llmCalls: count,
+}).describe('Sent when the request had `debug: true`'));
+
+export const AgentStep = responseSchema('AgentStep', z.object({
+  index: z.int().positive(),
+  turn: z.int().positive(),
+  tool: z.string(),
+  args: z.record(z.string(), z.unknown()),
+  sourceIds: z.array(z.int().positive()).optional(),
+  output: z.string().optional(),
+  error: z.string().optional(),
+  durationMs: z.number(),
+}));
+
+const answerFields = {
+  method: z.enum([...QUERY_METHODS, 'agent']),
+  answer: z.string(),
+  sources: z.array(Source),
+  totalSources: count,
+  citations: z.array(Citation).describe('Empty for methods whose prompt asks for no citations'),
+  grounding: Grounding.nullable(),
+  prompt: PromptRef.nullable().describe('null for the llamaindex method and the agent, which use their own prompts'),
+  cache: CacheInfo,
+  rewrittenQuery: z.string().optional(),
+  searchQueries: z.array(z.string()).optional(),
+  debug: Debug.optional(),
+};
+
+export const Answer = responseSchema('Answer', z.object(answerFields)
+  .describe('An answer with its sources. /query, /chat and /agent all answer with this shape.'));
+
+const conversationAnswerFields = {
+  ...answerFields,
+  conversationId: z.string(),
+  timestamp,
+  response: z.string().meta({ deprecated: true, description: 'Same as `answer`; kept for clients of the unversioned API' }),
+};
+
+export const ChatAnswer = responseSchema('ChatAnswer', z.object(conversationAnswerFields));
+
+export const AgentAnswer = responseSchema('AgentAnswer', z.object({
+  ...conversationAnswerFields,
+  steps: z.array(AgentStep),
+  stopReason: z.enum(['answered', 'max_steps']),
+}));
+
+export const StreamEvent = responseSchema('StreamEvent', z.discriminatedUnion('type', [
+  z.object({ type: z.literal('step'), step: AgentStep }),
+  z.object({
+    type: z.literal('sources'),
+    sources: z.array(Source),
+    rewrittenQuery: z.string().optional(),
+    searchQueries: z.array(z.string()).optional(),
+  }),
+  z.object({ type: z.literal('token'), text: z.string() }),
+  z.object({
+    type: z.literal('done'),
+    method: answerFields.method,
+    totalSources: count,
+    citations: z.array(Citation),
+    grounding: Grounding.nullable(),
+    prompt: PromptRef.nullable(),
+    cache: CacheInfo,
+    steps: z.array(AgentStep).optional(),
+    stopReason: z.enum(['answered', 'max_steps']).optional(),
+    conversationId: z.string(),
+    timestamp,
+    debug: Debug.optional(),
+  }),
+  z.object({
+    type: z.literal('error'),
+    error: z.string(),
+    details: z.string().optional(),
+    limit: z.string().optional(),
+    retryAfter: z.number().optional(),
+  }),
+]).describe('One line of a newline-delimited JSON answer stream: `step` events (agent only), then `sources`, '
+  + '`token`s and a final `done`, or an `error` at any point'));
+
+// Answer requests
+
+const ChatHistoryEntry = z.union([
+  z.object({ role: z.string(), content: z.string() }),
+  z.tuple([z.string(), z.string()]).rest(z.unknown()),
+]);
+
+const answerOptions = {
+  filters: z.record(z.string(), z.unknown()).optional()
+    .describe('Metadata filters, e.g. { "documentId": { "in": ["..."] } } (see the README)'),
+  retrieval: z.object({
+    topK: z.int().optional(),
+    fetchK: z.int().optional(),
+    vectorWeight: z.number().optional(),
+    lexicalWeight: z.number().optional(),
+    rrfK: z.number().optional(),
+    rerank: z.string().optional().describe('"none", "llm" or "cross-encoder"'),
+    mmr: z.boolean().optional(),
+    mmrLambda: z.number().optional(),
+  }).optional().describe('Overrides of the retrieval settings; ranges are checked by the server'),
+  grounding: z.union([z.boolean(), z.enum(GROUNDING_MODES)]).optional(),
+  cache: z.boolean().optional().describe('false skips the response cache'),
+  debug: z.boolean().optional().describe('true adds stage timings and chunk IDs to the answer'),
+};
+
+const rewriteOptions = {
+  rewrite: z.union([z.boolean(), z.enum(REWRITE_MODES)]).optional(),
+  subQueries: z.int().optional(),
+};
+
+const promptOptions = {
+  promptId: z.string().optional().describe('Prompt template (persona) to answer with'),
+  promptVersion: z.int().positive().optional(),
+};
+
+export const QueryRequest = requestSchema('QueryRequest', z.object({
+  query: nonEmpty('Query is required'),
+  method: z.enum(QUERY_METHODS).default('hybrid'),
+  chat_history: z.array(ChatHistoryEntry).default([]),
+  ...rewriteOptions,
+  ...answerOptions,
+  ...promptOptions,
+}));
+
+export const ChatRequest = requestSchema('ChatRequest', z.object({
+  message: nonEmpty('Message is required'),
+  conversationId: z.string().optional().describe('Omit to start a new conversation'),
+  ...rewriteOptions,
+  ...answerOptions,
+  ...promptOptions,
+}));
+
+export const AgentRequest = requestSchema('AgentRequest', z.object({
+  message: nonEmpty('Message is required'),
+  conversationId: z.string().optional(),
+  ...answerOptions,
+  agent: z.object({
+    maxSteps: z.int().optional(),
+    tools: z.array(z.string()).optional(),
+  }).optional(),
+}));
+
+// Conversations
+
+export const Message = responseSchema('Message', z.object({
+  id: z.string(),
+  role: z.enum(['human', 'ai']),
+  content: z.string(),
+  // Messages stored before v1 kept `similarity` as a string
+  sources: z.array(Source.extend({ similarity: z.union([z.number(), z.string()]).nullable().optional() })),
+  citations: z.array(Citation).optional(),
+  grounding: Grounding.optional(),
+  prompt: PromptRef.optional(),
+  steps: z.array(AgentStep).optional(),
+  createdAt: timestamp,
+}));
+
+const conversationFields = {
+  id: z.string(),
+  ownerId: z.string().optional(),
+  title: z.string(),
+  createdAt: timestamp,
+  updatedAt: timestamp,
+};
+
+export const Conversation = responseSchema('Conversation', z.object({
+  ...conversationFields,
+  messages: z.array(Message),
+}));
+
+export const ConversationSummary = responseSchema('ConversationSummary', z.object({
+  ...conversationFields,
+  messageCount: count,
+  preview: z.string(),
+}));
+
+const title = nonEmpty('Title must be a non-empty string');
+
+export const CreateConversationRequest = requestSchema('CreateConversationRequest', z.object({
+  title: title.optional(),
+}));
+
+export const RenameConversationRequest = requestSchema('RenameConversationRequest', z.object({ title }));
+
+// Documents and ingestion
+
+const ChunkingConfig = responseSchema('ChunkingConfig', z.object({
+  splitter: z.enum(SPLITTERS),
+  chunkSize: z.int().positive(),
+  chunkOverlap: count,
+  markdownHeadings: z.boolean().optional(),
+}));
+
+const ChunkChanges = responseSchema('ChunkChanges', z.object({
+  added: count,
+  updated: count,
+  unchanged: count,
+  removed: count,
+}));
+
+const Asset = responseSchema('Asset', z.object({
+  id: z.string(),
+  mimeType: z.enum(['image/png', 'image/jpeg']),
+  bytes: count,
+  page: z.int().positive().optional().describe('PDF page the image is on'),
+}).describe('An image a document\'s text was read from by the vision engine (captions and OCR)'));
+
+const documentFields = {
+  id: z.string(),
+  filename: z.string(),
+  mimeType: z.string().optional(),
+  fileType: z.string().optional(),
+  bytes: count.optional(),
+  contentHash: z.string().optional(),
+  ownerId: z.string().optional(),
+  chunkingConfig: ChunkingConfig.optional(),
+  indexedAt: timestamp.optional(),
+  assets: z.array(Asset).optional(),
+  createdAt: timestamp,
+  updatedAt: timestamp,
+  chunkCount: count,
+};
+
+export const DocumentSummary = responseSchema('DocumentSummary', z.object(documentFields));
+
+export const Document = responseSchema('Document', z.object({
+  ...documentFields,
+  chunks: z.array(z.object({
+    id: z.string(),
+    text: z.string(),
+    metadata: z.record(z.string(), z.unknown()),
+    hash: z.string().optional(),
+  })),
+}));
+
+const chunkingOptions = {
+  splitter: z.enum(SPLITTERS).optional(),
+  chunkSize: z.int().optional(),
+  chunkOverlap: z.int().optional(),
+};
+
+export const ReindexRequest = requestSchema('ReindexRequest', z.object(chunkingOptions));
+
+// Multipart form fields arrive as strings; the files themselves are added to the OpenAPI document by openapi.js
+const numeric = z.string().regex(/^\d+$/, 'Expected a whole number');
+export const UploadForm = z.object({
+  splitter: z.enum(SPLITTERS).optional(),
+  chunkSize: numeric.optional(),
+  chunkOverlap: numeric.optional(),
+  shared: z.enum(['true', 'false']).optional().describe('Admins only: make the files readable by every user'),
+});
+
+export const Job = responseSchema('Job', z.object({
+  id: z.string(),
+  userId: z.string(),
+  client: z.object({ id: z.string(), name: z.string() }).optional(),
+  chunkingConfig: ChunkingConfig,
+  status: z.enum(['queued', 'running', 'done']),
+  files: z.array(z.object({
+    name: z.string(),
+    state: z.enum(FILE_STATES),
+    attempts: count,
+    error: z.string().nullable(),
+    retryAt: timestamp.nullable(),
+    bytes: count.optional(),
+    documentId: z.string().optional(),
+    chunks: count.optional(),
+    changes: ChunkChanges.optional(),
+    duplicateOf: z.string().optional(),
+  })),
+  progress: z.object({ total: count, done: count, failed: count }),
+  changes: ChunkChanges,
+  createdAt: timestamp,
+  updatedAt: timestamp,
+  finishedAt: timestamp.nullable(),
+}));
+
+const Rejected = z.array(z.object({ name: z.string(), error: z.string() }));
+
+// Prompt templates
+
+const promptFields = {
+  id: z.string(),
+  name: z.string(),
+  description: z.string().optional(),
+  builtIn: z.boolean(),
+  version: z.int().positive(),
+  ownerId: z.string().optional(),
+  createdAt: timestamp,
+  updatedAt: timestamp,
+  template: z.string(),
+  variables: z.array(z.string()),
+};
+
+export const PromptSummary = responseSchema('PromptSummary', z.object(promptFields));
+
+export const PromptTemplate = responseSchema('PromptTemplate', z.object({
+  ...promptFields,
+  versions: z.array(z.object({ version: z.int().positive(), createdAt: timestamp, createdBy: z.string().optional() })),
+}));
+
+export const PromptVersion = responseSchema('PromptVersion', z.object({
+  id: z.string(),
+  version: z.int().positive(),
+  template: z.string(),
+}));
+
+// Field checks beyond the types (id format, template variables) are the prompt store's
+export const CreatePromptRequest = requestSchema('CreatePromptRequest', z.object({
+  id: z.string().optional().describe('Defaults to a slug of the name'),
+  name: z.string(),
+  description: z.string().optional(),
+  template: z.string(),
+}));
+
+export const UpdatePromptRequest = requestSchema('UpdatePromptRequest', z.object({
+  name: z.string().optional(),
+  description: z.string().optional(),
+  template: z.string().optional().describe('A new template text adds a version'),
+}));
+
+// Users, usage and administration
+
+const Role = z.enum(['admin', 'user']);
+
+export const User = responseSchema('User', z.object({
+  id: z.string(),
+  name: z.string(),
+  role: Role,
+  createdAt: timestamp.optional(),
+}));
+
+export const ApiKey = responseSchema('ApiKey', z.object({
+  id: z.string(),
+  userId: z.string(),
+  label: z.string().nullable(),
+  prefix: z.string(),
+  createdAt: timestamp,
+  revokedAt: timestamp.nullable(),
+}));
+
+export const CreateUserRequest = requestSchema('CreateUserRequest', z.object({
+  name: nonEmpty('Name must be a non-empty string'),
+  role: Role.optional(),
+}));
+
+export const CreateKeyRequest = requestSchema('CreateKeyRequest', z.object({
+  label: z.string().optional(),
+}));
+
+const UsageCounters = responseSchema('UsageCounters', z.object({
+  requests: count,
+  inputTokens: count,
+  outputTokens: count,
+  totalTokens: count,
+  embeddingCalls: count,
+  embeddedTexts: count,
+}));
+
+export const UsageReport = responseSchema('UsageReport', z.object({
+  from: z.iso.date(),
+  to: z.iso.date(),
+  totals: UsageCounters,
+  clients: z.array(z.object({
+    clientId: z.string(),
+    name: z.string(),
+    totals: UsageCounters,
+    endpoints: z.record(z.string(), UsageCounters).describe('Keyed by "<method> <route>"'),
+  })),
+  limits: z.record(z.string(), z.number()),
+}));
+
+const traceFields = {
+  id: z.string(),
+  route: z.string(),
+  status: z.int(),
+  createdAt: timestamp,
+  durationMs: z.number(),
+  query: z.string().optional(),
+  conversationId: z.string().optional(),
+  method: z.string().optional(),
+  prompt: PromptRef.nullable().optional(),
+  cache: CacheInfo.optional(),
+  stopReason: z.string().optional(),
+  timings: z.record(z.string(), z.number()),
+  chunkIds: z.array(z.string()),
+  answer: z.string().optional(),
+};
+
+export const TraceSummary = responseSchema('TraceSummary', z.object({ ...traceFields, llmCalls: count }));
+
+export const Trace = responseSchema('Trace', z.object({
+  ...traceFields,
+  calls: z.array(z.object({
+    stage: z.string(),
+    prompt: z.string(),
+    response: z.string(),
+    durationMs: z.number(),
+    inputTokens: count,
+    outputTokens: count,
+    toolCalls: z.array(z.object({ name: z.string(), args: z.unknown() })).optional(),
+  })),
+}));
+
+export const CacheReport = responseSchema('CacheReport', z.object({
+  config: z.object({ enabled: z.boolean(), ttlSeconds: z.number(), threshold: z.number(), maxEntries: z.int() }),
+  size: count,
+  stats: z.record(z.string(), count),
+  entries: z.array(z.object({
+    key: z.string(),
+    method: z.string(),
+    query: z.string(),
+    documentIds: z.array(z.string()),
+    hits: count,
+    createdAt: timestamp,
+    expiresAt: timestamp,
+    lastHitAt: timestamp.nullable(),
+  })),
+}));
+
+// Health
+
+const ComponentStatus = z.object({
+  status: z.enum(['pending', 'up', 'degraded', 'down']),
+  error: z.string().nullable(),
+  checkedAt: timestamp.nullable(),
+  latencyMs: z.number().nullable(),
+});
+
+export const HealthSummary = responseSchema('HealthSummary', z.object({
+  status: z.enum(['starting', 'ok', 'degraded', 'shutting_down']),
+  ready: z.boolean(),
+  components: z.object(Object.fromEntries(COMPONENTS.map(name => [name, ComponentStatus]))),
+  initialization: z.object({
+    status: z.enum(['pending', 'retrying', 'ready']),
+    attempts: count,
+    lastError: z.string().nullable(),
+    nextRetryAt: timestamp.nullable(),
+    readyAt: timestamp.nullable(),
+  }),
+}));
+
+// Small response bodies that aren't worth a component of their own
+const deleted = z.object({ status: z.literal('deleted'), id: z.string() });
+const list = (key, item) => z.object({ [key]: z.array(item) });
+const idParam = z.object({ id: z.string() });
+const binary = z.string().meta({ format: 'binary' });
+
+// Every route under /api/v1. `path` uses Express syntax. Flags add the matching error responses:
+// `public` (no API key, so no 401), `admin` (403), `metered` (429, see usage.js), `needsReady` (503 until
+// the RAG service is initialized). `responses` maps a status to a schema, or to { contentType, schema }
+// for streams and files. `errors` lists the route's other error statuses.
+export const operations = [
+  // Health
+  {
+    id: 'getHealth', method: 'get', path: '/health', tag: 'Health', public: true,
+    summary: 'Server status, vector store statistics and models',
+    responses: {
+      200: z.object({
+        status: z.literal('healthy'),
+        service: z.string(),
+        vectorStore: z.record(z.string(), z.unknown()),
+        models: z.record(z.string(), z.unknown()),
+        stats: z.record(z.string(), z.unknown()),
+        keywordIndex: z.object({ chunks: count }),
+        health: HealthSummary,
+      }),
+      503: ErrorResponse.extend({ health: HealthSummary }),
+    },
+  },
+  {
+    id: 'getLiveness', method: 'get', path: '/health/live', tag: 'Health', public: true,
+    summary: 'Liveness: answers as long as the process does',
+    responses: { 200: z.object({ status: z.literal('alive'), uptimeSeconds: count }) },
+  },
+  {
+    id: 'getReadiness', method: 'get', path: '/health/ready', tag: 'Health', public: true,
+    summary: 'Readiness and the status of each dependency; 503 until the service can answer',
+    responses: { 200: HealthSummary, 503: HealthSummary },
+  },
+  {
+    id: 'getOpenApiSpec', method: 'get', path: '/openapi.json', tag: 'Health', public: true,
+    summary: 'This OpenAPI document',
+    responses: { 200: z.record(z.string(), z.unknown()) },
+  },
+
+  // Answers
+  {
+    id: 'query', method: 'post', path: '/query', tag: 'Answers', metered: true, needsReady: true,
+    summary: 'Answer a question with one of the RAG methods (stateless)',
+    body: QueryRequest,
+    responses: { 200: Answer },
+    errors: [400],
+  },
+  {
+    id: 'chat', method: 'post', path: '/chat', tag: 'Answers', metered: true, needsReady: true,
+    summary: 'Answer a message in a stored conversation (hybrid method)',
+    body: ChatRequest,
+    responses: { 200: ChatAnswer },
+    errors: [400, 404],
+  },
+  {
+    id: 'chatStream', method: 'post', path: '/chat/stream', tag: 'Answers', metered: true, needsReady: true,
+    summary: 'Like /chat, streamed as newline-delimited JSON events',
+    body: ChatRequest,
+    responses: { 200: { contentType: 'application/x-ndjson', schema: StreamEvent } },
+    errors: [400, 404],
+  },
+  {
+    id: 'agent', method: 'post', path: '/agent', tag: 'Answers', metered: true, needsReady: true,
+    summary: 'Answer a message with the tool-calling agent',
+    body: AgentRequest,
+    responses: { 200: AgentAnswer },
+    errors: [400, 404],
+  },
+  {
+    id: 'agentStream', method: 'post', path: '/agent/stream', tag: 'Answers', metered: true, needsReady: true,
+    summary: 'Like /agent, streamed as newline-delimited JSON events with a step event per tool call',
+    body: AgentRequest,
+    responses: { 200: { contentType: 'application/x-ndjson', schema: StreamEvent } },
+    errors: [400, 404],
+  },
+  {
+    id: 'listAgentTools', method: 'get', path: '/agent/tools', tag: 'Answers',
+    summary: 'Tools the agent may call and the default agent settings',
+    responses: {
+      200: z.object({
+        tools: z.array(z.object({ name: z.string(), description: z.string(), parameters: z.record(z.string(), z.unknown()) })),
+        defaults: z.object({ maxSteps: z.int().positive(), tools: z.array(z.string()) }),
+      }),
+    },
+  },
+
+  // Conversations
+  {
+    id: 'createConversation', method: 'post', path: '/conversations', tag: 'Conversations',
+    summary: 'Start an empty conversation',
+    body: CreateConversationRequest,
+    responses: { 201: Conversation },
+    errors: [400],
+  },
+  {
+    id: 'listConversations', method: 'get', path: '/conversations', tag: 'Conversations',
+    summary: 'Your conversations, most recently active first',
+    responses: { 200: list('conversations', ConversationSummary) },
+  },
+  {
+    id: 'getConversation', method: 'get', path: '/conversations/:id', tag: 'Conversations',
+    summary: 'A conversation with its messages',
+    params: idParam,
+    responses: { 200: Conversation },
+    errors: [404],
+  },
+  {
+    id: 'renameConversation', method: 'patch', path: '/conversations/:id', tag: 'Conversations',
+    summary: 'Rename a conversation',
+    params: idParam,
+    body: RenameConversationRequest,
+    responses: { 200: ConversationSummary },
+    errors: [400, 404],
+  },
+  {
+    id: 'deleteConversation', method: 'delete', path: '/conversations/:id', tag: 'Conversations',
+    summary: 'Delete a conversation',
+    params: idParam,
+    responses: { 200: deleted },
+    errors: [404],
+  },
+
+  // Documents
+  {
+    id: 'listFormats', method: 'get', path: '/formats', tag: 'Documents',
+    summary: 'Supported upload formats',
+    responses: {
+      200: z.object({
+        formats: z.array(z.object({ name: z.string(), extensions: z.array(z.string()), mimeTypes: z.array(z.string()) })),
+        accept: z.string().describe('For the `accept` attribute of a file input'),
+      }),
+    },
+  },
+  {
+    id: 'uploadDocuments', method: 'post', path: '/upload', tag: 'Documents', metered: true,
+    summary: 'Upload up to 10 files as multipart `files` and queue an ingestion job for them',
+    form: UploadForm,
+    responses: {
+      202: z.object({ status: z.literal('queued'), jobId: z.string(), job: Job, rejected: Rejected }),
+      415: ErrorResponse.extend({ rejected: Rejected }),
+    },
+    errors: [400],
+  },
+  {
+    id: 'listJobs', method: 'get', path: '/jobs', tag: 'Documents',
+    summary: 'Your ingestion jobs, newest first',
+    responses: { 200: list('jobs', Job) },
+  },
+  {
+    id: 'getJob', method: 'get', path: '/jobs/:id', tag: 'Documents',
+    summary: 'An ingestion job with the state of each file',
+    params: idParam,
+    responses: { 200: Job },
+    errors: [404],
+  },
+  {
+    id: 'watchJob', method: 'get', path: '/jobs/:id/events', tag: 'Documents',
+    summary: 'Server-sent events: a `job` event with the whole job after every change',
+    params: idParam,
+    responses: { 200: { contentType: 'text/event-stream', schema: Job } },
+    errors: [404],
+  },
+  {
+    id: 'listDocuments', method: 'get', path: '/documents', tag: 'Documents',
+    summary: 'Documents you can read',
+    responses: { 200: list('documents', DocumentSummary) },
+  },
+  {
+    id: 'getDocument', method: 'get', path: '/documents/:id', tag: 'Documents',
+    summary: 'A document with its chunks',
+    params: idParam,
+    responses: { 200: Document },
+    errors: [404],
+  },
+  {
+    id: 'listDocumentAssets', method: 'get', path: '/documents/:id/assets', tag: 'Documents',
+    summary: 'Images the document\'s text was read from',
+    params: idParam,
+    responses: { 200: z.object({ documentId: z.string(), assets: z.array(Asset) }) },
+    errors: [404],
+  },
+  {
+    id: 'getDocumentAsset', method: 'get', path: '/documents/:id/assets/:assetId', tag: 'Documents',
+    summary: 'An image of a document, e.g. to show a thumbnail next to a source',
+    params: z.object({ id: z.string(), assetId: z.string() }),
+    responses: { 200: { contentType: 'image/*', schema: binary } },
+    errors: [404],
+  },
+  {
+    id: 'deleteDocument', method: 'delete', path: '/documents/:id', tag: 'Documents', needsReady: true,
+    summary: 'Delete a document and its chunks',
+    params: idParam,
+    responses: { 200: z.object({ status: z.literal('deleted'), id: z.string(), chunksDeleted: count }) },
+    errors: [403, 404],
+  },
+  {
+    id: 'reindexDocument', method: 'post', path: '/documents/:id/reindex', tag: 'Documents', metered: true, needsReady: true,
+    summary: 'Re-chunk and re-embed a document from its stored file',
+    params: idParam,
+    body: ReindexRequest,
+    responses: { 200: z.object({ status: z.literal('ok'), document: DocumentSummary, changes: ChunkChanges }) },
+    errors: [400, 403, 404, 409],
+  },
+
+  // Prompt templates
+  {
+    id: 'listPrompts', method: 'get', path: '/prompts', tag: 'Prompts',
+    summary: 'Prompt templates (personas) to answer with',
+    responses: { 200: list('prompts', PromptSummary) },
+  },
+  {
+    id: 'getPrompt', method: 'get', path: '/prompts/:id', tag: 'Prompts',
+    summary: 'A prompt template with its version history',
+    params: idParam,
+    responses: { 200: PromptTemplate },
+    errors: [404],
+  },
+  {
+    id: 'getPromptVersion', method: 'get', path: '/prompts/:id/versions/:version', tag: 'Prompts',
+    summary: 'The text of one version of a prompt template',
+    params: z.object({ id: z.string(), version: z.string().regex(/^\d+$/, 'Expected a version number') }),
+    responses: { 200: PromptVersion },
+    errors: [404],
+  },
+  {
+    id: 'createPrompt', method: 'post', path: '/prompts', tag: 'Prompts', admin: true,
+    summary: 'Create a prompt template',
+    body: CreatePromptRequest,
+    responses: { 201: PromptSummary },
+    errors: [400, 409],
+  },
+  {
+    id: 'updatePrompt', method: 'patch', path: '/prompts/:id', tag: 'Prompts', admin: true,
+    summary: 'Edit a prompt template',
+    params: idParam,
+    body: UpdatePromptRequest,
+    responses: { 200: PromptSummary },
+    errors: [400, 404],
+  },
+  {
+    id: 'deletePrompt', method: 'delete', path: '/prompts/:id', tag: 'Prompts', admin: true,
+    summary: 'Delete a prompt template (built-in ones cannot be deleted)',
+    params: idParam,
+    responses: { 200: deleted },
+    errors: [400, 404],
+  },
+
+  // Users and usage
+  {
+    id: 'getCurrentUser', method: 'get', path: '/me', tag: 'Users',
+    summary: 'The caller',
+    responses: { 200: z.object({ user: User, authEnabled: z.boolean() }) },
+  },
+  {
+    id: 'getUsage', method: 'get', path: '/usage', tag: 'Users',
+    summary: 'Usage per client and endpoint; admins see every client',
+    query: z.object({
+      days: z.coerce.number().int().min(1).max(31).optional().describe('Days to cover, ending today (UTC); default 1'),
+      client: z.string().optional().describe('Admins only: one client ID'),
+    }),
+    responses: { 200: UsageReport },
+    errors: [400],
+  },
+  {
+    id: 'listUsers', method: 'get', path: '/admin/users', tag: 'Admin', admin: true,
+    summary: 'Users with their API keys',
+    responses: { 200: list('users', User.extend({ keys: z.array(ApiKey) })) },
+  },
+  {
+    id: 'createUser', method: 'post', path: '/admin/users', tag: 'Admin', admin: true,
+    summary: 'Create a user with a first API key; the plain key is only returned here',
+    body: CreateUserRequest,
+    responses: { 201: z.object({ user: User, key: z.string(), apiKey: ApiKey }) },
+    errors: [400],
+  },
+  {
+    id: 'deleteUser', method: 'delete', path: '/admin/users/:id', tag: 'Admin', admin: true,
+    summary: 'Delete a user and revoke their keys',
+    params: idParam,
+    responses: { 200: deleted },
+    errors: [400, 404],
+  },
+  {
+    id: 'createKey', method: 'post', path: '/admin/users/:id/keys', tag: 'Admin', admin: true,
+    summary: 'Issue another API key for a user',
+    params: idParam,
+    body: CreateKeyRequest,
+    responses: { 201: z.object({ key: z.string(), apiKey: ApiKey }) },
+    errors: [400, 404],
+  },
+  {
+    id: 'revokeKey', method: 'delete', path: '/admin/keys/:id', tag: 'Admin', admin: true,
+    summary: 'Revoke an API key',
+    params: idParam,
+    responses: { 200: z.object({ status: z.literal('revoked'), apiKey: ApiKey }) },
+    errors: [404],
+  },
+  {
+    id: 'listTraces', method: 'get', path: '/admin/traces', tag: 'Admin', admin: true,
+    summary: 'Stored answer traces, newest first',
+    query: z.object({ limit: z.coerce.number().int().min(1).optional().describe('Default 50') }),
+    responses: { 200: z.object({ traces: z.array(TraceSummary), total: count }) },
+    errors: [400],
+  },
+  {
+    id: 'getTrace', method: 'get', path: '/admin/traces/:id', tag: 'Admin', admin: true,
+    summary: 'One trace with the exact prompt and response of every model call',
+    params: idParam,
+    responses: { 200: Trace },
+    errors: [404],
+  },
+  {
+    id: 'getCache', method: 'get', path: '/admin/cache', tag: 'Admin', admin: true,
+    summary: 'Response cache settings, counters and entries',
+    responses: { 200: CacheReport },
+  },
+  {
+    id: 'flushCache', method: 'delete', path: '/admin/cache', tag: 'Admin', admin: true,
+    summary: 'Flush the response cache, or only the answers built from one document',
+    query: z.object({ documentId: z.string().optional() }),
+    responses: { 200: z.object({ status: z.literal('flushed'), removed: count, documentId: z.string().optional() }) },
+  },
+];
+
+const byId = new Map(operations.map(operation => [operation.id, operation]));
+
+export function getOperation(id) {
+  const operation = byId.get(id);
+  if (!operation) {
+    throw new Error(`Unknown API operation "${id}"`);
+  }
+  return operation;
+}
@@ -0,0 +1,1052 @@
+// server/app.js
+// The Express app behind the RAG server. createApp() wires the routes to a RAGService and
+// file-backed stores under `dataDir`; it has no side effects beyond those stores, so tests can build one
+// around fake models and an in-memory vector store. pinecone-rag-server.js starts the real thing.
+import express from 'express';
+import cors from 'cors';
+import multer from 'multer';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getChunkingConfig } from './chunking.js';
+import { getSupportedFormats, findLoader, UnsupportedFileTypeError } from './loaders.js';
+import { DocumentStore, documentRegistryPath, summarizeDocument } from './document-store.js';
+import { ConversationStore, summarizeConversation } from './conversation-store.js';
+import { getRewriteConfig } from './query-rewriting.js';
+import { parseFilters } from './filters.js';
+import { LexicalIndex } from './lexical-index.js';
+import { getRetrievalConfig } from './retrieval.js';
+import { getGroundingConfig } from './citations.js';
+import { UserStore, summarizeKey } from './user-store.js';
+import { PromptStore, summarizePrompt, slugify } from './prompt-store.js';
+import { DEFAULT_PROMPT_ID, BASIC_PROMPT_ID } from './prompts.js';
+import { getAgentConfig } from './agent.js';
+import { listTools } from './agent-tools.js';
+import { UsageStore } from './usage-store.js';
+import { IngestionQueue, summarizeJob } from './ingestion-queue.js';
+import { hashContent } from './content-hash.js';
+import { logger } from './logger.js';
+import { traceRequests } from './tracing.js';
+import { TraceStore, summarizeTrace } from './trace-store.js';
+import { renderMetrics } from './metrics.js';
+import { getStartupConfig, withTimeout } from './health.js';
+import { API_VERSION } from './api-schema.js';
+import { buildOpenApiSpec } from './openapi.js';
+import { validate, getResponseValidationMode } from './validation.js';
+import { ingestDocument, matchExistingDocument, removeStoredFile, assetPath } from './ingestion.js';
+import { createVision } from './vision.js';
+import {
+  meterUsage,
+  meterBackground,
+  getUsageLimits,
+  clientIdOf,
+  clientOf,
+  sendTooManyRequests,
+  upstreamRateLimit,
+} from './usage.js';
+import {
+  authenticate,
+  requireAdmin,
+  isAuthEnabled,
+  ownerOf,
+  canRead,
+  canWrite,
+  uploadOwner,
+  accessFilters,
+  corsOptions,
+  LOCAL_USER,
+} from './auth.js';
+import { getNamespace } from './vector-stores/index.js';
+import { describeModels } from './providers/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// How many previous messages of a stored conversation are sent to the model
+const HISTORY_LIMIT = 10;
+
+// `debug: true` in a query or chat body adds the request's stage timings and chunk IDs to the answer
+const withDebug = (req, body) => (req.body.debug ? { ...body, debug: req.trace.debug() } : body);
+
+// Optional `rewrite` (true/false, "condense" or "multi") and `subQueries` fields of a query or chat request
+function readRewriteOptions(body = {}) {
+  const { rewrite, subQueries } = body;
+  return { mode: rewrite, subQueries };
+}
+
+// Rewrite config, metadata filters, retrieval settings, grounding check and the `cache: false` opt-out
+// shared by the query and chat routes. Answers 400 and returns null when any of them is out of range.
+function readQueryOptions(req, res) {
+  let rewrite;
+  try {
+    rewrite = getRewriteConfig(readRewriteOptions(req.body));
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid rewrite options', details: error.message });
+    return null;
+  }
+
+  let filters;
+  try {
+    // Callers only ever retrieve their own and shared chunks
+    filters = accessFilters(req.user, parseFilters(req.body.filters));
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid filters', details: error.message });
+    return null;
+  }
+
+  let retrieval;
+  try {
+    retrieval = getRetrievalConfig(req.body.retrieval);
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid retrieval options', details: error.message });
+    return null;
+  }
+
+  let grounding;
+  try {
+    grounding = getGroundingConfig({ mode: req.body.grounding });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid grounding option', details: error.message });
+    return null;
+  }
+
+  return { rewrite, filters, retrieval, grounding, cache: req.body.cache };
+}
+
+// Conversations are private to their owner; ones from before auth existed belong to the local user
+function ownsConversation(user, conversation) {
+  return !isAuthEnabled() || (conversation.ownerId ?? LOCAL_USER.id) === user.id;
+}
+
+function conversationHistory(conversation) {
+  return conversation.messages
+    .slice(-HISTORY_LIMIT)
+    .map(({ role, content }) => ({ role, content }));
+}
+
+// Only the options the request sets, so a reindex keeps the document's previous values for the rest
+function readChunkingOptions(body = {}) {
+  const { splitter, chunkSize, chunkOverlap } = body;
+  return Object.fromEntries(Object.entries({ splitter, chunkSize, chunkOverlap }).filter(([, value]) => value !== undefined));
+}
+
+// `ragService` may still be initializing (see RAGService.initializeWithRetry): until it is ready, the routes
+// that need the models or vector store answer 503. Returns the app plus the stores and ingestion queue behind
+// it; call ingestionQueue.start() once the app should start processing uploads.
+export function createApp({
+  ragService,
+  dataDir = process.env.DATA_DIR || path.join(__dirname, 'data'),
+  uploadsDir = path.join(__dirname, 'uploads'),
+  namespace = getNamespace(),
+  usageLimits = getUsageLimits(),
+  healthCheckTimeoutMs = getStartupConfig().checkTimeoutMs,
+  responseValidation = getResponseValidationMode(),
+}) {
+  const app = express();
+  // Recent answer traces: exact prompts, retrieved chunk IDs and stage timings (admins only)
+  const traceStore = new TraceStore(path.join(dataDir, 'traces.json'));
+  // First, so every log line and error response carries the request ID
+  app.use(traceRequests({ traceStore }));
+  app.use(express.json());
+  app.use(cors(corsOptions()));
+
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  const upload = multer({ dest: uploadsDir });
+
+  // Registry of uploaded documents (stable IDs, stored file path and chunk IDs)
+  const documentStore = new DocumentStore(documentRegistryPath(dataDir, namespace));
+  const conversationStore = new ConversationStore(path.join(dataDir, 'conversations.json'));
+  const userStore = new UserStore(path.join(dataDir, 'users.json'));
+  const usageStore = new UsageStore(path.join(dataDir, 'usage.json'));
+  const promptStore = new PromptStore(path.join(dataDir, 'prompts.json'));
+
+  // Prometheus metrics (see metrics.js); outside /api, so scrapers need no API key
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+
+  // Every API route lives on this router, which is served under /api/v1 and, deprecated, under /api.
+  // Each route validates its request (and response) against its operation in api-schema.js.
+  const api = express.Router();
+  const validated = (operationId, options) => validate(operationId, { responses: responseValidation, ...options });
+
+  // Every route below needs an API key (unless AUTH_ENABLED=false); sets req.user
+  api.use(authenticate(userStore));
+
+  // Rate limits and daily quotas for the routes that call the model or embed text; also records their usage
+  const metered = meterUsage(usageStore, usageLimits);
+
+  // The keyword index lives in memory; rebuild it from the chunk text kept in the document registry
+  function rebuildKeywordIndex() {
+    ragService.lexicalIndex = new LexicalIndex();
+    ragService.lexicalIndex.add(documentStore.list().flatMap(record => record.chunks));
+  }
+  rebuildKeywordIndex();
+
+  // Pick up documents the ingest CLI added or changed while we were running. Pinecone is shared already;
+  // the local backend keeps its vectors in memory and reloads them from its file.
+  api.use((req, res, next) => {
+    ragService.vectorStore?.reloadIfChanged?.();
+    if (documentStore.reloadIfChanged()) {
+      logger.info('Document registry changed on disk, reloading the keyword index and clearing the response cache');
+      rebuildKeywordIndex();
+      // We can't tell which documents the CLI touched
+      ragService.responseCache.clear();
+    }
+    next();
+  });
+
+  // Routes that need the models or vector store wait for the RAG service to be initialized
+  function requireReady(req, res, next) {
+    const { health } = ragService;
+    if (health.ready) return next();
+    const { nextRetryAt, lastError } = health.initialization;
+    const retryAfter = nextRetryAt ? Math.max(1, Math.ceil((Date.parse(nextRetryAt) - Date.now()) / 1000)) : 5;
+    res.set('Retry-After', String(retryAfter));
+    res.status(503).json({
+      error: 'Service unavailable',
+      details: health.shuttingDown
+        ? 'The server is shutting down'
+        : `The RAG service is not ready yet${lastError ? `: ${lastError}` : ''}`,
+      health: health.summary(),
+    });
+  }
+
+  // API Routes
+  api.get('/openapi.json', validated('getOpenApiSpec'), (req, res) => {
+    res.json(buildOpenApiSpec());
+  });
+
+  api.get('/health', validated('getHealth'), async (req, res) => {
+    try {
+      if (!ragService.health.ready) {
+        throw new Error(ragService.health.initialization.lastError || 'RAG service is not ready yet');
+      }
+      const stats = await ragService.vectorStore.stats();
+      res.json({
+        status: 'healthy',
+        service: 'LangChain + LlamaIndex RAG',
+        vectorStore: ragService.vectorStore.describe(),
+        models: describeModels(),
+        stats,
+        keywordIndex: { chunks: ragService.lexicalIndex.size },
+        health: ragService.health.summary(),
+      });
+    } catch (error) {
+      res.status(503).json({ error: 'Service unhealthy', details: error.message, health: ragService.health.summary() });
+    }
+  });
+
+  // Liveness: the process is up and answering, whatever state its dependencies are in
+  api.get('/health/live', validated('getLiveness'), (req, res) => {
+    res.json({ status: 'alive', uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Readiness: 200 once the RAG service is initialized and the vector store answers, otherwise 503.
+  // Both carry the status of every component (see HealthMonitor.summary).
+  api.get('/health/ready', validated('getReadiness'), async (req, res) => {
+    const { health } = ragService;
+    if (health.ready) {
+      // Probe the vector store on every call, as it can go away after startup; a failure is recorded on it
+      await health.check('vectorStore', () =>
+        withTimeout(ragService.vectorStore.stats(), healthCheckTimeoutMs, `Vector store did not answer within ${healthCheckTimeoutMs}ms`)
+      ).catch(() => {});
+    }
+    const summary = health.summary();
+    res.status(summary.ready ? 200 : 503).json(summary);
+  });
+
+  // The template named by a request's `promptId` (pinned to `promptVersion` when given), or `fallbackId`.
+  // Answers 400 and returns null for an unknown template or version.
+  function readPrompt(req, res, fallbackId = DEFAULT_PROMPT_ID) {
+    const { promptId = fallbackId, promptVersion } = req.body;
+    const prompt = promptStore.resolve(promptId, promptVersion);
+    if (!prompt) {
+      const details = promptStore.get(promptId)
+        ? `Prompt template "${promptId}" has no version ${promptVersion}`
+        : `Unknown prompt template "${promptId}"`;
+      res.status(400).json({ error: 'Invalid prompt template', details });
+      return null;
+    }
+    return prompt;
+  }
+
+  api.post('/query', requireReady, metered, validated('query'), async (req, res) => {
+    try {
+      const { query, chat_history = [], method = 'hybrid' } = req.body;
+
+      // The LlamaIndex query engine builds its own prompt
+      if (method === 'llamaindex' && req.body.promptId !== undefined) {
+        return res.status(400).json({ error: 'Invalid prompt template', details: 'Prompt templates apply to the langchain and hybrid methods' });
+      }
+
+      const options = readQueryOptions(req, res);
+      if (!options) return;
+      if (method !== 'llamaindex') {
+        options.prompt = readPrompt(req, res, method === 'langchain' ? BASIC_PROMPT_ID : DEFAULT_PROMPT_ID);
+        if (!options.prompt) return;
+      }
+
+      req.trace.describe({ query });
+      let result;
+      switch (method) {
+        case 'llamaindex':
+          result = await ragService.queryWithLlamaIndex(query, options);
+          break;
+        case 'langchain':
+          result = await ragService.queryWithLangChain(query, chat_history, options);
+          break;
+        case 'hybrid':
+          result = await ragService.hybridRAGQuery(query, chat_history, options);
+      }
+
+      res.json(withDebug(req, result));
+    } catch (error) {
+      logger.error('Query failed', { err: error });
+      const limited = upstreamRateLimit(error);
+      if (limited) return sendTooManyRequests(res, limited);
+      res.status(500).json({ error: 'Query failed', details: error.message });
+    }
+  });
+
+  // The caller's conversation with this ID, or null
+  function findConversation(id, user) {
+    const conversation = conversationStore.get(id);
+    return conversation && ownsConversation(user, conversation) ? conversation : null;
+  }
+
+  // Resolve the conversation a chat message belongs to, creating one when no ID is given.
+  // Returns null for an unknown ID or someone else's conversation.
+  function resolveConversation(conversationId, user) {
+    if (!conversationId) {
+      return conversationStore.create({ ownerId: user.id });
+    }
+    return findConversation(conversationId, user);
+  }
+
+  // The question is stored together with its answer, so a failed answer leaves no unanswered question in
+  // the conversation. A conversation created for the failed request is removed again.
+  function discardNewConversation(conversationId, conversation) {
+    if (!conversationId && conversation?.messages.length === 0) {
+      conversationStore.delete(conversation.id);
+    }
+  }
+
+  api.post('/chat', requireReady, metered, validated('chat'), async (req, res) => {
+    const { message, conversationId } = req.body;
+    let conversation;
+    try {
+
+      const options = readQueryOptions(req, res);
+      if (!options) return;
+      options.prompt = readPrompt(req, res);
+      if (!options.prompt) return;
+
+      conversation = resolveConversation(conversationId, req.user);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      const history = conversationHistory(conversation);
+      req.trace.describe({ query: message, conversationId: conversation.id });
+
+      const result = await ragService.hybridRAGQuery(message, history, options);
+      conversationStore.addMessages(conversation.id, [
+        { role: 'human', content: message },
+        {
+          role: 'ai',
+          content: result.answer,
+          sources: result.sources,
+          citations: result.citations,
+          grounding: result.grounding,
+          prompt: result.prompt,
+        },
+      ]);
+
+      res.json(withDebug(req, {
+        ...result,
+        // `answer` under the name it had before /api/v1
+        response: result.answer,
+        conversationId: conversation.id,
+        timestamp: new Date().toISOString(),
+      }));
+    } catch (error) {
+      discardNewConversation(conversationId, conversation);
+      logger.error('Chat failed', { err: error });
+      const limited = upstreamRateLimit(error);
+      if (limited) return sendTooManyRequests(res, limited);
+      res.status(500).json({ error: 'Chat failed', details: error.message });
+    }
+  });
+
+  // Write an answer's events as newline-delimited JSON and store the question and answer in the
+  // conversation once the done event arrives. `label` names the route in logs and error events.
+  async function streamToConversation(req, res, conversation, events, label) {
+    const { message, conversationId } = req.body;
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    // Stop generating if the client goes away mid-answer
+    let clientGone = false;
+    res.on('close', () => {
+      clientGone = true;
+    });
+
+    let answer = '';
+    let sources = [];
+    let finished = false;
+    try {
+      for await (const event of events) {
+        if (clientGone) break;
+
+        if (event.type === 'sources') {
+          sources = event.sources;
+        } else if (event.type === 'token') {
+          answer += event.text;
+        } else if (event.type === 'done') {
+          // Only complete answers are stored
+          conversationStore.addMessages(conversation.id, [
+            { role: 'human', content: message },
+            {
+              role: 'ai',
+              content: answer,
+              sources,
+              citations: event.citations,
+              grounding: event.grounding,
+              prompt: event.prompt,
+              steps: event.steps,
+            },
+          ]);
+          event.conversationId = conversation.id;
+          if (req.body.debug) event.debug = req.trace.debug();
+          finished = true;
+        }
+
+        res.write(JSON.stringify(event) + '\n');
+      }
+      // Clients wait for `done` or `error`; a stream that just stops would leave them hanging
+      if (!finished && !clientGone) {
+        throw new Error('The answer stream ended before the answer was complete');
+      }
+    } catch (error) {
+      logger.error(`${label} stream failed`, { err: error });
+      if (!clientGone) {
+        // Headers are already sent, so an upstream rate limit is reported in the error event instead of a 429
+        const limited = upstreamRateLimit(error);
+        const event = limited
+          ? { type: 'error', error: 'Too Many Requests', ...limited }
+          : { type: 'error', error: `${label} failed`, details: error.message };
+        res.write(JSON.stringify(event) + '\n');
+      }
+    } finally {
+      discardNewConversation(conversationId, conversation);
+      res.end();
+    }
+  }
+
+  // Streaming chat: responds with newline-delimited JSON events (sources -> token... -> done)
+  api.post('/chat/stream', requireReady, metered, validated('chatStream'), async (req, res) => {
+    const { message, conversationId } = req.body;
+
+    const options = readQueryOptions(req, res);
+    if (!options) return;
+    options.prompt = readPrompt(req, res);
+    if (!options.prompt) return;
+
+    const conversation = resolveConversation(conversationId, req.user);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const history = conversationHistory(conversation);
+    req.trace.describe({ query: message, conversationId: conversation.id });
+
+    await streamToConversation(req, res, conversation, ragService.streamHybridRAGQuery(message, history, options), 'Chat');
+  });
+
+  // Agent mode (see agent.js): the model searches, reads documents and calculates through tools before
+  // answering. Takes the chat body plus an optional `agent` object ({ maxSteps, tools }); `rewrite` and
+  // `promptId` don't apply. Answers 400 and returns null when the request is malformed.
+  function readAgentRequest(req, res) {
+    const { message, conversationId } = req.body;
+
+    const options = readQueryOptions(req, res);
+    if (!options) return null;
+    try {
+      options.agent = getAgentConfig(req.body.agent ?? {});
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid agent options', details: error.message });
+      return null;
+    }
+    // The documents tools only ever see what the caller can read
+    options.documents = {
+      list: () => documentStore.list().filter(record => canRead(req.user, ownerOf(record))),
+      get: (id) => findReadableDocument(id, req.user),
+    };
+
+    const conversation = resolveConversation(conversationId, req.user);
+    if (!conversation) {
+      res.status(404).json({ error: 'Conversation not found' });
+      return null;
+    }
+    const history = conversationHistory(conversation);
+    req.trace.describe({ query: message, conversationId: conversation.id });
+    return { events: ragService.agentQuery(message, history, options), conversation };
+  }
+
+  api.post('/agent', requireReady, metered, validated('agent'), async (req, res) => {
+    let request;
+    try {
+      request = readAgentRequest(req, res);
+      if (!request) return;
+
+      let answer = '';
+      let sources = [];
+      let done;
+      for await (const event of request.events) {
+        if (event.type === 'sources') sources = event.sources;
+        if (event.type === 'token') answer += event.text;
+        if (event.type === 'done') done = event;
+      }
+      // Without a done event there is no complete answer to store or return
+      if (!done) {
+        throw new Error('The agent stopped before finishing its answer');
+      }
+      conversationStore.addMessages(request.conversation.id, [
+        { role: 'human', content: req.body.message },
+        {
+          role: 'ai',
+          content: answer,
+          sources,
+          citations: done.citations,
+          grounding: done.grounding,
+          steps: done.steps,
+        },
+      ]);
+
+      const { type: _type, ...fields } = done;
+      res.json(withDebug(req, {
+        ...fields,
+        answer,
+        sources,
+        response: answer,
+        conversationId: request.conversation.id,
+      }));
+    } catch (error) {
+      discardNewConversation(req.body.conversationId, request?.conversation);
+      logger.error('Agent failed', { err: error });
+      const limited = upstreamRateLimit(error);
+      if (limited) return sendTooManyRequests(res, limited);
+      res.status(500).json({ error: 'Agent failed', details: error.message });
+    }
+  });
+
+  // Tools the agent may call, for clients that let users pick them
+  api.get('/agent/tools', validated('listAgentTools'), (req, res) => {
+    res.json({
+      tools: listTools().map(({ name, description, parameters }) => ({ name, description, parameters })),
+      defaults: getAgentConfig(),
+    });
+  });
+
+  // Streaming agent: a `step` event per tool call, then sources -> token -> done as for /api/chat/stream
+  api.post('/agent/stream', requireReady, metered, validated('agentStream'), async (req, res) => {
+    const request = readAgentRequest(req, res);
+    if (!request) return;
+    await streamToConversation(req, res, request.conversation, request.events, 'Agent');
+  });
+
+  // Conversations
+  api.post('/conversations', validated('createConversation'), (req, res) => {
+    const { title } = req.body ?? {};
+    const conversation = conversationStore.create({ title: title?.trim(), ownerId: req.user.id });
+    res.status(201).json(conversation);
+  });
+
+  api.get('/conversations', validated('listConversations'), (req, res) => {
+    const conversations = conversationStore.list().filter(conversation => ownsConversation(req.user, conversation));
+    res.json({ conversations: conversations.map(summarizeConversation) });
+  });
+
+  api.get('/conversations/:id', validated('getConversation'), (req, res) => {
+    const conversation = findConversation(req.params.id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(conversation);
+  });
+
+  api.patch('/conversations/:id', validated('renameConversation'), (req, res) => {
+    const { title } = req.body;
+    if (!findConversation(req.params.id, req.user)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const conversation = conversationStore.rename(req.params.id, title.trim());
+    res.json(summarizeConversation(conversation));
+  });
+
+  api.delete('/conversations/:id', validated('deleteConversation'), (req, res) => {
+    if (!findConversation(req.params.id, req.user)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    conversationStore.delete(req.params.id);
+    res.json({ status: 'deleted', id: req.params.id });
+  });
+
+  // Supported upload formats, used by the frontend to build its file picker `accept` list
+  api.get('/formats', validated('listFormats'), (req, res) => {
+    const formats = getSupportedFormats();
+    res.json({
+      formats,
+      accept: formats.flatMap(format => [...format.extensions, ...format.mimeTypes]).join(','),
+    });
+  });
+
+  // Ingest a document record into the vector store and the keyword index (see ingestion.js). Images are read
+  // with the vision engine configured now (VISION_ENGINE, see vision.js).
+  const ingestRecord = (record, chunkingConfig, options = {}) => ingestDocument(record, chunkingConfig, {
+    documentStore,
+    index: ragService,
+    embeddingModel: describeModels().embeddings,
+    vision: createVision({ llm: ragService.llm }),
+    ...options,
+  });
+
+  // Background worker for uploads: each file is a new document record, or a new `version` of an existing one
+  const ingestionQueue = new IngestionQueue(path.join(dataDir, 'jobs.json'), {
+    processFile: async (job, file, setState) => {
+      const record = documentStore.get(file.documentId);
+      if (!record) {
+        throw new Error('Document was deleted before it was ingested');
+      }
+      // Embedding calls are counted against the uploader even though their request has ended
+      const { record: updated, changes } = await meterBackground(usageStore, { client: job.client, endpoint: 'POST /api/upload' },
+        () => ingestRecord(record, job.chunkingConfig, { onStage: setState, version: file.version }));
+      return { chunks: updated.chunks.length, changes };
+    },
+    onFailed: async (job, file) => {
+      // A failed new version leaves the indexed document as it was
+      if (file.version) {
+        removeStoredFile(file.version.storedPath);
+        return;
+      }
+      const record = documentStore.get(file.documentId);
+      if (!record) return;
+      await ragService.deleteChunks(record.chunks.map(chunk => chunk.id));
+      documentStore.delete(record.id);
+      removeStoredFile(record.storedPath);
+    },
+  });
+
+  // Files multer stored for a request that is then rejected
+  const removeUploadedFiles = (req) => (req.files || []).forEach(file => removeStoredFile(file.path));
+
+  // Upload endpoint: stores the files and queues an ingestion job for them, answering 202 right away.
+  // Follow the job with GET /api/v1/jobs/:id or its SSE stream at /api/v1/jobs/:id/events.
+  // Optional form fields `splitter`, `chunkSize` and `chunkOverlap` override the chunking config;
+  // admins may send `shared=true` to make the files readable by every user.
+  api.post('/upload', metered, upload.array('files', 10), validated('uploadDocuments', { onInvalid: removeUploadedFiles }), async (req, res) => {
+    try {
+      const files = req.files || [];
+      if (files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
+      }
+
+      let chunkingConfig;
+      try {
+        chunkingConfig = getChunkingConfig(readChunkingOptions(req.body));
+      } catch (error) {
+        removeUploadedFiles(req);
+        return res.status(400).json({ error: 'Invalid chunking options', details: error.message });
+      }
+
+      // Files no loader handles are rejected now rather than failing later in the job
+      const ownerId = uploadOwner(req.user, { shared: req.body.shared === 'true' });
+      const accepted = [];
+      const rejected = [];
+      for (const file of files) {
+        if (!findLoader(file.originalname, file.mimetype)) {
+          removeStoredFile(file.path);
+          rejected.push({ name: file.originalname, error: new UnsupportedFileTypeError(file.originalname, file.mimetype).message });
+          continue;
+        }
+
+        const contentHash = hashContent(fs.readFileSync(file.path));
+        const { existing, unchanged } = matchExistingDocument(documentStore, {
+          ownerId,
+          filename: file.originalname,
+          contentHash,
+          chunkingConfig,
+        });
+        const entry = { name: file.originalname, bytes: file.size };
+        if (unchanged) {
+          // Same content already indexed the same way: nothing to embed
+          removeStoredFile(file.path);
+          accepted.push({
+            ...entry,
+            documentId: existing.id,
+            state: 'done',
+            chunks: existing.chunks.length,
+            changes: { added: 0, updated: 0, unchanged: existing.chunks.length, removed: 0 },
+            ...(existing.filename !== file.originalname ? { duplicateOf: existing.filename } : {}),
+          });
+        } else if (existing) {
+          accepted.push({
+            ...entry,
+            documentId: existing.id,
+            version: { storedPath: file.path, mimeType: file.mimetype, bytes: file.size, contentHash },
+          });
+        } else {
+          const record = documentStore.create({
+            filename: file.originalname,
+            mimeType: file.mimetype,
+            bytes: file.size,
+            storedPath: file.path,
+            contentHash,
+            ownerId,
+          });
+          accepted.push({ ...entry, documentId: record.id });
+        }
+      }
+
+      if (accepted.length === 0) {
+        return res.status(415).json({ error: 'Unsupported file type', rejected });
+      }
+
+      const job = ingestionQueue.enqueue({
+        userId: req.user.id,
+        client: clientOf(req),
+        chunkingConfig,
+        files: accepted,
+        rejected,
+      });
+      res.status(202).json({ status: 'queued', jobId: job.id, job: summarizeJob(job), rejected });
+    } catch (error) {
+      logger.error('Upload failed', { err: error });
+      res.status(500).json({ error: 'Upload failed', details: error.message });
+    }
+  });
+
+  // Ingestion jobs, visible to the user who uploaded them
+  function findJob(id, user) {
+    const job = ingestionQueue.get(id);
+    return job && (!isAuthEnabled() || job.userId === user.id) ? job : null;
+  }
+
+  api.get('/jobs', validated('listJobs'), (req, res) => {
+    const jobs = ingestionQueue.list({ userId: isAuthEnabled() ? req.user.id : undefined });
+    res.json({ jobs: jobs.map(summarizeJob) });
+  });
+
+  api.get('/jobs/:id', validated('getJob'), (req, res) => {
+    const job = findJob(req.params.id, req.user);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(summarizeJob(job));
+  });
+
+  // Server-sent events: a `job` event with the full job on every change; the stream ends once the job is done
+  api.get('/jobs/:id/events', validated('watchJob'), (req, res) => {
+    const job = findJob(req.params.id, req.user);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    const send = (current) => {
+      res.write(`event: job\ndata: ${JSON.stringify(summarizeJob(current))}\n\n`);
+      if (current.status === 'done') {
+        stop();
+        res.end();
+      }
+    };
+    const onUpdate = (updated) => {
+      if (updated.id === job.id) send(updated);
+    };
+    const stop = () => ingestionQueue.off('update', onUpdate);
+
+    ingestionQueue.on('update', onUpdate);
+    res.on('close', stop);
+    send(job);
+  });
+
+  // Document management. Documents the caller can't read look like they don't exist.
+  function findReadableDocument(id, user) {
+    const record = documentStore.get(id);
+    return record && canRead(user, ownerOf(record)) ? record : null;
+  }
+
+  api.get('/documents', validated('listDocuments'), (req, res) => {
+    const documents = documentStore.list().filter(record => canRead(req.user, ownerOf(record)));
+    res.json({ documents: documents.map(summarizeDocument) });
+  });
+
+  api.get('/documents/:id', validated('getDocument'), (req, res) => {
+    const record = findReadableDocument(req.params.id, req.user);
+    if (!record) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const { storedPath: _storedPath, ...document } = record;
+    res.json({ ...document, chunkCount: record.chunks.length });
+  });
+
+  // Images a document's text was read from: uploaded screenshots and scans, and figures in PDFs. Sources of
+  // answers name theirs in `assetId`.
+  api.get('/documents/:id/assets', validated('listDocumentAssets'), (req, res) => {
+    const record = findReadableDocument(req.params.id, req.user);
+    if (!record) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ documentId: record.id, assets: record.assets || [] });
+  });
+
+  api.get('/documents/:id/assets/:assetId', validated('getDocumentAsset'), (req, res) => {
+    const record = findReadableDocument(req.params.id, req.user);
+    const asset = record?.assets?.find(candidate => candidate.id === req.params.assetId);
+    if (!asset) {
+      return res.status(404).json({ error: record ? 'Asset not found' : 'Document not found' });
+    }
+    // The path comes from the registry, never from the request
+    res.sendFile(assetPath(record, asset.id), {
+      dotfiles: 'allow',
+      headers: { 'Content-Type': asset.mimeType, 'Cache-Control': 'private, max-age=3600' },
+    }, (error) => {
+      if (!error || res.headersSent) return;
+      logger.error('Failed to send asset', { documentId: record.id, assetId: asset.id, err: error });
+      res.status(404).json({ error: 'Asset not found', details: 'The stored image is missing; reindex the document' });
+    });
+  });
+
+  api.delete('/documents/:id', requireReady, validated('deleteDocument'), async (req, res) => {
+    try {
+      const record = findReadableDocument(req.params.id, req.user);
+      if (!record) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      if (!canWrite(req.user, ownerOf(record))) {
+        return res.status(403).json({ error: 'Forbidden', details: 'Only admins can change shared documents' });
+      }
+
+      await ragService.deleteChunks(record.chunks.map(chunk => chunk.id));
+      documentStore.delete(record.id);
+      removeStoredFile(record.storedPath);
+
+      res.json({ status: 'deleted', id: record.id, chunksDeleted: record.chunks.length });
+    } catch (error) {
+      logger.error('Delete failed', { err: error });
+      res.status(500).json({ error: 'Delete failed', details: error.message });
+    }
+  });
+
+  // Re-run loading, chunking and embedding from the stored file, e.g. after a loader or chunker change.
+  // Body may carry `splitter`, `chunkSize` and `chunkOverlap`; otherwise the previous config is reused.
+  // Only chunks that differ from the indexed ones are embedded again.
+  api.post('/documents/:id/reindex', requireReady, metered, validated('reindexDocument'), async (req, res) => {
+    try {
+      const record = findReadableDocument(req.params.id, req.user);
+      if (!record) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      if (!canWrite(req.user, ownerOf(record))) {
+        return res.status(403).json({ error: 'Forbidden', details: 'Only admins can change shared documents' });
+      }
+      if (!fs.existsSync(record.storedPath)) {
+        return res.status(409).json({ error: 'Stored file is missing; re-upload the document' });
+      }
+
+      let chunkingConfig;
+      try {
+        chunkingConfig = getChunkingConfig({ ...record.chunkingConfig, ...readChunkingOptions(req.body) });
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid chunking options', details: error.message });
+      }
+
+      const { record: updated, changes } = await ingestRecord(record, chunkingConfig);
+      res.json({ status: 'ok', document: summarizeDocument(updated), changes });
+    } catch (error) {
+      logger.error('Reindex failed', { err: error });
+      const limited = upstreamRateLimit(error);
+      if (limited) return sendTooManyRequests(res, limited);
+      res.status(500).json({ error: 'Reindex failed', details: error.message });
+    }
+  });
+
+  // Prompt templates ("personas"): everyone can list them and pick one per request with `promptId`;
+  // admins create and edit them. Editing the text adds a version; GET /api/prompts/:id/versions/:version
+  // shows the text an answer recorded.
+  api.get('/prompts', validated('listPrompts'), (req, res) => {
+    res.json({ prompts: promptStore.list().map(summarizePrompt) });
+  });
+
+  api.get('/prompts/:id', validated('getPrompt'), (req, res) => {
+    const prompt = promptStore.get(req.params.id);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    res.json({
+      ...summarizePrompt(prompt),
+      versions: prompt.versions.map(({ version, createdAt, createdBy }) => ({ version, createdAt, createdBy })),
+    });
+  });
+
+  api.get('/prompts/:id/versions/:version', validated('getPromptVersion'), (req, res) => {
+    const resolved = promptStore.resolve(req.params.id, Number(req.params.version));
+    if (!resolved) {
+      return res.status(404).json({ error: 'Prompt template version not found' });
+    }
+    res.json(resolved);
+  });
+
+  api.post('/prompts', requireAdmin, validated('createPrompt'), (req, res) => {
+    const { id, name, description, template } = req.body || {};
+    const promptId = id ?? (typeof name === 'string' ? slugify(name) : undefined);
+    if (promptId && promptStore.get(promptId)) {
+      return res.status(409).json({ error: 'Prompt template already exists', details: `Pick another id than "${promptId}"` });
+    }
+    try {
+      const prompt = promptStore.create({ id, name, description, template, ownerId: req.user.id });
+      res.status(201).json(summarizePrompt(prompt));
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid prompt template', details: error.message });
+    }
+  });
+
+  api.patch('/prompts/:id', requireAdmin, validated('updatePrompt'), (req, res) => {
+    const { name, description, template } = req.body || {};
+    try {
+      const prompt = promptStore.update(req.params.id, { name, description, template }, { updatedBy: req.user.id });
+      if (!prompt) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+      }
+      res.json(summarizePrompt(prompt));
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid prompt template', details: error.message });
+    }
+  });
+
+  // Built-in templates are the methods' defaults, so they can be edited but not deleted
+  api.delete('/prompts/:id', requireAdmin, validated('deletePrompt'), (req, res) => {
+    const prompt = promptStore.get(req.params.id);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    if (prompt.builtIn) {
+      return res.status(400).json({ error: 'Built-in prompt templates cannot be deleted' });
+    }
+    promptStore.delete(prompt.id);
+    res.json({ status: 'deleted', id: prompt.id });
+  });
+
+  // Current caller
+  api.get('/me', validated('getCurrentUser'), (req, res) => {
+    res.json({ user: req.user, authEnabled: isAuthEnabled() });
+  });
+
+  // Usage per client and endpoint over the last `days` days (default 1 = today, UTC).
+  // Admins see every client (or one with ?client=<id>); everyone else only sees themselves.
+  api.get('/usage', validated('getUsage'), (req, res) => {
+    const days = req.query.days === undefined ? 1 : Number(req.query.days);
+    const clientId = req.user.role === 'admin' ? req.query.client : clientIdOf(req);
+    res.json({ ...usageStore.report({ days, clientId }), limits: usageLimits });
+  });
+
+  // User and API key management (admins only); `npm run keys` does the same from the command line
+  api.get('/admin/users', requireAdmin, validated('listUsers'), (req, res) => {
+    userStore.reloadIfChanged();
+    const users = userStore.listUsers().map(user => ({
+      ...user,
+      keys: userStore.listKeys(user.id).map(summarizeKey),
+    }));
+    res.json({ users });
+  });
+
+  // Creates the user together with a first API key; the plain key is only returned here
+  api.post('/admin/users', requireAdmin, validated('createUser'), (req, res) => {
+    const { name, role } = req.body;
+    let user;
+    try {
+      user = userStore.createUser({ name: name.trim(), role });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid user', details: error.message });
+    }
+    const { key, apiKey } = userStore.createKey(user.id);
+    res.status(201).json({ user, key, apiKey: summarizeKey(apiKey) });
+  });
+
+  api.delete('/admin/users/:id', requireAdmin, validated('deleteUser'), (req, res) => {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete yourself' });
+    }
+    if (!userStore.deleteUser(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ status: 'deleted', id: req.params.id });
+  });
+
+  api.post('/admin/users/:id/keys', requireAdmin, validated('createKey'), (req, res) => {
+    const created = userStore.createKey(req.params.id, { label: req.body?.label });
+    if (!created) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(201).json({ key: created.key, apiKey: summarizeKey(created.apiKey) });
+  });
+
+  api.delete('/admin/keys/:id', requireAdmin, validated('revokeKey'), (req, res) => {
+    const apiKey = userStore.revokeKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ status: 'revoked', apiKey: summarizeKey(apiKey) });
+  });
+
+  // Stored answer traces (see tracing.js), newest first; `?limit=` caps the list (default 50)
+  api.get('/admin/traces', requireAdmin, validated('listTraces'), (req, res) => {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const traces = traceStore.list();
+    res.json({ traces: traces.slice(0, limit).map(summarizeTrace), total: traces.length });
+  });
+
+  // One trace with the exact prompt and response of every model call
+  api.get('/admin/traces/:id', requireAdmin, validated('getTrace'), (req, res) => {
+    const trace = traceStore.get(req.params.id);
+    if (!trace) {
+      return res.status(404).json({ error: 'Trace not found' });
+    }
+    res.json(trace);
+  });
+
+  // Response cache (see response-cache.js): settings, hit counters and cached questions
+  api.get('/admin/cache', requireAdmin, validated('getCache'), (req, res) => {
+    res.json(ragService.responseCache.describe());
+  });
+
+  // Flushes the whole cache, or only the answers built from `?documentId=`
+  api.delete('/admin/cache', requireAdmin, validated('flushCache'), (req, res) => {
+    const { documentId } = req.query;
+    const removed = documentId
+      ? ragService.responseCache.invalidateDocuments([documentId])
+      : ragService.responseCache.clear();
+    res.json({ status: 'flushed', removed, ...(documentId ? { documentId } : {}) });
+  });
+
+  // Anything else under /api is a JSON 404 rather than Express's HTML page
+  api.use((req, res) => {
+    res.status(404).json({ error: 'Not found', details: `No route for ${req.method} ${req.originalUrl}` });
+  });
+
+  app.use(`/api/${API_VERSION}`, api);
+  // The unversioned paths from before /api/v1, flagged as deprecated with a link to their successor
+  app.use('/api', (req, res, next) => {
+    res.set('Deprecation', 'true');
+    res.set('Link', `</api/${API_VERSION}${req.url}>; rel="successor-version"`);
+    next();
+  }, api);
+
+  return { app, ragService, documentStore, conversationStore, userStore, usageStore, promptStore, traceStore, ingestionQueue };
+}
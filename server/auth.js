@@ -0,0 +1,88 @@
+// server/auth.js
+// Bearer API key authentication, per-user data ownership and CORS settings.
+//
+// AUTH_ENABLED (default true): every /api/* route except PUBLIC_PATHS needs `Authorization: Bearer <key>`.
+// With AUTH_ENABLED=false all requests act as LOCAL_USER and everything is shared, as before auth existed.
+//
+// Ownership: document chunks carry an `owner` metadata key (a user ID, or SHARED_OWNER for data every
+// user may read) and retrieval is filtered to the caller's own and shared chunks.
+
+export const SHARED_OWNER = 'shared';
+
+export const LOCAL_USER = { id: 'local', name: 'local', role: 'admin' };
+
+// Routes reachable without a key (paths relative to /api and /api/v1)
+const PUBLIC_PATHS = ['/health', '/health/live', '/health/ready', '/openapi.json'];
+
+export const isAuthEnabled = () => process.env.AUTH_ENABLED !== 'false';
+
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Mount on /api; sets req.user for every request it lets through
+export function authenticate(userStore) {
+  return (req, res, next) => {
+    if (!isAuthEnabled()) {
+      req.user = LOCAL_USER;
+      return next();
+    }
+    if (PUBLIC_PATHS.includes(req.path)) {
+      return next();
+    }
+
+    const token = bearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Unauthorized', details: 'Send an API key as "Authorization: Bearer <key>"' });
+    }
+    userStore.reloadIfChanged();
+    const user = userStore.authenticate(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized', details: 'Invalid or revoked API key' });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Forbidden', details: 'Admin role required' });
+  }
+  next();
+}
+
+// Records created before auth existed have no owner; they belong to everyone
+export const ownerOf = (record) => record.ownerId ?? SHARED_OWNER;
+
+export const canRead = (user, ownerId) => !isAuthEnabled() || ownerId === user.id || ownerId === SHARED_OWNER;
+
+export const canWrite = (user, ownerId) =>
+  !isAuthEnabled() || ownerId === user.id || (ownerId === SHARED_OWNER && user.role === 'admin');
+
+// Owner of a new upload: the caller, or everyone when auth is off or an admin shares it
+export function uploadOwner(user, { shared = false } = {}) {
+  if (!isAuthEnabled()) return SHARED_OWNER;
+  return shared && user.role === 'admin' ? SHARED_OWNER : user.id;
+}
+
+// Narrow request MetadataFilters to what the user may read. Added with AND, so callers can't widen it.
+export function accessFilters(user, filters) {
+  if (!isAuthEnabled()) return filters;
+  const ownerFilter = { key: 'owner', operator: 'in', value: [user.id, SHARED_OWNER] };
+  return {
+    filters: [...(filters?.filters || []), ownerFilter],
+    condition: 'and',
+  };
+}
+
+// CORS_ORIGINS: comma-separated allowed origins; unset or "*" allows any origin
+export function corsOptions() {
+  const origins = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+  return {
+    origin: origins.includes('*') ? true : origins,
+    allowedHeaders: ['Content-Type', 'Authorization'],
+  };
+}
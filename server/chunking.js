@@ -0,0 +1,192 @@
+// server/chunking.js
+// Splits document text into overlapping chunks with per-chunk metadata.
+import { SPLITTERS } from './api-schema.js';
+import { mergeConfig } from './config.js';
+
+export const DEFAULT_CHUNKING = {
+  splitter: 'characters',
+  chunkSize: 1000,
+  chunkOverlap: 200,
+  markdownHeadings: true,
+};
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// Preferred break points for the character splitter, best first
+const BREAK_PATTERNS = ['\n\n', '\n', '. ', ' '];
+
+// Rough word/punctuation tokenizer, close enough to model tokens for sizing chunks
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// Defaults, then environment, then per-request overrides (see mergeConfig)
+export function getChunkingConfig(overrides = {}) {
+  const fromEnv = {
+    splitter: process.env.CHUNK_SPLITTER,
+    chunkSize: process.env.CHUNK_SIZE,
+    chunkOverlap: process.env.CHUNK_OVERLAP,
+    markdownHeadings: process.env.CHUNK_MARKDOWN_HEADINGS,
+  };
+
+  const config = mergeConfig(DEFAULT_CHUNKING, [fromEnv, overrides]);
+
+  config.chunkSize = Number(config.chunkSize);
+  config.chunkOverlap = Number(config.chunkOverlap);
+  config.markdownHeadings = config.markdownHeadings !== false && config.markdownHeadings !== 'false';
+
+  if (!SPLITTERS.includes(config.splitter)) {
+    throw new Error(`Unknown splitter "${config.splitter}" (expected one of: ${SPLITTERS.join(', ')})`);
+  }
+  if (!Number.isInteger(config.chunkSize) || config.chunkSize <= 0) {
+    throw new Error('chunkSize must be a positive integer');
+  }
+  if (!Number.isInteger(config.chunkOverlap) || config.chunkOverlap < 0 || config.chunkOverlap >= config.chunkSize) {
+    throw new Error('chunkOverlap must be a non-negative integer smaller than chunkSize');
+  }
+
+  return config;
+}
+
+// Narrow [start, end) so the chunk doesn't begin or end with whitespace
+function trimSpan(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return [start, end];
+}
+
+export function splitByCharacters(text, { chunkSize, chunkOverlap }) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+
+    // Back off to a natural boundary, but never below half a chunk
+    if (end < text.length) {
+      const minEnd = start + Math.floor(chunkSize / 2);
+      for (const pattern of BREAK_PATTERNS) {
+        const at = text.lastIndexOf(pattern, end - pattern.length);
+        if (at >= minEnd) {
+          end = at + pattern.length;
+          break;
+        }
+      }
+    }
+
+    const [chunkStart, chunkEnd] = trimSpan(text, start, end);
+    if (chunkEnd > chunkStart) {
+      chunks.push({ text: text.slice(chunkStart, chunkEnd), start: chunkStart, end: chunkEnd });
+    }
+
+    if (end >= text.length) break;
+    start = Math.max(end - chunkOverlap, start + 1);
+  }
+
+  return chunks;
+}
+
+export function splitByTokens(text, { chunkSize, chunkOverlap }) {
+  const tokens = [...text.matchAll(TOKEN_PATTERN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+  const chunks = [];
+  const step = chunkSize - chunkOverlap;
+  for (let i = 0; i < tokens.length; i += step) {
+    const window = tokens.slice(i, i + chunkSize);
+    const start = window[0].start;
+    const end = window[window.length - 1].end;
+    chunks.push({ text: text.slice(start, end), start, end });
+    if (i + chunkSize >= tokens.length) break;
+  }
+
+  return chunks;
+}
+
+// Split markdown into sections at ATX headings, tracking the heading path of each section
+export function splitMarkdownSections(text) {
+  const sections = [];
+  const headingStack = [];
+  let current = { start: 0, headingPath: [] };
+  let inFence = false;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+
+    const match = !inFence && line.match(HEADING_PATTERN);
+    if (match) {
+      if (offset > current.start) {
+        sections.push({ ...current, end: offset });
+      }
+
+      const level = match[1].length;
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+        headingStack.pop();
+      }
+      headingStack.push({ level, title: match[2] });
+      current = { start: offset, headingPath: headingStack.map(h => h.title) };
+    }
+
+    offset += line.length + 1;
+  }
+
+  if (text.length > current.start) {
+    sections.push({ ...current, end: text.length });
+  }
+
+  return sections.map(section => ({ ...section, text: text.slice(section.start, section.end) }));
+}
+
+export function isMarkdownFile(filename = '') {
+  const lower = filename.toLowerCase();
+  return MARKDOWN_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+// Returns [{ text, metadata }]; metadata is the base metadata plus chunkIndex,
+// chunkCount, startChar/endChar offsets into the original text and headingPath
+export function chunkText(text, baseMetadata = {}, config = getChunkingConfig()) {
+  const split = config.splitter === 'tokens' ? splitByTokens : splitByCharacters;
+
+  const sections = config.markdownHeadings && isMarkdownFile(baseMetadata.filename)
+    ? splitMarkdownSections(text)
+    : [{ text, start: 0, end: text.length, headingPath: [] }];
+
+  const pieces = sections.flatMap(section =>
+    split(section.text, config).map(piece => ({
+      text: piece.text,
+      start: section.start + piece.start,
+      end: section.start + piece.end,
+      headingPath: section.headingPath,
+    }))
+  );
+
+  return pieces.map((piece, index) => ({
+    text: piece.text,
+    metadata: {
+      ...baseMetadata,
+      chunkIndex: index,
+      chunkCount: pieces.length,
+      startChar: piece.start,
+      endChar: piece.end,
+      headingPath: piece.headingPath.join(' > '),
+    },
+  }));
+}
+
+// Chunk every document a loader produced for one file (e.g. PDF pages, CSV rows)
+// and number the chunks across the whole file
+export function chunkDocuments(documents, baseMetadata = {}, config = getChunkingConfig()) {
+  const chunks = documents.flatMap(doc =>
+    chunkText(doc.text, { ...baseMetadata, ...doc.metadata }, config)
+  );
+  return chunks.map((chunk, index) => ({
+    text: chunk.text,
+    metadata: { ...chunk.metadata, chunkIndex: index, chunkCount: chunks.length },
+  }));
+}
@@ -0,0 +1,188 @@
+// server/citations.js
+// Structured citations for generated answers and a post-generation grounding check.
+// Context chunks are labelled [Source N] in the prompt and the model cites them as [N] (or [Source N]);
+// citations map each marker in the answer back to the chunk it points at.
+import { tokenize } from './lexical-index.js';
+import { logger } from './logger.js';
+import { GROUNDING_MODES } from './api-schema.js';
+import { mergeConfig } from './config.js';
+import { contentText } from './providers/index.js';
+
+export const DEFAULT_GROUNDING = {
+  mode: 'overlap',
+  // Share of a sentence's content words that must appear in one source for "overlap" to call it supported
+  threshold: 0.5,
+};
+
+const CITATION_PATTERN = /\[(?:source\s*)?(\d+(?:\s*,\s*\d+)*)\]/gi;
+const SENTENCE_PATTERN = /[^.!?\n]+(?:[.!?]+|$)/g;
+
+// Sentences with fewer content words than this (greetings, "Hope this helps!") aren't checked
+const MIN_CONTENT_WORDS = 3;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'these', 'those', 'from', 'into',
+  'its', 'it\'s', 'has', 'have', 'had', 'but', 'not', 'you', 'your', 'can', 'will', 'would', 'should',
+  'could', 'also', 'which', 'what', 'when', 'where', 'who', 'how', 'why', 'than', 'then', 'there',
+  'their', 'they', 'them', 'been', 'being', 'such', 'each', 'other', 'some', 'any', 'all', 'more',
+  'most', 'about', 'over', 'only', 'both', 'very', 'just', 'does', 'did', 'our', 'one', 'may', 'according',
+  'source', 'sources', 'context',
+]);
+
+// Defaults, then environment, then per-request overrides (see mergeConfig).
+// `grounding: true` in a request means "overlap", `false` means "off".
+export function getGroundingConfig(overrides = {}) {
+  const fromEnv = {
+    mode: process.env.GROUNDING_CHECK,
+    threshold: process.env.GROUNDING_THRESHOLD,
+  };
+
+  const config = mergeConfig(DEFAULT_GROUNDING, [fromEnv, overrides]);
+
+  if (config.mode === true || config.mode === 'true') config.mode = 'overlap';
+  if (config.mode === false || config.mode === 'false') config.mode = 'off';
+  config.threshold = Number(config.threshold);
+
+  if (!GROUNDING_MODES.includes(config.mode)) {
+    throw new Error(`Unknown grounding mode "${config.mode}" (expected true, false or one of: ${GROUNDING_MODES.join(', ')})`);
+  }
+  if (!Number.isFinite(config.threshold) || config.threshold <= 0 || config.threshold > 1) {
+    throw new Error('threshold must be greater than 0 and at most 1');
+  }
+
+  return config;
+}
+
+// Source entry returned to clients for a retrieved NodeWithScore; `id` is the N of [Source N]
+export function describeSource(result, index) {
+  const { text, metadata = {} } = result.node;
+  return {
+    id: index + 1,
+    content: text.substring(0, 300) + '...',
+    text,
+    similarity: typeof result.score === 'number' ? Number(result.score.toFixed(4)) : null,
+    documentId: metadata.documentId,
+    filename: metadata.filename ?? metadata.source,
+    chunkIndex: metadata.chunkIndex,
+    startChar: metadata.startChar,
+    endChar: metadata.endChar,
+    page: metadata.page,
+    headingPath: metadata.headingPath,
+    assetId: metadata.assetId,
+  };
+}
+
+// One entry per cited source: [{ marker, start, end, sourceId, documentId, filename, chunkIndex, startChar, endChar }].
+// `start`/`end` locate the marker in the answer; "[1, 3]" yields two entries sharing one span.
+// Markers pointing at sources that weren't retrieved are dropped.
+export function extractCitations(answer, sources) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const citations = [];
+  for (const match of answer.matchAll(CITATION_PATTERN)) {
+    for (const number of match[1].split(',')) {
+      const source = byId.get(Number(number));
+      if (!source) continue;
+      citations.push({
+        marker: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        sourceId: source.id,
+        documentId: source.documentId,
+        filename: source.filename,
+        chunkIndex: source.chunkIndex,
+        startChar: source.startChar,
+        endChar: source.endChar,
+      });
+    }
+  }
+  return citations;
+}
+
+export const contentWords = (text) => [...new Set(
+  tokenize(text.replace(CITATION_PATTERN, ' ')).filter(token => token.length > 2 && !STOPWORDS.has(token))
+)];
+
+// Answer sentences worth checking, with their offsets in the answer
+function splitSentences(answer) {
+  const sentences = [];
+  for (const match of answer.matchAll(SENTENCE_PATTERN)) {
+    const leading = match[0].length - match[0].trimStart().length;
+    const text = match[0].trim();
+    if (contentWords(text).length < MIN_CONTENT_WORDS) continue;
+    sentences.push({ text, start: match.index + leading, end: match.index + leading + text.length });
+  }
+  return sentences;
+}
+
+// Share of the sentence's content words found in each source
+function overlapScores(sentence, sourceWords) {
+  const words = contentWords(sentence);
+  return sourceWords.map(vocabulary => words.filter(word => vocabulary.has(word)).length / words.length);
+}
+
+// Ask the chat model which sentences the sources support; returns Map(sentence index -> [source ids])
+async function judgeWithLLM(llm, sentences, sources) {
+  const prompt = `For each numbered statement, list the sources that directly support it.
+Reply with one line per statement in the form "<statement number>: <source numbers separated by commas>",
+or "<statement number>: none" when no source supports it. Reply with nothing else.
+
+SOURCES:
+${sources.map(source => `[Source ${source.id}]: ${source.text}`).join('\n\n')}
+
+STATEMENTS:
+${sentences.map((sentence, index) => `${index + 1}. ${sentence.text}`).join('\n')}
+
+SUPPORT:`;
+
+  const response = await llm.invoke(prompt);
+  const judgements = new Map();
+  for (const match of contentText(response.content).matchAll(/^\s*(\d+)\s*[:.-]\s*(.+)$/gm)) {
+    const ids = [...match[2].matchAll(/\d+/g)]
+      .map(([number]) => Number(number))
+      .filter(id => sources.some(source => source.id === id));
+    judgements.set(Number(match[1]) - 1, ids);
+  }
+  return judgements;
+}
+
+// Flags answer sentences that no retrieved source supports:
+// { mode, grounded, unsupportedCount, sentences: [{ text, start, end, supported, sourceIds, score? }] }.
+// Returns null when the check is off.
+export async function checkGrounding(answer, sources, { config, llm }) {
+  if (config.mode === 'off') return null;
+
+  const sentences = splitSentences(answer);
+  const sourceWords = sources.map(source => new Set(contentWords(source.text || source.content || '')));
+  // Sentences the LLM judge skips (or all of them, if the judge call fails) fall back to the overlap heuristic
+  let judgements = new Map();
+  if (config.mode === 'llm' && sentences.length > 0 && sources.length > 0) {
+    try {
+      judgements = await judgeWithLLM(llm, sentences, sources);
+    } catch (error) {
+      logger.warn('LLM grounding check failed, using word overlap instead', { err: error });
+    }
+  }
+
+  const checked = sentences.map((sentence, index) => {
+    if (judgements.has(index)) {
+      const sourceIds = judgements.get(index);
+      return { ...sentence, supported: sourceIds.length > 0, sourceIds };
+    }
+    const scores = overlapScores(sentence.text, sourceWords);
+    const sourceIds = sources.filter((_, i) => scores[i] >= config.threshold).map(source => source.id);
+    return {
+      ...sentence,
+      supported: sourceIds.length > 0,
+      sourceIds,
+      score: Number(Math.max(0, ...scores).toFixed(2)),
+    };
+  });
+
+  const unsupportedCount = checked.filter(sentence => !sentence.supported).length;
+  return {
+    mode: config.mode,
+    grounded: unsupportedCount === 0,
+    unsupportedCount,
+    sentences: checked,
+  };
+}
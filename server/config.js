@@ -0,0 +1,25 @@
+// server/config.js
+// How the settings modules (chunking.js, retrieval.js, vision.js, ...) build their config: defaults,
+// overridden by environment variables, overridden by per-request (or caller) options. Each module then
+// converts and validates the result itself.
+
+// { configKey: value of its env var } for a map of config keys to env var names
+export const readEnv = (envKeys) =>
+  Object.fromEntries(Object.entries(envKeys).map(([key, envVar]) => [key, process.env[envVar]]));
+
+// Later sources win; undefined, null and empty values are skipped, so an unset env var or an omitted
+// request field keeps the value before it. With a `label`, keys the defaults don't have are rejected.
+export function mergeConfig(defaults, sources, { label } = {}) {
+  const config = { ...defaults };
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source)) {
+      if (label && !(key in defaults)) {
+        throw new Error(`Unknown ${label} option "${key}"`);
+      }
+      if (value !== undefined && value !== null && value !== '') {
+        config[key] = value;
+      }
+    }
+  }
+  return config;
+}
@@ -0,0 +1,21 @@
+// server/content-hash.js
+// SHA-256 content hashes that decide what ingestion can skip: a file whose hash matches the stored
+// version is a duplicate, and a chunk whose hash was already indexed keeps its vector.
+import { createHash } from 'crypto';
+
+export const hashContent = (content) => createHash('sha256').update(content).digest('hex');
+
+// Where a chunk sits in its document. These shift for every chunk below an edit, so they're left out of
+// the hash and rewritten in place instead of re-embedding moved chunks.
+export const POSITION_METADATA_KEYS = ['chunkIndex', 'chunkCount', 'startChar', 'endChar'];
+
+// Covers the chunk text, the rest of the metadata stored with its vector and the embedding model, so
+// switching models re-embeds everything
+export function chunkHash(chunk, embeddingModel) {
+  const metadata = Object.fromEntries(
+    Object.entries(chunk.metadata || {})
+      .filter(([key]) => !POSITION_METADATA_KEYS.includes(key))
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+  return hashContent(JSON.stringify([embeddingModel, chunk.text, metadata]));
+}
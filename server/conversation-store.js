@@ -0,0 +1,103 @@
+// server/conversation-store.js
+// JSON-file backed chat conversations. Messages are { id, role: 'human' | 'ai', content, sources, createdAt },
+// and AI messages may also carry the `citations` and `grounding` report of their answer and the
+// `prompt` ({ id, version }) template that produced it, or in agent mode the tool-call `steps`.
+import { randomUUID } from 'crypto';
+import { readJsonFile, writeJsonFile } from './json-file.js';
+
+const TITLE_LENGTH = 60;
+
+export function titleFromMessage(message) {
+  const oneLine = message.replace(/\s+/g, ' ').trim();
+  return oneLine.length > TITLE_LENGTH ? `${oneLine.slice(0, TITLE_LENGTH - 1)}…` : oneLine;
+}
+
+export class ConversationStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.conversations = new Map();
+    this.load();
+  }
+
+  load() {
+    for (const conversation of readJsonFile(this.filePath)?.conversations || []) {
+      this.conversations.set(conversation.id, conversation);
+    }
+  }
+
+  save() {
+    writeJsonFile(this.filePath, { conversations: [...this.conversations.values()] });
+  }
+
+  create({ title, ownerId } = {}) {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: randomUUID(),
+      ownerId,
+      title: title || 'New conversation',
+      messages: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.conversations.set(conversation.id, conversation);
+    this.save();
+    return conversation;
+  }
+
+  list() {
+    return [...this.conversations.values()].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  get(id) {
+    return this.conversations.get(id) || null;
+  }
+
+  rename(id, title) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return null;
+    conversation.title = title;
+    conversation.updatedAt = new Date().toISOString();
+    this.save();
+    return conversation;
+  }
+
+  // Several messages in one write, e.g. a question together with its answer. The first human message
+  // also names a conversation that still has the default title.
+  addMessages(id, messages) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return null;
+
+    const now = new Date().toISOString();
+    const added = messages.map(({ role, content, sources = [], citations, grounding, prompt, steps }) => {
+      const message = { id: randomUUID(), role, content, sources, createdAt: now };
+      if (citations) message.citations = citations;
+      if (grounding) message.grounding = grounding;
+      if (prompt) message.prompt = prompt;
+      if (steps) message.steps = steps;
+      if (role === 'human' && conversation.messages.length === 0 && conversation.title === 'New conversation') {
+        conversation.title = titleFromMessage(content);
+      }
+      conversation.messages.push(message);
+      return message;
+    });
+    conversation.updatedAt = now;
+    this.save();
+    return added;
+  }
+
+  delete(id) {
+    const existed = this.conversations.delete(id);
+    if (existed) this.save();
+    return existed;
+  }
+}
+
+export function summarizeConversation(conversation) {
+  const { messages, ...summary } = conversation;
+  const last = messages[messages.length - 1];
+  return {
+    ...summary,
+    messageCount: messages.length,
+    preview: last ? last.content.slice(0, 120) : '',
+  };
+}
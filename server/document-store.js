@@ -0,0 +1,103 @@
+// server/document-store.js
+// JSON-file backed registry of uploaded documents and the chunks they were split into.
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { readJsonFile, writeJsonFile, fileMtime } from './json-file.js';
+
+// Registry file for a vector store namespace; the default namespace keeps the original file name
+export function documentRegistryPath(dataDir, namespace = '') {
+  return path.join(dataDir, namespace ? `documents.${namespace}.json` : 'documents.json');
+}
+
+export class DocumentStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.documents = new Map();
+    this.loadedMtime = 0;
+    this.load();
+  }
+
+  load() {
+    this.documents.clear();
+    const data = readJsonFile(this.filePath);
+    for (const record of data?.documents || []) {
+      this.documents.set(record.id, record);
+    }
+    this.loadedMtime = fileMtime(this.filePath);
+  }
+
+  // The ingest CLI writes the same file while the server runs; returns true when its changes were loaded
+  reloadIfChanged() {
+    if (fileMtime(this.filePath) === this.loadedMtime) return false;
+    this.load();
+    return true;
+  }
+
+  save() {
+    writeJsonFile(this.filePath, { documents: [...this.documents.values()] });
+    this.loadedMtime = fileMtime(this.filePath);
+  }
+
+  create(fields) {
+    const now = new Date().toISOString();
+    const record = {
+      id: randomUUID(),
+      chunks: [],
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.documents.set(record.id, record);
+    this.save();
+    return record;
+  }
+
+  list() {
+    return [...this.documents.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  get(id) {
+    return this.documents.get(id) || null;
+  }
+
+  update(id, fields) {
+    const record = this.documents.get(id);
+    if (!record) return null;
+    const updated = { ...record, ...fields, id, updatedAt: new Date().toISOString() };
+    this.documents.set(id, updated);
+    this.save();
+    return updated;
+  }
+
+  delete(id) {
+    const existed = this.documents.delete(id);
+    if (existed) this.save();
+    return existed;
+  }
+}
+
+// Public view of a record: drops chunk bodies and the server-side file path
+export function summarizeDocument(record) {
+  const { chunks, storedPath: _storedPath, ...summary } = record;
+  return { ...summary, chunkCount: chunks.length };
+}
+
+// The document's text rebuilt from its chunks: overlapping chunk text is dropped, and chunks from
+// separate loader documents (e.g. PDF pages), whose offsets start over, are joined with a blank line
+export function documentText(record) {
+  let text = '';
+  let previous = null;
+  for (const { text: chunkText, metadata = {} } of record.chunks) {
+    if (!previous) {
+      text = chunkText;
+    } else if (metadata.startChar > previous.startChar) {
+      text += metadata.startChar < previous.endChar
+        ? chunkText.slice(previous.endChar - metadata.startChar)
+        : `\n${chunkText}`;
+    } else {
+      text += `\n\n${chunkText}`;
+    }
+    previous = metadata;
+  }
+  return text;
+}
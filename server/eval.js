@@ -0,0 +1,258 @@
+// server/eval.js
+// Evaluation harness: indexes a golden question set's documents into their own namespace, runs every
+// question through each RAGService method/configuration, and writes a comparison report.
+//
+//   npm run eval                                          all methods with the default retrieval settings
+//   npm run eval -- --methods hybrid,langchain --top-k 3,5   every method x topK combination
+//   npm run eval -- --configs eval-configs.json           [{ name, method, retrieval, rewrite }, ...]
+//   --dataset <file>     JSONL golden set (default: test/golden-questions.jsonl)
+//   --judge llm|overlap  LLM-judged faithfulness/relevance (default) or the offline word-overlap judge
+//   --namespace <name>   namespace the dataset's documents are indexed into (default: eval)
+//   --out <dir>          where the JSON and Markdown reports go (default: data/eval)
+//
+// Runs offline with VECTOR_STORE=local MODEL_PROVIDER=fake; the stubbed model's replies can't be
+// parsed as judge scores, so the LLM judge falls back to word overlap and the report says so.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { config } from 'dotenv';
+import { createRAGService } from './rag-service.js';
+import { getChunkingConfig } from './chunking.js';
+import { getRetrievalConfig } from './retrieval.js';
+import { getRewriteConfig } from './query-rewriting.js';
+import { getGroundingConfig } from './citations.js';
+import { DocumentStore, documentRegistryPath } from './document-store.js';
+import { hashContent } from './content-hash.js';
+import { SHARED_OWNER } from './auth.js';
+import { ingestContent, matchExistingDocument, removeStoredFile } from './ingestion.js';
+import { createVision } from './vision.js';
+import {
+  JUDGE_MODES,
+  METHODS,
+  loadDataset,
+  scoreRetrieval,
+  judgeAnswer,
+  summarizeResults,
+  renderMarkdownReport,
+} from './evaluation.js';
+import { getVectorStoreBackend, requiredEnvVarsFor } from './vector-stores/index.js';
+import { describeModels, loadModelConfig, requiredEnvVarsForModels } from './providers/index.js';
+
+config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const usage = (message) => {
+  if (message) console.error(`❌ ${message}`);
+  console.error('Usage: npm run eval -- [--dataset <file>] [--methods <m1,m2>] [--top-k <k1,k2>] [--configs <file.json>]');
+  console.error('       [--judge llm|overlap] [--namespace <name>] [--out <dir>]');
+  process.exit(1);
+};
+
+let parsed;
+try {
+  parsed = parseArgs({
+    options: {
+      dataset: { type: 'string', default: path.join(__dirname, '..', 'test', 'golden-questions.jsonl') },
+      methods: { type: 'string', default: METHODS.join(',') },
+      'top-k': { type: 'string' },
+      configs: { type: 'string' },
+      judge: { type: 'string', default: 'llm' },
+      namespace: { type: 'string', default: 'eval' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+} catch (error) {
+  usage(error.message);
+}
+const { values: options } = parsed;
+if (options.help) usage();
+if (!JUDGE_MODES.includes(options.judge)) {
+  usage(`Unknown judge "${options.judge}" (expected one of: ${JUDGE_MODES.join(', ')})`);
+}
+if (!options.namespace) {
+  usage('--namespace must not be empty; the eval documents would mix with the served ones');
+}
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Configurations come from --configs, or from every --methods x --top-k combination
+function readConfigurations() {
+  const raw = options.configs
+    ? JSON.parse(fs.readFileSync(options.configs, 'utf8'))
+    : list(options.methods).flatMap(method => (options['top-k'] ? list(options['top-k']) : [undefined]).map(topK => ({
+      name: topK ? `${method} topK=${topK}` : method,
+      method,
+      retrieval: topK ? { topK } : {},
+    })));
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error('configs must be a non-empty array');
+  }
+
+  return raw.map((entry, index) => {
+    if (!METHODS.includes(entry.method)) {
+      throw new Error(`Configuration ${index + 1}: unknown method "${entry.method}" (expected one of: ${METHODS.join(', ')})`);
+    }
+    try {
+      return {
+        name: entry.name || `${entry.method} #${index + 1}`,
+        method: entry.method,
+        retrieval: getRetrievalConfig(entry.retrieval ?? {}),
+        rewrite: getRewriteConfig({ mode: entry.rewrite }),
+      };
+    } catch (error) {
+      throw new Error(`Configuration "${entry.name || index + 1}": ${error.message}`);
+    }
+  });
+}
+
+let configurations;
+let dataset;
+try {
+  configurations = readConfigurations();
+  dataset = loadDataset(path.resolve(options.dataset));
+} catch (error) {
+  usage(error.message);
+}
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const outDir = path.resolve(options.out || path.join(dataDir, 'eval'));
+const uploadsDir = path.join(__dirname, 'uploads');
+const documentStore = new DocumentStore(documentRegistryPath(dataDir, options.namespace));
+const embeddingModel = describeModels().embeddings;
+
+// The eval namespace mirrors the dataset: its documents are (re)indexed, anything else is removed
+async function indexDataset(ragService) {
+  const chunkingConfig = getChunkingConfig();
+
+  for (const record of documentStore.list().filter(record => !dataset.documents.includes(record.source))) {
+    await ragService.deleteChunks(record.chunks.map(chunk => chunk.id));
+    documentStore.delete(record.id);
+    removeStoredFile(record.storedPath);
+    console.log(`🗑️  ${record.source || record.filename}: removed (not in the dataset)`);
+  }
+
+  for (const source of dataset.documents) {
+    const buffer = fs.readFileSync(source);
+    const filename = path.basename(source);
+    const contentHash = hashContent(buffer);
+    const { existing, unchanged } = matchExistingDocument(documentStore, { ownerId: SHARED_OWNER, filename, source, contentHash, chunkingConfig });
+    if (unchanged && existing.source === source) {
+      console.log(`✔️  ${filename}: unchanged (${existing.chunks.length} chunks)`);
+      continue;
+    }
+    const { record, changes } = await ingestContent({ documentStore, index: ragService, embeddingModel, uploadsDir, vision: createVision({ llm: ragService.llm }) }, {
+      // A copy of another dataset file is still its own document here
+      existing: existing?.source === source ? existing : null,
+      filename,
+      buffer,
+      contentHash,
+      ownerId: SHARED_OWNER,
+      source,
+      chunkingConfig,
+    });
+    console.log(`✅ ${filename}: ${record.chunks.length} chunks (${changes.added + changes.updated} embedded)`);
+  }
+
+  ragService.lexicalIndex.add(documentStore.list().flatMap(record => record.chunks));
+}
+
+// Grounding is left off: the judge scores faithfulness itself
+function runMethod(ragService, configuration, question) {
+  const queryOptions = { retrieval: configuration.retrieval };
+  switch (configuration.method) {
+    case 'llamaindex':
+      return ragService.queryWithLlamaIndex(question, queryOptions);
+    case 'langchain':
+      return ragService.queryWithLangChain(question, [], queryOptions);
+    case 'hybrid':
+    default:
+      return ragService.hybridRAGQuery(question, [], {
+        ...queryOptions,
+        rewrite: configuration.rewrite,
+        grounding: getGroundingConfig({ mode: 'off' }),
+      });
+  }
+}
+
+async function evaluateQuestion(ragService, configuration, item) {
+  const started = Date.now();
+  try {
+    const { answer, sources = [] } = await runMethod(ragService, configuration, item.question);
+    const latencyMs = Date.now() - started;
+    const answerText = typeof answer === 'string' ? answer : String(answer ?? '');
+    const judged = await judgeAnswer({ ...item, answer: answerText, sources }, { mode: options.judge, llm: ragService.llm });
+    return {
+      id: item.id,
+      question: item.question,
+      answer: answerText,
+      retrieved: sources.map(source => source.filename ?? 'unknown'),
+      ...scoreRetrieval(sources, item.sources),
+      ...judged,
+      latencyMs,
+    };
+  } catch (error) {
+    return { id: item.id, question: item.question, error: error.message };
+  }
+}
+
+const main = async () => {
+  const missing = [
+    ...requiredEnvVarsFor(getVectorStoreBackend()).filter(varName => !process.env[varName]),
+    ...requiredEnvVarsForModels(loadModelConfig()),
+  ];
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+
+  const startedAt = new Date().toISOString();
+  const ragService = await createRAGService({ namespace: options.namespace });
+
+  console.log(`📥 Indexing ${dataset.documents.length} dataset document(s) into namespace "${options.namespace}"`);
+  await indexDataset(ragService);
+
+  const results = [];
+  for (const configuration of configurations) {
+    console.log(`🧪 ${configuration.name}: ${dataset.questions.length} question(s)`);
+    const configurationResults = [];
+    for (const item of dataset.questions) {
+      const result = await evaluateQuestion(ragService, configuration, item);
+      if (result.error) console.error(`❌ ${configuration.name} / ${item.id}: ${result.error}`);
+      configurationResults.push(result);
+    }
+    results.push({
+      name: configuration.name,
+      method: configuration.method,
+      retrieval: configuration.retrieval,
+      rewrite: configuration.rewrite,
+      summary: summarizeResults(configurationResults),
+      results: configurationResults,
+    });
+  }
+
+  const report = {
+    dataset: path.relative(process.cwd(), path.resolve(options.dataset)),
+    questions: dataset.questions.length,
+    models: describeModels(),
+    vectorStore: `${getVectorStoreBackend()} (namespace "${options.namespace}")`,
+    judge: options.judge,
+    startedAt,
+    configurations: results,
+  };
+
+  const markdown = renderMarkdownReport(report);
+  const baseName = `eval-${startedAt.replace(/[:.]/g, '-')}`;
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, `${baseName}.json`), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(outDir, `${baseName}.md`), markdown);
+
+  console.log(`\n${markdown}`);
+  console.log(`📊 Reports written to ${path.join(outDir, baseName)}.{json,md}`);
+};
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,180 @@
+// server/evaluation.js
+// Scoring for the eval harness: golden question sets, retrieval metrics (hit rate, MRR, recall@k),
+// judged faithfulness and answer relevance, and the comparison report across configurations.
+import fs from 'fs';
+import path from 'path';
+import { checkGrounding, contentWords } from './citations.js';
+import { contentText } from './providers/index.js';
+import { logger } from './logger.js';
+
+export const JUDGE_MODES = ['llm', 'overlap'];
+
+export const METHODS = ['llamaindex', 'langchain', 'hybrid'];
+
+// Report columns: [key, header]; every metric is a 0-1 average over the questions
+export const METRICS = [
+  ['hitRate', 'Hit rate'],
+  ['mrr', 'MRR'],
+  ['recall', 'Recall@k'],
+  ['faithfulness', 'Faithfulness'],
+  ['relevance', 'Relevance'],
+];
+
+// Share of a sentence's content words that must appear in one source for the overlap judge to call it supported
+const OVERLAP_THRESHOLD = 0.5;
+
+// One question per line: { id, question, expectedAnswer, sources: [filenames of the relevant documents] }.
+// Source files are resolved relative to the dataset, so a dataset travels with the documents it covers.
+export function loadDataset(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  const questions = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filePath}:${index + 1}: ${error.message}`);
+    }
+    if (!entry.question || !Array.isArray(entry.sources) || entry.sources.length === 0) {
+      throw new Error(`${filePath}:${index + 1}: each entry needs a question and a non-empty sources array`);
+    }
+    questions.push({ id: entry.id || `q${questions.length + 1}`, expectedAnswer: '', ...entry });
+  });
+  if (questions.length === 0) {
+    throw new Error(`${filePath} has no questions`);
+  }
+
+  const dir = path.dirname(filePath);
+  const documents = [...new Set(questions.flatMap(question => question.sources))].map(source => path.resolve(dir, source));
+  return { questions, documents };
+}
+
+// Retrieval metrics for one question, judged at document level: a retrieved chunk counts when its
+// document is one of the question's sources. `k` is however many chunks the method returned.
+// Documents are indexed under their file name, while dataset sources are paths relative to the
+// dataset, so both sides are compared by base name.
+export function scoreRetrieval(retrieved, relevant) {
+  const relevantSet = new Set(relevant.map(source => path.basename(source)));
+  const filenames = retrieved.map(source => path.basename(source.filename ?? ''));
+  const firstHit = filenames.findIndex(filename => relevantSet.has(filename));
+  const found = new Set(filenames.filter(filename => relevantSet.has(filename)));
+  return {
+    hit: firstHit >= 0 ? 1 : 0,
+    reciprocalRank: firstHit >= 0 ? 1 / (firstHit + 1) : 0,
+    recall: found.size / relevantSet.size,
+  };
+}
+
+// Ask the chat model for 1-5 scores; returns { faithfulness, relevance } scaled to 0-1, or null when
+// the reply doesn't carry both (the stubbed model never does)
+async function judgeWithLLM(llm, { question, expectedAnswer, answer, sources }) {
+  const prompt = `You are grading an answer written by a retrieval-augmented assistant.
+Rate it from 1 (worst) to 5 (best) on two criteria:
+- faithfulness: every claim in the answer is supported by the retrieved context
+- relevance: the answer addresses the question and agrees with the reference answer
+Reply with exactly two lines, "faithfulness: <1-5>" and "relevance: <1-5>", and nothing else.
+
+QUESTION: ${question}
+
+REFERENCE ANSWER: ${expectedAnswer || 'none given'}
+
+RETRIEVED CONTEXT:
+${sources.map((source, index) => `(${index + 1}) ${source.text || source.content || ''}`).join('\n\n') || 'none'}
+
+ANSWER: ${answer}
+
+SCORES:`;
+
+  const text = contentText((await llm.invoke(prompt)).content);
+  const score = (name) => {
+    const match = text.match(new RegExp(`${name}\\s*[:=-]\\s*([1-5])`, 'i'));
+    return match ? (Number(match[1]) - 1) / 4 : null;
+  };
+  const faithfulness = score('faithfulness');
+  const relevance = score('relevance');
+  return faithfulness === null || relevance === null ? null : { faithfulness, relevance };
+}
+
+// Word-overlap stand-in for the judge: faithfulness is the share of answer sentences a source supports
+// (the grounding check's heuristic), relevance the share of the reference answer's content words in the answer
+async function judgeWithOverlap({ question, expectedAnswer, answer, sources }) {
+  const grounding = await checkGrounding(answer, sources.map((source, index) => ({ ...source, id: index + 1 })), {
+    config: { mode: 'overlap', threshold: OVERLAP_THRESHOLD },
+  });
+  // Like the grounding check, an answer with nothing checkable has nothing unsupported
+  const faithfulness = grounding.sentences.length > 0
+    ? 1 - grounding.unsupportedCount / grounding.sentences.length
+    : 1;
+
+  const expected = contentWords(expectedAnswer || question);
+  const answerWords = new Set(contentWords(answer));
+  const relevance = expected.length > 0
+    ? expected.filter(word => answerWords.has(word)).length / expected.length
+    : 0;
+  return { faithfulness, relevance };
+}
+
+// { faithfulness, relevance, judge } with the judge that produced the scores; the LLM judge falls back
+// to word overlap when its call fails or its reply can't be parsed
+export async function judgeAnswer(item, { mode = 'llm', llm } = {}) {
+  if (mode === 'llm') {
+    try {
+      const scores = await judgeWithLLM(llm, item);
+      if (scores) return { ...scores, judge: 'llm' };
+    } catch (error) {
+      logger.warn('LLM judge failed, using word overlap instead', { err: error });
+    }
+  }
+  return { ...(await judgeWithOverlap(item)), judge: 'overlap' };
+}
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Averages over a configuration's answered questions; failed questions are counted separately
+export function summarizeResults(results) {
+  const answered = results.filter(result => !result.error);
+  const judges = [...new Set(answered.map(result => result.judge))];
+  return {
+    questions: results.length,
+    failed: results.length - answered.length,
+    hitRate: average(answered.map(result => result.hit)),
+    mrr: average(answered.map(result => result.reciprocalRank)),
+    recall: average(answered.map(result => result.recall)),
+    faithfulness: average(answered.map(result => result.faithfulness)),
+    relevance: average(answered.map(result => result.relevance)),
+    latencyMs: Math.round(average(answered.map(result => result.latencyMs)) ?? 0),
+    judge: judges.length === 1 ? judges[0] : judges.length > 1 ? 'mixed' : null,
+  };
+}
+
+const formatScore = (value) => (value === null || value === undefined ? 'n/a' : value.toFixed(3));
+
+// Markdown comparison table plus the questions each configuration missed
+export function renderMarkdownReport(report) {
+  const lines = [
+    '# RAG evaluation',
+    '',
+    `- Dataset: \`${report.dataset}\` (${report.questions} questions)`,
+    `- Models: chat \`${report.models.chat}\`, embeddings \`${report.models.embeddings}\``,
+    `- Vector store: \`${report.vectorStore}\``,
+    `- Run at: ${report.startedAt}`,
+    '',
+    `| Configuration | ${METRICS.map(([, header]) => header).join(' | ')} | Avg latency | Judge | Failed |`,
+    `|---|${METRICS.map(() => '---:').join('|')}|---:|---|---:|`,
+  ];
+  for (const { name, summary } of report.configurations) {
+    const scores = METRICS.map(([key]) => formatScore(summary[key]));
+    lines.push(`| ${name} | ${scores.join(' | ')} | ${summary.latencyMs} ms | ${summary.judge ?? 'n/a'} | ${summary.failed} |`);
+  }
+
+  for (const { name, results } of report.configurations) {
+    const misses = results.filter(result => result.error || result.hit === 0);
+    if (misses.length === 0) continue;
+    lines.push('', `## ${name}: missed questions`, '');
+    for (const result of misses) {
+      lines.push(`- \`${result.id}\` ${result.question}${result.error ? ` (error: ${result.error})` : ` (retrieved: ${result.retrieved.join(', ') || 'nothing'})`}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
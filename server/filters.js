@@ -0,0 +1,154 @@
+// server/filters.js
+// Translates the `filters` object of query/chat requests into LlamaIndex MetadataFilters,
+// which both vector store backends understand (Pinecone converts them to its own filter syntax),
+// and evaluates MetadataFilters in memory for the local store and the keyword index.
+//
+//   "filters": {
+//     "filename": "spec.pdf",                                    // equality
+//     "documentId": { "in": ["...", "..."] },                    // any of
+//     "category": { "ne": "frontend" },                          // eq, ne, in, nin, gt, gte, lt, lte
+//     "uploadedAt": { "from": "2025-01-01", "to": "2025-01-31" } // date range, both ends inclusive
+//   }
+// All conditions must match.
+
+const OPERATORS = {
+  eq: '==',
+  ne: '!=',
+  in: 'in',
+  nin: 'nin',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+// Pinecone only compares numbers, so dates are filtered on a numeric copy stored next to them
+export const DATE_FIELDS = {
+  uploadedAt: 'uploadedAtTs',
+};
+
+const KEY_PATTERN = /^[\w.-]+$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isPrimitive = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+function parseDate(key, bound, value) {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new Error(`${key}.${bound} must be an ISO date, e.g. "2025-01-31"`);
+  }
+  return time;
+}
+
+function dateRangeFilters(key, range) {
+  const tsKey = DATE_FIELDS[key];
+  const filters = [];
+  for (const [bound, value] of Object.entries(range)) {
+    if (bound === 'from') {
+      filters.push({ key: tsKey, operator: '>=', value: parseDate(key, bound, value) });
+    } else if (bound === 'to') {
+      // A bare date means "through the end of that day"
+      filters.push(DATE_ONLY_PATTERN.test(value)
+        ? { key: tsKey, operator: '<', value: parseDate(key, bound, value) + DAY_MS }
+        : { key: tsKey, operator: '<=', value: parseDate(key, bound, value) });
+    } else {
+      throw new Error(`Unknown date operator "${bound}" on ${key} (expected from, to)`);
+    }
+  }
+  return filters;
+}
+
+function fieldFilters(key, condition) {
+  if (isPrimitive(condition)) {
+    return [{ key, operator: '==', value: condition }];
+  }
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw new Error(`Filter on ${key} must be a value or an operator object`);
+  }
+  if (Object.keys(condition).length === 0) {
+    throw new Error(`Filter on ${key} has no operators`);
+  }
+  if (DATE_FIELDS[key]) {
+    return dateRangeFilters(key, condition);
+  }
+
+  return Object.entries(condition).map(([name, value]) => {
+    const operator = OPERATORS[name];
+    if (!operator) {
+      const hint = name === 'from' || name === 'to' ? ` (date ranges are supported on: ${Object.keys(DATE_FIELDS).join(', ')})` : '';
+      throw new Error(`Unknown operator "${name}" on ${key}${hint}`);
+    }
+    if (name === 'in' || name === 'nin') {
+      if (!Array.isArray(value) || value.length === 0 || !value.every(isPrimitive)) {
+        throw new Error(`${key}.${name} must be a non-empty array of values`);
+      }
+    } else if (RANGE_OPERATORS.includes(name)) {
+      if (typeof value !== 'number') {
+        throw new Error(`${key}.${name} must be a number`);
+      }
+    } else if (!isPrimitive(value)) {
+      throw new Error(`${key}.${name} must be a string, number or boolean`);
+    }
+    return { key, operator, value };
+  });
+}
+
+// Returns MetadataFilters ({ filters, condition }) or undefined when nothing is filtered.
+// Throws on malformed input so routes can answer 400.
+export function parseFilters(input) {
+  if (input === undefined || input === null) return undefined;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('filters must be an object of metadata key -> condition');
+  }
+
+  const filters = [];
+  for (const [key, condition] of Object.entries(input)) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid metadata key "${key}"`);
+    }
+    filters.push(...fieldFilters(key, condition));
+  }
+  return filters.length > 0 ? { filters, condition: 'and' } : undefined;
+}
+
+function matchesFilter(metadata, { key, value, operator = '==' }) {
+  const actual = metadata[key];
+  switch (operator) {
+    case '==':
+      return actual === value;
+    case '!=':
+      return actual !== value;
+    case '>':
+      return actual > value;
+    case '<':
+      return actual < value;
+    case '>=':
+      return actual >= value;
+    case '<=':
+      return actual <= value;
+    case 'in':
+      return value.includes(actual);
+    case 'nin':
+      return !value.includes(actual);
+    case 'contains':
+      return Array.isArray(actual) && actual.includes(value);
+    case 'text_match':
+      return typeof actual === 'string' && actual.includes(value);
+    case 'is_empty':
+      return actual === undefined || actual === null || actual === '' || (Array.isArray(actual) && actual.length === 0);
+    default:
+      throw new Error(`Filter operator ${operator} not supported`);
+  }
+}
+
+// Evaluate LlamaIndex MetadataFilters ({ filters, condition }) against a flat metadata object
+export function matchesFilters(metadata, metadataFilters) {
+  if (!metadataFilters?.filters?.length) return true;
+  const check = filter => (filter.filters ? matchesFilters(metadata, filter) : matchesFilter(metadata, filter));
+  return metadataFilters.condition === 'or'
+    ? metadataFilters.filters.some(check)
+    : metadataFilters.filters.every(check);
+}
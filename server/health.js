@@ -0,0 +1,148 @@
+// server/health.js
+// Status of the RAG service's dependencies: the vector store, the embedding model and the chat model.
+// RAGService records them while it initializes (retried with backoff until every part is up) and as
+// requests use them; /api/health/ready reports them. The server answers from the start in degraded mode,
+// so a slow or misconfigured dependency doesn't keep it from coming up.
+//
+// Settings: INIT_RETRY_DELAY_MS (first retry delay, doubled on every further attempt), INIT_RETRY_MAX_DELAY_MS
+// (cap on that delay), HEALTH_CHECK_TIMEOUT_MS (per readiness probe) and SHUTDOWN_TIMEOUT_MS (how long a
+// graceful shutdown waits for open requests and running ingestion before closing them).
+import { isRateLimitError } from './usage.js';
+import { COMPONENTS } from './api-schema.js';
+import { mergeConfig, readEnv } from './config.js';
+
+export const DEFAULT_STARTUP = {
+  retryDelayMs: 2000,
+  maxRetryDelayMs: 60000,
+  checkTimeoutMs: 5000,
+  shutdownTimeoutMs: 10000,
+};
+
+const ENV_KEYS = {
+  retryDelayMs: 'INIT_RETRY_DELAY_MS',
+  maxRetryDelayMs: 'INIT_RETRY_MAX_DELAY_MS',
+  checkTimeoutMs: 'HEALTH_CHECK_TIMEOUT_MS',
+  shutdownTimeoutMs: 'SHUTDOWN_TIMEOUT_MS',
+};
+
+export function getStartupConfig(overrides = {}) {
+  const config = mergeConfig(DEFAULT_STARTUP, [readEnv(ENV_KEYS), overrides]);
+  for (const [key, envVar] of Object.entries(ENV_KEYS)) {
+    config[key] = Number(config[key]);
+    if (!Number.isInteger(config[key]) || config[key] < 0) {
+      throw new Error(`${envVar} must be a non-negative integer`);
+    }
+  }
+  if (config.maxRetryDelayMs < config.retryDelayMs) {
+    throw new Error('INIT_RETRY_MAX_DELAY_MS must not be less than INIT_RETRY_DELAY_MS');
+  }
+  return config;
+}
+
+// Delay before retry number `attempt` (1-based)
+export const retryDelay = (attempt, { retryDelayMs, maxRetryDelayMs }) =>
+  Math.min(maxRetryDelayMs, retryDelayMs * 2 ** (attempt - 1));
+
+// Rejects when `promise` takes longer than `ms`
+export function withTimeout(promise, ms, message = `Timed out after ${ms}ms`) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+// Per component: { status: 'pending' | 'up' | 'degraded' | 'down', error, checkedAt, latencyMs }.
+// 'degraded' means the provider is rate limiting us: reachable, but not answering right now.
+export class HealthMonitor {
+  constructor() {
+    this.components = Object.fromEntries(COMPONENTS.map(name => [
+      name,
+      { status: 'pending', error: null, checkedAt: null, latencyMs: null },
+    ]));
+    // 'pending' until the first attempt finishes, 'retrying' while attempts fail, then 'ready'
+    this.initialization = { status: 'pending', attempts: 0, lastError: null, nextRetryAt: null, readyAt: null };
+    this.shuttingDown = false;
+  }
+
+  set(name, status, { error = null, latencyMs = null } = {}) {
+    this.components[name] = {
+      status,
+      error: error?.message ?? error,
+      checkedAt: new Date().toISOString(),
+      latencyMs,
+    };
+  }
+
+  // Runs `fn` as a check of component `name`: up when it resolves, down (rethrowing) when it throws
+  async check(name, fn) {
+    const started = performance.now();
+    try {
+      const result = await fn();
+      this.set(name, 'up', { latencyMs: round(performance.now() - started) });
+      return result;
+    } catch (error) {
+      this.set(name, 'down', { error, latencyMs: round(performance.now() - started) });
+      throw error;
+    }
+  }
+
+  // Outcome of a real call to component `name`
+  record(name, error) {
+    if (!error) {
+      if (this.components[name].status !== 'up') this.set(name, 'up');
+      return;
+    }
+    this.set(name, isRateLimitError(error) ? 'degraded' : 'down', { error });
+  }
+
+  initialized() {
+    Object.assign(this.initialization, { status: 'ready', lastError: null, nextRetryAt: null, readyAt: new Date().toISOString() });
+  }
+
+  failed(error, nextRetryAt = null) {
+    Object.assign(this.initialization, { status: 'retrying', lastError: error.message, nextRetryAt });
+  }
+
+  // Whether requests that need the models and vector store can be served
+  get ready() {
+    return this.initialization.status === 'ready' && !this.shuttingDown;
+  }
+
+  get status() {
+    if (this.shuttingDown) return 'shutting_down';
+    if (this.initialization.status === 'pending') return 'starting';
+    if (this.ready && COMPONENTS.every(name => this.components[name].status === 'up')) return 'ok';
+    return 'degraded';
+  }
+
+  // Body of /api/health/ready; ready also needs the vector store to have answered the latest probe
+  summary() {
+    return {
+      status: this.status,
+      ready: this.ready && this.components.vectorStore.status !== 'down',
+      components: this.components,
+      initialization: this.initialization,
+    };
+  }
+}
+
+// Patches `methods` of `target` in place so every call records its outcome on component `name`
+export function monitorCalls(target, methods, health, name) {
+  for (const method of methods) {
+    const call = target[method].bind(target);
+    target[method] = async (...args) => {
+      try {
+        const result = await call(...args);
+        health.record(name);
+        return result;
+      } catch (error) {
+        health.record(name, error);
+        throw error;
+      }
+    };
+  }
+  return target;
+}
@@ -0,0 +1,137 @@
+// server/ingest-sources.js
+// Where the ingest CLI finds documents: directory trees filtered by globs, URLs, URL lists and sitemaps.
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_EXCLUDES = ['**/node_modules/**', '**/.git/**'];
+
+const FETCH_TIMEOUT_MS = 30 * 1000;
+
+// Sitemap indexes point at further sitemaps; don't follow them forever
+const MAX_SITEMAP_DEPTH = 3;
+
+// Extensions for URLs whose path doesn't end in one, so the loader registry can pick a loader
+const EXTENSIONS_BY_MIME_TYPE = {
+  'text/html': '.html',
+  'application/xhtml+xml': '.html',
+  'text/markdown': '.md',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'application/json': '.json',
+  'application/pdf': '.pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+};
+
+// Glob -> RegExp over "/"-separated relative paths: `**` spans directories, `*` and `?` stay within
+// one, `{a,b}` picks alternatives. A pattern without "/" matches the file name at any depth.
+export function globToRegExp(glob) {
+  const pattern = glob.includes('/') ? glob : `**/${glob}`;
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      const options = pattern.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+      source += `(?:${options.join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// `include` empty means everything; `exclude` always applies on top of the default excludes
+export function createPathFilter({ include = [], exclude = [] } = {}) {
+  const includes = include.map(globToRegExp);
+  const excludes = [...DEFAULT_EXCLUDES, ...exclude].map(globToRegExp);
+  return (relativePath) =>
+    (includes.length === 0 || includes.some(regex => regex.test(relativePath)))
+    && !excludes.some(regex => regex.test(relativePath));
+}
+
+export const toRelativePath = (root, filePath) => path.relative(root, filePath).split(path.sep).join('/');
+
+// Every file under `root` that passes `filter`, as [{ path, relativePath }] in a stable order
+export function walkDirectory(root, filter) {
+  const files = [];
+  const visit = (dir) => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        visit(fullPath);
+      } else if (entry.isFile()) {
+        const relativePath = toRelativePath(root, fullPath);
+        if (filter(relativePath)) files.push({ path: fullPath, relativePath });
+      }
+    }
+  };
+  visit(root);
+  return files;
+}
+
+// Name a fetched URL like a file: host and path, plus an extension from the Content-Type when the path has none
+function filenameForUrl(url, mimeType) {
+  const { host, pathname } = new URL(url);
+  const cleanPath = pathname.endsWith('/') ? `${pathname}index` : pathname;
+  const name = `${host}${cleanPath}`;
+  return path.posix.extname(cleanPath) ? name : `${name}${EXTENSIONS_BY_MIME_TYPE[mimeType] || ''}`;
+}
+
+// { buffer, filename, mimeType } of a URL's content
+export async function fetchUrl(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), redirect: 'follow' });
+  if (!response.ok) {
+    throw new Error(`GET ${url} failed with ${response.status} ${response.statusText}`);
+  }
+  const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    filename: filenameForUrl(url, mimeType),
+    mimeType,
+  };
+}
+
+const decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .trim();
+
+// Page URLs listed by a sitemap; sitemap indexes are followed
+export async function readSitemap(url, depth = 0) {
+  const { buffer } = await fetchUrl(url);
+  const xml = buffer.toString('utf8');
+  const locations = [...xml.matchAll(/<loc>([\s\S]*?)<\/loc>/g)].map(match => new URL(decodeXml(match[1]), url).href);
+
+  if (!/<sitemapindex[\s>]/.test(xml)) return locations;
+  if (depth >= MAX_SITEMAP_DEPTH) {
+    throw new Error(`Sitemap index nesting deeper than ${MAX_SITEMAP_DEPTH} levels at ${url}`);
+  }
+  const nested = [];
+  for (const location of locations) {
+    nested.push(...await readSitemap(location, depth + 1));
+  }
+  return nested;
+}
+
+// One URL per line; blank lines and lines starting with # are skipped
+export function readUrlList(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
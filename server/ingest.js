@@ -0,0 +1,328 @@
+// server/ingest.js
+// Command line ingestion of directories, URLs and sitemaps through the same loaders, chunking and
+// metadata as /api/upload. Sources are matched by path or URL, so re-running only embeds what changed.
+//
+//   npm run ingest -- <dir|file>... [--include <glob>] [--exclude <glob>]   files under each path
+//   npm run ingest -- --url <url> [--urls <file>] [--sitemap <url>]         web pages and documents
+//   --dry-run              print chunk counts and estimated embedding calls without indexing anything
+//   --namespace <name>     Pinecone namespace (or local vectors file) to write to; defaults to PINECONE_NAMESPACE
+//   --owner <userId>       owner of new documents; defaults to shared (readable by every user)
+//   --watch                keep running and re-ingest files under the given directories as they change
+//   --splitter, --chunk-size, --chunk-overlap   chunking overrides, as on /api/upload
+// Images are read with VISION_ENGINE (see vision.js); dry runs use the stub engine so they call no model.
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { config } from 'dotenv';
+import { VectorStoreIndex, Settings } from 'llamaindex';
+import { getChunkingConfig } from './chunking.js';
+import { findLoader } from './loaders.js';
+import { DocumentStore, documentRegistryPath } from './document-store.js';
+import { UserStore } from './user-store.js';
+import { hashContent } from './content-hash.js';
+import { SHARED_OWNER } from './auth.js';
+import { ingestContent, insertChunkNodes, matchExistingDocument, planIngestion, removeStoredFile } from './ingestion.js';
+import { createPathFilter, fetchUrl, readSitemap, readUrlList, toRelativePath, walkDirectory } from './ingest-sources.js';
+import { createVectorStore, getNamespace, getVectorStoreBackend, requiredEnvVarsFor } from './vector-stores/index.js';
+import { createModels, describeModels, loadModelConfig, requiredEnvVarsForModels } from './providers/index.js';
+import { toLlamaIndexEmbedding } from './providers/llamaindex-bridge.js';
+import { createVision, getVisionConfig } from './vision.js';
+
+config();
+
+// LlamaIndex embeds inserted nodes in batches of this size (its DEFAULT_EMBED_BATCH_SIZE, which it doesn't export)
+const EMBED_BATCH_SIZE = 10;
+
+// Editors write a file in several steps; wait for them to settle before re-ingesting
+const WATCH_DEBOUNCE_MS = 500;
+
+const usage = (message) => {
+  if (message) console.error(`❌ ${message}`);
+  console.error('Usage: npm run ingest -- [<dir|file>...] [--include <glob>] [--exclude <glob>] [--url <url>] [--urls <file>] [--sitemap <url>]');
+  console.error('       [--dry-run] [--namespace <name>] [--owner <userId>] [--watch] [--splitter <name>] [--chunk-size <n>] [--chunk-overlap <n>]');
+  process.exit(1);
+};
+
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      include: { type: 'string', multiple: true, default: [] },
+      exclude: { type: 'string', multiple: true, default: [] },
+      url: { type: 'string', multiple: true, default: [] },
+      urls: { type: 'string' },
+      sitemap: { type: 'string', multiple: true, default: [] },
+      'dry-run': { type: 'boolean', default: false },
+      namespace: { type: 'string' },
+      owner: { type: 'string', default: SHARED_OWNER },
+      watch: { type: 'boolean', default: false },
+      splitter: { type: 'string' },
+      'chunk-size': { type: 'string' },
+      'chunk-overlap': { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+} catch (error) {
+  usage(error.message);
+}
+const { values: options, positionals: paths } = parsed;
+if (options.help) usage();
+if (paths.length === 0 && options.url.length === 0 && !options.urls && options.sitemap.length === 0) {
+  usage('Nothing to ingest: give a directory, file, --url, --urls or --sitemap');
+}
+
+const dryRun = options['dry-run'];
+const namespace = options.namespace ?? getNamespace();
+
+let chunkingConfig;
+try {
+  chunkingConfig = getChunkingConfig({
+    splitter: options.splitter,
+    chunkSize: options['chunk-size'],
+    chunkOverlap: options['chunk-overlap'],
+  });
+} catch (error) {
+  usage(`Invalid chunking options: ${error.message}`);
+}
+
+let visionConfig;
+try {
+  visionConfig = getVisionConfig();
+} catch (error) {
+  usage(`Invalid vision settings: ${error.message}`);
+}
+if (dryRun && visionConfig.engine !== 'off') {
+  visionConfig = { ...visionConfig, engine: 'stub' };
+}
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const uploadsDir = path.join(__dirname, 'uploads');
+const documentStore = new DocumentStore(documentRegistryPath(dataDir, namespace));
+const embeddingModel = describeModels().embeddings;
+
+const ownerId = options.owner;
+if (ownerId !== SHARED_OWNER && !new UserStore(path.join(dataDir, 'users.json')).getUser(ownerId)) {
+  usage(`No user with ID ${ownerId}`);
+}
+
+const roots = paths.map(p => path.resolve(p));
+for (const root of roots) {
+  if (!fs.existsSync(root)) usage(`No such file or directory: ${root}`);
+}
+if (options.watch && !roots.some(root => fs.statSync(root).isDirectory())) {
+  usage('--watch needs at least one directory');
+}
+if (options.watch && dryRun) {
+  usage('--watch and --dry-run cannot be combined');
+}
+
+// The vector index is only opened when something actually needs embedding or deleting
+let indexPromise = null;
+function openIndex() {
+  indexPromise ??= (async () => {
+    const missing = [
+      ...requiredEnvVarsFor(getVectorStoreBackend()).filter(varName => !process.env[varName]),
+      ...requiredEnvVarsForModels(loadModelConfig()),
+    ];
+    if (missing.length > 0) {
+      throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+    }
+    const { embeddings } = createModels();
+    Settings.embedModel = toLlamaIndexEmbedding(embeddings);
+    const vectorStore = await createVectorStore({ embedModel: Settings.embedModel, namespace });
+    const vectorIndex = await VectorStoreIndex.fromVectorStore(vectorStore.llamaIndexStore);
+    console.log('🗄️  Writing to vector store:', vectorStore.describe());
+    return {
+      insertChunks: (documentId, chunks) => insertChunkNodes({ vectorIndex, vectorStore, embeddings }, chunks),
+      updateChunks: (documentId, positions) => vectorStore.updateMetadata(positions),
+      deleteChunks: (ids) => vectorStore.deleteByIds(ids),
+    };
+  })();
+  return indexPromise;
+}
+
+// Created with the first document ingested; only the llm vision engine needs a chat model
+let vision = null;
+function openVision() {
+  vision ??= createVision({
+    config: visionConfig,
+    llm: visionConfig.engine === 'llm' ? createModels().chat : undefined,
+  });
+  return vision;
+}
+
+const totals = { documents: 0, unchanged: 0, skipped: 0, failed: 0, chunks: 0, changedChunks: 0, embeddingCalls: 0 };
+
+const describeChanges = (changes) => ['added', 'updated', 'unchanged', 'removed']
+  .filter(kind => changes[kind] > 0)
+  .map(kind => `${changes[kind]} ${kind}`)
+  .join(', ') || 'no chunks';
+
+// Ingest one file or page. `source` is its absolute path or URL and identifies the document across runs.
+async function ingestItem({ source, label, filename, mimeType, buffer }) {
+  if (!findLoader(filename, mimeType)) {
+    totals.skipped++;
+    console.log(`⏭️  ${label}: unsupported file type`);
+    return;
+  }
+
+  const contentHash = hashContent(buffer);
+  const { existing, unchanged } = matchExistingDocument(documentStore, { ownerId, filename, source, contentHash, chunkingConfig });
+  if (unchanged) {
+    totals.unchanged++;
+    totals.chunks += existing.chunks.length;
+    console.log(`✔️  ${label}: unchanged (${existing.chunks.length} chunks)${existing.source !== source ? `, same content as ${existing.source || existing.filename}` : ''}`);
+    return;
+  }
+
+  if (dryRun) {
+    // Plan against the existing record so only chunks that would change are counted
+    const record = existing || { id: randomUUID(), filename, chunks: [], ownerId, createdAt: new Date().toISOString() };
+    const { chunks, changed, changes } = await planIngestion(record, chunkingConfig, { version: { mimeType }, embeddingModel, buffer, vision: openVision() });
+    const embeddingCalls = Math.ceil(changed.length / EMBED_BATCH_SIZE);
+    totals.documents++;
+    totals.chunks += chunks.length;
+    totals.changedChunks += changed.length;
+    totals.embeddingCalls += embeddingCalls;
+    console.log(`🔎 ${label}: ${chunks.length} chunks (${describeChanges(changes)}), ~${embeddingCalls} embedding call(s)`);
+    return;
+  }
+
+  const { record, changes } = await ingestContent({ documentStore, index: await openIndex(), embeddingModel, uploadsDir, vision: openVision() }, {
+    existing, filename, mimeType, buffer, contentHash, ownerId, source, chunkingConfig,
+  });
+  totals.documents++;
+  totals.chunks += record.chunks.length;
+  totals.changedChunks += changes.added;
+  console.log(`✅ ${label}: ${record.chunks.length} chunks (${describeChanges(changes)})`);
+}
+
+async function ingestSafely(item) {
+  try {
+    await ingestItem(item);
+  } catch (error) {
+    totals.failed++;
+    console.error(`❌ ${item.label}: ${error.message}`);
+  }
+}
+
+const fileItem = (filePath, label) => ({
+  source: filePath,
+  label,
+  filename: path.basename(filePath),
+  mimeType: undefined,
+  buffer: fs.readFileSync(filePath),
+});
+
+async function ingestPath(root) {
+  if (fs.statSync(root).isFile()) {
+    await ingestSafely(fileItem(root, root));
+    return;
+  }
+  const filter = createPathFilter(options);
+  for (const file of walkDirectory(root, filter)) {
+    await ingestSafely(fileItem(file.path, file.relativePath));
+  }
+}
+
+async function ingestUrl(url) {
+  try {
+    const { buffer, filename, mimeType } = await fetchUrl(url);
+    await ingestSafely({ source: url, label: url, filename, mimeType, buffer });
+  } catch (error) {
+    totals.failed++;
+    console.error(`❌ ${url}: ${error.message}`);
+  }
+}
+
+// Documents this CLI ingested from `removedPath` or anything below it
+async function removeSource(removedPath) {
+  const prefix = `${removedPath}${path.sep}`;
+  const records = documentStore.list().filter(record =>
+    record.source && (record.source === removedPath || record.source.startsWith(prefix)));
+  for (const record of records) {
+    if (record.chunks.length > 0) {
+      await (await openIndex()).deleteChunks(record.chunks.map(chunk => chunk.id));
+    }
+    documentStore.delete(record.id);
+    removeStoredFile(record.storedPath);
+    console.log(`🗑️  ${record.source}: removed (${record.chunks.length} chunks)`);
+  }
+}
+
+// Changes are queued per path and handled one at a time, so a burst of writes ingests a file once
+function watchDirectories(directories) {
+  const timers = new Map();
+  let queue = Promise.resolve();
+
+  const handle = (root, filePath) => {
+    const relativePath = toRelativePath(root, filePath);
+    const filter = createPathFilter(options);
+    if (!fs.existsSync(filePath)) return removeSource(filePath);
+    const stat = fs.statSync(filePath);
+    if (stat.isDirectory()) {
+      return walkDirectory(filePath, (subPath) => filter(`${relativePath}/${subPath}`))
+        .reduce((previous, file) => previous.then(() => ingestSafely(fileItem(file.path, toRelativePath(root, file.path)))), Promise.resolve());
+    }
+    if (stat.isFile() && filter(relativePath)) return ingestSafely(fileItem(filePath, relativePath));
+  };
+
+  for (const root of directories) {
+    fs.watch(root, { recursive: true }, (eventType, filename) => {
+      if (!filename) return;
+      const filePath = path.join(root, filename.toString());
+      clearTimeout(timers.get(filePath));
+      timers.set(filePath, setTimeout(() => {
+        timers.delete(filePath);
+        queue = queue.then(() => handle(root, filePath)).catch(error => console.error(`❌ ${filePath}: ${error.message}`));
+      }, WATCH_DEBOUNCE_MS));
+    });
+    console.log(`👀 Watching ${root} for changes (Ctrl+C to stop)`);
+  }
+}
+
+const main = async () => {
+  console.log(`📥 Ingesting into namespace "${namespace || '(default)'}" as ${ownerId === SHARED_OWNER ? 'shared documents' : `user ${ownerId}`}${dryRun ? ' (dry run)' : ''}`);
+  console.log(`📐 Chunking: ${JSON.stringify(chunkingConfig)}, embeddings: ${embeddingModel}`);
+
+  for (const root of roots) {
+    await ingestPath(root);
+  }
+
+  const urls = [...options.url, ...(options.urls ? readUrlList(options.urls) : [])];
+  for (const sitemap of options.sitemap) {
+    try {
+      const pages = await readSitemap(sitemap);
+      console.log(`🗺️  ${sitemap}: ${pages.length} page(s)`);
+      urls.push(...pages);
+    } catch (error) {
+      totals.failed++;
+      console.error(`❌ ${sitemap}: ${error.message}`);
+    }
+  }
+  for (const url of new Set(urls)) {
+    await ingestUrl(url);
+  }
+
+  const summary = `${totals.documents} ${dryRun ? 'to index' : 'indexed'}, ${totals.unchanged} unchanged, ${totals.skipped} skipped, ${totals.failed} failed`;
+  if (dryRun) {
+    console.log(`📊 Dry run: ${summary}; ${totals.chunks} chunks, ${totals.changedChunks} to embed in ~${totals.embeddingCalls} embedding call(s)`);
+  } else {
+    console.log(`📊 Done: ${summary}; ${totals.changedChunks} chunks embedded`);
+  }
+
+  if (options.watch) {
+    watchDirectories(roots.filter(root => fs.statSync(root).isDirectory()));
+  } else if (totals.failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Ingestion failed:', error);
+  process.exit(1);
+});
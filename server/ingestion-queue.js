@@ -0,0 +1,266 @@
+// server/ingestion-queue.js
+// Background ingestion: an upload becomes a job whose files are parsed, chunked and embedded by a
+// worker with bounded concurrency. Files that fail while embedding are retried with exponential backoff;
+// parse and chunking errors are final. Jobs are kept in a JSON file, and files that were still pending
+// when the server stopped are queued again on start().
+//
+// Settings: INGEST_CONCURRENCY (files processed at once), INGEST_MAX_ATTEMPTS (per file) and
+// INGEST_RETRY_DELAY_MS (first retry delay, doubled on every further attempt).
+import { EventEmitter, once } from 'events';
+import { randomUUID } from 'crypto';
+import { isRateLimitError, retryAfterFrom } from './usage.js';
+import { logger } from './logger.js';
+import { runOutsideRequest } from './tracing.js';
+import { FILE_STATES } from './api-schema.js';
+import { readJsonFile, writeJsonFile } from './json-file.js';
+import { mergeConfig, readEnv } from './config.js';
+
+const FINISHED_STATES = ['done', 'failed'];
+
+export const DEFAULT_INGESTION = {
+  concurrency: 2,
+  maxAttempts: 3,
+  retryDelayMs: 1000,
+};
+
+const ENV_KEYS = {
+  concurrency: 'INGEST_CONCURRENCY',
+  maxAttempts: 'INGEST_MAX_ATTEMPTS',
+  retryDelayMs: 'INGEST_RETRY_DELAY_MS',
+};
+
+// Finished jobs kept for GET /api/jobs; older ones are dropped
+const MAX_FINISHED_JOBS = 200;
+
+export function getIngestionConfig(overrides = {}) {
+  const config = mergeConfig(DEFAULT_INGESTION, [readEnv(ENV_KEYS), overrides]);
+  for (const key of Object.keys(ENV_KEYS)) {
+    config[key] = Number(config[key]);
+  }
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    throw new Error('INGEST_CONCURRENCY must be a positive integer');
+  }
+  if (!Number.isInteger(config.maxAttempts) || config.maxAttempts < 1) {
+    throw new Error('INGEST_MAX_ATTEMPTS must be a positive integer');
+  }
+  if (!Number.isInteger(config.retryDelayMs) || config.retryDelayMs < 0) {
+    throw new Error('INGEST_RETRY_DELAY_MS must be a non-negative integer');
+  }
+  return config;
+}
+
+const isFinished = (file) => FINISHED_STATES.includes(file.state);
+
+// queued -> running -> done; a done job may still contain failed files
+function jobStatus(job) {
+  if (job.files.every(isFinished)) return 'done';
+  if (job.files.some(file => file.attempts > 0)) return 'running';
+  return 'queued';
+}
+
+const CHANGE_KINDS = ['added', 'updated', 'unchanged', 'removed'];
+
+// Public view of a job: its files (without server-side paths), progress counts and the chunk
+// changes of its finished files summed up
+export function summarizeJob(job) {
+  const count = (state) => job.files.filter(file => file.state === state).length;
+  const changes = Object.fromEntries(CHANGE_KINDS.map(kind => [
+    kind,
+    job.files.reduce((sum, file) => sum + (file.changes?.[kind] || 0), 0),
+  ]));
+  return {
+    ...job,
+    files: job.files.map(file => {
+      const { version: _version, ...summary } = file;
+      return summary;
+    }),
+    progress: { total: job.files.length, done: count('done'), failed: count('failed') },
+    changes,
+  };
+}
+
+// Emits 'update' with the job after every state change, and 'idle' when no file is being processed
+export class IngestionQueue extends EventEmitter {
+  // processFile(job, file, setState) ingests one file and returns fields to merge into it (e.g. { chunks });
+  // onFailed(job, file, error) cleans up after a file that won't be retried
+  constructor(filePath, { processFile, onFailed = () => {}, config = getIngestionConfig() }) {
+    super();
+    this.setMaxListeners(0);
+    this.filePath = filePath;
+    this.processFile = processFile;
+    this.onFailed = onFailed;
+    this.config = config;
+    this.jobs = new Map();
+    this.active = 0;
+    this.started = false;
+    // Timers that pump() again once a retry delay has passed
+    this.retryTimers = new Set();
+    this.load();
+  }
+
+  load() {
+    for (const job of readJsonFile(this.filePath)?.jobs || []) {
+      // Interrupted by a restart: start those files over
+      for (const file of job.files) {
+        if (!isFinished(file)) {
+          file.state = 'queued';
+          file.retryAt = null;
+        }
+      }
+      job.status = jobStatus(job);
+      this.jobs.set(job.id, job);
+    }
+  }
+
+  save() {
+    const finished = [...this.jobs.values()].filter(job => job.status === 'done');
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(job.id);
+    }
+    writeJsonFile(this.filePath, { jobs: [...this.jobs.values()] });
+  }
+
+  // Begin processing; call once whatever processFile depends on is ready
+  start() {
+    this.started = true;
+    // Retries that were waiting when stop() cleared their timers
+    for (const job of this.jobs.values()) {
+      for (const file of job.files) {
+        if (file.state === 'queued' && file.retryAt) this.scheduleRetry(Date.parse(file.retryAt) - Date.now());
+      }
+    }
+    this.pump();
+  }
+
+  // Stop taking files (they stay queued for the next start); resolves once the ones in progress are finished
+  async stop() {
+    this.started = false;
+    for (const timer of this.retryTimers) clearTimeout(timer);
+    this.retryTimers.clear();
+    while (this.active > 0) {
+      await once(this, 'idle');
+    }
+  }
+
+  // files: [{ documentId, name, bytes, ...fields for processFile }]; a file may arrive already finished
+  // (e.g. `state: 'done'` for a duplicate). `rejected` files ([{ name, error }]) are listed as failed.
+  enqueue({ userId, client, chunkingConfig, files, rejected = [] }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      userId,
+      client,
+      chunkingConfig,
+      status: 'queued',
+      files: [
+        ...files.map(file => ({ state: 'queued', attempts: 0, error: null, retryAt: null, ...file })),
+        ...rejected.map(file => ({ name: file.name, state: 'failed', attempts: 0, error: file.error, retryAt: null })),
+      ],
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+    this.changed(job);
+    this.pump();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list({ userId } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !userId || job.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  changed(job) {
+    const status = jobStatus(job);
+    job.updatedAt = new Date().toISOString();
+    if (status === 'done' && job.status !== 'done') {
+      job.finishedAt = job.updatedAt;
+    }
+    job.status = status;
+    this.save();
+    this.emit('update', job);
+  }
+
+  // Oldest queued file whose retry delay (if any) has passed
+  nextFile() {
+    const now = Date.now();
+    const jobs = [...this.jobs.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of jobs) {
+      const file = job.files.find(candidate =>
+        candidate.state === 'queued' && (!candidate.retryAt || Date.parse(candidate.retryAt) <= now)
+      );
+      if (file) return { job, file };
+    }
+    return null;
+  }
+
+  pump() {
+    if (!this.started) return;
+    while (this.active < this.config.concurrency) {
+      const next = this.nextFile();
+      if (!next) return;
+      this.active++;
+      // Jobs outlive the request that happened to start them; keep its ID off their log lines
+      runOutsideRequest(() => this.run(next.job, next.file)).finally(() => {
+        this.active--;
+        if (this.active === 0) this.emit('idle');
+        this.pump();
+      });
+    }
+  }
+
+  scheduleRetry(delay) {
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.pump();
+    }, Math.max(0, delay));
+    this.retryTimers.add(timer);
+  }
+
+  async run(job, file) {
+    const setState = (state) => {
+      file.state = state;
+      this.changed(job);
+    };
+
+    file.attempts += 1;
+    file.retryAt = null;
+    file.error = null;
+    setState('parsing');
+
+    try {
+      const result = await this.processFile(job, file, setState);
+      Object.assign(file, result);
+      setState('done');
+    } catch (error) {
+      // Embedding failures are worth retrying, and so is a rate-limited model call while reading images
+      // (see vision.js); other parsing and chunking failures would just happen again
+      const retryable = file.state === 'embedding' || isRateLimitError(error);
+      if (retryable && file.attempts < this.config.maxAttempts) {
+        const backoff = this.config.retryDelayMs * 2 ** (file.attempts - 1);
+        const delay = isRateLimitError(error) ? Math.max(backoff, retryAfterFrom(error) * 1000) : backoff;
+        logger.warn('Retrying file', { jobId: job.id, file: file.name, delayMs: delay, attempt: file.attempts, err: error });
+        file.error = error.message;
+        file.retryAt = new Date(Date.now() + delay).toISOString();
+        setState('queued');
+        this.scheduleRetry(delay);
+        return;
+      }
+
+      logger.error('Failed to ingest file', { jobId: job.id, file: file.name, err: error });
+      file.error = error.message;
+      setState('failed');
+      try {
+        await this.onFailed(job, file, error);
+      } catch (cleanupError) {
+        logger.error('Failed to clean up after file', { jobId: job.id, file: file.name, err: cleanupError });
+      }
+    }
+  }
+}
@@ -0,0 +1,270 @@
+// server/ingestion.js
+// The document ingestion pipeline shared by /api/upload, reindexing and the ingest CLI:
+// load with the matching loader -> chunk -> hash -> embed only new or changed chunks -> record in the registry.
+// Images the text was read from (see vision.js) are kept as the document's assets, next to its stored file.
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { TextNode } from 'llamaindex';
+import { chunkDocuments } from './chunking.js';
+import { loadDocuments } from './loaders.js';
+import { hashContent, chunkHash, POSITION_METADATA_KEYS } from './content-hash.js';
+import { ownerOf } from './auth.js';
+import { logger } from './logger.js';
+
+// Chunk metadata that shouldn't influence the embedding or the prompt
+export const BOOKKEEPING_METADATA_KEYS = ['documentId', 'chunkIndex', 'chunkCount', 'startChar', 'endChar', 'uploadedAt', 'uploadedAtTs', 'owner', 'type', 'fileType', 'pageCount', 'assetId'];
+
+const ASSET_EXTENSIONS = { 'image/png': '.png', 'image/jpeg': '.jpg' };
+
+// A version's assets live in a directory named after its stored file, so they come and go with it
+export const assetDir = (storedPath) => `${storedPath}.assets`;
+
+export const assetPath = (record, assetId) => path.join(assetDir(record.storedPath), assetId);
+
+// Store pre-chunked text through LlamaIndex, falling back to a direct upsert into the vector store.
+// `chunks` come from planIngestion() and keep their text alongside the vector. Returns the inserted nodes.
+export async function insertChunkNodes({ vectorIndex, vectorStore, embeddings }, chunks) {
+  const nodes = chunks.map(chunk => new TextNode({
+    id_: chunk.id,
+    text: chunk.text,
+    metadata: chunk.metadata,
+    excludedEmbedMetadataKeys: BOOKKEEPING_METADATA_KEYS,
+    excludedLlmMetadataKeys: BOOKKEEPING_METADATA_KEYS,
+  }));
+
+  // Prefer inserting via LlamaIndex so retriever sees new docs immediately
+  try {
+    await vectorIndex.insertNodes(nodes);
+  } catch (e) {
+    // If LlamaIndex insert fails, upsert directly into the vector store
+    try {
+      const values = await embeddings.embedDocuments(chunks.map(chunk => chunk.text));
+      await vectorStore.upsert(chunks.map((chunk, i) => ({
+        id: nodes[i].id_,
+        values: values[i],
+        // `text` is the key the LlamaIndex stores read node text from
+        metadata: { ...chunk.metadata, text: chunk.text },
+      })));
+    } catch (e2) {
+      logger.error('Failed to upsert directly to vector store', { err: e2 });
+      throw e;
+    }
+  }
+  return nodes;
+}
+
+export function removeStoredFile(storedPath) {
+  fs.rm(storedPath, { force: true }, (error) => {
+    if (error) logger.error('Failed to remove stored file', { path: storedPath, err: error });
+  });
+  fs.rm(assetDir(storedPath), { recursive: true, force: true }, (error) => {
+    if (error) logger.error('Failed to remove stored assets', { path: assetDir(storedPath), err: error });
+  });
+}
+
+// The registry keeps what an asset is; its bytes live in the asset directory
+const describeAsset = ({ id, mimeType, bytes, page }) => ({ id, mimeType, bytes, ...(page ? { page } : {}) });
+
+// Replace the assets stored for a version with `assets` from planIngestion()
+function saveAssets(storedPath, assets) {
+  const dir = assetDir(storedPath);
+  fs.rmSync(dir, { recursive: true, force: true });
+  if (assets.length === 0) return;
+  fs.mkdirSync(dir, { recursive: true });
+  for (const asset of assets) {
+    fs.writeFileSync(path.join(dir, asset.id), asset.buffer);
+  }
+}
+
+// The owner's document a new file belongs to. With a `source` (a path or URL, from the ingest CLI)
+// documents are matched by source; otherwise an upload with the same filename is a new version of
+// an uploaded document. Failing that, a document with the same content (and chunking) is a duplicate.
+// `unchanged` means there is nothing to re-embed.
+export function matchExistingDocument(documentStore, { ownerId, filename, source, contentHash, chunkingConfig }) {
+  const owned = documentStore.list().filter(record => ownerOf(record) === ownerId);
+  const isIndexedAs = (record) => record.indexedAt && record.contentHash === contentHash
+    && JSON.stringify(record.chunkingConfig) === JSON.stringify(chunkingConfig);
+
+  const sameIdentity = source
+    ? owned.find(record => record.source === source)
+    : owned.find(record => !record.source && record.filename === filename);
+  if (sameIdentity) {
+    return { existing: sameIdentity, unchanged: isIndexedAs(sameIdentity) };
+  }
+  const sameContent = owned.find(isIndexedAs);
+  return { existing: sameContent || null, unchanged: Boolean(sameContent) };
+}
+
+// The position metadata of chunks (see POSITION_METADATA_KEYS), for rewriting it in place
+export const chunkPosition = (chunk) => ({
+  id: chunk.id,
+  metadata: Object.fromEntries(POSITION_METADATA_KEYS.map(key => [key, chunk.metadata[key]])),
+});
+
+const samePosition = (a, b) => POSITION_METADATA_KEYS.every(key => a.metadata[key] === b.metadata[key]);
+
+// Parse and chunk the file behind a record (or its new `version`) and work out which chunks differ from
+// what is indexed. Chunk IDs come from the content hash (`<documentId>#<hash>`), which leaves out where the
+// chunk sits, so only new text is embedded (`changed`), chunks that merely moved get their offsets rewritten
+// (`moved`) and chunks whose text is gone are removed.
+// `version` is a newly stored { storedPath, mimeType, bytes, contentHash } replacing the record's file;
+// `buffer` supplies the file content directly (dry runs, which store nothing). `vision` reads images
+// (see createVision in vision.js); without it images are skipped, or fail for an image file.
+// Images become `assets` ({ id, mimeType, bytes, page?, buffer }), numbered in document order so a
+// reindex gives them the same IDs; their chunks name them in `metadata.assetId`.
+export async function planIngestion(record, chunkingConfig, { version, embeddingModel, buffer: content, vision, onStage = () => {} } = {}) {
+  const source = { ...record, ...version };
+  const buffer = content ?? fs.readFileSync(source.storedPath);
+  const loaded = await loadDocuments(buffer, {
+    filename: record.filename,
+    mimeType: source.mimeType,
+    vision,
+  });
+  if (loaded.length === 0) {
+    throw new Error('No text content found');
+  }
+
+  const assets = [];
+  const documents = loaded.map(({ asset, ...doc }) => {
+    if (!asset) return doc;
+    const id = `image-${assets.length + 1}${ASSET_EXTENSIONS[asset.mimeType] ?? ''}`;
+    assets.push({
+      id,
+      mimeType: asset.mimeType,
+      bytes: asset.buffer.length,
+      ...(doc.metadata.page ? { page: doc.metadata.page } : {}),
+      buffer: asset.buffer,
+    });
+    return { ...doc, metadata: { ...doc.metadata, assetId: id } };
+  });
+
+  onStage('chunking');
+  const chunks = chunkDocuments(documents, {
+    documentId: record.id,
+    filename: record.filename,
+    type: 'upload',
+    owner: ownerOf(record),
+    uploadedAt: record.createdAt,
+    uploadedAtTs: Date.parse(record.createdAt),
+  }, chunkingConfig).map(chunk => ({ ...chunk, hash: chunkHash(chunk, embeddingModel) }));
+
+  // Repeated text (a footer on every page) hashes the same, so later copies are numbered
+  const occurrences = new Map();
+  for (const chunk of chunks) {
+    const occurrence = (occurrences.get(chunk.hash) || 0) + 1;
+    occurrences.set(chunk.hash, occurrence);
+    const key = chunk.hash.slice(0, 16);
+    chunk.id = `${record.id}#${occurrence > 1 ? `${key}-${occurrence}` : key}`;
+  }
+
+  const previous = new Map(record.chunks.map(chunk => [chunk.id, chunk]));
+  const currentIds = new Set(chunks.map(chunk => chunk.id));
+  const changed = chunks.filter(chunk => previous.get(chunk.id)?.hash !== chunk.hash);
+  const moved = chunks.filter(chunk => previous.get(chunk.id)?.hash === chunk.hash && !samePosition(previous.get(chunk.id), chunk));
+  const removedIds = [...previous.keys()].filter(id => !currentIds.has(id));
+
+  return {
+    buffer,
+    chunks,
+    assets,
+    changed,
+    moved,
+    removedIds,
+    changes: {
+      added: changed.length,
+      updated: moved.length,
+      unchanged: chunks.length - changed.length - moved.length,
+      removed: removedIds.length,
+    },
+  };
+}
+
+// Run planIngestion() and apply it: `index` ({ insertChunks(documentId, chunks), updateChunks(documentId, positions),
+// deleteChunks(ids) }) receives the changed, moved and removed chunks, then the registry record is updated.
+// Returns { record, changes: { added, updated, unchanged, removed } }. `onStage` hears 'chunking' and 'embedding'.
+export async function ingestDocument(record, chunkingConfig, { documentStore, index, embeddingModel, version, vision, onStage = () => {} }) {
+  const { buffer, chunks, assets, changed, moved, removedIds, changes } = await planIngestion(record, chunkingConfig, {
+    version,
+    embeddingModel,
+    vision,
+    onStage,
+  });
+
+  onStage('embedding');
+  if (changed.length > 0) {
+    await index.insertChunks(record.id, changed);
+  }
+  if (moved.length > 0) {
+    await index.updateChunks(record.id, moved.map(chunkPosition));
+  }
+  if (removedIds.length > 0) {
+    await index.deleteChunks(removedIds);
+  }
+
+  saveAssets((version || record).storedPath, assets);
+  const updated = documentStore.update(record.id, {
+    ...version,
+    contentHash: hashContent(buffer),
+    fileType: chunks[0].metadata.fileType,
+    assets: assets.map(describeAsset),
+    chunkingConfig,
+    indexedAt: new Date().toISOString(),
+    chunks: chunks.map(({ id, text, metadata, hash }) => ({ id, text, metadata, hash })),
+  });
+  if (version && version.storedPath !== record.storedPath) {
+    removeStoredFile(record.storedPath);
+  }
+  return { record: updated, changes };
+}
+
+// Ingest content that didn't come through /api/upload (the ingest CLI, the eval harness). A copy is kept in
+// `uploadsDir` like an upload's, so the document can be reindexed after its source moves. `existing` (from
+// matchExistingDocument) gets a new version; otherwise a record is created, and dropped again if ingestion fails.
+export async function ingestContent({ documentStore, index, embeddingModel, uploadsDir, vision }, {
+  existing, filename, mimeType, buffer, contentHash = hashContent(buffer), ownerId, source, chunkingConfig,
+}) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  const storedPath = path.join(uploadsDir, randomUUID());
+  fs.writeFileSync(storedPath, buffer);
+  const stored = { storedPath, mimeType, bytes: buffer.length, contentHash };
+
+  const record = existing || documentStore.create({ filename, ...stored, ownerId, source });
+  try {
+    return await ingestDocument(record, chunkingConfig, {
+      documentStore,
+      index,
+      embeddingModel,
+      vision,
+      version: existing ? stored : undefined,
+    });
+  } catch (error) {
+    // An existing document keeps its previous version
+    if (existing) {
+      removeStoredFile(storedPath);
+    } else {
+      documentStore.delete(record.id);
+      removeStoredFile(record.storedPath);
+    }
+    throw error;
+  }
+}
+
+// Chunks indexed before auth existed carry no `owner`, so the access filter would hide them from every
+// user. Gives them their document's owner (shared, for documents from before auth) in the index and the
+// registry. `index` is { updateChunks }, as for ingestDocument. Returns how many chunks were updated.
+export async function backfillChunkOwners({ documentStore, index }) {
+  let updated = 0;
+  for (const record of documentStore.list()) {
+    const owner = ownerOf(record);
+    const missing = record.chunks.filter(chunk => chunk.metadata.owner === undefined);
+    if (missing.length === 0) continue;
+    await index.updateChunks(record.id, missing.map(chunk => ({ id: chunk.id, metadata: { owner } })));
+    documentStore.update(record.id, {
+      ownerId: owner,
+      chunks: record.chunks.map(chunk => ({ ...chunk, metadata: { ...chunk.metadata, owner } })),
+    });
+    updated += missing.length;
+  }
+  return updated;
+}
@@ -0,0 +1,74 @@
+// server/json-file.js
+// Reading and writing the JSON files the stores keep their state in (users, usage, prompts, traces,
+// conversations, ingestion jobs and the document registry). A write goes to a temp file that is then
+// renamed over the store, so a crash mid-write leaves the previous contents intact.
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+// The parsed file, or null when it doesn't exist yet
+export function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+export function writeJsonFile(filePath, data, { indent = 2 } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, indent));
+  fs.renameSync(tmpPath, filePath);
+}
+
+// For stores that change on every request (traces, usage): schedule() writes `data()` at most once per
+// `delayMs`, asynchronously, so requests never wait on the file. Writes run one at a time and always
+// write the latest state.
+export class DeferredJsonWriter {
+  constructor(filePath, data, { delayMs = 1000, indent = 2 } = {}) {
+    this.filePath = filePath;
+    this.data = data;
+    this.delayMs = delayMs;
+    this.indent = indent;
+    this.timer = null;
+    this.writing = Promise.resolve();
+    this.closed = false;
+  }
+
+  schedule() {
+    if (this.timer || this.closed) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.write();
+    }, this.delayMs);
+    this.timer.unref();
+  }
+
+  write() {
+    this.writing = this.writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(this.data(), null, this.indent));
+      await fs.promises.rename(tmpPath, this.filePath);
+    }).catch((error) => {
+      if (!this.closed) logger.error('Failed to write store file', { file: this.filePath, err: error });
+    });
+    return this.writing;
+  }
+
+  // Write a scheduled change now, e.g. on shutdown; resolves once the file is up to date
+  flush() {
+    if (!this.timer) return this.writing;
+    clearTimeout(this.timer);
+    this.timer = null;
+    return this.write();
+  }
+
+  // Drop a scheduled change and write nothing more
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.closed = true;
+  }
+}
+
+// For noticing writes by another process (the CLIs); 0 when the file doesn't exist
+export const fileMtime = (filePath) => (fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : 0);
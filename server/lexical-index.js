@@ -0,0 +1,102 @@
+// server/lexical-index.js
+// In-memory BM25 keyword index over chunk text, kept next to the vector store so exact
+// identifiers (error codes, API names, version numbers) can be found even when embeddings miss them.
+import { matchesFilters } from './filters.js';
+
+// Words, plus identifiers joined by . - : / # (ERR_CONNECTION_REFUSED, v1.2.3, asRetriever)
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+(?:[.\-:/#][\p{L}\p{N}_]+)*/gu;
+const PART_PATTERN = /[.\-:/#_]+|(?<=[\p{Ll}\p{N}])(?=\p{Lu})/u;
+
+// Each identifier is indexed whole and by its parts, so "asRetriever" matches both
+// "asRetriever" and "retriever" while an exact match still scores higher
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of text.match(TOKEN_PATTERN) || []) {
+    tokens.push(match.toLowerCase());
+    const parts = match.split(PART_PATTERN).filter(Boolean);
+    if (parts.length > 1) {
+      tokens.push(...parts.map(part => part.toLowerCase()));
+    }
+  }
+  return tokens;
+}
+
+export class LexicalIndex {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.entries = new Map();   // id -> { id, text, metadata, length, terms }
+    this.postings = new Map();  // term -> Map(id -> term frequency)
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // entries: [{ id, text, metadata }]; an existing id is replaced
+  add(entries) {
+    for (const { id, text, metadata = {} } of entries) {
+      this.remove([id]);
+      const tokens = tokenize(text);
+      const frequencies = new Map();
+      for (const token of tokens) {
+        frequencies.set(token, (frequencies.get(token) || 0) + 1);
+      }
+      for (const [term, frequency] of frequencies) {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        this.postings.get(term).set(id, frequency);
+      }
+      this.entries.set(id, { id, text, metadata, length: tokens.length, terms: [...frequencies.keys()] });
+      this.totalLength += tokens.length;
+    }
+  }
+
+  // updates: [{ id, metadata }], merged into the metadata of entries that exist
+  updateMetadata(updates) {
+    for (const { id, metadata } of updates) {
+      const entry = this.entries.get(id);
+      if (entry) entry.metadata = { ...entry.metadata, ...metadata };
+    }
+  }
+
+  remove(ids) {
+    for (const id of ids) {
+      const entry = this.entries.get(id);
+      if (!entry) continue;
+      for (const term of entry.terms) {
+        const posting = this.postings.get(term);
+        posting.delete(id);
+        if (posting.size === 0) this.postings.delete(term);
+      }
+      this.entries.delete(id);
+      this.totalLength -= entry.length;
+    }
+  }
+
+  // Returns [{ id, text, metadata, score }], best first. `filters` are MetadataFilters.
+  search(query, { topK = 10, filters } = {}) {
+    if (this.entries.size === 0) return [];
+
+    const count = this.entries.size;
+    const averageLength = this.totalLength / count || 1;
+    const scores = new Map();
+    for (const term of new Set(tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, frequency] of posting) {
+        const { length } = this.entries.get(id);
+        const tf = (frequency * (this.k1 + 1)) / (frequency + this.k1 * (1 - this.b + this.b * (length / averageLength)));
+        scores.set(id, (scores.get(id) || 0) + idf * tf);
+      }
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ ...this.entries.get(id), score }))
+      .filter(entry => matchesFilters(entry.metadata, filters))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ id, text, metadata, score }) => ({ id, text, metadata, score }));
+  }
+}
@@ -0,0 +1,330 @@
+// server/loaders.js
+// Loader registry: turns an uploaded file into one or more { text, metadata } documents.
+import path from 'path';
+import { PDFParse } from 'pdf-parse';
+import mammoth from 'mammoth';
+import { imageMimeType, isVisionEnabled } from './vision.js';
+import { logger } from './logger.js';
+
+export class UnsupportedFileTypeError extends Error {
+  constructor(filename, mimeType) {
+    super(`Unsupported file type: ${filename}${mimeType ? ` (${mimeType})` : ''}`);
+    this.name = 'UnsupportedFileTypeError';
+    this.status = 415;
+  }
+}
+
+const loaders = [];
+
+// A loader is { name, extensions, mimeTypes, load(buffer, { filename, mimeType, vision }) => [{ text, metadata, asset? }] }.
+// `vision` (see createVision in vision.js, null when images are off) describes images; a document read from
+// an image carries it as `asset: { buffer, mimeType }`, which ingestion keeps so answers can show it.
+// An optional `isEnabled()` hides the loader (from findLoader and getSupportedFormats) while it returns false.
+// Later registrations win, so callers can override a built-in loader for a given type.
+export function registerLoader(loader) {
+  if (!loader?.name || typeof loader.load !== 'function') {
+    throw new Error('Loader must have a name and a load() function');
+  }
+  loaders.unshift({
+    extensions: [],
+    mimeTypes: [],
+    ...loader,
+  });
+}
+
+// Match by extension first: browsers often send application/octet-stream for anything unusual
+export function findLoader(filename, mimeType) {
+  const ext = path.extname(filename || '').toLowerCase();
+  const enabled = loaders.filter(loader => loader.isEnabled?.() !== false);
+  return enabled.find(loader => ext && loader.extensions.includes(ext))
+    || enabled.find(loader => mimeType && loader.mimeTypes.includes(mimeType))
+    || null;
+}
+
+export function getSupportedFormats() {
+  // Walk oldest to newest so an override replaces the built-in but keeps its position
+  const byName = new Map();
+  for (const { name, extensions, mimeTypes, isEnabled } of [...loaders].reverse()) {
+    byName.set(name, isEnabled?.() === false ? null : { name, extensions, mimeTypes });
+  }
+  return [...byName.values()].filter(Boolean);
+}
+
+export async function loadDocuments(buffer, { filename, mimeType, vision = null }) {
+  const loader = findLoader(filename, mimeType);
+  if (!loader) {
+    throw new UnsupportedFileTypeError(filename, mimeType);
+  }
+
+  const documents = await loader.load(buffer, { filename, mimeType, vision });
+  return documents
+    .filter(doc => doc.text && doc.text.trim().length > 0)
+    .map(doc => ({
+      text: doc.text,
+      metadata: { fileType: loader.name, ...doc.metadata },
+      ...(doc.asset ? { asset: doc.asset } : {}),
+    }));
+}
+
+// --- Built-in loaders -------------------------------------------------------
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'nav', 'header', 'footer', 'aside', 'form'];
+const BLOCK_TAGS = /<\/?(p|div|section|article|main|h[1-6]|li|ul|ol|tr|table|blockquote|pre|br|hr)\b[^>]*>/gi;
+
+export function htmlToText(html) {
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+
+  let body = html.replace(/<!--[\s\S]*?-->/g, '');
+  for (const tag of BOILERPLATE_TAGS) {
+    body = body.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  }
+
+  // Prefer the main content region when the page marks one
+  const main = body.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i)?.[1]
+    ?? body.match(/<article\b[^>]*>([\s\S]*?)<\/article>/i)?.[1]
+    ?? body.match(/<body\b[^>]*>([\s\S]*?)<\/body>/i)?.[1]
+    ?? body;
+
+  const text = decodeEntities(
+    main
+      .replace(BLOCK_TAGS, '\n')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .split('\n')
+    .map(line => line.replace(/[ \t\f\v\u00a0]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+
+  return { text, title: title ? decodeEntities(title).trim() : undefined };
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and newlines inside quotes
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim().length > 0));
+}
+
+function recordToText(record) {
+  if (record === null || typeof record !== 'object') {
+    return String(record);
+  }
+  return Object.entries(record)
+    .map(([key, value]) => `${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+    .join('\n');
+}
+
+const stripBom = (text) => text.replace(/^\uFEFF/, '');
+
+// What gets indexed for an image: its caption and the text read from it. Empty when the vision engine
+// found neither, so loadDocuments() drops the image.
+function imageText(label, { caption, text }) {
+  if (!caption && !text) return '';
+  return [
+    `Image: ${label}`,
+    caption && `Caption: ${caption}`,
+    text && `Text in the image:\n${text}`,
+  ].filter(Boolean).join('\n');
+}
+
+// Captions and OCR text for the images embedded in a PDF (figures, screenshots, scanned pages), keyed by page.
+// A PDF whose images can't be extracted is still read for its text, and an image the engine fails on is skipped.
+async function describePdfImages(parser, filename, vision) {
+  let result;
+  try {
+    result = await parser.getImage({ imageThreshold: vision.minImageSize, imageDataUrl: false });
+  } catch (error) {
+    logger.warn('Could not extract the images of a PDF', { filename, err: error });
+    return new Map();
+  }
+
+  const images = result.pages.flatMap(({ pageNumber, images: pageImages }) =>
+    pageImages.map(image => ({ page: pageNumber, data: image.data })));
+  if (images.length > vision.maxPdfImages) {
+    logger.warn('PDF has more images than VISION_MAX_PDF_IMAGES, skipping the rest', {
+      filename,
+      images: images.length,
+      described: vision.maxPdfImages,
+    });
+  }
+
+  const byPage = new Map();
+  for (const { page, data } of images.slice(0, vision.maxPdfImages)) {
+    // pdf-parse renders every image to PNG
+    const asset = { buffer: Buffer.from(data), mimeType: 'image/png' };
+    let description;
+    try {
+      description = await vision.describe({ ...asset, filename, page });
+    } catch (error) {
+      logger.warn('Could not describe an image of a PDF, skipping it', { filename, page, err: error });
+      continue;
+    }
+    const documents = byPage.get(page) || [];
+    documents.push({
+      text: imageText(`${filename}, page ${page}`, description),
+      metadata: { page, pageCount: result.total },
+      asset,
+    });
+    byPage.set(page, documents);
+  }
+  return byPage;
+}
+
+registerLoader({
+  name: 'text',
+  extensions: ['.txt', '.text', '.log'],
+  mimeTypes: ['text/plain'],
+  load: async (buffer) => [{ text: stripBom(buffer.toString('utf8')), metadata: {} }],
+});
+
+registerLoader({
+  name: 'markdown',
+  extensions: ['.md', '.markdown'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  load: async (buffer) => [{ text: stripBom(buffer.toString('utf8')), metadata: {} }],
+});
+
+registerLoader({
+  name: 'pdf',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  load: async (buffer, { filename, vision }) => {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+      const result = await parser.getText();
+      // Images follow the text of their page; a scanned page is an image with no text
+      const images = vision ? await describePdfImages(parser, filename, vision) : new Map();
+      return result.pages.flatMap(page => [
+        { text: page.text, metadata: { page: page.num, pageCount: result.total } },
+        ...(images.get(page.num) || []),
+      ]);
+    } finally {
+      await parser.destroy();
+    }
+  },
+});
+
+registerLoader({
+  name: 'image',
+  extensions: ['.png', '.jpg', '.jpeg'],
+  mimeTypes: ['image/png', 'image/jpeg'],
+  isEnabled: isVisionEnabled,
+  load: async (buffer, { filename, vision }) => {
+    if (!vision) {
+      throw new Error('Images can\'t be indexed with VISION_ENGINE=off');
+    }
+    const mimeType = imageMimeType(buffer);
+    if (!mimeType) {
+      throw new Error(`${filename} is not a PNG or JPEG image`);
+    }
+    const description = await vision.describe({ buffer, mimeType, filename });
+    return [{ text: imageText(filename, description), metadata: {}, asset: { buffer, mimeType } }];
+  },
+});
+
+registerLoader({
+  name: 'docx',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  load: async (buffer) => {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return [{ text: value, metadata: {} }];
+  },
+});
+
+registerLoader({
+  name: 'html',
+  extensions: ['.html', '.htm'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  load: async (buffer) => {
+    const { text, title } = htmlToText(buffer.toString('utf8'));
+    return [{ text, metadata: title ? { title } : {} }];
+  },
+});
+
+registerLoader({
+  name: 'csv',
+  extensions: ['.csv'],
+  mimeTypes: ['text/csv', 'application/csv'],
+  load: async (buffer) => {
+    const [header, ...rows] = parseCsv(stripBom(buffer.toString('utf8')));
+    if (!header) return [];
+    return rows.map((values, index) => ({
+      text: recordToText(Object.fromEntries(header.map((column, i) => [column.trim(), values[i] ?? '']))),
+      metadata: { row: index + 1 },
+    }));
+  },
+});
+
+registerLoader({
+  name: 'json',
+  extensions: ['.json', '.jsonl', '.ndjson'],
+  mimeTypes: ['application/json', 'application/x-ndjson'],
+  load: async (buffer, { filename }) => {
+    const raw = stripBom(buffer.toString('utf8'));
+    const ext = path.extname(filename || '').toLowerCase();
+    const records = ext === '.jsonl' || ext === '.ndjson'
+      ? raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+      : [].concat(JSON.parse(raw));
+    return records.map((record, index) => ({
+      text: recordToText(record),
+      metadata: { record: index + 1 },
+    }));
+  },
+});
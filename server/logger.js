@@ -0,0 +1,69 @@
+// server/logger.js
+// Structured logging for the server: one JSON object per line on stdout ({ time, level, msg, ...fields }).
+// Lines logged while handling a request carry its requestId (see tracing.js), so every line of one
+// answer can be found with a single grep. Errors passed as `err` are logged with their message and stack.
+//
+// Settings: LOG_LEVEL (debug, info, warn, error; default info) and LOG_FORMAT (json, or pretty for
+// one readable line per entry in a terminal).
+import { currentTrace } from './tracing.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function getLogConfig() {
+  const level = process.env.LOG_LEVEL || 'info';
+  const format = process.env.LOG_FORMAT || 'json';
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  if (!['json', 'pretty'].includes(format)) {
+    throw new Error('LOG_FORMAT must be json or pretty');
+  }
+  return { level, format };
+}
+
+const serializeError = (error) => (error instanceof Error
+  ? { name: error.name, message: error.message, stack: error.stack, ...(error.cause ? { cause: serializeError(error.cause) } : {}) }
+  : error);
+
+function write(level, msg, fields) {
+  // Read on every call so tests and the CLIs can change the settings at runtime
+  const config = getLogConfig();
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(config.level)) return;
+
+  const requestId = currentTrace()?.id;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(requestId ? { requestId } : {}),
+    ...fields,
+  };
+  if (entry.err) entry.err = serializeError(entry.err);
+
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  if (config.format === 'pretty') {
+    const { time, err, ...rest } = entry;
+    delete rest.level;
+    delete rest.msg;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    const stack = err?.stack ? `\n${err.stack}` : err ? ` ${JSON.stringify(err)}` : '';
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}${stack}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+// `bindings` are added to every line, e.g. logger.child({ component: 'ingestion' })
+export function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', msg, { ...bindings, ...fields }),
+    info: (msg, fields) => write('info', msg, { ...bindings, ...fields }),
+    warn: (msg, fields) => write('warn', msg, { ...bindings, ...fields }),
+    error: (msg, fields) => write('error', msg, { ...bindings, ...fields }),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+}
+
+export const logger = createLogger();
+
+export default logger;
@@ -0,0 +1,84 @@
+// server/manage-keys.js
+// Command line management of users and API keys (the same store the server reads).
+//
+//   npm run keys -- create-user <name> [--admin]   create a user and print their first API key
+//   npm run keys -- list                           list users and their keys
+//   npm run keys -- create-key <userId> [label]    print a new API key for a user
+//   npm run keys -- revoke <keyId>                 revoke a key
+//   npm run keys -- delete-user <userId>           delete a user and all of their keys
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from 'dotenv';
+import { UserStore } from './user-store.js';
+
+config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const userStore = new UserStore(path.join(dataDir, 'users.json'));
+
+const usage = () => {
+  console.error('Usage: npm run keys -- <create-user <name> [--admin] | list | create-key <userId> [label] | revoke <keyId> | delete-user <userId>>');
+  process.exit(1);
+};
+
+const printKey = (key) => {
+  console.log(`🔑 API key: ${key}`);
+  console.log('   Store it now; it cannot be shown again.');
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+switch (command) {
+  case 'create-user': {
+    const name = args.find(arg => !arg.startsWith('--'));
+    if (!name) usage();
+    const user = userStore.createUser({ name, role: args.includes('--admin') ? 'admin' : 'user' });
+    console.log(`✅ Created ${user.role} "${user.name}" (${user.id})`);
+    printKey(userStore.createKey(user.id).key);
+    break;
+  }
+  case 'list': {
+    const users = userStore.listUsers();
+    if (users.length === 0) console.log('No users yet.');
+    for (const user of users) {
+      console.log(`${user.id}  ${user.role.padEnd(5)}  ${user.name}`);
+      for (const apiKey of userStore.listKeys(user.id)) {
+        const status = apiKey.revokedAt ? `revoked ${apiKey.revokedAt}` : 'active';
+        console.log(`    key ${apiKey.id}  ${apiKey.prefix}…  ${status}${apiKey.label ? `  (${apiKey.label})` : ''}`);
+      }
+    }
+    break;
+  }
+  case 'create-key': {
+    const [userId, label] = args;
+    if (!userId) usage();
+    const created = userStore.createKey(userId, { label });
+    if (!created) {
+      console.error(`❌ No user with ID ${userId}`);
+      process.exit(1);
+    }
+    printKey(created.key);
+    break;
+  }
+  case 'revoke': {
+    if (!args[0]) usage();
+    if (!userStore.revokeKey(args[0])) {
+      console.error(`❌ No API key with ID ${args[0]}`);
+      process.exit(1);
+    }
+    console.log(`✅ Revoked key ${args[0]}`);
+    break;
+  }
+  case 'delete-user': {
+    if (!args[0]) usage();
+    if (!userStore.deleteUser(args[0])) {
+      console.error(`❌ No user with ID ${args[0]}`);
+      process.exit(1);
+    }
+    console.log(`✅ Deleted user ${args[0]} and their keys`);
+    break;
+  }
+  default:
+    usage();
+}
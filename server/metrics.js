@@ -0,0 +1,109 @@
+// server/metrics.js
+// Process-wide counters and histograms, served in the Prometheus text format at GET /metrics.
+// Values live in memory and start from zero whenever the server starts, as Prometheus expects.
+// Label values are route patterns (/api/documents/:id), never raw paths, to keep the series count bounded.
+
+// Seconds; from a cache hit up to a slow LLM grounding check
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const metrics = new Map();
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels, value: (current?.value || 0) + amount });
+  }
+
+  get(labels = {}) {
+    return this.values.get(labelKey(labels))?.value || 0;
+  }
+
+  lines() {
+    return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets = DURATION_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(labels);
+    const series = this.values.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+    this.values.set(key, series);
+  }
+
+  get(labels = {}) {
+    return this.values.get(labelKey(labels)) || null;
+  }
+
+  lines() {
+    return [...this.values.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ]);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+function register(metric) {
+  metrics.set(metric.name, metric);
+  return metric;
+}
+
+export const httpRequests = register(new Counter('rag_http_requests_total', 'HTTP requests by method, route and status code'));
+export const httpErrors = register(new Counter('rag_http_request_errors_total', 'HTTP requests answered with a 5xx status, by method and route'));
+export const httpDuration = register(new Histogram('rag_http_request_duration_seconds', 'HTTP request latency by method and route'));
+export const stageDuration = register(new Histogram('rag_stage_duration_seconds', 'Time spent per answer in each pipeline stage (rewrite, embed, retrieve, rerank, generate, grounding)'));
+export const llmTokens = register(new Counter('rag_llm_tokens_total', 'Chat model tokens by type (input, output)'));
+export const llmCalls = register(new Counter('rag_llm_calls_total', 'Chat model calls by pipeline stage'));
+export const embeddingCalls = register(new Counter('rag_embedding_calls_total', 'Embedding model calls'));
+export const embeddedTexts = register(new Counter('rag_embedded_texts_total', 'Texts sent to the embedding model'));
+export const cacheLookups = register(new Counter('rag_response_cache_lookups_total', 'Response cache lookups by result (hit, miss)'));
+
+// Every registered metric in the Prometheus text exposition format
+export function renderMetrics() {
+  return [...metrics.values()]
+    .flatMap(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()])
+    .join('\n') + '\n';
+}
+
+export function resetMetrics() {
+  metrics.forEach(metric => metric.reset());
+}
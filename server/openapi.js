@@ -0,0 +1,176 @@
+// server/openapi.js
+// Builds the OpenAPI 3.1 document served at /api/v1/openapi.json from the schemas and operations in
+// api-schema.js. Named schemas become components (referenced with $ref); everything else is inlined.
+import { z } from 'zod/v4';
+import { API_VERSION, components, operations } from './api-schema.js';
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  400: 'Invalid request',
+  401: 'Missing or invalid API key',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict',
+  415: 'Unsupported file type',
+  429: 'Rate limit or daily quota exceeded',
+  500: 'Internal error',
+  503: 'The RAG service is not ready yet (see /health/ready); retry after `Retry-After` seconds',
+};
+
+const ref = (id) => ({ $ref: `#/components/schemas/${id}` });
+
+// Error statuses every operation with these flags can answer with
+export function errorStatuses(operation) {
+  const statuses = new Set(operation.errors ?? []);
+  if (!operation.public) statuses.add(401);
+  if (operation.admin) statuses.add(403);
+  if (operation.metered) statuses.add(429);
+  if (operation.needsReady) statuses.add(503);
+  statuses.add(500);
+  return [...statuses].sort((a, b) => a - b);
+}
+
+// Express path syntax to OpenAPI's: /documents/:id -> /documents/{id}
+export const openApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// zod writes JSON Schema documents; inside OpenAPI we drop their headers, the integer bounds z.int() adds
+// and `additionalProperties: false`, since responses may gain fields within a version
+function clean(node) {
+  if (Array.isArray(node)) return node.map(clean);
+  if (!node || typeof node !== 'object') return node;
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$schema' || key === '$id') continue;
+    if (key === 'additionalProperties' && value === false) continue;
+    if ((key === 'minimum' || key === 'maximum') && Math.abs(value) === Number.MAX_SAFE_INTEGER) continue;
+    result[key] = clean(value);
+  }
+  return result;
+}
+
+// Converts the named schemas of one direction plus `inline` (name -> schema) together, so references
+// between them become $refs. Returns { components, inline } as JSON Schema; an inline schema that is a
+// named one becomes a $ref to it.
+function convert(io, inline) {
+  // A registry holds one ID per schema, and some inline schemas are shared by several operations
+  const ids = new Map(Object.entries(components[io]).map(([id, schema]) => [schema, id]));
+  const named = new Set(ids.keys());
+  for (const [id, schema] of Object.entries(inline)) {
+    if (!ids.has(schema)) ids.set(schema, id);
+  }
+  const registry = z.registry();
+  for (const [schema, id] of ids) registry.add(schema, { id });
+  const { schemas } = z.toJSONSchema(registry, { io, uri: id => `#/components/schemas/${id}` });
+
+  const result = { components: {}, inline: {} };
+  for (const id of Object.keys(components[io])) result.components[id] = clean(schemas[id]);
+  for (const [id, schema] of Object.entries(inline)) {
+    result.inline[id] = named.has(schema) ? ref(ids.get(schema)) : clean(schemas[ids.get(schema)]);
+  }
+  return result;
+}
+
+function parameters(location, schema) {
+  if (!schema) return [];
+  const { properties = {}, required = [] } = schema;
+  return Object.entries(properties).map(([name, { description, ...property }]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    ...(description ? { description } : {}),
+    schema: property,
+  }));
+}
+
+function buildPaths() {
+  // Inline schemas are keyed "<operation id>.<part>" while they're converted
+  const inputs = {};
+  const outputs = {};
+  for (const operation of operations) {
+    for (const part of ['params', 'query', 'body', 'form']) {
+      if (operation[part]) inputs[`${operation.id}.${part}`] = operation[part];
+    }
+    for (const [status, response] of Object.entries(operation.responses)) {
+      outputs[`${operation.id}.${status}`] = response.schema ?? response;
+    }
+  }
+  const input = convert('input', inputs);
+  const output = convert('output', outputs);
+
+  const paths = {};
+  for (const operation of operations) {
+    const schemaOf = (part) => input.inline[`${operation.id}.${part}`];
+    const spec = {
+      operationId: operation.id,
+      summary: operation.summary,
+      tags: [operation.tag],
+      ...(operation.public ? { security: [] } : {}),
+    };
+
+    const params = [...parameters('path', schemaOf('params')), ...parameters('query', schemaOf('query'))];
+    if (params.length) spec.parameters = params;
+
+    if (operation.body) {
+      spec.requestBody = { required: true, content: { 'application/json': { schema: schemaOf('body') } } };
+    } else if (operation.form) {
+      const form = schemaOf('form');
+      spec.requestBody = {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              ...form,
+              properties: { files: { type: 'array', items: { type: 'string', contentMediaType: 'application/octet-stream' } }, ...form.properties },
+              required: ['files', ...(form.required ?? [])],
+            },
+          },
+        },
+      };
+    }
+
+    spec.responses = {};
+    for (const [status, response] of Object.entries(operation.responses)) {
+      const contentType = response.contentType ?? 'application/json';
+      spec.responses[status] = {
+        description: STATUS_TEXT[status],
+        content: { [contentType]: { schema: output.inline[`${operation.id}.${status}`] } },
+      };
+    }
+    for (const status of errorStatuses(operation)) {
+      spec.responses[status] ??= { description: STATUS_TEXT[status], content: { 'application/json': { schema: ref('Error') } } };
+    }
+
+    const path = openApiPath(operation.path);
+    paths[path] = { ...paths[path], [operation.method]: spec };
+  }
+  return { paths, schemas: { ...input.components, ...output.components } };
+}
+
+let spec;
+
+export function buildOpenApiSpec() {
+  if (spec) return spec;
+  const { paths, schemas } = buildPaths();
+  spec = {
+    openapi: '3.1.0',
+    info: {
+      title: 'LangChain + LlamaIndex RAG API',
+      version: API_VERSION,
+      description: 'Question answering over uploaded documents. Every route is also served under the deprecated '
+        + 'unversioned /api prefix.',
+    },
+    servers: [{ url: `/api/${API_VERSION}` }],
+    security: [{ bearerAuth: [] }],
+    tags: [...new Set(operations.map(operation => operation.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'An API key (see `npm run keys`); not needed when AUTH_ENABLED=false' },
+      },
+    },
+  };
+  return spec;
+}
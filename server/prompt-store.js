@@ -0,0 +1,134 @@
+// server/prompt-store.js
+// JSON-file backed prompt templates. Every change to a template's text adds a version and earlier
+// versions are kept, so the version an answer records can still be looked up. The built-in templates
+// (prompts.js) are added on first load; they can be edited but not deleted.
+import { readJsonFile, writeJsonFile } from './json-file.js';
+import { BUILT_IN_PROMPTS, validateTemplate, variablesIn } from './prompts.js';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+export const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 64);
+
+function checkFields({ name, description }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    throw new Error('name must be a non-empty string');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    throw new Error('description must be a string');
+  }
+}
+
+export class PromptStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.prompts = new Map();
+    this.load();
+  }
+
+  load() {
+    for (const prompt of readJsonFile(this.filePath)?.prompts || []) {
+      this.prompts.set(prompt.id, prompt);
+    }
+
+    const missing = BUILT_IN_PROMPTS.filter(builtIn => !this.prompts.has(builtIn.id));
+    for (const { id, name, description, template } of missing) {
+      this.insert({ id, name, description, template, builtIn: true });
+    }
+    if (missing.length > 0) this.save();
+  }
+
+  save() {
+    writeJsonFile(this.filePath, { prompts: [...this.prompts.values()] });
+  }
+
+  insert({ id, name, description = '', template, builtIn = false, ownerId }) {
+    const now = new Date().toISOString();
+    const prompt = {
+      id,
+      name,
+      description,
+      builtIn,
+      ownerId,
+      version: 1,
+      versions: [{ version: 1, template, createdAt: now, createdBy: ownerId }],
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.prompts.set(id, prompt);
+    return prompt;
+  }
+
+  // `id` defaults to a slug of the name; throws on invalid fields or a taken ID
+  create({ id, name, description, template, ownerId }) {
+    checkFields({ name, description });
+    if (name === undefined) {
+      throw new Error('name must be a non-empty string');
+    }
+    validateTemplate(template);
+    const promptId = id ?? slugify(name);
+    if (typeof promptId !== 'string' || !ID_PATTERN.test(promptId)) {
+      throw new Error('id must be 1-64 lowercase letters, digits or dashes');
+    }
+    if (this.prompts.has(promptId)) {
+      throw new Error(`A prompt template with id "${promptId}" already exists`);
+    }
+    const prompt = this.insert({ id: promptId, name: name.trim(), description: description?.trim(), template, ownerId });
+    this.save();
+    return prompt;
+  }
+
+  list() {
+    return [...this.prompts.values()].sort((a, b) => Number(b.builtIn) - Number(a.builtIn) || a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    return this.prompts.get(id) || null;
+  }
+
+  // { id, version, template } of the current version, or of `version` when given
+  resolve(id, version) {
+    const prompt = this.prompts.get(id);
+    if (!prompt) return null;
+    const entry = version === undefined
+      ? prompt.versions[prompt.versions.length - 1]
+      : prompt.versions.find(candidate => candidate.version === version);
+    return entry ? { id: prompt.id, version: entry.version, template: entry.template } : null;
+  }
+
+  // A new template text becomes a new version; name and description edits don't
+  update(id, { name, description, template }, { updatedBy } = {}) {
+    const prompt = this.prompts.get(id);
+    if (!prompt) return null;
+    checkFields({ name, description });
+
+    const now = new Date().toISOString();
+    const current = prompt.versions[prompt.versions.length - 1];
+    if (template !== undefined && template !== current.template) {
+      validateTemplate(template);
+      prompt.version = current.version + 1;
+      prompt.versions.push({ version: prompt.version, template, createdAt: now, createdBy: updatedBy });
+    }
+    if (name !== undefined) prompt.name = name.trim();
+    if (description !== undefined) prompt.description = description.trim();
+    prompt.updatedAt = now;
+    this.save();
+    return prompt;
+  }
+
+  delete(id) {
+    const existed = this.prompts.delete(id);
+    if (existed) this.save();
+    return existed;
+  }
+}
+
+// List view: the current version's text and variables, without the history
+export function summarizePrompt(prompt) {
+  const { versions, ...summary } = prompt;
+  const { template } = versions[versions.length - 1];
+  return { ...summary, template, variables: variablesIn(template) };
+}
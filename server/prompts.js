@@ -0,0 +1,94 @@
+// server/prompts.js
+// Prompt templates: the text the chat model is asked to complete, with {{variable}} placeholders.
+// Built-in templates reproduce the prompts the LangChain and hybrid methods always used; more are
+// managed through /api/prompts (see prompt-store.js) and picked per request with `promptId`.
+
+// Everything a template can refer to; see promptVariables()
+export const PROMPT_VARIABLES = ['context', 'history', 'question', 'date'];
+
+// A template has to place the retrieved context and the question somewhere
+const REQUIRED_VARIABLES = ['context', 'question'];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+// Used by the hybrid method (and chat) when a request names no template
+export const DEFAULT_PROMPT_ID = 'default';
+
+// Used by the LangChain method when a request names no template
+export const BASIC_PROMPT_ID = 'basic';
+
+export const BUILT_IN_PROMPTS = [
+  {
+    id: DEFAULT_PROMPT_ID,
+    name: 'Assistant',
+    description: 'General-purpose answers that cite their sources by number',
+    template: `You are an expert AI assistant. Use the provided context to give accurate, helpful answers.
+
+CONTEXT INFORMATION:
+{{context}}
+
+CONVERSATION HISTORY:
+{{history}}
+
+USER'S QUESTION: {{question}}
+
+INSTRUCTIONS:
+1. Answer based primarily on the context provided
+2. If the context doesn't contain relevant information, acknowledge this politely
+3. Keep your response clear, concise, and helpful
+4. Cite the sources you use by number right after the statement they support, e.g. [1] or [1][3]
+5. Maintain a professional and friendly tone
+
+ANSWER:`,
+  },
+  {
+    id: BASIC_PROMPT_ID,
+    name: 'Basic',
+    description: 'Plain answers without citations (the LangChain method\'s default)',
+    template: `
+You are a helpful AI assistant. Use the following context to answer the user's question.
+
+Context:
+{{context}}
+
+Chat History:
+{{history}}
+
+User Question: {{question}}
+
+Please provide a helpful and accurate answer based on the context provided. If the context doesn't contain relevant information, say so politely.`,
+  },
+];
+
+export const variablesIn = (template) => [...new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]))];
+
+// Throws on a template the model couldn't answer from: unknown or missing variables
+export function validateTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) {
+    throw new Error('template must be a non-empty string');
+  }
+  const used = variablesIn(template);
+  const unknown = used.filter(name => !PROMPT_VARIABLES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown variable(s) ${unknown.map(name => `{{${name}}}`).join(', ')} (expected: ${PROMPT_VARIABLES.map(name => `{{${name}}}`).join(', ')})`);
+  }
+  const missing = REQUIRED_VARIABLES.filter(name => !used.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`template must contain ${missing.map(name => `{{${name}}}`).join(' and ')}`);
+  }
+}
+
+// Values for every variable; empty context and history get a placeholder sentence so the model isn't
+// left guessing what a blank section means
+export function promptVariables({ context, history, question, now = new Date() }) {
+  return {
+    context: context || 'No specific context available.',
+    history: history || 'No previous conversation.',
+    question,
+    date: now.toISOString().slice(0, 10),
+  };
+}
+
+export function renderPrompt(template, variables) {
+  return template.replace(PLACEHOLDER, (placeholder, name) => variables[name] ?? placeholder);
+}
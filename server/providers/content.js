@@ -0,0 +1,8 @@
+// server/providers/content.js
+// Text of a LangChain message's content: a string, or a list of parts of which the text ones count.
+// Anything else (e.g. a tool call payload) is shown as JSON.
+export const contentText = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(part => part.text || '').join('');
+  return JSON.stringify(content);
+};
@@ -0,0 +1,153 @@
+// server/providers/fake.js
+// Deterministic chat model and hash-based embeddings for tests and offline runs. No network access.
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { Embeddings } from '@langchain/core/embeddings';
+import { AIMessage, AIMessageChunk, HumanMessage, ToolMessage } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import { contentText } from './content.js';
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// 32-bit FNV-1a: stable across runs and platforms
+export function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+const countTokens = (text) => (text.match(WORD_PATTERN) || []).length;
+
+// Feature-hashed bag of words: texts sharing words land close together, which is enough
+// for retrieval tests to behave sensibly
+export class HashEmbeddings extends Embeddings {
+  constructor({ dimensions = 256, ...params } = {}) {
+    super(params);
+    this.dimensions = dimensions;
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const word of text.toLowerCase().match(WORD_PATTERN) || []) {
+      const hash = fnv1a(word);
+      vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    // All-zero vectors make cosine similarity NaN; give empty text a fixed unit vector instead
+    return norm === 0 ? vector.map((_, i) => (i === 0 ? 1 : 0)) : vector.map(value => value / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+const toolName = (tool) => tool.function?.name ?? tool.name;
+
+// Replies with the next entry of `responses` when given, otherwise with a fixed template
+// built from the prompt so answers are predictable in assertions. An entry may also be
+// { content, tool_calls: [{ name, args }] } to script a tool-calling turn.
+// With tools bound and no scripted responses, a new question is first answered with a call to
+// `search_knowledge_base` (when bound), then from the tool results.
+export class FakeChatModel extends BaseChatModel {
+  constructor({ responses = [], model = 'fake-chat', ...params } = {}) {
+    super(params);
+    this.responses = responses;
+    this.model = model;
+    this.calls = 0;
+  }
+
+  static lc_name() {
+    return 'FakeChatModel';
+  }
+
+  _llmType() {
+    return 'fake';
+  }
+
+  bindTools(tools, kwargs) {
+    return this.withConfig({ tools, ...kwargs });
+  }
+
+  // Tool calls for this turn, or null to answer in text
+  toolCalls(messages, tools = []) {
+    const scripted = this.responses.length > 0 ? this.responses[this.calls % this.responses.length] : null;
+    if (scripted !== null) {
+      return typeof scripted === 'object' && scripted.tool_calls ? scripted.tool_calls : null;
+    }
+    const lastQuestion = messages.findLastIndex(message => message instanceof HumanMessage);
+    const searched = messages.slice(lastQuestion).some(message => message instanceof ToolMessage);
+    if (searched || !tools.some(tool => toolName(tool) === 'search_knowledge_base')) return null;
+    return [{ name: 'search_knowledge_base', args: { query: contentText(messages[lastQuestion].content) } }];
+  }
+
+  respond(messages, { tools } = {}) {
+    const prompt = messages.map(message => contentText(message.content)).join('\n');
+    const toolCalls = this.toolCalls(messages, tools);
+    const scripted = this.responses.length > 0 ? this.responses[this.calls % this.responses.length] : null;
+    // Quote the first retrieved source when the prompt carries one, so default answers stay grounded
+    const source = prompt.match(/^\[Source (\d+)\]:\s*(.+)$/m);
+    const text = toolCalls
+      ? (scripted?.content ?? '')
+      : scripted !== null
+        ? (typeof scripted === 'object' ? scripted.content : scripted)
+        : source
+          ? `According to [Source ${source[1]}]: ${source[2].trim().slice(0, 200)}`
+          : `Fake answer (${fnv1a(prompt).toString(16)}): ${contentText(messages[messages.length - 1].content).trim().slice(0, 200)}`;
+    this.calls++;
+    return {
+      text,
+      toolCalls: toolCalls?.map((call, index) => ({ id: `call_${this.calls}_${index}`, type: 'tool_call', ...call })),
+      usage: {
+        input_tokens: countTokens(prompt),
+        output_tokens: countTokens(text),
+        total_tokens: countTokens(prompt) + countTokens(text),
+      },
+    };
+  }
+
+  async _generate(messages, options = {}) {
+    const { text, toolCalls, usage } = this.respond(messages, options);
+    return {
+      generations: [{ text, message: new AIMessage({ content: text, tool_calls: toolCalls, usage_metadata: usage }) }],
+      llmOutput: { tokenUsage: usage },
+    };
+  }
+
+  // Stream word by word (keeping the whitespace) so streaming code paths see several chunks
+  async *_streamResponseChunks(messages, options, runManager) {
+    const { text, usage } = this.respond(messages);
+    const pieces = text.match(/\S+\s*/g) || [text];
+    for (let i = 0; i < pieces.length; i++) {
+      const isLast = i === pieces.length - 1;
+      const chunk = new ChatGenerationChunk({
+        text: pieces[i],
+        message: new AIMessageChunk({
+          content: pieces[i],
+          ...(isLast ? { usage_metadata: usage } : {}),
+        }),
+      });
+      yield chunk;
+      await runManager?.handleLLMNewToken(pieces[i]);
+    }
+  }
+}
+
+export const fakeProvider = {
+  defaults: {
+    chatModel: 'fake-chat',
+    embeddingModel: 'fake-hash',
+  },
+
+  requiredEnv: () => [],
+
+  createChatModel: ({ model, responses }) => new FakeChatModel({ model, responses }),
+
+  createEmbeddings: ({ dimensions }) => new HashEmbeddings({ dimensions }),
+};
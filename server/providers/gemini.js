@@ -0,0 +1,26 @@
+// server/providers/gemini.js
+import { ChatGoogleGenerativeAI, GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+
+// GEMINI_API_KEY is accepted as an alias for older .env files
+const resolveApiKey = (apiKey) => apiKey || process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+
+export const geminiProvider = {
+  defaults: {
+    chatModel: 'gemini-2.5-flash',
+    embeddingModel: 'text-embedding-004',
+  },
+
+  requiredEnv: ({ apiKey }) => (resolveApiKey(apiKey) ? [] : ['GOOGLE_API_KEY']),
+
+  createChatModel: ({ model, temperature, maxTokens, apiKey }) => new ChatGoogleGenerativeAI({
+    model,
+    apiKey: resolveApiKey(apiKey),
+    temperature,
+    maxOutputTokens: maxTokens,
+  }),
+
+  createEmbeddings: ({ model, apiKey }) => new GoogleGenerativeAIEmbeddings({
+    modelName: model,
+    apiKey: resolveApiKey(apiKey),
+  }),
+};
@@ -0,0 +1,106 @@
+// server/providers/index.js
+// Provider registry for chat models and embeddings, configured by env vars and/or a JSON config file.
+//
+// models.json (or the file named by MODEL_CONFIG):
+//   {
+//     "provider": "gemini",
+//     "chat": { "provider": "openai", "model": "llama3.1", "temperature": 0.1, "maxTokens": 1024 },
+//     "embeddings": { "provider": "gemini", "model": "text-embedding-004" },
+//     "providers": { "openai": { "baseUrl": "http://localhost:11434/v1" } }
+//   }
+// Env vars override the file: MODEL_PROVIDER, CHAT_PROVIDER, CHAT_MODEL, CHAT_TEMPERATURE,
+// CHAT_MAX_TOKENS, EMBEDDING_PROVIDER, EMBEDDING_MODEL, EMBEDDING_DIMENSIONS.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { geminiProvider } from './gemini.js';
+import { openaiProvider } from './openai.js';
+import { fakeProvider } from './fake.js';
+
+export { contentText } from './content.js';
+
+const providers = new Map();
+
+// provider: { defaults: { chatModel, embeddingModel }, requiredEnv(settings), createChatModel(settings), createEmbeddings(settings) }
+export function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+registerProvider('gemini', geminiProvider);
+registerProvider('openai', openaiProvider);
+registerProvider('fake', fakeProvider);
+
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown model provider "${name}" (expected one of: ${[...providers.keys()].join(', ')})`);
+  }
+  return provider;
+}
+
+const defaultConfigPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'models.json');
+
+// First value that is actually set; env vars arrive as '' when declared but left empty
+const pick = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+export function loadModelConfig() {
+  const configPath = process.env.MODEL_CONFIG || defaultConfigPath;
+  const file = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  const env = process.env;
+
+  const defaultProvider = pick(env.MODEL_PROVIDER, file.provider, 'gemini');
+  const chatProvider = pick(env.CHAT_PROVIDER, file.chat?.provider, defaultProvider);
+  const embeddingProvider = pick(env.EMBEDDING_PROVIDER, file.embeddings?.provider, defaultProvider);
+
+  return {
+    chat: {
+      ...file.providers?.[chatProvider],
+      ...file.chat,
+      provider: chatProvider,
+      model: pick(env.CHAT_MODEL, file.chat?.model, getProvider(chatProvider).defaults.chatModel),
+      temperature: toNumber(pick(env.CHAT_TEMPERATURE, file.chat?.temperature, 0.1)),
+      maxTokens: toNumber(pick(env.CHAT_MAX_TOKENS, file.chat?.maxTokens, 1024)),
+    },
+    embeddings: {
+      ...file.providers?.[embeddingProvider],
+      ...file.embeddings,
+      provider: embeddingProvider,
+      model: pick(env.EMBEDDING_MODEL, file.embeddings?.model, getProvider(embeddingProvider).defaults.embeddingModel),
+      dimensions: toNumber(pick(env.EMBEDDING_DIMENSIONS, file.embeddings?.dimensions)),
+    },
+  };
+}
+
+export function requiredEnvVarsForModels(config = loadModelConfig()) {
+  const missing = [
+    ...getProvider(config.chat.provider).requiredEnv(config.chat),
+    ...getProvider(config.embeddings.provider).requiredEnv(config.embeddings),
+  ];
+  return [...new Set(missing)];
+}
+
+export function createChatModel(settings = loadModelConfig().chat) {
+  return getProvider(settings.provider).createChatModel(settings);
+}
+
+export function createEmbeddings(settings = loadModelConfig().embeddings) {
+  return getProvider(settings.provider).createEmbeddings(settings);
+}
+
+// LangChain chat model + embeddings from one config; LlamaIndex gets them through llamaindex-bridge.js
+export function createModels(config = loadModelConfig()) {
+  return {
+    config,
+    chat: createChatModel(config.chat),
+    embeddings: createEmbeddings(config.embeddings),
+  };
+}
+
+export function describeModels(config = loadModelConfig()) {
+  return {
+    chat: `${config.chat.provider}:${config.chat.model}`,
+    embeddings: `${config.embeddings.provider}:${config.embeddings.model}`,
+  };
+}
@@ -0,0 +1,71 @@
+// server/providers/llamaindex-bridge.js
+// Adapters that let LlamaIndex use the LangChain models built by the provider registry,
+// so every provider is configured once and shared by both frameworks.
+import { BaseLLM, BaseEmbedding } from 'llamaindex';
+import { contentText } from './content.js';
+
+const LANGCHAIN_ROLES = {
+  system: 'system',
+  user: 'human',
+  assistant: 'ai',
+  memory: 'system',
+  developer: 'system',
+};
+
+class LangChainLLM extends BaseLLM {
+  constructor(chatModel, { contextWindow = 32768 } = {}) {
+    super();
+    this.chatModel = chatModel;
+    this.contextWindow = contextWindow;
+  }
+
+  get metadata() {
+    return {
+      model: this.chatModel.model ?? this.chatModel._llmType(),
+      temperature: this.chatModel.temperature ?? 0,
+      topP: 1,
+      contextWindow: this.contextWindow,
+      tokenizer: undefined,
+      structuredOutput: false,
+    };
+  }
+
+  async chat({ messages, stream }) {
+    const lcMessages = messages.map(message => [
+      LANGCHAIN_ROLES[message.role] ?? 'human',
+      contentText(message.content),
+    ]);
+
+    if (stream) {
+      const chunks = await this.chatModel.stream(lcMessages);
+      return (async function* () {
+        for await (const chunk of chunks) {
+          yield { delta: contentText(chunk.content), raw: chunk };
+        }
+      })();
+    }
+
+    const response = await this.chatModel.invoke(lcMessages);
+    return {
+      message: { role: 'assistant', content: contentText(response.content) },
+      raw: response,
+    };
+  }
+}
+
+class LangChainEmbedding extends BaseEmbedding {
+  constructor(embeddings) {
+    super();
+    this.embeddings = embeddings;
+    // BaseEmbedding assigns getTextEmbeddings in its constructor, so override it here rather than on the prototype
+    this.getTextEmbeddings = (texts) => this.embeddings.embedDocuments(texts);
+  }
+
+  async getTextEmbedding(text) {
+    return this.embeddings.embedQuery(text);
+  }
+}
+
+export const toLlamaIndexLLM = (chatModel, options) => new LangChainLLM(chatModel, options);
+
+export const toLlamaIndexEmbedding = (embeddings) => new LangChainEmbedding(embeddings);
@@ -0,0 +1,33 @@
+// server/providers/openai.js
+// Any OpenAI-compatible HTTP API: OpenAI itself, or a local Ollama / llama.cpp / vLLM server via baseUrl.
+import { ChatOpenAI, OpenAIEmbeddings } from '@langchain/openai';
+
+const resolveBaseUrl = (baseUrl) => baseUrl || process.env.OPENAI_BASE_URL || undefined;
+
+// Local servers usually ignore the key, but the client refuses to start without one
+const resolveApiKey = (apiKey, baseUrl) =>
+  apiKey || process.env.OPENAI_API_KEY || (resolveBaseUrl(baseUrl) ? 'not-needed' : undefined);
+
+export const openaiProvider = {
+  defaults: {
+    chatModel: 'gpt-4o-mini',
+    embeddingModel: 'text-embedding-3-small',
+  },
+
+  requiredEnv: ({ apiKey, baseUrl }) => (resolveApiKey(apiKey, baseUrl) ? [] : ['OPENAI_API_KEY (or OPENAI_BASE_URL)']),
+
+  createChatModel: ({ model, temperature, maxTokens, apiKey, baseUrl }) => new ChatOpenAI({
+    model,
+    temperature,
+    maxTokens,
+    apiKey: resolveApiKey(apiKey, baseUrl),
+    configuration: { baseURL: resolveBaseUrl(baseUrl) },
+  }),
+
+  createEmbeddings: ({ model, dimensions, apiKey, baseUrl }) => new OpenAIEmbeddings({
+    model,
+    dimensions,
+    apiKey: resolveApiKey(apiKey, baseUrl),
+    configuration: { baseURL: resolveBaseUrl(baseUrl) },
+  }),
+};
@@ -0,0 +1,115 @@
+// server/query-rewriting.js
+// Turns a follow-up question plus chat history into standalone search queries before retrieval.
+//   condense: one standalone query ("what about its pricing?" -> "Gemini 2.5 Flash pricing")
+//   multi:    several sub-queries whose results are merged and deduplicated
+import { REWRITE_MODES } from './api-schema.js';
+import { mergeConfig } from './config.js';
+import { contentText } from './providers/index.js';
+
+export const DEFAULT_REWRITING = {
+  mode: 'off',
+  subQueries: 3,
+};
+
+const MAX_SUB_QUERIES = 5;
+
+// Defaults, then environment, then per-request overrides (see mergeConfig).
+// `rewrite: true` in a request means "condense", `false` means "off".
+export function getRewriteConfig(overrides = {}) {
+  const fromEnv = {
+    mode: process.env.QUERY_REWRITE,
+    subQueries: process.env.QUERY_REWRITE_SUBQUERIES,
+  };
+
+  const config = mergeConfig(DEFAULT_REWRITING, [fromEnv, overrides]);
+
+  if (config.mode === true || config.mode === 'true') config.mode = 'condense';
+  if (config.mode === false || config.mode === 'false') config.mode = 'off';
+  config.subQueries = Number(config.subQueries);
+
+  if (!REWRITE_MODES.includes(config.mode)) {
+    throw new Error(`Unknown rewrite mode "${config.mode}" (expected true, false or one of: ${REWRITE_MODES.join(', ')})`);
+  }
+  if (!Number.isInteger(config.subQueries) || config.subQueries < 1 || config.subQueries > MAX_SUB_QUERIES) {
+    throw new Error(`subQueries must be an integer between 1 and ${MAX_SUB_QUERIES}`);
+  }
+
+  return config;
+}
+
+// Drop list markers, labels and quotes models like to wrap queries in
+function cleanQuery(line) {
+  return line
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '')
+    .replace(/^(?:standalone question|search query|query)\s*:\s*/i, '')
+    .replace(/^["'`]+|["'`]+$/g, '')
+    .trim();
+}
+
+function condensePrompt(query, history) {
+  return `Rewrite the user's latest question as a standalone search query for a document search engine.
+Resolve pronouns and references using the conversation. Keep names, numbers and technical terms.
+Reply with the query only.
+
+CONVERSATION HISTORY:
+${history}
+
+LATEST QUESTION: ${query}
+
+STANDALONE QUERY:`;
+}
+
+function multiQueryPrompt(query, history, count) {
+  return `Write ${count} different search queries that together find the documents needed to answer the user's latest question.
+Each query must be standalone: resolve pronouns and references using the conversation.
+Reply with one query per line and nothing else.
+
+CONVERSATION HISTORY:
+${history || 'No previous conversation.'}
+
+LATEST QUESTION: ${query}
+
+QUERIES:`;
+}
+
+// Returns { mode, queries }; `queries` is what gets sent to the retriever. Falls back to the
+// original query whenever there is nothing to rewrite or the model returns nothing usable.
+export async function rewriteQuery(llm, query, history, config) {
+  if (config.mode === 'off' || (config.mode === 'condense' && !history)) {
+    return { mode: 'off', queries: [query] };
+  }
+
+  if (config.mode === 'condense') {
+    const response = await llm.invoke(condensePrompt(query, history));
+    const condensed = cleanQuery(contentText(response.content).split('\n').find(line => cleanQuery(line)) || '');
+    return { mode: 'condense', queries: [condensed || query] };
+  }
+
+  const response = await llm.invoke(multiQueryPrompt(query, history, config.subQueries));
+  const seen = new Set();
+  const queries = [];
+  for (const line of contentText(response.content).split('\n')) {
+    const candidate = cleanQuery(line);
+    const key = candidate.toLowerCase();
+    if (candidate && !seen.has(key)) {
+      seen.add(key);
+      queries.push(candidate);
+    }
+  }
+  return { mode: 'multi', queries: queries.length > 0 ? queries.slice(0, config.subQueries) : [query] };
+}
+
+// Merge results from several queries: keep each node once, with its best score
+export function mergeRetrievals(resultLists) {
+  const byId = new Map();
+  for (const results of resultLists) {
+    for (const result of results) {
+      const id = result.node.id_;
+      const existing = byId.get(id);
+      if (!existing || (result.score ?? 0) > (existing.score ?? 0)) {
+        byId.set(id, result);
+      }
+    }
+  }
+  return [...byId.values()].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+}
@@ -0,0 +1,601 @@
+// server/rag-service.js
+// The RAG pipelines behind /api/query and /api/chat: LlamaIndex query engine, LangChain prompt + retriever,
+// and the hybrid pipeline (vector + keyword search, rewrite, rerank, citations and grounding).
+// Answers to questions without chat history go through the response cache (response-cache.js).
+// Stage timings, model calls and retrieved chunks are recorded on the request's trace (tracing.js), and the
+// status of the models and vector store on `health` (health.js).
+import { VectorStoreIndex, VectorStoreQueryMode, Settings, TextNode } from 'llamaindex';
+import { rewriteQuery, mergeRetrievals } from './query-rewriting.js';
+import { LexicalIndex } from './lexical-index.js';
+import { getRetrievalConfig, reciprocalRankFusion, rerankResults, selectWithMMR } from './retrieval.js';
+import { describeSource, extractCitations, checkGrounding, getGroundingConfig } from './citations.js';
+import { insertChunkNodes } from './ingestion.js';
+import { meterChatModel, meterEmbeddings } from './usage.js';
+import { createVectorStore, getVectorStoreBackend, getNamespace, requiredEnvVarsFor } from './vector-stores/index.js';
+import { contentText, createModels, describeModels, requiredEnvVarsForModels } from './providers/index.js';
+import { toLlamaIndexLLM, toLlamaIndexEmbedding } from './providers/llamaindex-bridge.js';
+import { runAgent, getAgentConfig } from './agent.js';
+import { BUILT_IN_PROMPTS, DEFAULT_PROMPT_ID, BASIC_PROMPT_ID, promptVariables, renderPrompt } from './prompts.js';
+import { ResponseCache, getCacheConfig } from './response-cache.js';
+import { timeStage, currentTrace, traceChatModel, traceEmbeddings } from './tracing.js';
+import { cacheLookups } from './metrics.js';
+import { logger } from './logger.js';
+import { HealthMonitor, getStartupConfig, monitorCalls, retryDelay } from './health.js';
+
+const HISTORY_ROLE_LABELS = {
+  human: 'User',
+  user: 'User',
+  ai: 'Assistant',
+  assistant: 'Assistant',
+};
+
+// Chat history arrives as { role, content } objects (stored conversations) or as
+// [role, content] tuples (older clients of /api/query); render both the same way
+function formatChatHistory(chatHistory) {
+  return chatHistory
+    .map(msg => (Array.isArray(msg) ? { role: msg[0], content: msg[1] } : msg))
+    .filter(msg => msg && msg.content)
+    .map(msg => `${HISTORY_ROLE_LABELS[msg.role] ?? msg.role}: ${msg.content}`)
+    .join('\n');
+}
+
+// { id, version, template } of a built-in template as shipped; callers with a prompt store pass their own
+function builtInPrompt(id) {
+  const { template } = BUILT_IN_PROMPTS.find(prompt => prompt.id === id);
+  return { id, version: 1, template };
+}
+
+// What a result records about the template that produced it
+const describePrompt = ({ id, version }) => ({ id, version });
+
+// The `cache` field of a response
+const describeCacheHit = ({ entry, match, similarity }) => ({
+  hit: true,
+  match,
+  similarity: Number(similarity.toFixed(4)),
+  cachedAt: entry.createdAt,
+  query: entry.query,
+});
+const CACHE_MISS = { hit: false };
+
+// Chunk IDs are `<documentId>#<content hash>` (see planIngestion)
+const documentIdOf = (chunkId) => chunkId.slice(0, chunkId.lastIndexOf('#'));
+
+// Note the chunks an answer was built from on the request's trace
+const traceChunks = (results) => currentTrace()?.addChunks(results.map(result => result.node.id_));
+
+export class RAGService {
+  // `namespace` picks the vector store namespace; the server uses PINECONE_NAMESPACE, the eval harness its own.
+  // `models` ({ chat, embeddings } as from createModels()) and `vectorStoreFactory` ({ embedModel, namespace }
+  // -> adapter) replace the ones configured by the environment, e.g. with fakes in tests.
+  // `responseCache` defaults to one configured by the environment (see getCacheConfig).
+  // Call initializeServices() (or use createRAGService) before querying; the server uses initializeWithRetry().
+  constructor({ namespace = getNamespace(), models, vectorStoreFactory = createVectorStore, responseCache } = {}) {
+    this.namespace = namespace;
+    this.models = models;
+    this.vectorStoreFactory = vectorStoreFactory;
+    // Keyword side of hybrid search; filled from the document registry at startup
+    this.lexicalIndex = new LexicalIndex();
+    this.responseCache = responseCache || new ResponseCache(getCacheConfig());
+    this.health = new HealthMonitor();
+  }
+
+  // Each part that is already up is skipped, so a retry only redoes what failed. Throws when a part
+  // fails; initializeWithRetry() keeps trying instead. Progress is recorded on `this.health`.
+  async initializeServices() {
+    this.health.initialization.attempts += 1;
+    try {
+      logger.info('Initializing RAG service', { attempt: this.health.initialization.attempts });
+      if (!this.llm) {
+        this.initializeModels();
+      }
+      if (this.health.components.embeddings.status !== 'up') {
+        await this.health.check('embeddings', () => this.embeddings.embedQuery('health check'));
+      }
+      if (!this.queryEngine) {
+        await this.initializeVectorStore();
+      }
+      this.health.initialized();
+      logger.info('RAG service initialized');
+    } catch (error) {
+      this.health.failed(error);
+      logger.error('Error initializing RAG service', { err: error });
+      throw error;
+    }
+  }
+
+  // Chat model and embeddings from the provider registry
+  initializeModels() {
+    let models;
+    try {
+      if (!this.models) {
+        const missing = requiredEnvVarsForModels();
+        if (missing.length > 0) {
+          throw new Error(`Missing environment variables: ${missing.join(', ')}`);
+        }
+      }
+      models = this.models || createModels();
+    } catch (error) {
+      this.health.set('chatModel', 'down', { error });
+      this.health.set('embeddings', 'down', { error });
+      throw error;
+    }
+    logger.info('Using models', { models: models.config ? describeModels(models.config) : 'injected' });
+    // Metered so token usage and embedding calls are counted against the calling client, traced so every
+    // call shows up on the request's trace and in /metrics, and monitored so failures show up in the health
+    this.llm = monitorCalls(traceChatModel(meterChatModel(models.chat)), ['invoke', 'stream'], this.health, 'chatModel');
+    this.embeddings = monitorCalls(
+      traceEmbeddings(meterEmbeddings(models.embeddings)), ['embedQuery', 'embedDocuments'], this.health, 'embeddings'
+    );
+    // The chat model isn't called at startup, which would spend tokens; its status follows the real calls
+    this.health.set('chatModel', 'up');
+
+    // LlamaIndex gets the same models through the bridge
+    Settings.llm = toLlamaIndexLLM(this.llm);
+    Settings.embedModel = toLlamaIndexEmbedding(this.embeddings);
+  }
+
+  async initializeVectorStore() {
+    await this.health.check('vectorStore', async () => {
+      if (!this.vectorStore) {
+        const configured = this.vectorStoreFactory === createVectorStore;
+        if (configured) {
+          const missing = requiredEnvVarsFor(getVectorStoreBackend()).filter(varName => !process.env[varName]);
+          if (missing.length > 0) {
+            throw new Error(`Missing environment variables: ${missing.join(', ')}`);
+          }
+        }
+        logger.info('Connecting to vector store', { backend: configured ? getVectorStoreBackend() : 'injected' });
+        this.vectorStore = await this.vectorStoreFactory({ embedModel: Settings.embedModel, namespace: this.namespace });
+        logger.info('Using vector store', { vectorStore: this.vectorStore.describe() });
+      }
+
+      // Check if index exists and has data
+      try {
+        const stats = await this.vectorStore.stats();
+        logger.info('Found vectors in index', { vectors: stats.totalVectorCount });
+
+        // Use fromVectorStore to load the existing index from the backend
+        this.vectorIndex = await VectorStoreIndex.fromVectorStore(this.vectorStore.llamaIndexStore);
+      } catch (error) {
+        logger.error('Error accessing vector store', { err: error });
+        throw new Error(`Failed to access vector store: ${error.message}`);
+      }
+    });
+
+    this.queryEngine = this.vectorIndex.asQueryEngine({
+      llm: this.llm,
+      similarityTopK: getRetrievalConfig().topK,
+    });
+  }
+
+  // Calls initializeServices() until it succeeds, waiting longer after every failure (see getStartupConfig).
+  // Resolves true once the service is ready, or false when stop() ends the retries first; the server keeps
+  // answering in degraded mode meanwhile.
+  async initializeWithRetry(config = getStartupConfig()) {
+    while (!this.stopped) {
+      try {
+        await this.initializeServices();
+        return true;
+      } catch (error) {
+        if (this.stopped) break;
+        const delay = retryDelay(this.health.initialization.attempts, config);
+        this.health.failed(error, new Date(Date.now() + delay).toISOString());
+        logger.warn('Retrying RAG service initialization', { delayMs: delay, attempt: this.health.initialization.attempts });
+        await new Promise(resolve => {
+          this.wakeRetry = resolve;
+          this.retryTimer = setTimeout(resolve, delay);
+        });
+      }
+    }
+    return false;
+  }
+
+  // Ends pending initialization retries, e.g. on shutdown
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    this.wakeRetry?.();
+  }
+
+  // All three methods answer with the same shape: { method, answer, sources, totalSources, citations,
+  // grounding, prompt, cache } plus the rewrite fields for hybrid (see Answer in api-schema.js)
+
+  // Method 1: Using LlamaIndex query engine
+  async queryWithLlamaIndex(query, options = {}) {
+    return this.cached('llamaindex', query, [], options, () => this.runLlamaIndex(query, options));
+  }
+
+  async runLlamaIndex(query, { filters, retrieval }) {
+    try {
+      // The shared engine uses the default topK and no filters; requests that set either get their own
+      const queryEngine = filters || retrieval
+        ? this.vectorIndex.asQueryEngine({ similarityTopK: (retrieval || getRetrievalConfig()).topK, preFilters: filters })
+        : this.queryEngine;
+      const response = await queryEngine.query({
+        query,
+      });
+      const sourceNodes = response.sourceNodes || [];
+      traceChunks(sourceNodes);
+      // The query engine's prompt has no numbered sources to cite, and no template of ours
+      return {
+        answer: response.response,
+        sources: this.formatSources(sourceNodes),
+        totalSources: sourceNodes.length,
+        citations: [],
+        grounding: null,
+        prompt: null,
+      };
+    } catch (error) {
+      logger.error('LlamaIndex query failed', { err: error });
+      throw error;
+    }
+  }
+
+  // Method 2: Using LangChain RAG pipeline
+  async queryWithLangChain(query, chatHistory = [], { prompt = builtInPrompt(BASIC_PROMPT_ID), ...options } = {}) {
+    return this.cached('langchain', query, chatHistory, { ...options, prompt }, (queryEmbedding) =>
+      this.runLangChain(query, chatHistory, { ...options, prompt, queryEmbedding }));
+  }
+
+  async runLangChain(query, chatHistory, { filters, retrieval = getRetrievalConfig(), prompt, queryEmbedding }) {
+    try {
+      // Get relevant documents using similarity search
+      const relevantDocs = await timeStage('retrieve', () =>
+        this.vectorRetrieve(query, { topK: retrieval.topK, filters, queryEmbedding }));
+      traceChunks(relevantDocs);
+      
+      // Format context
+      const context = relevantDocs
+        .map(doc => doc.node.text)
+        .join('\n\n');
+      
+      // Generate response
+      const response = await this.llm.invoke(this.buildPrompt(prompt, { query, context, chatHistory }));
+      
+      // The basic template asks for no citations, so none are extracted and the answer isn't checked
+      return {
+        answer: response.content,
+        sources: this.formatSources(relevantDocs),
+        totalSources: relevantDocs.length,
+        citations: [],
+        grounding: null,
+        prompt: describePrompt(prompt),
+      };
+    } catch (error) {
+      logger.error('LangChain query failed', { err: error });
+      throw error;
+    }
+  }
+
+  // Method 3: Hybrid approach (recommended)
+  async hybridRAGQuery(query, chatHistory = [], { prompt = builtInPrompt(DEFAULT_PROMPT_ID), ...options } = {}) {
+    return this.cached('hybrid', query, chatHistory, { ...options, prompt }, (queryEmbedding) =>
+      this.runHybrid(query, chatHistory, { ...options, prompt, queryEmbedding }));
+  }
+
+  async runHybrid(query, chatHistory, { rewrite, filters, retrieval, grounding, prompt, queryEmbedding }) {
+    try {
+      // Step 1 + 2: Retrieve relevant documents (optionally for rewritten queries) and format context
+      const { relevantDocs, context, rewritten } = await this.retrieveContext(query, { chatHistory, rewrite, filters, retrieval, queryEmbedding });
+      
+      // Step 3: Fill in the prompt template
+      const enhancedPrompt = this.buildPrompt(prompt, { query, context, chatHistory });
+      
+      // Step 4: Generate response
+      const response = await this.llm.invoke(enhancedPrompt);
+      
+      // Step 5: Link citation markers to their chunks and check the answer against the sources
+      const sources = this.formatSources(relevantDocs);
+      const { citations, grounding: groundingReport } = await this.annotateAnswer(response.content, sources, grounding);
+      
+      return {
+        answer: response.content,
+        sources,
+        citations,
+        grounding: groundingReport,
+        totalSources: relevantDocs.length,
+        prompt: describePrompt(prompt),
+        ...this.describeRewrite(rewritten),
+      };
+    } catch (error) {
+      logger.error('Hybrid RAG query failed', { err: error });
+      throw error;
+    }
+  }
+
+  // Method 3 (streaming): yields a sources event, then answer tokens, then a done event
+  // carrying the citations and grounding report of the complete answer. Shares cache entries with
+  // hybridRAGQuery; a cached answer arrives as a single token.
+  async *streamHybridRAGQuery(query, chatHistory = [], { rewrite, filters, retrieval, grounding, prompt = builtInPrompt(DEFAULT_PROMPT_ID), cache } = {}) {
+    const request = this.cacheRequest('hybrid', query, chatHistory, { rewrite, filters, retrieval, grounding, prompt, cache });
+    const found = request ? await this.lookupCached(request) : {};
+    if (found.entry) {
+      const { answer, sources, citations, grounding: groundingReport, totalSources, rewrittenQuery, searchQueries } = structuredClone(found.entry.result);
+      currentTrace()?.describe({ method: 'hybrid', query, answer, prompt: describePrompt(prompt), cache: describeCacheHit(found) });
+      yield { type: 'sources', sources, ...(rewrittenQuery ? { rewrittenQuery, searchQueries } : {}) };
+      yield { type: 'token', text: answer };
+      yield {
+        type: 'done',
+        method: 'hybrid',
+        totalSources,
+        citations,
+        grounding: groundingReport,
+        prompt: describePrompt(prompt),
+        cache: describeCacheHit(found),
+        timestamp: new Date().toISOString(),
+      };
+      return;
+    }
+
+    const { relevantDocs, context, rewritten } = await this.retrieveContext(query, {
+      chatHistory, rewrite, filters, retrieval, queryEmbedding: found.embedding,
+    });
+    const sources = this.formatSources(relevantDocs);
+    yield { type: 'sources', sources, ...this.describeRewrite(rewritten) };
+
+    const enhancedPrompt = this.buildPrompt(prompt, { query, context, chatHistory });
+    const stream = await this.llm.stream(enhancedPrompt);
+    let answer = '';
+    for await (const chunk of stream) {
+      const text = contentText(chunk.content);
+      if (text) {
+        answer += text;
+        yield { type: 'token', text };
+      }
+    }
+
+    const { citations, grounding: groundingReport } = await this.annotateAnswer(answer, sources, grounding);
+    currentTrace()?.describe({ method: 'hybrid', query, answer, prompt: describePrompt(prompt), cache: CACHE_MISS });
+    if (request) {
+      this.responseCache.store({ ...request, embedding: found.embedding }, {
+        answer,
+        sources,
+        citations,
+        grounding: groundingReport,
+        totalSources: relevantDocs.length,
+        prompt: describePrompt(prompt),
+        ...this.describeRewrite(rewritten),
+      });
+    }
+    yield {
+      type: 'done',
+      method: 'hybrid',
+      totalSources: relevantDocs.length,
+      citations,
+      grounding: groundingReport,
+      prompt: describePrompt(prompt),
+      cache: CACHE_MISS,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  // Agent mode: the chat model answers by calling tools (search, documents, calculator) for up to
+  // `agent.maxSteps` turns. Yields a step event per tool call, then sources, the answer as one token
+  // and a done event, like streamHybridRAGQuery. `documents` ({ list(), get(id) }) holds the documents
+  // the caller may read; `filters` and `retrieval` apply to every search the agent runs.
+  async *agentQuery(query, chatHistory = [], { filters, retrieval = getRetrievalConfig(), grounding, agent = getAgentConfig(), documents }) {
+    // Sources are numbered across all of the agent's searches, so its citations stay unambiguous
+    const sources = [];
+    const cite = (relevantDocs) => relevantDocs.map((doc) => {
+      const source = describeSource(doc, sources.length);
+      sources.push(source);
+      return source;
+    });
+
+    const steps = [];
+    let result;
+    for await (const event of runAgent({
+      llm: this.llm,
+      question: query,
+      chatHistory,
+      config: agent,
+      context: { ragService: this, filters, retrieval, documents, cite },
+    })) {
+      if (event.type === 'step') {
+        steps.push(event.step);
+        yield event;
+      } else {
+        result = event;
+      }
+    }
+
+    yield { type: 'sources', sources };
+    yield { type: 'token', text: result.answer };
+    const { citations, grounding: groundingReport } = await this.annotateAnswer(result.answer, sources, grounding);
+    currentTrace()?.describe({ method: 'agent', query, answer: result.answer, stopReason: result.stopReason });
+    yield {
+      type: 'done',
+      method: 'agent',
+      totalSources: sources.length,
+      citations,
+      grounding: groundingReport,
+      prompt: null,
+      cache: CACHE_MISS,
+      steps,
+      stopReason: result.stopReason,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  // What a cache entry for this request is keyed by, or null when the answer can't be cached: the
+  // cache is off, the request passed `cache: false`, or there is chat history the answer depends on.
+  // Access filters are part of `filters`, so users never get answers built from documents they can't read.
+  cacheRequest(method, query, chatHistory, { rewrite, filters, retrieval, grounding, prompt, cache }) {
+    if (!this.responseCache.config.enabled || cache === false || chatHistory.length > 0) return null;
+    const settingsKey = ResponseCache.settingsKey({
+      method,
+      filters: filters ?? null,
+      retrieval: retrieval ?? null,
+      rewrite: rewrite ?? null,
+      grounding: grounding ?? null,
+      prompt: prompt ?? null,
+    });
+    return { settingsKey, method, query };
+  }
+
+  async lookupCached(request) {
+    const found = await timeStage('cache', () => this.responseCache.lookup(request, text => this.embeddings.embedQuery(text)));
+    cacheLookups.inc({ result: found.entry ? 'hit' : 'miss' });
+    return found;
+  }
+
+  // Answer from the cache when possible, otherwise `run(queryEmbedding)` and cache its result; the
+  // question embedding of a semantic lookup (if any) is passed on, so retrieval doesn't embed it again.
+  // Every result gets a `cache` field saying whether it came from the cache.
+  async cached(method, query, chatHistory, options, run) {
+    const request = this.cacheRequest(method, query, chatHistory, options);
+    const found = request ? await this.lookupCached(request) : {};
+    let result;
+    if (found.entry) {
+      result = { ...structuredClone(found.entry.result), cache: describeCacheHit(found) };
+    } else {
+      result = await run(found.embedding);
+      if (request) this.responseCache.store({ ...request, embedding: found.embedding }, result);
+      result = { ...result, cache: CACHE_MISS };
+    }
+    currentTrace()?.describe({ method, query, answer: result.answer, prompt: result.prompt, cache: result.cache });
+    return { method, ...result };
+  }
+
+  // `grounding` is a config from getGroundingConfig(); the report is null when the check is off
+  async annotateAnswer(answer, sources, grounding = getGroundingConfig()) {
+    return {
+      citations: extractCitations(answer, sources),
+      grounding: await timeStage('grounding', () => checkGrounding(answer, sources, { config: grounding, llm: this.llm })),
+    };
+  }
+
+  // `rewrite` is a config from getRewriteConfig(); without one the raw query is searched.
+  // `filters` are MetadataFilters from parseFilters() and restrict every search query.
+  // `retrieval` is a config from getRetrievalConfig() (topK, fetchK, fusion weights, rerank, MMR).
+  // `queryEmbedding`, when known already, is the embedding of `query` and is used wherever `query` is searched.
+  async retrieveContext(query, { chatHistory = [], rewrite, filters, retrieval = getRetrievalConfig(), queryEmbedding } = {}) {
+    const rewritten = rewrite && rewrite.mode !== 'off'
+      ? await timeStage('rewrite', () => rewriteQuery(this.llm, query, formatChatHistory(chatHistory), rewrite))
+      : { mode: 'off', queries: [query] };
+
+    const resultLists = await timeStage('retrieve', () => Promise.all(
+      rewritten.queries.map(searchQuery => this.hybridRetrieve(searchQuery, {
+        filters,
+        retrieval,
+        queryEmbedding: searchQuery === query ? queryEmbedding : undefined,
+      }))
+    ));
+    let candidates = resultLists.length === 1 ? resultLists[0] : mergeRetrievals(resultLists);
+
+    // Rerank and MMR judge relevance against the standalone question when there is one
+    const rankingQuery = rewritten.mode === 'condense' ? rewritten.queries[0] : query;
+    if (retrieval.rerank !== 'none') {
+      candidates = await timeStage('rerank', () => rerankResults(rankingQuery, candidates.slice(0, retrieval.fetchK), {
+        reranker: retrieval.rerank,
+        llm: this.llm,
+      }));
+    }
+
+    // Merged multi-query results cover several angles, so they get room for twice as many chunks
+    const limit = rewritten.queries.length > 1 ? retrieval.topK * 2 : retrieval.topK;
+    const relevantDocs = retrieval.mmr
+      ? await timeStage('rerank', () => selectWithMMR(rankingQuery, candidates, {
+        embeddings: this.embeddings,
+        topK: limit,
+        mmrLambda: retrieval.mmrLambda,
+        queryEmbedding: rankingQuery === query ? queryEmbedding : undefined,
+      }))
+      : candidates.slice(0, limit);
+    traceChunks(relevantDocs);
+
+    const context = relevantDocs
+      .map((doc, index) => `[Source ${index + 1}]: ${doc.node.text}`)
+      .join('\n\n');
+    return { relevantDocs, context, rewritten };
+  }
+
+  // Dense and BM25 keyword search fused by reciprocal rank; a retriever weighted 0 is skipped
+  async hybridRetrieve(query, { filters, retrieval, queryEmbedding }) {
+    const [vectorResults, lexicalResults] = await Promise.all([
+      retrieval.vectorWeight > 0
+        ? this.vectorRetrieve(query, { topK: retrieval.fetchK, filters, queryEmbedding })
+        : [],
+      retrieval.lexicalWeight > 0
+        ? this.lexicalIndex.search(query, { topK: retrieval.fetchK, filters }).map(hit => ({
+          node: new TextNode({ id_: hit.id, text: hit.text, metadata: hit.metadata }),
+          score: hit.score,
+        }))
+        : [],
+    ]);
+    return reciprocalRankFusion([
+      { results: vectorResults, weight: retrieval.vectorWeight },
+      { results: lexicalResults, weight: retrieval.lexicalWeight },
+    ], { rrfK: retrieval.rrfK });
+  }
+
+  // Dense search; with a `queryEmbedding` the vector store is asked directly instead of embedding `query`
+  async vectorRetrieve(query, { topK, filters, queryEmbedding }) {
+    const retriever = this.vectorIndex.asRetriever({ similarityTopK: topK, filters });
+    if (!queryEmbedding) return retriever.retrieve(query);
+    const result = await this.vectorStore.llamaIndexStore.query({
+      queryStr: query,
+      queryEmbedding,
+      mode: VectorStoreQueryMode.DEFAULT,
+      similarityTopK: topK,
+      filters,
+    });
+    return retriever.buildNodeListFromQueryResult(result);
+  }
+
+  // Response fields showing what was actually searched, for debugging retrieval
+  describeRewrite(rewritten) {
+    if (!rewritten || rewritten.mode === 'off') return {};
+    return {
+      rewrittenQuery: rewritten.queries[0],
+      searchQueries: rewritten.queries,
+    };
+  }
+
+  formatSources(relevantDocs) {
+    return relevantDocs.map(describeSource);
+  }
+
+  // Store pre-chunked text; `chunks` come from planIngestion() and keep their text alongside the vector
+  // Cached answers built from the document are dropped, as they may no longer match it, and so are
+  // answers that found no sources, as this document may answer them
+  async insertChunks(documentId, chunks) {
+    const nodes = await insertChunkNodes(this, chunks);
+    this.lexicalIndex.add(nodes.map(node => ({ id: node.id_, text: node.text, metadata: node.metadata })));
+    this.responseCache.invalidateDocuments([documentId]);
+    this.responseCache.invalidateSourceless();
+  }
+
+  // Rewrite the offsets of chunks that moved within their document, keeping their vectors.
+  // `positions`: [{ id, metadata }] from chunkPosition()
+  async updateChunks(documentId, positions) {
+    await this.vectorStore.updateMetadata(positions);
+    this.lexicalIndex.updateMetadata(positions);
+    this.responseCache.invalidateDocuments([documentId]);
+  }
+
+  async deleteChunks(ids) {
+    await this.vectorStore.deleteByIds(ids);
+    this.lexicalIndex.remove(ids);
+    this.responseCache.invalidateDocuments(ids.map(documentIdOf));
+  }
+
+  // `prompt` is { id, version, template } (see prompts.js and PromptStore.resolve)
+  buildPrompt(prompt, { query, context, chatHistory }) {
+    return renderPrompt(prompt.template, promptVariables({
+      context,
+      history: formatChatHistory(chatHistory),
+      question: query,
+    }));
+  }
+}
+
+// A RAGService that is ready to query
+export async function createRAGService(options) {
+  const ragService = new RAGService(options);
+  await ragService.initializeServices();
+  return ragService;
+}
+
+export default RAGService;
@@ -0,0 +1,79 @@
+// server/rerankers.js
+// Second-stage rerankers that rescore retrieved chunks against the query.
+//   llm:           asks the chat model to grade each passage 0-10 (no extra setup)
+//   cross-encoder: calls a local cross-encoder over HTTP. RERANKER_URL must point at an endpoint that
+//                  takes { query, texts } and returns [{ index, score }] (the Text Embeddings Inference
+//                  /rerank API, e.g. with BAAI/bge-reranker-base)
+import { contentText } from './providers/index.js';
+
+const rerankers = new Map();
+
+// reranker: { requiredEnv(), rerank(query, texts, { llm }) -> Promise<number[]> (one score per text) }
+export function registerReranker(name, reranker) {
+  rerankers.set(name, reranker);
+}
+
+export function getReranker(name) {
+  const reranker = rerankers.get(name);
+  if (!reranker) {
+    throw new Error(`Unknown reranker "${name}" (expected one of: none, ${[...rerankers.keys()].join(', ')})`);
+  }
+  return reranker;
+}
+
+// Long passages are cut so a full candidate list fits in one grading prompt
+const LLM_PASSAGE_LENGTH = 600;
+
+export const llmReranker = {
+  requiredEnv: () => [],
+
+  async rerank(query, texts, { llm }) {
+    const passages = texts
+      .map((text, index) => `[${index + 1}] ${text.replace(/\s+/g, ' ').slice(0, LLM_PASSAGE_LENGTH)}`)
+      .join('\n\n');
+    const prompt = `Rate how well each passage answers the question, from 0 (irrelevant) to 10 (answers it directly).
+Reply with one line per passage in the form "<passage number>: <score>" and nothing else.
+
+QUESTION: ${query}
+
+PASSAGES:
+${passages}
+
+SCORES:`;
+
+    const response = await llm.invoke(prompt);
+    // Passages the model skipped keep their retrieval order, below every graded passage
+    const scores = texts.map((_, index) => -(index + 1) / texts.length);
+    for (const match of contentText(response.content).matchAll(/^\s*\[?(\d+)\]?\s*[:=-]\s*(\d+(?:\.\d+)?)/gm)) {
+      const index = Number(match[1]) - 1;
+      if (index >= 0 && index < texts.length) {
+        scores[index] = Number(match[2]);
+      }
+    }
+    return scores;
+  },
+};
+
+export const crossEncoderReranker = {
+  requiredEnv: () => (process.env.RERANKER_URL ? [] : ['RERANKER_URL']),
+
+  async rerank(query, texts) {
+    const response = await fetch(process.env.RERANKER_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, texts, truncate: true }),
+    });
+    if (!response.ok) {
+      throw new Error(`Cross-encoder reranker returned ${response.status}`);
+    }
+    const results = await response.json();
+    const scores = new Array(texts.length).fill(-Infinity);
+    for (const { index, score } of results) {
+      scores[index] = score;
+    }
+    return scores;
+  },
+};
+
+registerReranker('llm', llmReranker);
+registerReranker('cross-encoder', crossEncoderReranker);
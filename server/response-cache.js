@@ -0,0 +1,214 @@
+// server/response-cache.js
+// In-memory cache of RAG answers, so a repeated question doesn't embed, retrieve and call the model again.
+// An entry is found by the normalized question (exact match) or, failing that, by a question embedding
+// at least `threshold` cosine-similar to a cached one (semantic match). Either way the request settings
+// (method, filters, retrieval, rewrite, grounding, prompt template) must be identical, so answers never
+// cross users or scopes. Entries expire after `ttlSeconds` and are dropped when a document that
+// contributed a source is re-indexed or deleted; answers without sources are dropped whenever anything
+// is indexed, since the new document may be the one they were missing. The cache starts empty on every
+// server start.
+//
+// Settings: RESPONSE_CACHE (true/false), RESPONSE_CACHE_TTL_SECONDS, RESPONSE_CACHE_THRESHOLD
+// (1 = exact matches only) and RESPONSE_CACHE_MAX_ENTRIES (least recently used entries go first).
+import { hashContent } from './content-hash.js';
+import { mergeConfig, readEnv } from './config.js';
+
+export const DEFAULT_CACHE = {
+  enabled: true,
+  ttlSeconds: 3600,
+  threshold: 0.95,
+  maxEntries: 500,
+};
+
+const ENV_KEYS = {
+  enabled: 'RESPONSE_CACHE',
+  ttlSeconds: 'RESPONSE_CACHE_TTL_SECONDS',
+  threshold: 'RESPONSE_CACHE_THRESHOLD',
+  maxEntries: 'RESPONSE_CACHE_MAX_ENTRIES',
+};
+
+export function getCacheConfig(overrides = {}) {
+  const config = mergeConfig(DEFAULT_CACHE, [readEnv(ENV_KEYS), overrides]);
+
+  config.enabled = config.enabled === true || config.enabled === 'true';
+  config.ttlSeconds = Number(config.ttlSeconds);
+  config.threshold = Number(config.threshold);
+  config.maxEntries = Number(config.maxEntries);
+  if (!Number.isFinite(config.ttlSeconds) || config.ttlSeconds <= 0) {
+    throw new Error('RESPONSE_CACHE_TTL_SECONDS must be a positive number');
+  }
+  if (!Number.isFinite(config.threshold) || config.threshold <= 0 || config.threshold > 1) {
+    throw new Error('RESPONSE_CACHE_THRESHOLD must be greater than 0 and at most 1');
+  }
+  if (!Number.isInteger(config.maxEntries) || config.maxEntries < 1) {
+    throw new Error('RESPONSE_CACHE_MAX_ENTRIES must be a positive integer');
+  }
+  return config;
+}
+
+// Case, spacing and trailing punctuation don't change the question
+export const normalizeQuery = (query) => query
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .replace(/[\s?!.]+$/, '')
+  .trim();
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+// Document IDs behind an answer's sources
+const sourceDocumentIds = (sources = []) => [...new Set(sources.map(source => source.documentId).filter(Boolean))];
+
+export class ResponseCache {
+  constructor(config = getCacheConfig()) {
+    this.config = config;
+    // key -> entry, in least recently used order
+    this.entries = new Map();
+    this.stats = { hits: 0, exactHits: 0, semanticHits: 0, misses: 0 };
+  }
+
+  // Identifies the request settings an answer depends on, besides the question
+  static settingsKey(settings) {
+    return hashContent(JSON.stringify(settings));
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return entry.expiresAt <= now;
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry, now)) this.entries.delete(key);
+    }
+  }
+
+  // { entry, match: 'exact' | 'semantic', similarity } or { embedding } for a miss, handing the
+  // question embedding (when one was needed) on to retrieval and store(). `embed(query)` is only called
+  // when no exact match exists and semantic matching is on.
+  async lookup({ settingsKey, query }, embed) {
+    this.prune();
+    const normalized = normalizeQuery(query);
+    const key = `${settingsKey}:${hashContent(normalized)}`;
+    const exact = this.entries.get(key);
+    if (exact) {
+      return this.hit(exact, 'exact', 1);
+    }
+
+    if (this.config.threshold >= 1) {
+      this.stats.misses++;
+      return {};
+    }
+    const embedding = await embed(query);
+    let best = null;
+    let bestSimilarity = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.settingsKey !== settingsKey || !entry.embedding) continue;
+      const similarity = cosineSimilarity(embedding, entry.embedding);
+      if (similarity > bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+    if (best && bestSimilarity >= this.config.threshold) {
+      return this.hit(best, 'semantic', bestSimilarity);
+    }
+    this.stats.misses++;
+    return { embedding };
+  }
+
+  hit(entry, match, similarity) {
+    // Move to the back of the LRU order
+    this.entries.delete(entry.key);
+    this.entries.set(entry.key, entry);
+    entry.hits++;
+    entry.lastHitAt = new Date().toISOString();
+    this.stats.hits++;
+    this.stats[match === 'exact' ? 'exactHits' : 'semanticHits']++;
+    return { entry, match, similarity };
+  }
+
+  // `result` is the method's response, `embedding` the question embedding from lookup()
+  store({ settingsKey, method, query, embedding }, result) {
+    const normalized = normalizeQuery(query);
+    const key = `${settingsKey}:${hashContent(normalized)}`;
+    const now = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, {
+      key,
+      settingsKey,
+      method,
+      query,
+      normalized,
+      embedding,
+      result: structuredClone(result),
+      documentIds: sourceDocumentIds(result.sources),
+      hits: 0,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.config.ttlSeconds * 1000,
+      lastHitAt: null,
+    });
+    while (this.entries.size > this.config.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Drop every answer that used one of these documents; returns how many were dropped
+  invalidateDocuments(documentIds) {
+    const ids = new Set(documentIds);
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.documentIds.some(id => ids.has(id))) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Drop every answer that found no sources; returns how many were dropped
+  invalidateSourceless() {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.documentIds.length === 0) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    return removed;
+  }
+
+  // Admin view: settings, counters and the entries without their answers and embeddings
+  describe() {
+    this.prune();
+    return {
+      config: this.config,
+      size: this.entries.size,
+      stats: { ...this.stats },
+      entries: [...this.entries.values()].reverse().map(entry => ({
+        key: entry.key,
+        method: entry.method,
+        query: entry.query,
+        documentIds: entry.documentIds,
+        hits: entry.hits,
+        createdAt: entry.createdAt,
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        lastHitAt: entry.lastHitAt,
+      })),
+    };
+  }
+}
@@ -0,0 +1,117 @@
+// server/retrieval.js
+// Retrieval settings and the ranking steps of the hybrid pipeline:
+// vector + keyword search -> reciprocal rank fusion -> optional rerank -> optional MMR -> topK.
+import { getTopKMMREmbeddings } from 'llamaindex';
+import { getReranker } from './rerankers.js';
+import { mergeConfig, readEnv } from './config.js';
+
+export const DEFAULT_RETRIEVAL = {
+  topK: 3,             // chunks handed to the model
+  fetchK: 20,          // candidates fetched from each retriever before fusion
+  vectorWeight: 1,     // fusion weights; 0 turns a retriever off
+  lexicalWeight: 1,
+  rrfK: 60,            // rank smoothing constant of reciprocal rank fusion
+  rerank: 'none',      // "none", "llm" or "cross-encoder"
+  mmr: false,          // diversify the final chunks with maximal marginal relevance
+  mmrLambda: 0.5,      // 1 = pure relevance, lower values favour diversity
+};
+
+const MAX_TOP_K = 50;
+const MAX_FETCH_K = 200;
+
+const ENV_KEYS = {
+  topK: 'RETRIEVAL_TOP_K',
+  fetchK: 'RETRIEVAL_FETCH_K',
+  vectorWeight: 'RETRIEVAL_VECTOR_WEIGHT',
+  lexicalWeight: 'RETRIEVAL_LEXICAL_WEIGHT',
+  rrfK: 'RETRIEVAL_RRF_K',
+  rerank: 'RERANKER',
+  mmr: 'RETRIEVAL_MMR',
+  mmrLambda: 'RETRIEVAL_MMR_LAMBDA',
+};
+
+// Defaults, then environment, then per-request overrides (see mergeConfig)
+export function getRetrievalConfig(overrides = {}) {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('retrieval must be an object');
+  }
+
+  const config = mergeConfig(DEFAULT_RETRIEVAL, [readEnv(ENV_KEYS), overrides], { label: 'retrieval' });
+
+  for (const key of ['topK', 'fetchK', 'vectorWeight', 'lexicalWeight', 'rrfK', 'mmrLambda']) {
+    config[key] = Number(config[key]);
+  }
+  config.mmr = config.mmr === true || config.mmr === 'true';
+  // A request that only raises topK gets enough candidates for it rather than a 400
+  if (overrides.fetchK === undefined && Number.isInteger(config.topK)) {
+    config.fetchK = Math.min(Math.max(config.fetchK, config.topK), MAX_FETCH_K);
+  }
+
+  if (!Number.isInteger(config.topK) || config.topK < 1 || config.topK > MAX_TOP_K) {
+    throw new Error(`topK must be an integer between 1 and ${MAX_TOP_K}`);
+  }
+  if (!Number.isInteger(config.fetchK) || config.fetchK < config.topK || config.fetchK > MAX_FETCH_K) {
+    throw new Error(`fetchK must be an integer between topK and ${MAX_FETCH_K}`);
+  }
+  for (const key of ['vectorWeight', 'lexicalWeight']) {
+    if (!Number.isFinite(config[key]) || config[key] < 0) {
+      throw new Error(`${key} must be a non-negative number`);
+    }
+  }
+  if (config.vectorWeight === 0 && config.lexicalWeight === 0) {
+    throw new Error('vectorWeight and lexicalWeight cannot both be 0');
+  }
+  if (!Number.isFinite(config.rrfK) || config.rrfK < 0) {
+    throw new Error('rrfK must be a non-negative number');
+  }
+  // LlamaIndex's MMR treats a lambda of 0 as "unset", so it has to stay above 0
+  if (!Number.isFinite(config.mmrLambda) || config.mmrLambda <= 0 || config.mmrLambda > 1) {
+    throw new Error('mmrLambda must be greater than 0 and at most 1');
+  }
+  if (config.rerank !== 'none') {
+    const missing = getReranker(config.rerank).requiredEnv();
+    if (missing.length > 0) {
+      throw new Error(`The ${config.rerank} reranker needs ${missing.join(', ')}`);
+    }
+  }
+
+  return config;
+}
+
+// Weighted reciprocal rank fusion of ranked NodeWithScore lists: score = Σ weight / (rrfK + rank).
+// Rank-based, so cosine similarities and BM25 scores never have to be put on one scale.
+export function reciprocalRankFusion(rankedLists, { rrfK = DEFAULT_RETRIEVAL.rrfK } = {}) {
+  const fused = new Map();
+  for (const { results, weight } of rankedLists) {
+    results.forEach((result, index) => {
+      const id = result.node.id_;
+      const entry = fused.get(id) || { node: result.node, score: 0 };
+      entry.score += weight / (rrfK + index + 1);
+      fused.set(id, entry);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// Reorder candidates by reranker score; the reranker score replaces the fused score
+export async function rerankResults(query, candidates, { reranker, llm }) {
+  if (candidates.length === 0) return candidates;
+  const scores = await getReranker(reranker).rerank(query, candidates.map(result => result.node.text), { llm });
+  return candidates
+    .map((result, index) => ({ node: result.node, score: scores[index] }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Pick topK candidates that are relevant to the query but not to each other.
+// `embeddings` is a LangChain Embeddings instance used for the query (unless its `queryEmbedding` is
+// given) and the candidate texts.
+export async function selectWithMMR(query, candidates, { embeddings, topK, mmrLambda, queryEmbedding }) {
+  if (candidates.length <= 1) return candidates.slice(0, topK);
+  const [embedding, candidateEmbeddings] = await Promise.all([
+    queryEmbedding ?? embeddings.embedQuery(query),
+    embeddings.embedDocuments(candidates.map(result => result.node.text)),
+  ]);
+  const ids = candidates.map((_, index) => index);
+  const [, selected] = getTopKMMREmbeddings(embedding, candidateEmbeddings, null, topK, ids, null, mmrLambda);
+  return selected.map(index => candidates[index]);
+}
@@ -0,0 +1,71 @@
+// server/trace-store.js
+// JSON-file backed traces of recent answers (see tracing.js): the exact prompt of every model call, the
+// retrieved chunk IDs and the stage timings. Only the last TRACE_LIMIT traces are kept (default 200;
+// 0 stores none). They are kept in memory and written to the file in the background, at most once a
+// second. Traces hold document text and questions from every user, so only admins can read them.
+import { readJsonFile, DeferredJsonWriter } from './json-file.js';
+
+export const DEFAULT_TRACE_LIMIT = 200;
+
+export function getTraceLimit(value = process.env.TRACE_LIMIT) {
+  if (value === undefined || value === '') return DEFAULT_TRACE_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error('TRACE_LIMIT must be a non-negative integer (0 disables stored traces)');
+  }
+  return limit;
+}
+
+export class TraceStore {
+  constructor(filePath, { limit = getTraceLimit() } = {}) {
+    this.filePath = filePath;
+    this.limit = limit;
+    // Oldest first
+    this.traces = [];
+    this.writer = new DeferredJsonWriter(filePath, () => ({ traces: this.traces }));
+    this.load();
+  }
+
+  load() {
+    const traces = readJsonFile(this.filePath)?.traces || [];
+    this.traces = this.limit === 0 ? [] : traces.slice(-this.limit);
+  }
+
+  add(trace) {
+    if (this.limit === 0) return;
+    this.traces.push(trace);
+    if (this.traces.length > this.limit) {
+      this.traces.shift();
+    }
+    this.writer.schedule();
+  }
+
+  // Resolves once the file holds every trace added so far
+  flush() {
+    return this.writer.flush();
+  }
+
+  close() {
+    this.writer.close();
+  }
+
+  // Newest first
+  list() {
+    return [...this.traces].reverse();
+  }
+
+  get(id) {
+    // Callers may reuse X-Request-Id values; the latest trace wins
+    return this.traces.findLast(trace => trace.id === id) || null;
+  }
+}
+
+// List view: everything but the model calls' prompts and responses
+export function summarizeTrace(trace) {
+  const { calls, answer, ...summary } = trace;
+  return {
+    ...summary,
+    answer: answer && answer.length > 200 ? `${answer.slice(0, 200)}…` : answer,
+    llmCalls: calls.length,
+  };
+}
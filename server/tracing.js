@@ -0,0 +1,251 @@
+// server/tracing.js
+// Request tracing. Every request gets an ID (the caller's X-Request-Id, or a new UUID) and a Trace that
+// follows it through async calls, like the usage counters in usage.js. While a request runs, the trace
+// collects how long each pipeline stage took, every chat model call with its exact prompt, and the IDs of
+// the chunks that were retrieved. Answer routes store the trace (trace-store.js) and return its timings
+// in a `debug` block when asked to.
+//
+// Stages: rewrite, embed, retrieve, rerank, generate and grounding (plus cache for response cache
+// lookups). Times of parallel calls add up, and `retrieve` includes the query embedding also counted
+// under `embed`. Chat model calls made outside any other stage count as `generate`.
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { performance } from 'perf_hooks';
+import { logger } from './logger.js';
+import { contentText } from './providers/index.js';
+import {
+  httpRequests,
+  httpErrors,
+  httpDuration,
+  stageDuration,
+  llmTokens,
+  llmCalls,
+  embeddingCalls,
+  embeddedTexts,
+} from './metrics.js';
+
+// { trace, stage } of the request being handled, or undefined outside one
+const traceContext = new AsyncLocalStorage();
+
+export const currentTrace = () => traceContext.getStore()?.trace;
+
+// Request IDs we accept from callers; anything else gets replaced by a UUID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+export class Trace {
+  constructor(id = randomUUID()) {
+    this.id = id;
+    this.startedAt = Date.now();
+    // stage -> milliseconds
+    this.timings = {};
+    // { stage, prompt, response, toolCalls?, durationMs, inputTokens, outputTokens } per chat model call
+    this.calls = [];
+    this.chunkIds = [];
+    // What the request answered (method, query, answer, ...); only described traces are stored
+    this.details = null;
+  }
+
+  addTiming(stage, ms) {
+    this.timings[stage] = (this.timings[stage] || 0) + ms;
+  }
+
+  addChunks(ids) {
+    for (const id of ids) {
+      if (id && !this.chunkIds.includes(id)) this.chunkIds.push(id);
+    }
+  }
+
+  describe(fields) {
+    this.details = { ...this.details, ...fields };
+  }
+
+  // The `debug` block of a response
+  debug() {
+    return {
+      requestId: this.id,
+      timings: {
+        ...Object.fromEntries(Object.entries(this.timings).map(([stage, ms]) => [stage, round(ms)])),
+        total: Date.now() - this.startedAt,
+      },
+      chunkIds: this.chunkIds,
+      llmCalls: this.calls.length,
+    };
+  }
+
+  // What the trace store keeps
+  toRecord({ route, status }) {
+    return {
+      id: this.id,
+      route,
+      status,
+      createdAt: new Date(this.startedAt).toISOString(),
+      durationMs: Date.now() - this.startedAt,
+      ...this.details,
+      timings: this.debug().timings,
+      chunkIds: this.chunkIds,
+      calls: this.calls,
+    };
+  }
+}
+
+// Run `fn` detached from the current request, for work that outlives it
+export const runOutsideRequest = (fn) => traceContext.exit(fn);
+
+// Run `fn` as `stage` of the current request's trace; just runs it outside a request
+export async function timeStage(stage, fn) {
+  const store = traceContext.getStore();
+  if (!store) return fn();
+  const started = performance.now();
+  try {
+    return await traceContext.run({ ...store, stage }, fn);
+  } finally {
+    store.trace.addTiming(stage, performance.now() - started);
+  }
+}
+
+function messageRole(message) {
+  if (Array.isArray(message)) return message[0];
+  return message.getType?.() ?? message.role ?? 'message';
+}
+
+// The exact text a chat model was sent, whatever form the input took
+export function promptText(input) {
+  if (typeof input === 'string') return input;
+  if (Array.isArray(input)) {
+    return input
+      .map(message => `${messageRole(message)}: ${contentText(Array.isArray(message) ? message[1] : message.content)}`)
+      .join('\n\n');
+  }
+  if (typeof input?.toString === 'function' && input.toString !== Object.prototype.toString) return input.toString();
+  return JSON.stringify(input);
+}
+
+// Records every invoke() and stream() call on the current trace, and counts calls and tokens for /metrics.
+// Wraps the instance in place, like meterChatModel().
+export function traceChatModel(model) {
+  const invoke = model.invoke.bind(model);
+  const stream = model.stream.bind(model);
+
+  // Calls outside another stage are the answer being generated
+  const begin = (input) => {
+    const store = traceContext.getStore();
+    const stage = store?.stage ?? 'generate';
+    const call = { stage, prompt: promptText(input), response: '', durationMs: 0, inputTokens: 0, outputTokens: 0 };
+    const started = performance.now();
+    return {
+      addUsage(usage) {
+        if (!usage) return;
+        call.inputTokens += usage.input_tokens || 0;
+        call.outputTokens += usage.output_tokens || 0;
+      },
+      end(response, toolCalls) {
+        call.response = response;
+        if (toolCalls?.length) call.toolCalls = toolCalls.map(({ name, args }) => ({ name, args }));
+        call.durationMs = round(performance.now() - started);
+        llmCalls.inc({ stage });
+        llmTokens.inc({ type: 'input' }, call.inputTokens);
+        llmTokens.inc({ type: 'output' }, call.outputTokens);
+        if (!store) return;
+        store.trace.calls.push(call);
+        if (!store.stage) store.trace.addTiming('generate', call.durationMs);
+      },
+    };
+  };
+
+  model.invoke = async (input, ...rest) => {
+    const call = begin(input);
+    const response = await invoke(input, ...rest);
+    call.addUsage(response.usage_metadata);
+    call.end(contentText(response.content), response.tool_calls);
+    return response;
+  };
+
+  model.stream = async (input, ...rest) => {
+    const call = begin(input);
+    const chunks = await stream(input, ...rest);
+    return (async function* () {
+      let text = '';
+      try {
+        for await (const chunk of chunks) {
+          call.addUsage(chunk.usage_metadata);
+          text += contentText(chunk.content);
+          yield chunk;
+        }
+      } finally {
+        call.end(text);
+      }
+    })();
+  };
+
+  return model;
+}
+
+// Times embedding calls as the `embed` stage and counts them for /metrics
+export function traceEmbeddings(embeddings) {
+  const embedDocuments = embeddings.embedDocuments.bind(embeddings);
+  const embedQuery = embeddings.embedQuery.bind(embeddings);
+
+  embeddings.embedDocuments = (texts) => {
+    embeddingCalls.inc();
+    embeddedTexts.inc({}, texts.length);
+    return timeStage('embed', () => embedDocuments(texts));
+  };
+  embeddings.embedQuery = (text) => {
+    embeddingCalls.inc();
+    embeddedTexts.inc();
+    return timeStage('embed', () => embedQuery(text));
+  };
+
+  return embeddings;
+}
+
+// The route a request matched, for logs, metrics and usage: `/api/v1/query` and its unversioned alias
+// `/api/query` are both labelled `/api/query`, so counts carry on across the move to versioned paths
+export function routeLabel(req) {
+  if (!req.route) return null;
+  return req.baseUrl.replace(/^\/api\/v\d+$/, '/api') + req.route.path;
+}
+
+// Middleware giving every request an ID and a trace. When the response is finished it logs the request,
+// updates the HTTP and stage metrics and, for traces an answer route described, saves the trace.
+export function traceRequests({ traceStore } = {}) {
+  return (req, res, next) => {
+    const requested = req.get('X-Request-Id');
+    const trace = new Trace(requested && REQUEST_ID_PATTERN.test(requested) ? requested : randomUUID());
+    req.id = trace.id;
+    req.trace = trace;
+    res.set('X-Request-Id', trace.id);
+
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      const route = routeLabel(req) ?? 'unmatched';
+      const status = res.headersSent ? res.statusCode : 499;
+      const durationMs = Date.now() - trace.startedAt;
+
+      httpRequests.inc({ method: req.method, route, status });
+      if (status >= 500) httpErrors.inc({ method: req.method, route });
+      httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+      for (const [stage, ms] of Object.entries(trace.timings)) {
+        stageDuration.observe({ stage }, ms / 1000);
+      }
+
+      logger.info('request completed', { requestId: trace.id, method: req.method, route, path: req.originalUrl, status, durationMs });
+      if (trace.details && traceStore) {
+        try {
+          traceStore.add(trace.toRecord({ route, status }));
+        } catch (error) {
+          logger.error('Failed to store trace', { requestId: trace.id, err: error });
+        }
+      }
+    };
+    // 'close' also covers clients that disconnect mid-stream
+    res.on('finish', finish);
+    res.on('close', finish);
+
+    traceContext.run({ trace }, next);
+  };
+}
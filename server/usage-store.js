@@ -0,0 +1,97 @@
+// server/usage-store.js
+// JSON-file backed daily usage counters: requests, LLM tokens and embedding calls per client and endpoint.
+// Days are UTC dates ("2025-01-31"); only the last RETENTION_DAYS are kept. Counters live in memory and
+// are written to the file in the background, at most once a second.
+import { readJsonFile, DeferredJsonWriter } from './json-file.js';
+
+const RETENTION_DAYS = 31;
+
+export const USAGE_FIELDS = ['requests', 'inputTokens', 'outputTokens', 'totalTokens', 'embeddingCalls', 'embeddedTexts'];
+
+export const today = (now = new Date()) => now.toISOString().slice(0, 10);
+
+const emptyCounters = () => Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+
+function addCounters(target, counters) {
+  for (const field of USAGE_FIELDS) {
+    target[field] += counters[field] || 0;
+  }
+  return target;
+}
+
+export class UsageStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    // day -> clientId -> { name, totals, endpoints: { endpoint -> counters } }
+    this.days = {};
+    this.writer = new DeferredJsonWriter(filePath, () => ({ days: this.days }));
+    this.load();
+  }
+
+  load() {
+    this.days = readJsonFile(this.filePath)?.days || {};
+  }
+
+  // Resolves once the file holds every request recorded so far
+  flush() {
+    return this.writer.flush();
+  }
+
+  close() {
+    this.writer.close();
+  }
+
+  prune() {
+    const days = Object.keys(this.days).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - RETENTION_DAYS))) {
+      delete this.days[day];
+    }
+  }
+
+  // Add one finished request's counters to today's totals
+  record({ clientId, name, endpoint, counters }) {
+    const day = today();
+    this.days[day] ??= {};
+    const client = this.days[day][clientId] ??= { name, totals: emptyCounters(), endpoints: {} };
+    client.name = name ?? client.name;
+    addCounters(client.totals, counters);
+    addCounters(client.endpoints[endpoint] ??= emptyCounters(), counters);
+    this.prune();
+    this.writer.schedule();
+  }
+
+  // Today's totals for one client (all zero when it has made no requests)
+  totalsFor(clientId, day = today()) {
+    return { ...emptyCounters(), ...this.days[day]?.[clientId]?.totals };
+  }
+
+  // Usage summed over the given days, per client and endpoint. `clientId` narrows it to one client.
+  report({ days: dayCount = 1, clientId } = {}) {
+    const from = new Date();
+    from.setUTCDate(from.getUTCDate() - (dayCount - 1));
+    const fromDay = today(from);
+
+    const clients = new Map();
+    const totals = emptyCounters();
+    for (const [day, dayClients] of Object.entries(this.days)) {
+      if (day < fromDay) continue;
+      for (const [id, usage] of Object.entries(dayClients)) {
+        if (clientId && id !== clientId) continue;
+        const client = clients.get(id) || { clientId: id, name: usage.name, totals: emptyCounters(), endpoints: {} };
+        addCounters(client.totals, usage.totals);
+        addCounters(totals, usage.totals);
+        for (const [endpoint, counters] of Object.entries(usage.endpoints)) {
+          addCounters(client.endpoints[endpoint] ??= emptyCounters(), counters);
+        }
+        clients.set(id, client);
+      }
+    }
+
+    return {
+      from: fromDay,
+      to: today(),
+      totals,
+      clients: [...clients.values()].sort((a, b) => b.totals.totalTokens - a.totals.totalTokens),
+    };
+  }
+}
@@ -0,0 +1,235 @@
+// server/usage.js
+// Per-client rate limits, daily quotas and usage metering for LLM and embedding calls.
+//
+// Limits (0 turns one off): RATE_LIMIT_PER_MINUTE, QUOTA_REQUESTS_PER_DAY, QUOTA_TOKENS_PER_DAY,
+// QUOTA_EMBEDDING_CALLS_PER_DAY. Days are UTC days. A client is the API key's user, or the
+// caller's IP address when AUTH_ENABLED=false.
+//
+// meterChatModel/meterEmbeddings wrap the shared models so every call made while handling a metered
+// request (rewrite, rerank, answer, grounding, upload embeddings) is added to that request's counters.
+import { AsyncLocalStorage } from 'async_hooks';
+import { isAuthEnabled } from './auth.js';
+import { today } from './usage-store.js';
+import { routeLabel } from './tracing.js';
+import { mergeConfig, readEnv } from './config.js';
+
+export const DEFAULT_LIMITS = {
+  requestsPerMinute: 20,
+  requestsPerDay: 500,
+  tokensPerDay: 200000,
+  embeddingCallsPerDay: 1000,
+};
+
+const ENV_KEYS = {
+  requestsPerMinute: 'RATE_LIMIT_PER_MINUTE',
+  requestsPerDay: 'QUOTA_REQUESTS_PER_DAY',
+  tokensPerDay: 'QUOTA_TOKENS_PER_DAY',
+  embeddingCallsPerDay: 'QUOTA_EMBEDDING_CALLS_PER_DAY',
+};
+
+// Used when an upstream 429 doesn't say how long to wait
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+export function getUsageLimits(overrides = {}) {
+  const limits = mergeConfig(DEFAULT_LIMITS, [readEnv(ENV_KEYS), overrides]);
+  for (const [key, envVar] of Object.entries(ENV_KEYS)) {
+    limits[key] = Number(limits[key]);
+    if (!Number.isInteger(limits[key]) || limits[key] < 0) {
+      throw new Error(`${envVar} must be a non-negative integer (0 disables it)`);
+    }
+  }
+  return limits;
+}
+
+// Counters of the request being handled, or undefined outside a metered request
+const usageContext = new AsyncLocalStorage();
+
+export const currentUsage = () => usageContext.getStore();
+
+const newCounters = (requests) => ({
+  requests, inputTokens: 0, outputTokens: 0, totalTokens: 0, embeddingCalls: 0, embeddedTexts: 0,
+});
+
+function recordTokens(usage) {
+  const counters = currentUsage();
+  if (!counters || !usage) return;
+  counters.inputTokens += usage.input_tokens || 0;
+  counters.outputTokens += usage.output_tokens || 0;
+  counters.totalTokens += usage.total_tokens || (usage.input_tokens || 0) + (usage.output_tokens || 0);
+}
+
+function recordEmbedding(textCount) {
+  const counters = currentUsage();
+  if (!counters) return;
+  counters.embeddingCalls += 1;
+  counters.embeddedTexts += textCount;
+}
+
+// Counts the usage_metadata of every invoke() response and streamed chunk. Wraps the instance in place
+// so the LlamaIndex bridge and every helper that gets the model are metered too.
+export function meterChatModel(model) {
+  const invoke = model.invoke.bind(model);
+  const stream = model.stream.bind(model);
+
+  model.invoke = async (...args) => {
+    const response = await invoke(...args);
+    recordTokens(response.usage_metadata);
+    return response;
+  };
+
+  model.stream = async (...args) => {
+    const chunks = await stream(...args);
+    return (async function* () {
+      for await (const chunk of chunks) {
+        recordTokens(chunk.usage_metadata);
+        yield chunk;
+      }
+    })();
+  };
+
+  return model;
+}
+
+export function meterEmbeddings(embeddings) {
+  const embedDocuments = embeddings.embedDocuments.bind(embeddings);
+  const embedQuery = embeddings.embedQuery.bind(embeddings);
+
+  embeddings.embedDocuments = async (texts) => {
+    recordEmbedding(texts.length);
+    return embedDocuments(texts);
+  };
+  embeddings.embedQuery = async (text) => {
+    recordEmbedding(1);
+    return embedQuery(text);
+  };
+
+  return embeddings;
+}
+
+// Sliding one-minute window of request times per client
+export class RateLimiter {
+  constructor(windowMs = 60 * 1000) {
+    this.windowMs = windowMs;
+    this.hits = new Map();
+  }
+
+  // Counts a request and returns 0, or the seconds to wait when the client is over `limit`
+  hit(clientId, limit, now = Date.now()) {
+    const recent = (this.hits.get(clientId) || []).filter(time => time > now - this.windowMs);
+    if (recent.length >= limit) {
+      this.hits.set(clientId, recent);
+      return Math.max(1, Math.ceil((recent[0] + this.windowMs - now) / 1000));
+    }
+    recent.push(now);
+    this.hits.set(clientId, recent);
+    return 0;
+  }
+}
+
+export const clientIdOf = (req) => (isAuthEnabled() ? req.user.id : `ip:${req.ip}`);
+
+// { id, name } of the caller, for work that is recorded after the request has ended
+export const clientOf = (req) => ({ id: clientIdOf(req), name: isAuthEnabled() ? req.user.name : req.ip });
+
+const secondsUntilTomorrow = (now = new Date()) => {
+  const tomorrow = new Date(`${today(now)}T00:00:00.000Z`);
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+  return Math.max(1, Math.ceil((tomorrow - now) / 1000));
+};
+
+export function sendTooManyRequests(res, { limit, details, retryAfter }) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Too Many Requests', details, limit, retryAfter });
+}
+
+// The first daily quota the client has used up, or null
+function exceededQuota(totals, limits) {
+  const quotas = [
+    ['requestsPerDay', totals.requests, 'request'],
+    ['tokensPerDay', totals.totalTokens, 'token'],
+    ['embeddingCallsPerDay', totals.embeddingCalls, 'embedding call'],
+  ];
+  for (const [limit, used, label] of quotas) {
+    if (limits[limit] > 0 && used >= limits[limit]) {
+      return { limit, details: `Daily ${label} quota of ${limits[limit]} reached`, retryAfter: secondsUntilTomorrow() };
+    }
+  }
+  return null;
+}
+
+// Route middleware for endpoints that call the model or embed text: enforces the limits, then
+// collects the request's usage and adds it to the store once the response is finished
+export function meterUsage(usageStore, limits = getUsageLimits()) {
+  const limiter = new RateLimiter();
+
+  return (req, res, next) => {
+    const client = clientOf(req);
+
+    const quota = exceededQuota(usageStore.totalsFor(client.id), limits);
+    if (quota) {
+      return sendTooManyRequests(res, quota);
+    }
+    const retryAfter = limits.requestsPerMinute > 0 ? limiter.hit(client.id, limits.requestsPerMinute) : 0;
+    if (retryAfter) {
+      return sendTooManyRequests(res, {
+        limit: 'requestsPerMinute',
+        details: `Rate limit of ${limits.requestsPerMinute} requests per minute reached`,
+        retryAfter,
+      });
+    }
+
+    const counters = newCounters(1);
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      usageStore.record({
+        clientId: client.id,
+        name: client.name,
+        endpoint: `${req.method} ${routeLabel(req) ?? req.path}`,
+        counters,
+      });
+    };
+    // 'close' also covers clients that disconnect mid-stream
+    res.on('finish', record);
+    res.on('close', record);
+
+    usageContext.run(counters, next);
+  };
+}
+
+// Runs work that outlives its request (e.g. an ingestion job) under its own counters and records
+// them for `client` once it settles. Doesn't count as a request and isn't subject to the limits.
+export async function meterBackground(usageStore, { client, endpoint }, work) {
+  const counters = newCounters(0);
+  try {
+    return await usageContext.run(counters, work);
+  } finally {
+    usageStore.record({ clientId: client.id, name: client.name, endpoint, counters });
+  }
+}
+
+// Provider errors meaning "slow down" (Gemini's free tier answers 429 / RESOURCE_EXHAUSTED)
+export function isRateLimitError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.status === 429 || current.response?.status === 429) return true;
+    if (/\b429\b|Too Many Requests|RESOURCE_EXHAUSTED|rate limit/i.test(current.message || '')) return true;
+  }
+  return false;
+}
+
+// Seconds the provider asked us to wait ("retryDelay": "17s" in Gemini errors), or a default
+export function retryAfterFrom(error) {
+  const match = String(error?.message || '').match(/retryDelay"?\s*:\s*"?(\d+(?:\.\d+)?)s/);
+  return match ? Math.ceil(Number(match[1])) : DEFAULT_RETRY_AFTER_SECONDS;
+}
+
+// 429 details for an upstream rate-limit error, or null for any other error
+export function upstreamRateLimit(error) {
+  if (!isRateLimitError(error)) return null;
+  return {
+    limit: 'upstream',
+    details: 'The model provider is rate limiting requests, try again later',
+    retryAfter: retryAfterFrom(error),
+  };
+}
@@ -0,0 +1,126 @@
+// server/user-store.js
+// JSON-file backed users and their API keys. Keys are stored as SHA-256 hashes only;
+// the plain key is returned once, when it is created.
+import { randomUUID, randomBytes, createHash } from 'crypto';
+import { readJsonFile, writeJsonFile, fileMtime } from './json-file.js';
+
+export const ROLES = ['user', 'admin'];
+
+const KEY_PREFIX = 'rag_';
+
+export const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+export class UserStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.users = new Map();
+    this.keys = new Map();
+    this.loadedMtime = 0;
+    this.load();
+  }
+
+  load() {
+    this.users.clear();
+    this.keys.clear();
+    const data = readJsonFile(this.filePath);
+    for (const user of data?.users || []) {
+      this.users.set(user.id, user);
+    }
+    for (const apiKey of data?.keys || []) {
+      this.keys.set(apiKey.id, apiKey);
+    }
+    this.loadedMtime = fileMtime(this.filePath);
+  }
+
+  // The key management CLI edits the file while the server runs; pick up its changes
+  reloadIfChanged() {
+    if (fileMtime(this.filePath) !== this.loadedMtime) this.load();
+  }
+
+  save() {
+    writeJsonFile(this.filePath, { users: [...this.users.values()], keys: [...this.keys.values()] });
+    this.loadedMtime = fileMtime(this.filePath);
+  }
+
+  createUser({ name, role = 'user' }) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}" (expected one of: ${ROLES.join(', ')})`);
+    }
+    const user = { id: randomUUID(), name, role, createdAt: new Date().toISOString() };
+    this.users.set(user.id, user);
+    this.save();
+    return user;
+  }
+
+  listUsers() {
+    return [...this.users.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  getUser(id) {
+    return this.users.get(id) || null;
+  }
+
+  // Removes the user and every key they own
+  deleteUser(id) {
+    if (!this.users.delete(id)) return false;
+    for (const [keyId, apiKey] of this.keys) {
+      if (apiKey.userId === id) this.keys.delete(keyId);
+    }
+    this.save();
+    return true;
+  }
+
+  // Returns { key, apiKey }: the plain key (shown once) and its stored record
+  createKey(userId, { label } = {}) {
+    if (!this.users.has(userId)) return null;
+    const key = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+    const apiKey = {
+      id: randomUUID(),
+      userId,
+      label: label || null,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    };
+    this.keys.set(apiKey.id, apiKey);
+    this.save();
+    return { key, apiKey };
+  }
+
+  listKeys(userId) {
+    return [...this.keys.values()].filter(apiKey => !userId || apiKey.userId === userId);
+  }
+
+  getKey(id) {
+    return this.keys.get(id) || null;
+  }
+
+  revokeKey(id) {
+    const apiKey = this.keys.get(id);
+    if (!apiKey) return null;
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date().toISOString();
+      this.save();
+    }
+    return apiKey;
+  }
+
+  // User owning an active key, or null
+  authenticate(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) return null;
+    const hash = hashKey(key);
+    for (const apiKey of this.keys.values()) {
+      if (apiKey.hash === hash && !apiKey.revokedAt) {
+        return this.users.get(apiKey.userId) || null;
+      }
+    }
+    return null;
+  }
+}
+
+// Public view of a key record: everything but the hash
+export function summarizeKey(apiKey) {
+  const { hash: _hash, ...summary } = apiKey;
+  return summary;
+}
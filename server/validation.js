@@ -0,0 +1,81 @@
+// server/validation.js
+// Checks requests and responses against the API contract in api-schema.js. validate(operationId) goes on
+// every /api route in front of its handler: a request whose path parameters, query string or body don't
+// match the operation's schemas is answered 400 before the handler runs. Handlers keep reading the raw
+// req.body; range checks that need server settings (chunk sizes, retrieval options, ...) stay in the
+// config modules.
+//
+// Responses sent with res.json() are checked against the schema declared for their status.
+// API_RESPONSE_VALIDATION picks what a mismatch does: `warn` (default) logs it and sends the response
+// anyway, `strict` answers 500 instead (the tests run this way), `off` skips the check.
+import { z } from 'zod/v4';
+import { ErrorResponse, getOperation } from './api-schema.js';
+import { errorStatuses } from './openapi.js';
+import { logger } from './logger.js';
+
+export const RESPONSE_VALIDATION_MODES = ['off', 'warn', 'strict'];
+
+export function getResponseValidationMode(mode = process.env.API_RESPONSE_VALIDATION) {
+  if (mode === undefined || mode === '') return 'warn';
+  if (!RESPONSE_VALIDATION_MODES.includes(mode)) {
+    throw new Error(`API_RESPONSE_VALIDATION must be one of ${RESPONSE_VALIDATION_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// { path: 'body.query', message } per zod issue
+const describeIssues = (part, error) =>
+  error.issues.map(issue => ({ path: [part, ...issue.path].join('.'), message: issue.message }));
+
+// The schema a response with `status` must match, or null when the operation doesn't declare that status
+function responseSchema(operation, status) {
+  const declared = operation.responses[status];
+  if (declared) return declared.schema ?? declared;
+  return errorStatuses(operation).includes(status) ? ErrorResponse : null;
+}
+
+function checkResponses(operation, res, mode) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const schema = responseSchema(operation, res.statusCode);
+    const result = schema?.safeParse(body);
+    if (result?.success) return json(body);
+
+    const problem = schema ? z.prettifyError(result.error) : `status ${res.statusCode} is not declared`;
+    if (mode === 'strict') {
+      logger.error('Response does not match the API contract', { operation: operation.id, status: res.statusCode, problem });
+      res.status(500);
+      return json({ error: 'Invalid response', details: `${operation.id}: ${problem}` });
+    }
+    logger.warn('Response does not match the API contract', { operation: operation.id, status: res.statusCode, problem });
+    return json(body);
+  };
+}
+
+// Middleware for the route of `operationId`. `onInvalid(req)` cleans up after a rejected request, e.g.
+// removes the files multer already stored.
+export function validate(operationId, { responses = getResponseValidationMode(), onInvalid } = {}) {
+  const operation = getOperation(operationId);
+  const parts = [
+    ['params', operation.params],
+    ['query', operation.query],
+    ['body', operation.body ?? operation.form],
+  ].filter(([, schema]) => schema);
+
+  return (req, res, next) => {
+    if (responses !== 'off') checkResponses(operation, res, responses);
+
+    const issues = parts.flatMap(([part, schema]) => {
+      const result = schema.safeParse(req[part] ?? {});
+      return result.success ? [] : describeIssues(part, result.error);
+    });
+    if (issues.length === 0) return next();
+
+    onInvalid?.(req);
+    res.status(400).json({
+      error: 'Invalid request',
+      details: issues.map(({ path, message }) => `${path}: ${message}`).join('; '),
+      issues,
+    });
+  };
+}
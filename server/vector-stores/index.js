@@ -0,0 +1,58 @@
+// server/vector-stores/index.js
+// Picks the vector store backend from VECTOR_STORE ("pinecone" or "local").
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const VECTOR_STORE_BACKENDS = ['pinecone', 'local'];
+
+const defaultDataDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+// Merge `metadata` into the metadata stored with a vector. Nodes inserted through LlamaIndex also keep a
+// serialized copy (`_node_content`) that retrieval rebuilds them from, so that is patched too.
+export function mergeStoredMetadata(stored, metadata) {
+  const merged = { ...stored, ...metadata };
+  if (typeof stored._node_content === 'string') {
+    const node = JSON.parse(stored._node_content);
+    merged._node_content = JSON.stringify({ ...node, metadata: { ...node.metadata, ...metadata } });
+  }
+  return merged;
+}
+
+export function getVectorStoreBackend() {
+  return (process.env.VECTOR_STORE || 'pinecone').toLowerCase();
+}
+
+// Pinecone namespace the server reads and writes; for the local backend it selects the vectors file
+export function getNamespace() {
+  return process.env.PINECONE_NAMESPACE || '';
+}
+
+export function requiredEnvVarsFor(backend = getVectorStoreBackend()) {
+  return backend === 'pinecone' ? ['PINECONE_API_KEY', 'PINECONE_INDEX_NAME'] : [];
+}
+
+// Backends are imported lazily so local mode never loads the Pinecone SDK.
+// `embedModel` is the LlamaIndex embedding used for queries; without it LlamaIndex falls back to Settings.embedModel.
+export async function createVectorStore({ backend = getVectorStoreBackend(), embedModel, namespace = getNamespace() } = {}) {
+  switch (backend) {
+    case 'pinecone': {
+      const { PineconeAdapter } = await import('./pinecone.js');
+      return new PineconeAdapter({
+        apiKey: process.env.PINECONE_API_KEY,
+        indexName: process.env.PINECONE_INDEX_NAME,
+        namespace,
+        embedModel,
+      });
+    }
+    case 'local': {
+      const { LocalVectorStore } = await import('./local.js');
+      const dataDir = process.env.DATA_DIR || defaultDataDir;
+      return new LocalVectorStore({
+        filePath: process.env.LOCAL_VECTOR_STORE_PATH || path.join(dataDir, namespace ? `vectors.${namespace}.json` : 'vectors.json'),
+        embedModel,
+      });
+    }
+    default:
+      throw new Error(`Unknown VECTOR_STORE "${backend}" (expected one of: ${VECTOR_STORE_BACKENDS.join(', ')})`);
+  }
+}
@@ -0,0 +1,149 @@
+// server/vector-stores/local.js
+// File-backed vector store for offline development: flat cosine search over vectors persisted as JSON.
+import {
+  BaseVectorStore,
+  VectorStoreQueryMode,
+  metadataDictToNode,
+  nodeToMetadata,
+  getTopKEmbeddings,
+  getTopKMMREmbeddings,
+} from 'llamaindex';
+import { matchesFilters } from '../filters.js';
+import { mergeStoredMetadata } from './index.js';
+import { readJsonFile, writeJsonFile, fileMtime } from '../json-file.js';
+
+export class LocalVectorStore extends BaseVectorStore {
+  // Without a `filePath` the vectors only live in memory (tests)
+  constructor({ filePath = null, ...params } = {}) {
+    super(params);
+    this.storesText = true;
+    this.name = 'local';
+    this.filePath = filePath;
+    this.records = new Map();
+    this.loadedMtime = 0;
+    this.load();
+  }
+
+  // Same object serves as the LlamaIndex store and as our adapter
+  get llamaIndexStore() {
+    return this;
+  }
+
+  client() {
+    return null;
+  }
+
+  load() {
+    this.records.clear();
+    if (!this.filePath) return;
+    for (const record of readJsonFile(this.filePath)?.records || []) {
+      this.records.set(record.id, record);
+    }
+    this.loadedMtime = fileMtime(this.filePath);
+  }
+
+  // Another process (the ingest CLI) may have written the file; returns true when its changes were loaded
+  reloadIfChanged() {
+    if (!this.filePath) return false;
+    if (fileMtime(this.filePath) === this.loadedMtime) return false;
+    this.load();
+    return true;
+  }
+
+  async persist() {
+    if (!this.filePath) return;
+    // Vectors are the bulk of the file, so it isn't indented
+    writeJsonFile(this.filePath, { records: [...this.records.values()] }, { indent: 0 });
+    this.loadedMtime = fileMtime(this.filePath);
+  }
+
+  // --- LlamaIndex BaseVectorStore interface ---
+
+  async add(nodes) {
+    for (const node of nodes) {
+      this.records.set(node.id_, {
+        id: node.id_,
+        values: node.getEmbedding(),
+        metadata: nodeToMetadata(node),
+      });
+    }
+    await this.persist();
+    return nodes.map(node => node.id_);
+  }
+
+  async delete(refDocId) {
+    for (const [id, record] of this.records) {
+      if (record.metadata.ref_doc_id === refDocId || record.metadata.documentId === refDocId) {
+        this.records.delete(id);
+      }
+    }
+    await this.persist();
+  }
+
+  async query(query) {
+    const candidates = [...this.records.values()].filter(record => matchesFilters(record.metadata, query.filters));
+    if (candidates.length === 0) {
+      return { nodes: [], similarities: [], ids: [] };
+    }
+
+    const embeddings = candidates.map(record => record.values);
+    const candidateIds = candidates.map(record => record.id);
+    const [similarities, ids] = query.mode === VectorStoreQueryMode.MMR
+      ? getTopKMMREmbeddings(query.queryEmbedding, embeddings, null, query.similarityTopK, candidateIds, null, query.mmrThreshold)
+      : getTopKEmbeddings(query.queryEmbedding, embeddings, query.similarityTopK, candidateIds);
+
+    const nodes = ids.map(id => {
+      const record = this.records.get(id);
+      // Records upserted directly (not via LlamaIndex) have no _node_content, so rebuild them from flat metadata
+      const { text = '', _node_content: _content, _node_type: _type, document_id: _documentId, doc_id: _docId, ref_doc_id: _refDocId, ...metadata } = record.metadata;
+      return metadataDictToNode(record.metadata, {
+        fallback: { id_: id, text, metadata, embedding: record.values },
+      });
+    });
+
+    return { nodes, similarities, ids };
+  }
+
+  // --- Adapter interface shared with PineconeAdapter ---
+
+  // records: [{ id, values, metadata }], where metadata.text holds the chunk text
+  async upsert(records) {
+    for (const record of records) {
+      this.records.set(record.id, record);
+    }
+    await this.persist();
+  }
+
+  // Map of id -> metadata for the IDs that exist
+  async fetchMetadata(ids) {
+    return new Map(ids.filter(id => this.records.has(id)).map(id => [id, this.records.get(id).metadata]));
+  }
+
+  // updates: [{ id, metadata }], merged into the metadata of records that exist
+  async updateMetadata(updates) {
+    for (const { id, metadata } of updates) {
+      const record = this.records.get(id);
+      if (record) record.metadata = mergeStoredMetadata(record.metadata, metadata);
+    }
+    await this.persist();
+  }
+
+  async deleteByIds(ids) {
+    for (const id of ids) {
+      this.records.delete(id);
+    }
+    await this.persist();
+  }
+
+  async stats() {
+    const first = this.records.values().next().value;
+    return {
+      totalVectorCount: this.records.size,
+      dimension: first?.values?.length ?? null,
+    };
+  }
+
+  describe() {
+    return { backend: this.name, path: this.filePath ?? 'in-memory' };
+  }
+}
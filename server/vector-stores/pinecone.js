@@ -0,0 +1,78 @@
+// server/vector-stores/pinecone.js
+// Pinecone adapter: wraps the Pinecone client for direct upserts/deletes and the LlamaIndex store for retrieval.
+import { Pinecone } from '@pinecone-database/pinecone';
+import { PineconeVectorStore } from '@llamaindex/pinecone';
+import { mergeStoredMetadata } from './index.js';
+
+const UPSERT_BATCH_SIZE = 100;
+// Pinecone caps deleteMany at 1000 IDs per call
+const DELETE_BATCH_SIZE = 1000;
+// fetch takes the IDs in the URL, so keep batches small
+const FETCH_BATCH_SIZE = 100;
+
+export class PineconeAdapter {
+  constructor({ apiKey, indexName, namespace = '', embedModel }) {
+    this.name = 'pinecone';
+    this.indexName = indexName;
+    this.namespace = namespace;
+    this.client = new Pinecone({ apiKey });
+    this.llamaIndexStore = new PineconeVectorStore({ apiKey, indexName, namespace, embedModel });
+  }
+
+  // Scoped to the same namespace the LlamaIndex store reads from
+  index() {
+    return this.client.index(this.indexName).namespace(this.namespace);
+  }
+
+  // records: [{ id, values, metadata }], where metadata.text holds the chunk text
+  async upsert(records) {
+    const index = this.index();
+    for (let i = 0; i < records.length; i += UPSERT_BATCH_SIZE) {
+      await index.upsert(records.slice(i, i + UPSERT_BATCH_SIZE));
+    }
+  }
+
+  // Map of id -> metadata for the IDs that exist
+  async fetchMetadata(ids) {
+    const index = this.index();
+    const found = new Map();
+    for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+      const { records = {} } = await index.fetch(ids.slice(i, i + FETCH_BATCH_SIZE));
+      for (const [id, record] of Object.entries(records)) {
+        found.set(id, record.metadata || {});
+      }
+    }
+    return found;
+  }
+
+  // updates: [{ id, metadata }], merged into the metadata of records that exist. Pinecone merges top-level
+  // fields itself, but the serialized node has to be read and written back whole.
+  async updateMetadata(updates) {
+    const index = this.index();
+    const stored = await this.fetchMetadata(updates.map(update => update.id));
+    for (const { id, metadata } of updates) {
+      if (!stored.has(id)) continue;
+      await index.update({ id, metadata: mergeStoredMetadata(stored.get(id), metadata) });
+    }
+  }
+
+  async deleteByIds(ids) {
+    const index = this.index();
+    for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+      await index.deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+    }
+  }
+
+  async stats() {
+    const stats = await this.client.index(this.indexName).describeIndexStats();
+    return {
+      totalVectorCount: stats.totalRecordCount ?? stats.totalVectorCount ?? 0,
+      dimension: stats.dimension ?? null,
+      namespaces: stats.namespaces,
+    };
+  }
+
+  describe() {
+    return { backend: this.name, index: this.indexName, namespace: this.namespace };
+  }
+}
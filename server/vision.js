@@ -0,0 +1,166 @@
+// server/vision.js
+// Vision engines that turn an image (an uploaded screenshot or scan, or a figure embedded in a PDF) into
+// text that can be chunked and indexed: a short caption of what it shows plus the text in it.
+//   llm:       sends the image to the chat model, which must accept images (Gemini and GPT-4o models do)
+//   tesseract: local OCR with the tesseract CLI (TESSERACT_PATH, default "tesseract"; TESSERACT_LANG,
+//              default "eng"); no captions, and nothing leaves the machine
+//   stub:      describes the image by its name and size without looking at it, for offline runs and tests
+// VISION_ENGINE=off (the default) turns images off: image formats aren't accepted and PDFs are read for
+// their text only, so nothing is sent to a model that may not take images.
+import { spawn } from 'child_process';
+import { HumanMessage } from '@langchain/core/messages';
+import { mergeConfig, readEnv } from './config.js';
+import { contentText } from './providers/index.js';
+
+export const DEFAULT_VISION = {
+  engine: 'off',
+  maxPdfImages: 20,   // images described per PDF; the rest are skipped
+  minImageSize: 80,   // PDF images this many pixels wide or high (or smaller) are icons and rules, not content
+};
+
+const ENV_KEYS = {
+  engine: 'VISION_ENGINE',
+  maxPdfImages: 'VISION_MAX_PDF_IMAGES',
+  minImageSize: 'VISION_MIN_IMAGE_SIZE',
+};
+
+const engines = new Map();
+
+// engine: { requiredEnv(), describe({ buffer, mimeType, filename, page? }, { llm }) -> Promise<{ caption, text }> }
+// Either field may be empty; an image with neither isn't indexed.
+export function registerVisionEngine(name, engine) {
+  engines.set(name, engine);
+}
+
+export function getVisionEngine(name) {
+  const engine = engines.get(name);
+  if (!engine) {
+    throw new Error(`Unknown vision engine "${name}" (expected one of: off, ${[...engines.keys()].join(', ')})`);
+  }
+  return engine;
+}
+
+// Defaults, then environment (see mergeConfig)
+export function getVisionConfig() {
+  const config = mergeConfig(DEFAULT_VISION, [readEnv(ENV_KEYS)]);
+
+  config.maxPdfImages = Number(config.maxPdfImages);
+  config.minImageSize = Number(config.minImageSize);
+
+  if (!Number.isInteger(config.maxPdfImages) || config.maxPdfImages < 0) {
+    throw new Error('maxPdfImages must be a non-negative integer');
+  }
+  if (!Number.isInteger(config.minImageSize) || config.minImageSize < 0) {
+    throw new Error('minImageSize must be a non-negative integer');
+  }
+  if (config.engine !== 'off') {
+    const missing = getVisionEngine(config.engine).requiredEnv();
+    if (missing.length > 0) {
+      throw new Error(`The ${config.engine} vision engine needs ${missing.join(', ')}`);
+    }
+  }
+
+  return config;
+}
+
+// Whether image formats are accepted at all. Reads the environment without validating it, so a bad
+// VISION_ENGINE fails the ingestion with its error instead of every format lookup.
+export const isVisionEnabled = () => (process.env.VISION_ENGINE || DEFAULT_VISION.engine) !== 'off';
+
+// What the loaders get to read images with: { describe(image), maxPdfImages, minImageSize },
+// or null when VISION_ENGINE=off. `llm` is only called by the llm engine.
+export function createVision({ llm, config = getVisionConfig() } = {}) {
+  if (config.engine === 'off') return null;
+  const engine = getVisionEngine(config.engine);
+  return {
+    maxPdfImages: config.maxPdfImages,
+    minImageSize: config.minImageSize,
+    describe: async (image) => {
+      const { caption = '', text = '' } = await engine.describe(image, { llm });
+      return { caption: caption.trim(), text: text.trim() };
+    },
+  };
+}
+
+// PNG and JPEG by their first bytes, since uploads often arrive as application/octet-stream
+export function imageMimeType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  return null;
+}
+
+const LLM_PROMPT = `Describe this image for a search index. Reply in exactly this form:
+CAPTION: <one or two sentences on what the image is and shows, e.g. "A screenshot of ..." or "An architecture diagram of ...">
+TEXT:
+<every piece of text visible in the image, transcribed line by line, or "none">`;
+
+// Splits a reply in the LLM_PROMPT form; a reply that ignored the form is used as the caption
+export function parseDescription(reply) {
+  const caption = reply.match(/^\s*CAPTION:\s*(.*)$/im);
+  const text = reply.match(/^\s*TEXT:[ \t]*\n?([\s\S]*)$/im);
+  if (!caption && !text) return { caption: reply, text: '' };
+  const transcribed = text?.[1].trim() ?? '';
+  return {
+    caption: caption?.[1] ?? '',
+    text: /^none\.?$/i.test(transcribed) ? '' : transcribed,
+  };
+}
+
+export const llmVisionEngine = {
+  requiredEnv: () => [],
+
+  async describe({ buffer, mimeType }, { llm }) {
+    const response = await llm.invoke([new HumanMessage({
+      content: [
+        { type: 'text', text: LLM_PROMPT },
+        { type: 'image_url', image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}` } },
+      ],
+    })]);
+    return parseDescription(contentText(response.content));
+  },
+};
+
+export const tesseractVisionEngine = {
+  requiredEnv: () => [],
+
+  // tesseract reads the image from stdin and writes the recognized text to stdout
+  describe({ buffer }) {
+    const command = process.env.TESSERACT_PATH || 'tesseract';
+    const args = ['stdin', 'stdout', '-l', process.env.TESSERACT_LANG || 'eng'];
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      const stdout = [];
+      const stderr = [];
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr.push(chunk));
+      child.on('error', error => reject(new Error(`Could not run ${command}: ${error.message}`)));
+      child.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`${command} exited with ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+          return;
+        }
+        resolve({ caption: '', text: Buffer.concat(stdout).toString() });
+      });
+      // An early exit (e.g. an unreadable image) closes stdin under us; the exit code reports it
+      child.stdin.on('error', () => {});
+      child.stdin.end(buffer);
+    });
+  },
+};
+
+export const stubVisionEngine = {
+  requiredEnv: () => [],
+
+  async describe({ buffer, mimeType, filename, page }) {
+    const where = page ? ` on page ${page} of ${filename}` : ` ${filename}`;
+    return { caption: `An image${where} (${mimeType}, ${buffer.length} bytes)`, text: '' };
+  },
+};
+
+registerVisionEngine('llm', llmVisionEngine);
+registerVisionEngine('tesseract', tesseractVisionEngine);
+registerVisionEngine('stub', stubVisionEngine);
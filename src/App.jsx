@@ -1,5 +1,36 @@
 import React,{ useState, useEffect } from 'react';
-import { streamAgent, uploadDocuments } from './services/agentService';
+import {
+  streamAgent, uploadDocuments, watchJob, getSupportedFormats, getConversation, getCurrentUser, getApiKey, setApiKey,
+  listPrompts, getHealth,
+} from './services/agentService';
+import DocumentsPanel from './components/DocumentsPanel';
+import ConversationSidebar from './components/ConversationSidebar';
+import AnswerText from './components/AnswerText';
+import SourceViewer from './components/SourceViewer';
+import SourceThumbnail from './components/SourceThumbnail';
+import UploadProgress from './components/UploadProgress';
+import AgentSteps from './components/AgentSteps';
+import HealthStatus from './components/HealthStatus';
+
+// Remembers the open conversation across page reloads
+const ACTIVE_CONVERSATION_KEY = 'activeConversationId';
+
+// Remembers the chosen persona (prompt template); empty means the server's default
+const PROMPT_KEY = 'promptId';
+
+// Remembers whether questions go to the tool-calling agent
+const AGENT_MODE_KEY = 'agentMode';
+
+// Health polling intervals once the server is ready, and while it is not
+const HEALTH_POLL_MS = 30000;
+const HEALTH_RETRY_MS = 5000;
+
+// Server messages -> the ["human", text] / ["ai", text, sources, { citations, grounding, prompt, steps }] tuples the chat view renders
+const toChatHistory = (messages) => messages.map(msg =>
+  msg.role === 'ai'
+    ? ['ai', msg.content, msg.sources || [], { citations: msg.citations, grounding: msg.grounding, prompt: msg.prompt, steps: msg.steps }]
+    : ['human', msg.content]
+);
 
 const sampleDocuments = [
   "Gemini 2.5 Flash is a fast and efficient language model.",
@@ -11,48 +42,131 @@ const sampleDocuments = [
 function App() {
   const [query, setQuery] = useState('');
   const [chatHistory, setChatHistory] = useState([]);
-  const [dbStatus, setDbStatus] = useState('Checking...');
+  const [health, setHealth] = useState(null);
   const [loading, setLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
-  const [uploadMsg, setUploadMsg] = useState('');
+  const [uploadJob, setUploadJob] = useState(null);
+  const [uploadError, setUploadError] = useState('');
+  const [acceptTypes, setAcceptTypes] = useState('');
+  const [showDocuments, setShowDocuments] = useState(false);
+  const [documentsVersion, setDocumentsVersion] = useState(0);
+  const [conversationId, setConversationId] = useState(() => localStorage.getItem(ACTIVE_CONVERSATION_KEY));
+  const [conversationsVersion, setConversationsVersion] = useState(0);
+  const [scopedDocumentIds, setScopedDocumentIds] = useState([]);
+  const [openSource, setOpenSource] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [authVersion, setAuthVersion] = useState(0);
+  const [prompts, setPrompts] = useState([]);
+  const [promptId, setPromptId] = useState(() => localStorage.getItem(PROMPT_KEY) || '');
+  const [agentMode, setAgentMode] = useState(() => localStorage.getItem(AGENT_MODE_KEY) === 'true');
+
+  const toggleAgentMode = (enabled) => {
+    setAgentMode(enabled);
+    localStorage.setItem(AGENT_MODE_KEY, String(enabled));
+  };
+
+  const selectPrompt = (id) => {
+    setPromptId(id);
+    if (id) {
+      localStorage.setItem(PROMPT_KEY, id);
+    } else {
+      localStorage.removeItem(PROMPT_KEY);
+    }
+  };
+
+  const selectConversation = (id) => {
+    setConversationId(id);
+    if (id) {
+      localStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
+    } else {
+      localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+    }
+  };
+
+  const loadConversation = async (id) => {
+    try {
+      const conversation = await getConversation(id);
+      setChatHistory(toChatHistory(conversation.messages));
+      selectConversation(id);
+    } catch (err) {
+      console.error('Failed to load conversation:', err);
+      selectConversation(null);
+      setChatHistory([]);
+    }
+  };
+
+  const startNewConversation = () => {
+    selectConversation(null);
+    setChatHistory([]);
+  };
 
   useEffect(() => {
-    // Simple health check: call your API once to confirm connection
-    const checkDb = async () => {
-        try {
-          const res = await fetch('http://localhost:3001/api/query', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query: "test" }), // dummy query
-          });
-          if (res.ok) {
-            setDbStatus('Connected');
-          } else {
-            setDbStatus('Failed to connect');
-          }
-        } catch (e) {
-          setDbStatus('Failed to connect');
-        }
-      };
-      checkDb();
+    // Restore the conversation that was open before the reload; forget it if it's gone
+    const storedId = localStorage.getItem(ACTIVE_CONVERSATION_KEY);
+    if (!storedId) return;
+    getConversation(storedId)
+      .then(conversation => setChatHistory(toChatHistory(conversation.messages)))
+      .catch(() => {
+        localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+        setConversationId(null);
+      });
   }, []);
 
-  // In your App.jsx useEffect
   useEffect(() => {
-    const checkDb = async () => {
+    // Let the server decide which file types the picker offers
+    getSupportedFormats()
+      .then(({ accept }) => setAcceptTypes(accept))
+      .catch(err => console.error('Failed to load supported formats:', err));
+  }, []);
+
+  useEffect(() => {
+    // Personas to pick from; a remembered one that was deleted falls back to the default
+    listPrompts()
+      .then(({ prompts: available }) => {
+        setPrompts(available);
+        setPromptId(current => (available.some(prompt => prompt.id === current) ? current : ''));
+      })
+      .catch(err => console.error('Failed to load prompt templates:', err));
+  }, [authVersion]);
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(({ user }) => setCurrentUser(user))
+      .catch(() => setCurrentUser(null));
+  }, [authVersion]);
+
+  // Ask for an API key and reload everything that depends on who the caller is
+  const changeApiKey = () => {
+    const key = window.prompt('API key (leave empty to sign out)', getApiKey());
+    if (key === null) return;
+    setApiKey(key.trim());
+    setAuthVersion(version => version + 1);
+    setDocumentsVersion(version => version + 1);
+    setConversationsVersion(version => version + 1);
+    setScopedDocumentIds([]);
+    startNewConversation();
+  };
+
+  // Poll readiness: often while the server is starting or degraded, rarely once it is up
+  useEffect(() => {
+    let timer;
+    let cancelled = false;
+    const poll = async () => {
+      let next;
       try {
-        const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3001';
-        const response = await fetch(`${API_BASE}/api/health`);
-        if (response.ok) {
-          setDbStatus('Connected');
-        } else {
-          setDbStatus('Connection Failed');
-        }
-      } catch (e) {
-        setDbStatus('Connection Failed');
+        next = await getHealth();
+      } catch {
+        next = { status: 'unreachable', ready: false };
       }
+      if (cancelled) return;
+      setHealth(next);
+      timer = setTimeout(poll, next.status === 'ok' ? HEALTH_POLL_MS : HEALTH_RETRY_MS);
+    };
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
     };
-    checkDb();
   }, []);
 
   const handleQuery = async (event) => {
@@ -73,31 +187,44 @@ function App() {
 
     setQuery("");
 
-    try {
-      // The streamAgent function now handles the entire RAG pipeline
-      const { response: finalAnswer, sources } = await streamAgent({
-        input: query,
-        chat_history: nextHistory,
-      });
-
+    // Replace (rather than mutate) the placeholder AI message so StrictMode's
+    // double-invoked updaters don't append the same token twice
+    const updateLastMessage = (update) => {
       setChatHistory(prevHistory => {
         const historyCopy = [...prevHistory];
         const lastMessageIndex = historyCopy.length - 1;
-        
-        // Update the last message with the final answer and sources
-        historyCopy[lastMessageIndex][1] = finalAnswer;
-        historyCopy[lastMessageIndex][2] = sources;
+        historyCopy[lastMessageIndex] = update(historyCopy[lastMessageIndex]);
         return historyCopy;
       });
+    };
+
+    try {
+      // Sources arrive first, then the answer token by token
+      for await (const event of streamAgent({
+        input: query,
+        conversationId,
+        filters: scopedDocumentIds.length > 0 ? { documentId: { in: scopedDocumentIds } } : undefined,
+        promptId: promptId || undefined,
+        agent: agentMode,
+      })) {
+        if (event.type === 'step') {
+          // Agent tool calls arrive before the sources and the answer
+          updateLastMessage(([role, content, sources, meta = {}]) => [role, content, sources, { ...meta, steps: [...(meta.steps || []), event.step] }]);
+        } else if (event.type === 'sources') {
+          updateLastMessage(([role, content, , meta]) => [role, content, event.sources, meta]);
+        } else if (event.type === 'token') {
+          updateLastMessage(([role, content, sources, meta]) => [role, content + event.text, sources, meta]);
+        } else if (event.type === 'done') {
+          updateLastMessage(([role, content, sources]) => [role, content, sources, { citations: event.citations, grounding: event.grounding, prompt: event.prompt, steps: event.steps, cache: event.cache }]);
+          selectConversation(event.conversationId);
+        }
+      }
     } catch (error) {
       console.error("Error during agent response:", error);
-      setChatHistory(prevHistory => {
-        const historyCopy = [...prevHistory];
-        historyCopy[historyCopy.length - 1][1] = "Sorry, an error occurred while processing your request.";
-        return historyCopy;
-      });
+      updateLastMessage(([role, , sources, meta]) => [role, "Sorry, an error occurred while processing your request.", sources, meta]);
     } finally {
       setLoading(false);
+      setConversationsVersion(v => v + 1);
     }
   };
 
@@ -105,12 +232,17 @@ function App() {
     const files = e.target.files;
     if (!files || files.length === 0) return;
     setUploading(true);
-    setUploadMsg('');
+    setUploadJob(null);
+    setUploadError('');
     try {
-      const result = await uploadDocuments(files);
-      setUploadMsg(`Uploaded ${result.ingested?.length || 0} file(s) successfully.`);
+      const { jobId, job } = await uploadDocuments(files);
+      setUploadJob(job);
+      // New documents show up in the list as soon as their records exist; chunk counts once the job is done
+      setDocumentsVersion(v => v + 1);
+      await watchJob(jobId, setUploadJob);
+      setDocumentsVersion(v => v + 1);
     } catch (err) {
-      setUploadMsg(`Upload failed: ${err.message}`);
+      setUploadError(err.message);
     } finally {
       setUploading(false);
       e.target.value = '';
@@ -123,11 +255,25 @@ function App() {
         <h1 className="text-2xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-blue-400 to-purple-600">
           Agent
         </h1>
-        <p className={`text-sm mt-1 font-bold ${dbStatus === 'Connected' ? 'text-green-400' : 'text-red-400'}`}>
-          Vector DB Status: {dbStatus}
+        <HealthStatus health={health} />
+        <p className="text-xs mt-1 text-gray-400">
+          {currentUser ? `Signed in as ${currentUser.name} (${currentUser.role})` : 'Not signed in'}
+          <button type="button" className="ml-2 text-blue-400 hover:underline" onClick={changeApiKey}>
+            API key
+          </button>
         </p>
       </header>
 
+      <div className="flex flex-1 min-h-0">
+      <ConversationSidebar
+        activeId={conversationId}
+        refreshKey={conversationsVersion}
+        onSelect={loadConversation}
+        onNew={startNewConversation}
+        onDeleted={(id) => id === conversationId && startNewConversation()}
+      />
+
+      <div className="flex flex-col flex-1 min-w-0">
       <div className="flex-3 overflow-y-auto p-6 space-y-4">
         {chatHistory.length === 0 ? (
           <div className="text-center text-gray-500 mt-10">Start a conversation with the agent.</div>
@@ -135,11 +281,55 @@ function App() {
           chatHistory.map((msg, index) => {
             const role = Array.isArray(msg) ? msg[0] : msg.role;
             const content = Array.isArray(msg) ? msg[1] : msg.content;
-            const sources = Array.isArray(msg) ? msg[2] : [];
+            const sources = (Array.isArray(msg) ? msg[2] : []) || [];
+            const { citations, grounding, prompt, steps, cache } = (Array.isArray(msg) && msg[3]) || {};
+            const persona = prompt && prompts.find(candidate => candidate.id === prompt.id);
+            const showSource = (sourceId) => {
+              const source = sources.find(src => src.id === sourceId);
+              if (source) setOpenSource(source);
+            };
+            // Images (screenshots, scans, PDF figures) behind the sources the answer cites, or behind every
+            // source while its citations aren't known yet
+            const imageSources = sources.filter(source => source.assetId && source.documentId
+              && (!citations?.length || citations.some(citation => citation.sourceId === source.id)));
             return (
               <div key={index} className={`mb-4 p-3 rounded-lg ${role === 'human' ? 'bg-blue-600 text-right self-end' : 'bg-slate-700 self-start'}`}>
-                <p className="font-semibold">{role === 'human' ? 'You' : 'Agent'}:</p>
-                <p className="whitespace-pre-wrap">{content}</p>
+                <p className="font-semibold">
+                  {role === 'human' ? 'You' : 'Agent'}
+                  {persona && <span className="ml-1 text-xs font-normal text-gray-400">({persona.name}, v{prompt.version})</span>}
+                  {cache?.hit && (
+                    <span className="ml-1 text-xs font-normal text-gray-400" title={`Answered earlier for "${cache.query}"`}>(cached)</span>
+                  )}:
+                </p>
+                {role === 'ai' && (
+                  <AgentSteps steps={steps} onCite={showSource} running={loading && index === chatHistory.length - 1} />
+                )}
+                {role === 'ai' ? (
+                  <AnswerText content={content} citations={citations} grounding={grounding} onCite={showSource} />
+                ) : (
+                  <p className="whitespace-pre-wrap">{content}</p>
+                )}
+
+                {role === 'ai' && grounding?.unsupportedCount > 0 && (
+                  <p className="mt-2 text-xs text-amber-400">
+                    ⚠ {grounding.unsupportedCount} underlined sentence(s) aren't supported by the retrieved sources.
+                  </p>
+                )}
+
+                {role === 'ai' && imageSources.length > 0 && (
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {imageSources.map(source => (
+                      <button
+                        key={source.id}
+                        type="button"
+                        title={`Source ${source.id}: ${source.filename}`}
+                        onClick={() => setOpenSource(source)}
+                      >
+                        <SourceThumbnail source={source} />
+                      </button>
+                    ))}
+                  </div>
+                )}
 
                 {role === 'ai' && sources.length > 0 && (
                   <div className="mt-2 text-xs text-gray-400">
@@ -147,8 +337,12 @@ function App() {
                     <ul className="list-disc list-inside">
                       {sources.map((source, srcIndex) => (
                         <li key={srcIndex}>
-                          {source.content}
-                          {/*source.similarity && ` (Similarity: ${source.similarity})`*/}
+                          <button type="button" className="text-left hover:text-gray-200" onClick={() => setOpenSource(source)}>
+                            <span className="font-semibold">[{source.id}]</span>
+                            {source.filename && <span> {source.filename}</span>}
+                            {' '}{source.content}
+                            {source.similarity != null && ` (Score: ${source.similarity})`}
+                          </button>
                         </li>
                       ))}
                     </ul>
@@ -164,11 +358,62 @@ function App() {
       <div className="p-4 bg-slate-800 flex items-center gap-4">
         <label className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold px-4 py-2 rounded cursor-pointer">
           {uploading ? 'Uploading...' : 'Upload Documents'}
-          <input type="file" className="hidden" multiple onChange={handleUpload} accept=".txt,.md,.markdown" disabled={uploading} />
+          <input type="file" className="hidden" multiple onChange={handleUpload} accept={acceptTypes} disabled={uploading} />
         </label>
-        {uploadMsg && <span className="text-sm text-gray-300">{uploadMsg}</span>}
+        <label className="text-sm text-gray-300 flex items-center gap-2" title="Let the agent search, read documents and calculate over several steps">
+          <input type="checkbox" checked={agentMode} onChange={(e) => toggleAgentMode(e.target.checked)} />
+          Agent mode
+        </label>
+        <label className={`text-sm text-gray-300 flex items-center gap-2 ${agentMode ? 'opacity-50' : ''}`}>
+          Persona
+          <select
+            className="bg-slate-700 text-white rounded px-2 py-2"
+            value={promptId}
+            onChange={(e) => selectPrompt(e.target.value)}
+            disabled={agentMode}
+            title={prompts.find(prompt => prompt.id === promptId)?.description || 'The server\'s default prompt'}
+          >
+            <option value="">Default</option>
+            {prompts.map(prompt => (
+              <option key={prompt.id} value={prompt.id}>{prompt.name}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          className="ml-auto bg-slate-700 hover:bg-slate-600 text-white font-semibold px-4 py-2 rounded"
+          onClick={() => setShowDocuments(show => !show)}
+        >
+          {showDocuments ? 'Hide Documents' : 'Documents'}
+        </button>
       </div>
 
+      <UploadProgress
+        job={uploadJob}
+        error={uploadError}
+        onDismiss={() => {
+          setUploadJob(null);
+          setUploadError('');
+        }}
+      />
+
+      {showDocuments && (
+        <DocumentsPanel
+          refreshKey={documentsVersion}
+          scopedIds={scopedDocumentIds}
+          onScopeChange={setScopedDocumentIds}
+        />
+      )}
+
+      {scopedDocumentIds.length > 0 && (
+        <div className="px-4 py-2 bg-slate-800 border-t border-slate-700 text-sm text-gray-300 flex items-center gap-2">
+          <span>Answering only from {scopedDocumentIds.length} selected document(s).</span>
+          <button type="button" className="text-blue-400 hover:underline" onClick={() => setScopedDocumentIds([])}>
+            Search all documents
+          </button>
+        </div>
+      )}
+
       <form className="flex-1 flex flex-col min-h-0 relative" onSubmit={handleQuery}>
         <textarea
           className=" px-4 py-2 text-white bg-slate-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
@@ -180,11 +425,15 @@ function App() {
         <button
           type="submit"
           className="py-3 px-6 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
-          disabled={loading || dbStatus !== 'Connected'}
+          disabled={loading || !health?.ready}
         >
           {loading ? 'Thinking...' : 'Send'}
         </button>
       </form>
+      </div>
+      </div>
+
+      {openSource && <SourceViewer source={openSource} onClose={() => setOpenSource(null)} />}
     </div>
   );
 }
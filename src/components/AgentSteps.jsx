@@ -0,0 +1,47 @@
+import React from 'react';
+
+// "query: "zebras", filename: "a.txt"": a tool call's arguments on one line
+const describeArgs = (args = {}) => Object.entries(args)
+  .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+  .join(', ');
+
+// The tool calls an agent answer was built from, one collapsible step each.
+// `onCite` opens a source the step retrieved.
+function AgentSteps({ steps, onCite, running = false }) {
+  if (!steps || steps.length === 0) return null;
+
+  return (
+    <details className="mt-2 text-xs text-gray-300" open={running}>
+      <summary className="cursor-pointer text-gray-400 hover:text-gray-200">
+        {running ? `Working… ${steps.length} tool call(s) so far` : `${steps.length} tool call(s)`}
+      </summary>
+      <ol className="mt-1 space-y-1">
+        {steps.map(step => (
+          <li key={step.index}>
+            <details className="bg-slate-800 rounded px-2 py-1">
+              <summary className="cursor-pointer">
+                <span className="text-gray-500">{step.index}.</span>{' '}
+                <span className={`font-mono ${step.error ? 'text-red-400' : 'text-purple-300'}`}>{step.tool}</span>
+                <span className="text-gray-400">({describeArgs(step.args)})</span>
+                {step.durationMs !== undefined && <span className="ml-1 text-gray-500">{step.durationMs} ms</span>}
+              </summary>
+              {step.sourceIds?.length > 0 && (
+                <p className="mt-1">
+                  Sources:{' '}
+                  {step.sourceIds.map(id => (
+                    <button key={id} type="button" className="mr-1 text-blue-400 hover:underline" onClick={() => onCite(id)}>
+                      [{id}]
+                    </button>
+                  ))}
+                </p>
+              )}
+              <pre className="mt-1 whitespace-pre-wrap text-gray-400 max-h-48 overflow-y-auto">{step.error ? `Error: ${step.error}` : step.output}</pre>
+            </details>
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+export default AgentSteps;
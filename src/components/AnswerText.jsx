@@ -0,0 +1,67 @@
+import React from 'react';
+
+// Renders an answer with its citation markers ([1], [Source 2]) as clickable superscripts and
+// underlines sentences the grounding check found no support for.
+// `citations` and `grounding` come from the server once the answer is complete; until then
+// the text is shown as is.
+function AnswerText({ content, citations = [], grounding, onCite }) {
+  // One marker span can cite several sources ("[1, 3]")
+  const markers = new Map();
+  for (const citation of citations) {
+    const marker = markers.get(citation.start) || { start: citation.start, end: citation.end, sourceIds: [] };
+    marker.sourceIds.push(citation.sourceId);
+    markers.set(citation.start, marker);
+  }
+  const unsupported = (grounding?.sentences || []).filter(sentence => !sentence.supported);
+
+  const boundaries = new Set([0, content.length]);
+  for (const { start, end } of [...markers.values(), ...unsupported]) {
+    boundaries.add(start);
+    boundaries.add(end);
+  }
+  const points = [...boundaries].filter(point => point <= content.length).sort((a, b) => a - b);
+
+  const parts = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const [start, end] = [points[i], points[i + 1]];
+    if (start === end) continue;
+
+    const marker = markers.get(start);
+    if (marker) {
+      parts.push(
+        <sup key={start} className="mx-0.5">
+          {marker.sourceIds.map(sourceId => (
+            <button
+              key={sourceId}
+              type="button"
+              className="text-blue-300 hover:text-blue-100 hover:underline font-semibold px-0.5"
+              onClick={() => onCite(sourceId)}
+              title={`Show source ${sourceId}`}
+            >
+              {sourceId}
+            </button>
+          ))}
+        </sup>
+      );
+      continue;
+    }
+
+    const text = content.slice(start, end);
+    const isUnsupported = unsupported.some(sentence => start >= sentence.start && end <= sentence.end);
+    parts.push(isUnsupported ? (
+      <span
+        key={start}
+        className="underline decoration-dotted decoration-amber-400 underline-offset-4"
+        title="None of the retrieved sources supports this sentence"
+      >
+        {text}
+      </span>
+    ) : (
+      <React.Fragment key={start}>{text}</React.Fragment>
+    ));
+  }
+
+  return <p className="whitespace-pre-wrap">{parts}</p>;
+}
+
+export default AnswerText;
@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { listConversations, renameConversation, deleteConversation } from '../services/agentService';
+
+// Past conversations stored on the server. `refreshKey` changes whenever the parent
+// knows the list is stale (a message was sent, a conversation was created).
+function ConversationSidebar({ activeId, refreshKey, onSelect, onNew, onDeleted }) {
+  const [conversations, setConversations] = useState([]);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      const { conversations } = await listConversations();
+      setConversations(conversations);
+      setError('');
+    } catch (err) {
+      setError(`Failed to load conversations: ${err.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  const handleRename = async (conversation) => {
+    const title = window.prompt('Rename conversation', conversation.title);
+    if (!title || !title.trim() || title === conversation.title) return;
+    try {
+      await renameConversation(conversation.id, title.trim());
+      await refresh();
+    } catch (err) {
+      setError(`Rename failed: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (conversation) => {
+    if (!window.confirm(`Delete "${conversation.title}"?`)) return;
+    try {
+      await deleteConversation(conversation.id);
+      onDeleted(conversation.id);
+      await refresh();
+    } catch (err) {
+      setError(`Delete failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <aside className="w-64 shrink-0 bg-slate-800 border-r border-slate-700 flex flex-col min-h-0">
+      <button
+        type="button"
+        className="m-3 py-2 px-4 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded"
+        onClick={onNew}
+      >
+        New chat
+      </button>
+      {error && <p className="px-3 text-xs text-red-400">{error}</p>}
+      <ul className="flex-1 overflow-y-auto px-2 pb-3 space-y-1 text-sm">
+        {conversations.map(conversation => (
+          <li
+            key={conversation.id}
+            className={`group rounded px-2 py-2 flex items-center gap-1 ${conversation.id === activeId ? 'bg-slate-600' : 'hover:bg-slate-700'}`}
+          >
+            <button type="button" className="flex-1 min-w-0 text-left" onClick={() => onSelect(conversation.id)}>
+              <p className="truncate font-semibold">{conversation.title}</p>
+              <p className="truncate text-xs text-gray-400">{conversation.preview || 'No messages yet'}</p>
+            </button>
+            <button
+              type="button"
+              className="hidden group-hover:block text-xs text-gray-300 hover:text-white"
+              onClick={() => handleRename(conversation)}
+              title="Rename"
+            >
+              ✎
+            </button>
+            <button
+              type="button"
+              className="hidden group-hover:block text-xs text-gray-300 hover:text-red-400"
+              onClick={() => handleDelete(conversation)}
+              title="Delete"
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default ConversationSidebar;
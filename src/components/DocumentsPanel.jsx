@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { listDocuments, getDocument, deleteDocument, reindexDocument } from '../services/agentService';
+
+// Browse, inspect, re-index and delete uploaded documents.
+// `refreshKey` changes whenever the parent knows the list is stale (e.g. after an upload).
+// Checked documents (`scopedIds`) restrict what the chat retrieves from.
+function DocumentsPanel({ refreshKey, scopedIds = [], onScopeChange }) {
+  const [documents, setDocuments] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      const { documents } = await listDocuments();
+      setDocuments(documents);
+      setError('');
+    } catch (err) {
+      setError(`Failed to load documents: ${err.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  const handleInspect = async (id) => {
+    if (selected?.id === id) {
+      setSelected(null);
+      return;
+    }
+    try {
+      setSelected(await getDocument(id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Delete "${doc.filename}" and its ${doc.chunkCount} chunk(s) from the index?`)) return;
+    setBusyId(doc.id);
+    try {
+      await deleteDocument(doc.id);
+      if (selected?.id === doc.id) setSelected(null);
+      if (scopedIds.includes(doc.id)) onScopeChange(scopedIds.filter(id => id !== doc.id));
+      await refresh();
+    } catch (err) {
+      setError(`Delete failed: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReindex = async (doc) => {
+    setBusyId(doc.id);
+    try {
+      await reindexDocument(doc.id);
+      if (selected?.id === doc.id) setSelected(await getDocument(doc.id));
+      await refresh();
+    } catch (err) {
+      setError(`Re-index failed: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const toggleScope = (id) => {
+    onScopeChange(scopedIds.includes(id) ? scopedIds.filter(scopedId => scopedId !== id) : [...scopedIds, id]);
+  };
+
+  return (
+    <div className="p-4 bg-slate-800 border-t border-slate-700 max-h-80 overflow-y-auto text-sm">
+      {error && <p className="text-red-400 mb-2">{error}</p>}
+      {documents.length === 0 ? (
+        <p className="text-gray-400">No documents uploaded yet.</p>
+      ) : (
+        <ul className="space-y-2">
+          {documents.map(doc => (
+            <li key={doc.id} className="bg-slate-700 rounded p-2">
+              <div className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  className="accent-blue-500"
+                  checked={scopedIds.includes(doc.id)}
+                  onChange={() => toggleScope(doc.id)}
+                  title="Only answer from checked documents"
+                />
+                <button type="button" className="flex-1 text-left hover:underline" onClick={() => handleInspect(doc.id)}>
+                  <span className="font-semibold">{doc.filename}</span>
+                  <span className="text-gray-400"> · {doc.fileType} · {doc.chunkCount} chunk(s) · {new Date(doc.createdAt).toLocaleString()}</span>
+                </button>
+                <button
+                  type="button"
+                  className="px-2 py-1 rounded bg-slate-600 hover:bg-slate-500 disabled:opacity-50"
+                  onClick={() => handleReindex(doc)}
+                  disabled={busyId === doc.id}
+                >
+                  Re-index
+                </button>
+                <button
+                  type="button"
+                  className="px-2 py-1 rounded bg-red-700 hover:bg-red-600 disabled:opacity-50"
+                  onClick={() => handleDelete(doc)}
+                  disabled={busyId === doc.id}
+                >
+                  Delete
+                </button>
+              </div>
+
+              {selected?.id === doc.id && (
+                <ol className="mt-2 space-y-1 text-xs text-gray-300">
+                  {selected.chunks.map(chunk => (
+                    <li key={chunk.id} className="bg-slate-800 rounded p-2">
+                      <p className="text-gray-400">
+                        #{chunk.metadata.chunkIndex}
+                        {chunk.metadata.page && ` · page ${chunk.metadata.page}`}
+                        {chunk.metadata.headingPath && ` · ${chunk.metadata.headingPath}`}
+                        {` · chars ${chunk.metadata.startChar}–${chunk.metadata.endChar}`}
+                      </p>
+                      <p className="whitespace-pre-wrap">{chunk.text}</p>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DocumentsPanel;
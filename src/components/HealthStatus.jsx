@@ -0,0 +1,53 @@
+import React from 'react';
+
+const COMPONENTS = [
+  { key: 'vectorStore', label: 'Vector store' },
+  { key: 'embeddings', label: 'Embeddings' },
+  { key: 'chatModel', label: 'Chat model' },
+];
+
+const OVERALL_LABELS = {
+  ok: 'Ready',
+  starting: 'Starting...',
+  degraded: 'Degraded',
+  shutting_down: 'Shutting down',
+  unreachable: 'Unreachable',
+};
+
+const STATUS_STYLES = {
+  up: 'text-green-400',
+  pending: 'text-gray-400',
+  degraded: 'text-yellow-400',
+  down: 'text-red-400',
+};
+
+// Header line with the server's readiness and the status of each dependency (see /api/health/ready);
+// hovering a component shows its last error
+function HealthStatus({ health }) {
+  if (!health) {
+    return <p className="text-sm mt-1 font-bold text-gray-400">Server: Checking...</p>;
+  }
+
+  return (
+    <div className="text-sm mt-1">
+      <span className={`font-bold ${health.status === 'ok' ? 'text-green-400' : health.ready ? 'text-yellow-400' : 'text-red-400'}`}>
+        Server: {OVERALL_LABELS[health.status] || health.status}
+      </span>
+      {health.components && (
+        <span className="ml-3 text-xs space-x-3">
+          {COMPONENTS.map(({ key, label }) => {
+            const component = health.components[key];
+            if (!component) return null;
+            return (
+              <span key={key} className={STATUS_STYLES[component.status] || 'text-gray-400'} title={component.error || undefined}>
+                ● {label}: {component.status}
+              </span>
+            );
+          })}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default HealthStatus;
@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import { getDocumentAsset } from '../services/agentService';
+
+// The image a source chunk was read from (a screenshot, scan or PDF figure). Renders nothing until the
+// image has loaded, or at all when it can't be fetched; the source text still says what it showed.
+function SourceThumbnail({ source, className = 'h-16 w-16 object-cover' }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    getDocumentAsset(source.documentId, source.assetId)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(err => console.error('Failed to load source image:', err));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [source.documentId, source.assetId]);
+
+  if (!url) return null;
+  return (
+    <img
+      src={url}
+      alt={`Image from ${source.filename || 'a document'}${source.page ? `, page ${source.page}` : ''}`}
+      className={`${className} rounded border border-slate-600`}
+    />
+  );
+}
+
+export default SourceThumbnail;
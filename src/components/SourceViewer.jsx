@@ -0,0 +1,46 @@
+import React, { useEffect } from 'react';
+import SourceThumbnail from './SourceThumbnail';
+
+// Modal with the full text of a cited chunk and where it came from, and the image it was read from if any
+function SourceViewer({ source, onClose }) {
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const location = [
+    source.filename,
+    source.page && `page ${source.page}`,
+    source.headingPath,
+    source.chunkIndex !== undefined && `chunk #${source.chunkIndex}`,
+    source.startChar !== undefined && `chars ${source.startChar}–${source.endChar}`,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-6 z-10" onClick={onClose}>
+      <div
+        className="bg-slate-800 rounded-lg shadow-lg max-w-2xl w-full max-h-[80vh] flex flex-col"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="p-4 border-b border-slate-700 flex items-start gap-4">
+          <div className="flex-1 min-w-0">
+            <p className="font-semibold">Source {source.id}</p>
+            {location && <p className="text-xs text-gray-400 truncate">{location}</p>}
+          </div>
+          <button type="button" className="text-gray-300 hover:text-white" onClick={onClose} title="Close">
+            ✕
+          </button>
+        </div>
+        <div className="p-4 overflow-y-auto space-y-4">
+          {source.assetId && source.documentId && <SourceThumbnail source={source} className="max-h-96 max-w-full object-contain" />}
+          <p className="whitespace-pre-wrap text-sm text-gray-200">{source.text || source.content}</p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SourceViewer;
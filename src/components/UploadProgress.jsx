@@ -0,0 +1,59 @@
+import React from 'react';
+
+const STATE_STYLES = {
+  queued: 'text-gray-400',
+  parsing: 'text-blue-300',
+  chunking: 'text-blue-300',
+  embedding: 'text-purple-300',
+  done: 'text-green-400',
+  failed: 'text-red-400',
+};
+
+// "3 added, 12 unchanged": what re-ingesting a file changed in the index
+const describeChanges = (changes) => ['added', 'updated', 'unchanged', 'removed']
+  .filter(kind => changes[kind] > 0)
+  .map(kind => `${changes[kind]} ${kind}`)
+  .join(', ');
+
+// Per-file progress of the latest ingestion job, updated live from the job's event stream
+function UploadProgress({ job, error, onDismiss }) {
+  if (!job && !error) return null;
+
+  return (
+    <div className="px-4 py-2 bg-slate-800 border-t border-slate-700 text-sm">
+      <div className="flex items-center gap-2 mb-1">
+        <span className="font-semibold text-gray-300">
+          {error
+            ? 'Upload failed'
+            : job.status === 'done'
+              ? `Upload finished: ${job.progress.done} of ${job.progress.total} file(s) indexed`
+              : `Uploading ${job.progress.total} file(s)...`}
+        </span>
+        {(error || job.status === 'done') && (
+          <button type="button" className="ml-auto text-gray-400 hover:text-white" onClick={onDismiss} title="Dismiss">
+            ✕
+          </button>
+        )}
+      </div>
+      {error && <p className="text-red-400">{error}</p>}
+      {job && (
+        <ul className="space-y-0.5">
+          {job.files.map((file, index) => (
+            <li key={file.documentId || `${file.name}-${index}`} className="flex gap-3">
+              <span className="truncate text-gray-200">{file.name}</span>
+              <span className={STATE_STYLES[file.state]}>
+                {file.state}
+                {file.state === 'done' && file.changes && ` (${describeChanges(file.changes) || 'no chunks'})`}
+                {file.duplicateOf && ` · same content as ${file.duplicateOf}`}
+                {file.state === 'queued' && file.attempts > 0 && ` (retry ${file.attempts + 1})`}
+              </span>
+              {file.error && <span className="text-gray-400 truncate">{file.error}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default UploadProgress;
@@ -1,41 +1,218 @@
 // src/services/agentService.js
+import { getOperation } from '../../server/api-schema.js';
+
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3001';
+// Every call below is an operation of the server's OpenAPI document (GET /api/v1/openapi.json, built from
+// server/api-schema.js); test/client/agentService.test.js checks their paths and bodies against it, and
+// every response is checked against the operation's schema as it arrives.
+const API_PREFIX = '/api/v1';
+
+// API key sent as a bearer token. Set from the UI and kept in localStorage; VITE_API_KEY is the fallback.
+const API_KEY_STORAGE = 'apiKey';
+
+export const getApiKey = () => localStorage.getItem(API_KEY_STORAGE) || import.meta.env.VITE_API_KEY || '';
+
+export const setApiKey = (key) => {
+  if (key) {
+    localStorage.setItem(API_KEY_STORAGE, key);
+  } else {
+    localStorage.removeItem(API_KEY_STORAGE);
+  }
+};
+
+export const authHeaders = () => {
+  const key = getApiKey();
+  return key ? { Authorization: `Bearer ${key}` } : {};
+};
+
+const apiFetch = (path, options = {}) =>
+  fetch(`${API_BASE}${API_PREFIX}${path}`, { ...options, headers: { ...options.headers, ...authHeaders() } });
+
+// A response (or one event of a stream) of another shape than the API contract says is an error here,
+// rather than an undefined field somewhere in the UI. Fields the contract doesn't know yet are kept.
+const checkResponse = (operationId, status, body) => {
+  const declared = getOperation(operationId).responses[status];
+  const result = (declared?.schema ?? declared)?.safeParse(body);
+  if (!result) {
+    throw new Error(`Unexpected ${status} response from ${operationId}`);
+  }
+  if (!result.success) {
+    const problems = result.error.issues.map(issue => `${issue.path.join('.') || 'body'}: ${issue.message}`).join('; ');
+    throw new Error(`Unexpected response from ${operationId}: ${problems}`);
+  }
+  return body;
+};
+
+// Prefer the server's explanation (e.g. "Invalid or revoked API key") over a bare status code
+const errorFromResponse = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  return new Error(body.details || body.error || `API error: ${response.status}`);
+};
 
-export const streamAgent = async ({ input, chat_history = [] }) => {
+// Async iterator over /chat/stream events: { type: 'sources' | 'token' | 'done' }.
+// With `agent` set it follows /agent/stream instead, which also sends a { type: 'step' } per tool call.
+// History lives on the server; omit conversationId to start a new conversation (its ID arrives in 'done').
+// `filters` restrict retrieval by chunk metadata, e.g. { documentId: { in: [...] } }.
+// `promptId` picks the prompt template (persona); omit it for the server's default.
+export async function* streamAgent({ input, conversationId, filters, promptId, agent = false }) {
+  const operationId = agent ? 'agentStream' : 'chatStream';
+  let response;
   try {
-    const response = await fetch(`${API_BASE}/api/chat`, {
+    response = await apiFetch(agent ? '/agent/stream' : '/chat/stream', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         message: input,
-        history: chat_history
+        conversationId,
+        filters,
+        promptId: agent ? undefined : promptId,
       }),
     });
-    
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    // Return the full data object, not just the response
-    return data;
-    
   } catch (error) {
     console.error("Agent service error:", error);
     throw new Error("Failed to get response from the agent");
   }
+
+  if (!response.ok || !response.body) {
+    throw await errorFromResponse(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseLine = (line) => {
+    const event = checkResponse(operationId, 200, JSON.parse(line));
+    if (event.type === 'error') {
+      throw new Error(event.details || event.error || 'Failed to get response from the agent');
+    }
+    return event;
+  };
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line) yield parseLine(line);
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) yield parseLine(buffer.trim());
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+const requestJson = async (operationId, path, options = {}) => {
+  const response = await apiFetch(path, options);
+  if (!response.ok) {
+    throw await errorFromResponse(response);
+  }
+  return checkResponse(operationId, response.status, await response.json());
 };
 
-export const uploadDocuments = async (files) => {
+// Queues an ingestion job: resolves with { jobId, job, rejected }; follow it with watchJob
+export const uploadDocuments = (files) => {
   const form = new FormData();
   Array.from(files).forEach((file) => form.append('files', file));
-  const response = await fetch(`${API_BASE}/api/upload`, {
+  return requestJson('uploadDocuments', '/upload', {
     method: 'POST',
     body: form,
   });
+};
+
+// Follows /jobs/:id/events (server-sent events, read with fetch so the API key header can be sent).
+// Calls onUpdate with every job snapshot and resolves with the finished job.
+export const watchJob = async (jobId, onUpdate) => {
+  const response = await apiFetch(`/jobs/${jobId}/events`);
+  if (!response.ok || !response.body) {
+    throw await errorFromResponse(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let job = null;
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      let separatorIndex;
+      while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+        const message = buffer.slice(0, separatorIndex);
+        buffer = buffer.slice(separatorIndex + 2);
+        const data = message.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5)).join('\n');
+        if (!data) continue;
+        job = checkResponse('watchJob', 200, JSON.parse(data));
+        onUpdate(job);
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+  return job;
+};
+
+export const getSupportedFormats = () => requestJson('listFormats', '/formats');
+
+// Readiness of the server and each of its dependencies ({ status, ready, components }). A server that is
+// still starting or degraded answers 503 with the same body, so that is returned rather than thrown.
+export const getHealth = async () => {
+  const response = await apiFetch('/health/ready');
+  if (!response.ok && response.status !== 503) {
+    throw await errorFromResponse(response);
+  }
+  return checkResponse('getReadiness', response.status, await response.json());
+};
+
+export const listDocuments = () => requestJson('listDocuments', '/documents');
+
+export const getDocument = (id) => requestJson('getDocument', `/documents/${encodeURIComponent(id)}`);
+
+export const deleteDocument = (id) =>
+  requestJson('deleteDocument', `/documents/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+export const reindexDocument = (id) =>
+  requestJson('reindexDocument', `/documents/${encodeURIComponent(id)}/reindex`, { method: 'POST' });
+
+// An image a source was read from (its `assetId`), as a Blob. <img> can't send the API key, so thumbnails
+// are fetched here and shown through an object URL.
+export const getDocumentAsset = async (documentId, assetId) => {
+  const response = await apiFetch(`/documents/${encodeURIComponent(documentId)}/assets/${encodeURIComponent(assetId)}`);
   if (!response.ok) {
-    const text = await response.text();
-    throw new Error(text || 'Upload failed');
+    throw await errorFromResponse(response);
   }
-  return response.json();
-};
\ No newline at end of file
+  return response.blob();
+};
+
+const jsonBody = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+export const listConversations = () => requestJson('listConversations', '/conversations');
+
+export const getConversation = (id) => requestJson('getConversation', `/conversations/${encodeURIComponent(id)}`);
+
+export const createConversation = (title) => requestJson('createConversation', '/conversations', jsonBody('POST', { title }));
+
+export const renameConversation = (id, title) =>
+  requestJson('renameConversation', `/conversations/${encodeURIComponent(id)}`, jsonBody('PATCH', { title }));
+
+export const deleteConversation = (id) =>
+  requestJson('deleteConversation', `/conversations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+export const getCurrentUser = () => requestJson('getCurrentUser', '/me');
+
+// Prompt templates the user can answer with (the persona selector)
+export const listPrompts = () => requestJson('listPrompts', '/prompts');
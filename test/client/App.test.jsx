@@ -0,0 +1,244 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react';
+import * as agentService from '../../src/services/agentService';
+import App from '../../src/App';
+
+vi.mock('../../src/services/agentService', () => ({
+  streamAgent: vi.fn(),
+  uploadDocuments: vi.fn(),
+  watchJob: vi.fn(),
+  getSupportedFormats: vi.fn(async () => ({ accept: '.txt,.md' })),
+  getConversation: vi.fn(),
+  getCurrentUser: vi.fn(async () => ({ user: { id: 'anonymous', name: 'Anonymous', role: 'admin' } })),
+  getApiKey: vi.fn(() => ''),
+  setApiKey: vi.fn(),
+  authHeaders: vi.fn(() => ({})),
+  listConversations: vi.fn(async () => ({ conversations: [] })),
+  renameConversation: vi.fn(),
+  deleteConversation: vi.fn(),
+  listDocuments: vi.fn(async () => ({ documents: [] })),
+  getDocument: vi.fn(),
+  deleteDocument: vi.fn(),
+  reindexDocument: vi.fn(),
+  getDocumentAsset: vi.fn(async () => new Blob(['png'], { type: 'image/png' })),
+  getHealth: vi.fn(async () => ({
+    status: 'ok',
+    ready: true,
+    components: { vectorStore: { status: 'up' }, embeddings: { status: 'up' }, chatModel: { status: 'up' } },
+  })),
+  listPrompts: vi.fn(async () => ({
+    prompts: [
+      { id: 'default', name: 'Assistant', description: 'General-purpose answers', version: 1 },
+      { id: 'support', name: 'Support', description: 'Customer-facing answers', version: 3 },
+    ],
+  })),
+}));
+
+const SOURCE = { id: 1, filename: 'zebras.txt', content: 'Zebras have striped coats.', text: 'Zebras have striped coats.' };
+
+// The events /api/chat/stream sends for one answer
+function streamOf(answer, conversationId, promptId = 'default') {
+  return async function* () {
+    yield { type: 'sources', sources: [SOURCE] };
+    for (const word of answer.split(/(?<= )/)) {
+      yield { type: 'token', text: word };
+    }
+    yield { type: 'done', conversationId, citations: [], grounding: null, prompt: { id: promptId, version: 3 } };
+  };
+}
+
+async function renderConnected() {
+  render(<App />);
+  // The server has to report ready before Send is enabled
+  await screen.findByText('Server: Ready');
+}
+
+const ask = (text) => {
+  fireEvent.change(screen.getByPlaceholderText('Ask a question...'), { target: { value: text } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+};
+
+describe('App', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    cleanup();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+  });
+
+  it('streams an answer with its sources and continues the same conversation', async () => {
+    agentService.streamAgent
+      .mockImplementationOnce(streamOf('Zebras have striped coats.', 'conv-1'))
+      .mockImplementationOnce(streamOf('They live in Africa.', 'conv-1'));
+    await renderConnected();
+
+    ask('What do zebras look like?');
+    expect(await screen.findByText('Zebras have striped coats.', { selector: 'p *, p' })).toBeTruthy();
+    expect(screen.getByText(/zebras\.txt/)).toBeTruthy();
+    expect(agentService.streamAgent).toHaveBeenLastCalledWith(expect.objectContaining({
+      input: 'What do zebras look like?',
+      conversationId: null,
+    }));
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Send' }).disabled).toBe(false));
+
+    // The follow-up names the conversation; the server supplies the history
+    ask('Where do they live?');
+    expect(await screen.findByText('They live in Africa.', { selector: 'p *, p' })).toBeTruthy();
+    expect(agentService.streamAgent).toHaveBeenLastCalledWith(expect.objectContaining({
+      input: 'Where do they live?',
+      conversationId: 'conv-1',
+    }));
+    expect(localStorage.getItem('activeConversationId')).toBe('conv-1');
+  });
+
+  it('answers with the chosen persona and remembers it', async () => {
+    agentService.streamAgent.mockImplementationOnce(streamOf('Sorry to hear that.', 'conv-3', 'support'));
+    await renderConnected();
+
+    await screen.findByRole('option', { name: 'Support' });
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: 'support' } });
+    ask('My order is late');
+    expect(await screen.findByText('(Support, v3)')).toBeTruthy();
+    expect(agentService.streamAgent).toHaveBeenLastCalledWith(expect.objectContaining({ promptId: 'support' }));
+    expect(localStorage.getItem('promptId')).toBe('support');
+  });
+
+  it('sends questions to the agent and shows its tool calls as collapsible steps', async () => {
+    const step = { index: 1, turn: 1, tool: 'search_knowledge_base', args: { query: 'zebras' }, sourceIds: [1], output: '[Source 1]: (zebras.txt) Zebras have striped coats.', durationMs: 4 };
+    agentService.streamAgent.mockImplementationOnce(async function* () {
+      yield { type: 'step', step };
+      yield { type: 'sources', sources: [SOURCE] };
+      yield { type: 'token', text: 'Zebras are striped [1].' };
+      yield { type: 'done', conversationId: 'conv-4', citations: [], grounding: null, steps: [step], stopReason: 'answered' };
+    });
+    await renderConnected();
+
+    fireEvent.click(screen.getByLabelText('Agent mode'));
+    ask('What do zebras look like?');
+
+    expect(await screen.findByText('1 tool call(s)')).toBeTruthy();
+    expect(agentService.streamAgent).toHaveBeenLastCalledWith(expect.objectContaining({ agent: true }));
+    expect(screen.getByText('search_knowledge_base')).toBeTruthy();
+    expect(screen.getByText('(query: "zebras")')).toBeTruthy();
+
+    // A step's sources open in the source viewer
+    fireEvent.click(screen.getByRole('button', { name: '[1]' }));
+    expect(screen.getByText('Source 1')).toBeTruthy();
+    expect(localStorage.getItem('agentMode')).toBe('true');
+  });
+
+  it('shows thumbnails of the images behind the sources an answer cites', async () => {
+    // jsdom has no object URLs
+    URL.createObjectURL = vi.fn(() => 'blob:dashboard');
+    URL.revokeObjectURL = vi.fn();
+    const screenshot = { id: 1, documentId: 'doc-9', assetId: 'image-1.png', filename: 'dashboard.png', content: 'Image: dashboard.png', text: 'Image: dashboard.png\nText in the image:\n3 rolled back' };
+    const diagram = { id: 2, documentId: 'doc-7', assetId: 'image-1.png', filename: 'diagram.png', content: 'Image: diagram.png', text: 'Image: diagram.png' };
+    agentService.streamAgent.mockImplementationOnce(async function* () {
+      yield { type: 'sources', sources: [screenshot, diagram] };
+      yield { type: 'token', text: '3 deploys were rolled back [1].' };
+      yield { type: 'done', conversationId: 'conv-5', citations: [{ marker: '[1]', start: 27, end: 30, sourceId: 1 }], grounding: null, prompt: null };
+    });
+    await renderConnected();
+
+    ask('How many deploys were rolled back?');
+    const thumbnail = await screen.findByAltText('Image from dashboard.png');
+    expect(thumbnail.getAttribute('src')).toBe('blob:dashboard');
+    expect(agentService.getDocumentAsset).toHaveBeenCalledWith('doc-9', 'image-1.png');
+    // The uncited source's image isn't shown once the citations are in
+    await waitFor(() => expect(screen.queryByAltText('Image from diagram.png')).toBeNull());
+
+    fireEvent.click(screen.getByTitle('Source 1: dashboard.png'));
+    expect(screen.getByText('Source 1')).toBeTruthy();
+    await waitFor(() => expect(screen.getAllByAltText('Image from dashboard.png')).toHaveLength(2));
+  });
+
+  it('restores the stored conversation from server messages', async () => {
+    localStorage.setItem('activeConversationId', 'conv-2');
+    agentService.getConversation.mockResolvedValue({
+      id: 'conv-2',
+      messages: [
+        { role: 'human', content: 'Hello there' },
+        { role: 'ai', content: 'Hi, ask me about zebras.', sources: [{ ...SOURCE, similarity: 0 }] },
+      ],
+    });
+    await renderConnected();
+
+    expect(await screen.findByText('Hello there')).toBeTruthy();
+    expect(screen.getByText('Hi, ask me about zebras.', { selector: 'p *, p' })).toBeTruthy();
+    expect(screen.getByText(/zebras\.txt/)).toBeTruthy();
+    // A score of 0 is still a score
+    expect(screen.getByText(/\(Score: 0\)/)).toBeTruthy();
+  });
+
+  it('shows an error in place of the answer when the stream fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    agentService.streamAgent.mockImplementationOnce(async function* () {
+      yield { type: 'sources', sources: [] };
+      throw new Error('Daily quota exceeded');
+    });
+    await renderConnected();
+
+    ask('Anything?');
+    expect(await screen.findByText(/Sorry, an error occurred/)).toBeTruthy();
+  });
+
+  it('shows each component of a degraded server and keeps Send disabled', async () => {
+    agentService.getHealth.mockResolvedValueOnce({
+      status: 'degraded',
+      ready: false,
+      components: {
+        vectorStore: { status: 'down', error: 'Missing environment variables: PINECONE_API_KEY' },
+        embeddings: { status: 'up' },
+        chatModel: { status: 'up' },
+      },
+    });
+    render(<App />);
+
+    expect(await screen.findByText('Server: Degraded')).toBeTruthy();
+    expect(screen.getByText(/Vector store: down/).getAttribute('title')).toBe('Missing environment variables: PINECONE_API_KEY');
+    expect(screen.getByText(/Chat model: up/)).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Send' }).disabled).toBe(true);
+  });
+
+  it('uploads files and follows the ingestion job to the end', async () => {
+    const queued = { id: 'job-1', status: 'queued', files: [{ name: 'notes.txt', state: 'queued' }], progress: { total: 1, done: 0, failed: 0 } };
+    const finished = {
+      ...queued,
+      status: 'done',
+      files: [{ name: 'notes.txt', state: 'done', documentId: 'doc-1', changes: { added: 2 } }],
+      progress: { total: 1, done: 1, failed: 0 },
+    };
+    agentService.uploadDocuments.mockResolvedValue({ jobId: 'job-1', job: queued, rejected: [] });
+    agentService.watchJob.mockImplementation(async (jobId, onUpdate) => {
+      onUpdate(finished);
+      return finished;
+    });
+    const { container } = render(<App />);
+
+    const file = new File(['Okapis live in the Congo.'], 'notes.txt', { type: 'text/plain' });
+    fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [file] } });
+
+    expect(await screen.findByText('Upload finished: 1 of 1 file(s) indexed')).toBeTruthy();
+    expect(screen.getByText('done (2 added)')).toBeTruthy();
+    expect(agentService.uploadDocuments.mock.calls[0][0][0].name).toBe('notes.txt');
+    expect(agentService.watchJob).toHaveBeenCalledWith('job-1', expect.any(Function));
+  });
+
+  it('reports a rejected upload', async () => {
+    agentService.uploadDocuments.mockRejectedValue(new Error('Unsupported file type'));
+    const { container } = render(<App />);
+
+    const file = new File(['binary'], 'blob.xyz');
+    fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [file] } });
+
+    expect(await screen.findByText('Upload failed')).toBeTruthy();
+    expect(screen.getByText('Unsupported file type')).toBeTruthy();
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as agentService from '../../src/services/agentService';
+import { operations } from '../../server/api-schema.js';
+
+const API_ROOT = 'http://localhost:3001/api/v1';
+
+// Every request the client can make, one call per export
+const CALLS = {
+  streamAgent: async () => {
+    for await (const _event of agentService.streamAgent({ input: 'Zebras?', conversationId: 'c1', filters: { documentId: { in: ['d1'] } }, promptId: 'default' }));
+    for await (const _event of agentService.streamAgent({ input: 'Zebras?', agent: true }));
+  },
+  uploadDocuments: () => agentService.uploadDocuments([new File(['Zebras are striped.'], 'zebras.txt', { type: 'text/plain' })]),
+  watchJob: () => agentService.watchJob('j1', () => {}),
+  getSupportedFormats: () => agentService.getSupportedFormats(),
+  getHealth: () => agentService.getHealth(),
+  listDocuments: () => agentService.listDocuments(),
+  getDocument: () => agentService.getDocument('d1'),
+  deleteDocument: () => agentService.deleteDocument('d1'),
+  reindexDocument: () => agentService.reindexDocument('d1'),
+  getDocumentAsset: () => agentService.getDocumentAsset('d1', 'image-1.png'),
+  listConversations: () => agentService.listConversations(),
+  getConversation: () => agentService.getConversation('c1'),
+  createConversation: () => agentService.createConversation('Zebras'),
+  renameConversation: () => agentService.renameConversation('c1', 'Striped horses'),
+  deleteConversation: () => agentService.deleteConversation('c1'),
+  getCurrentUser: () => agentService.getCurrentUser(),
+  listPrompts: () => agentService.listPrompts(),
+};
+
+// The API key helpers make no requests
+const LOCAL = ['getApiKey', 'setApiKey', 'authHeaders'];
+
+function findOperation(method, path) {
+  return operations.find(operation =>
+    operation.method === method && new RegExp(`^${operation.path.replace(/:\w+/g, '[^/]+')}$`).test(path));
+}
+
+const NOW = '2025-01-01T00:00:00.000Z';
+const CHUNKING = { splitter: 'characters', chunkSize: 1000, chunkOverlap: 200 };
+const CHANGES = { added: 1, updated: 0, unchanged: 0, removed: 0 };
+const JOB = {
+  id: 'j1', userId: 'u1', chunkingConfig: CHUNKING, status: 'done',
+  files: [{ name: 'zebras.txt', state: 'done', attempts: 1, error: null, retryAt: null, documentId: 'd1', chunks: 1, changes: CHANGES }],
+  progress: { total: 1, done: 1, failed: 0 }, changes: CHANGES, createdAt: NOW, updatedAt: NOW, finishedAt: NOW,
+};
+const DOCUMENT = { id: 'd1', filename: 'zebras.txt', createdAt: NOW, updatedAt: NOW, chunkCount: 1 };
+const CONVERSATION = { id: 'c1', title: 'Zebras', createdAt: NOW, updatedAt: NOW };
+const COMPONENT = { status: 'up', error: null, checkedAt: NOW, latencyMs: 1 };
+const DONE = {
+  type: 'done', method: 'hybrid', totalSources: 0, citations: [], grounding: null, prompt: null,
+  cache: { hit: false }, conversationId: 'c1', timestamp: NOW,
+};
+
+// What the server answers each operation with: [status, body], valid under the operation's schema
+const RESPONSES = {
+  uploadDocuments: [202, { status: 'queued', jobId: 'j1', job: JOB, rejected: [] }],
+  listFormats: [200, { formats: [{ name: 'text', extensions: ['.txt'], mimeTypes: ['text/plain'] }], accept: '.txt' }],
+  getReadiness: [503, {
+    status: 'starting',
+    ready: false,
+    components: { vectorStore: COMPONENT, embeddings: COMPONENT, chatModel: { ...COMPONENT, status: 'pending' } },
+    initialization: { status: 'retrying', attempts: 1, lastError: 'Connection refused', nextRetryAt: NOW, readyAt: null },
+  }],
+  listDocuments: [200, { documents: [DOCUMENT] }],
+  getDocument: [200, { ...DOCUMENT, chunks: [{ id: 'd1#0', text: 'Zebras are striped.', metadata: {} }] }],
+  deleteDocument: [200, { status: 'deleted', id: 'd1', chunksDeleted: 1 }],
+  reindexDocument: [200, { status: 'ok', document: DOCUMENT, changes: CHANGES }],
+  listConversations: [200, { conversations: [{ ...CONVERSATION, messageCount: 0, preview: '' }] }],
+  getConversation: [200, { ...CONVERSATION, messages: [] }],
+  createConversation: [201, { ...CONVERSATION, messages: [] }],
+  renameConversation: [200, { ...CONVERSATION, messageCount: 0, preview: '' }],
+  deleteConversation: [200, { status: 'deleted', id: 'c1' }],
+  getCurrentUser: [200, { user: { id: 'u1', name: 'Ada', role: 'user' }, authEnabled: true }],
+  listPrompts: [200, { prompts: [] }],
+};
+
+// A response the client can read to the end, whatever it asked for
+function fakeResponse(method, path, responses = RESPONSES) {
+  if (path.endsWith('/stream')) return new Response(`${JSON.stringify(DONE)}\n`);
+  if (path.endsWith('/events')) return new Response(`event: job\ndata: ${JSON.stringify(JOB)}\n\n`);
+  if (path.includes('/assets/')) return new Response(new Blob(['png']), { headers: { 'Content-Type': 'image/png' } });
+  const [status, body] = responses[findOperation(method, path).id];
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('agentService', () => {
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    vi.stubGlobal('fetch', vi.fn(async (url, options = {}) => {
+      const method = (options.method ?? 'GET').toLowerCase();
+      requests.push({ url, ...options, method });
+      return fakeResponse(method, url.slice(API_ROOT.length));
+    }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('has a test call for every export that talks to the server', () => {
+    const exported = Object.keys(agentService).filter(name => !LOCAL.includes(name));
+    expect(exported.sort()).toEqual(Object.keys(CALLS).sort());
+  });
+
+  it.each(Object.keys(CALLS))('%s only makes requests the OpenAPI document describes', async (name) => {
+    await CALLS[name]();
+    expect(requests.length).toBeGreaterThan(0);
+
+    for (const { url, method, body, headers } of requests) {
+      expect(url.startsWith(API_ROOT)).toBe(true);
+      const path = url.slice(API_ROOT.length);
+      const operation = findOperation(method, path);
+      expect(operation, `${method.toUpperCase()} ${path}`).toBeDefined();
+
+      // A request without a body is checked as an empty one, as the server does
+      if (operation.body) {
+        if (body !== undefined) expect(headers['Content-Type']).toBe('application/json');
+        const result = operation.body.safeParse(body === undefined ? {} : JSON.parse(body));
+        expect(result.error).toBeUndefined();
+      }
+      if (operation.form) {
+        expect(body.getAll('files').length).toBeGreaterThan(0);
+        const fields = Object.fromEntries([...body.entries()].filter(([key]) => key !== 'files'));
+        expect(operation.form.safeParse(fields).error).toBeUndefined();
+      }
+    }
+  });
+
+  it('rejects responses of another shape than the contract', async () => {
+    const wrong = {
+      ...RESPONSES,
+      listDocuments: [200, { documents: [{ ...DOCUMENT, chunkCount: 'one' }] }],
+      getCurrentUser: [200, { id: 'u1', name: 'Ada' }],
+      deleteConversation: [202, { status: 'deleted', id: 'c1' }],
+    };
+    fetch.mockImplementation(async (url, options = {}) =>
+      fakeResponse((options.method ?? 'GET').toLowerCase(), url.slice(API_ROOT.length), wrong));
+
+    await expect(agentService.listDocuments()).rejects.toThrow('Unexpected response from listDocuments: documents.0.chunkCount: Invalid input: expected number, received string');
+    await expect(agentService.getCurrentUser()).rejects.toThrow(/^Unexpected response from getCurrentUser: user: Invalid input/);
+    await expect(agentService.deleteConversation('c1')).rejects.toThrow('Unexpected 202 response from deleteConversation');
+
+    fetch.mockImplementation(async () => new Response('{"type":"token","text":7}\n'));
+    await expect(agentService.streamAgent({ input: 'Zebras?' }).next()).rejects.toThrow(/^Unexpected response from chatStream: /);
+  });
+
+  it('yields stream events as they arrive, whatever the network chunk boundaries', async () => {
+    const lines = [
+      { type: 'sources', sources: [] },
+      { type: 'token', text: 'Zebras ' },
+      { type: 'token', text: 'are striped.' },
+      DONE,
+    ].map(event => `${JSON.stringify(event)}\n`).join('');
+    // Split mid-line and mid-character, and leave the last line without its newline
+    const bytes = new TextEncoder().encode(lines.replace('striped.', 'striped ☺.').trimEnd());
+    const cuts = [5, 40, bytes.indexOf(0xe2) + 1, bytes.length];
+    const body = new ReadableStream({
+      start(controller) {
+        cuts.forEach((end, index) => controller.enqueue(bytes.slice(cuts[index - 1] ?? 0, end)));
+        controller.close();
+      },
+    });
+    fetch.mockImplementation(async () => new Response(body));
+
+    const events = [];
+    for await (const event of agentService.streamAgent({ input: 'Zebras?' })) events.push(event);
+    expect(events.map(event => event.type)).toEqual(['sources', 'token', 'token', 'done']);
+    expect(events[2].text).toBe('are striped ☺.');
+  });
+
+  it('throws the details of an error event', async () => {
+    fetch.mockImplementation(async () => new Response(
+      `${JSON.stringify({ type: 'token', text: 'Zeb' })}\n${JSON.stringify({ type: 'error', error: 'Chat failed', details: 'Model unavailable' })}\n`,
+    ));
+    const stream = agentService.streamAgent({ input: 'Zebras?' });
+    expect((await stream.next()).value).toEqual({ type: 'token', text: 'Zeb' });
+    await expect(stream.next()).rejects.toThrow('Model unavailable');
+  });
+});
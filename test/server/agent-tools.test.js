@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateExpression } from '../../server/agent-tools.js';
+
+describe('calculator', () => {
+  it.each([
+    ['1 + 2 * 3', 7],
+    ['(1299 - 999) / 999 * 100', (300 / 999) * 100],
+    ['-2 ^ 2', -4],
+    ['2 ^ 3 ^ 2', 512],
+    ['10 % 4', 2],
+    ['max(3, sqrt(16), 2)', 4],
+    ['round(pi * 100) / 100', 3.14],
+    ['1.5e3 + .5', 1500.5],
+  ])('evaluates %s', (expression, expected) => {
+    expect(evaluateExpression(expression)).toBeCloseTo(expected, 10);
+  });
+
+  it.each([
+    'process.exit()',
+    'constructor',
+    '2 +',
+    '(1 + 2',
+    '1 / 0',
+    'alert(1)',
+  ])('rejects %s', (expression) => {
+    expect(() => evaluateExpression(expression)).toThrow();
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { logger } from '../../server/logger.js';
+
+const parseNdjson = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+async function seededApp(options) {
+  const server = await createTestApp(options);
+  await server.seedDocument('zebras.txt', 'Zebras are African equines with distinctive black and white striped coats.');
+  await server.seedDocument('giraffes.txt', 'Giraffes are the tallest land animals, with very long necks.');
+  return server;
+}
+
+describe('agent mode', () => {
+  beforeAll(() => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+  });
+
+  describe('with the default fake model', () => {
+    let server;
+
+    beforeAll(async () => {
+      server = await seededApp();
+    });
+
+    afterAll(() => server.cleanup());
+
+    it('searches the knowledge base before answering', async () => {
+      const { body } = await request(server.app).post('/api/agent').send({ message: 'What do zebras look like?' }).expect(200);
+
+      expect(body.steps).toEqual([expect.objectContaining({
+        index: 1,
+        turn: 1,
+        tool: 'search_knowledge_base',
+        args: { query: 'What do zebras look like?' },
+        sourceIds: [1, 2],
+      })]);
+      expect(body.response).toMatch(/^According to \[Source 1\]: \(zebras\.txt\) Zebras/);
+      expect(body.sources[0]).toMatchObject({ id: 1, filename: 'zebras.txt' });
+      expect(body.citations).toEqual([expect.objectContaining({ sourceId: 1, filename: 'zebras.txt' })]);
+      expect(body.stopReason).toBe('answered');
+
+      const conversation = server.conversationStore.get(body.conversationId);
+      expect(conversation.messages.at(-1).steps).toHaveLength(1);
+    });
+
+    it('streams a step event per tool call before the answer', async () => {
+      const response = await request(server.app).post('/api/agent/stream').send({ message: 'Tell me about giraffes' }).expect(200);
+      const events = parseNdjson(response.text);
+
+      expect(events.map(event => event.type)).toEqual(['step', 'sources', 'token', 'done']);
+      expect(events[0].step.tool).toBe('search_knowledge_base');
+      expect(events.at(-1)).toMatchObject({ stopReason: 'answered', steps: [expect.objectContaining({ tool: 'search_knowledge_base' })] });
+      const conversation = server.conversationStore.get(events.at(-1).conversationId);
+      expect(conversation.messages.at(-1)).toMatchObject({ role: 'ai', content: events[2].text });
+    });
+
+    it('lists the registered tools', async () => {
+      const { body } = await request(server.app).get('/api/agent/tools').expect(200);
+      expect(body.tools.map(tool => tool.name)).toEqual(['search_knowledge_base', 'list_documents', 'get_document', 'calculator']);
+      expect(body.defaults.maxSteps).toBe(5);
+    });
+
+    it('reports an answer that never completes instead of storing it', async () => {
+      const error = vi.spyOn(logger, 'error').mockImplementation(() => {});
+      // A run that stops after a token, without its done event
+      const unfinished = async function* () {
+        yield { type: 'token', text: 'Zebras are' };
+      };
+      const agentQuery = vi.spyOn(server.ragService, 'agentQuery').mockImplementation(unfinished);
+      const conversations = server.conversationStore.list().length;
+      try {
+        const { body } = await request(server.app).post('/api/agent').send({ message: 'What do zebras look like?' }).expect(500);
+        expect(body).toEqual({ error: 'Agent failed', details: 'The agent stopped before finishing its answer' });
+
+        const response = await request(server.app).post('/api/agent/stream').send({ message: 'What do zebras look like?' }).expect(200);
+        expect(parseNdjson(response.text)).toEqual([
+          { type: 'token', text: 'Zebras are' },
+          { type: 'error', error: 'Agent failed', details: 'The answer stream ended before the answer was complete' },
+        ]);
+        expect(server.conversationStore.list()).toHaveLength(conversations);
+        expect(error).toHaveBeenCalledTimes(2);
+      } finally {
+        agentQuery.mockRestore();
+        error.mockRestore();
+      }
+    });
+
+    it('rejects invalid agent options', async () => {
+      await request(server.app).post('/api/agent').send({ message: 'hi', agent: { maxSteps: 50 } }).expect(400);
+      await request(server.app).post('/api/agent').send({ message: 'hi', agent: { tools: ['shell'] } }).expect(400);
+      await request(server.app).post('/api/agent').send({}).expect(400);
+    });
+  });
+
+  it('compares two documents over several steps and cites both', async () => {
+    const server = await seededApp({
+      responses: [
+        { tool_calls: [{ name: 'list_documents', args: {} }] },
+        {
+          tool_calls: [
+            { name: 'search_knowledge_base', args: { query: 'coat', filename: 'zebras.txt', topK: 1 } },
+            { name: 'search_knowledge_base', args: { query: 'neck', filename: 'giraffes.txt', topK: 1 } },
+          ],
+        },
+        { tool_calls: [{ name: 'get_document', args: { filename: 'giraffes.txt' } }, { name: 'calculator', args: { expression: '2 * (3 + 4) ^ 2' } }] },
+        'Zebras are striped [1], while giraffes have long necks [2].',
+      ],
+    });
+    try {
+      const { body } = await request(server.app).post('/api/agent').send({ message: 'Compare zebras and giraffes' }).expect(200);
+
+      expect(body.steps.map(step => [step.turn, step.tool])).toEqual([
+        [1, 'list_documents'],
+        [2, 'search_knowledge_base'],
+        [2, 'search_knowledge_base'],
+        [3, 'get_document'],
+        [3, 'calculator'],
+      ]);
+      expect(body.steps[0].output).toContain('zebras.txt');
+      expect(body.steps[1].sourceIds).toEqual([1]);
+      expect(body.steps[2].sourceIds).toEqual([2]);
+      expect(body.steps[3].output).toContain('Giraffes are the tallest land animals');
+      expect(body.steps[4].output).toBe('98');
+      expect(body.sources.map(source => source.filename)).toEqual(['zebras.txt', 'giraffes.txt']);
+      expect(body.citations.map(citation => citation.filename)).toEqual(['zebras.txt', 'giraffes.txt']);
+    } finally {
+      server.cleanup();
+    }
+  });
+
+  it('reports tool errors to the model and forces an answer after maxSteps', async () => {
+    const server = await seededApp({
+      responses: [
+        { tool_calls: [{ name: 'calculator', args: { expression: 'process.exit()' } }] },
+        { tool_calls: [{ name: 'search_knowledge_base', args: { query: 'zebras' } }] },
+        'I could not work that out.',
+      ],
+    });
+    try {
+      const { body } = await request(server.app)
+        .post('/api/agent')
+        .send({ message: 'Compute something', agent: { maxSteps: 2, tools: ['calculator'] } })
+        .expect(200);
+
+      expect(body.steps[0].error).toBe('Unexpected "process" in "process.exit()"');
+      expect(body.steps[1]).toMatchObject({ tool: 'search_knowledge_base', error: 'Unknown tool "search_knowledge_base"' });
+      expect(body.stopReason).toBe('max_steps');
+      expect(body.response).toBe('I could not work that out.');
+    } finally {
+      server.cleanup();
+    }
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { backfillChunkOwners } from '../../server/ingestion.js';
+import { SHARED_OWNER } from '../../server/auth.js';
+
+describe('health and query routes', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    server = await createTestApp();
+    await server.seedDocument('zebras.txt', 'Zebras are African equines with distinctive black and white striped coats.');
+    await server.seedDocument('pinecone.txt', 'Pinecone is a managed vector database for similarity search.');
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('reports the vector store, models and keyword index on /api/health', async () => {
+    const response = await request(server.app).get('/api/health').expect(200);
+    expect(response.body.status).toBe('healthy');
+    expect(response.body.vectorStore).toEqual({ backend: 'local', path: 'in-memory' });
+    expect(response.body.stats.totalVectorCount).toBe(2);
+    expect(response.body.keywordIndex.chunks).toBe(2);
+  });
+
+  it('requires a query', async () => {
+    const response = await request(server.app).post('/api/query').send({}).expect(400);
+    expect(response.body).toMatchObject({ error: 'Invalid request', details: 'body.query: Query is required' });
+  });
+
+  it.each(['llamaindex', 'langchain', 'hybrid'])('answers with sources using the %s method', async (method) => {
+    const response = await request(server.app)
+      .post('/api/query')
+      .send({ query: 'What do zebras look like?', method })
+      .expect(200);
+
+    expect(typeof response.body.answer).toBe('string');
+    expect(response.body.answer.length).toBeGreaterThan(0);
+    expect(response.body.sources[0].filename).toBe('zebras.txt');
+    expect(response.body.sources[0].text).toContain('striped coats');
+  });
+
+  it('cites and grounds hybrid answers', async () => {
+    const response = await request(server.app)
+      .post('/api/query')
+      .send({ query: 'What do zebras look like?' })
+      .expect(200);
+
+    expect(response.body.answer).toMatch(/^According to \[Source 1\]: Zebras are African equines/);
+    expect(response.body.citations).toEqual([expect.objectContaining({ sourceId: 1, filename: 'zebras.txt' })]);
+    expect(response.body.grounding.grounded).toBe(true);
+  });
+
+  it('renders tuple chat history in the prompt', async () => {
+    server.prompts.length = 0;
+    await request(server.app)
+      .post('/api/query')
+      .send({ query: 'And their colours?', chat_history: [['human', 'Tell me about zebras'], ['ai', 'They are striped.']] })
+      .expect(200);
+
+    expect(server.prompts.at(-1)).toContain('User: Tell me about zebras\nAssistant: They are striped.');
+  });
+
+  it('rejects malformed retrieval options', async () => {
+    const response = await request(server.app)
+      .post('/api/query')
+      .send({ query: 'zebras', retrieval: { topK: 0 } })
+      .expect(400);
+    expect(response.body.error).toBe('Invalid retrieval options');
+  });
+});
+
+describe('authentication', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'true');
+    server = await createTestApp();
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('keeps /api/health public', async () => {
+    await request(server.app).get('/api/health').expect(200);
+  });
+
+  it('rejects queries without a valid API key', async () => {
+    await request(server.app).post('/api/query').send({ query: 'zebras' }).expect(401);
+    await request(server.app).post('/api/query').set('Authorization', 'Bearer nope').send({ query: 'zebras' }).expect(401);
+  });
+
+  it('accepts a key created in the user store', async () => {
+    const user = server.userStore.createUser({ name: 'tester' });
+    const { key } = server.userStore.createKey(user.id);
+    const response = await request(server.app).get('/api/me').set('Authorization', `Bearer ${key}`).expect(200);
+    expect(response.body.user).toMatchObject({ id: user.id, name: 'tester' });
+  });
+
+  it('shares chunks indexed before auth once their owner is backfilled', async () => {
+    const legacy = await server.seedDocument('okapis.txt', 'Okapis are forest giraffes with striped legs, found in central Africa.');
+    // Indexed before auth existed: no owner on the record or its chunks
+    const withoutOwner = (metadata) => Object.fromEntries(Object.entries(metadata).filter(([key]) => key !== 'owner'));
+    for (const record of server.ragService.vectorStore.records.values()) {
+      if (record.metadata.documentId === legacy.id) record.metadata = withoutOwner(record.metadata);
+    }
+    server.documentStore.update(legacy.id, {
+      ownerId: undefined,
+      chunks: legacy.chunks.map(chunk => ({ ...chunk, metadata: withoutOwner(chunk.metadata) })),
+    });
+
+    const user = server.userStore.createUser({ name: 'reader' });
+    const { key } = server.userStore.createKey(user.id);
+    const ask = () => request(server.app)
+      .post('/api/query')
+      .set('Authorization', `Bearer ${key}`)
+      .send({ query: 'What are okapis?', cache: false, retrieval: { lexicalWeight: 0 } })
+      .expect(200);
+    expect((await ask()).body.sources).toEqual([]);
+
+    const stores = { documentStore: server.documentStore, index: server.ragService };
+    expect(await backfillChunkOwners(stores)).toBe(1);
+    expect((await ask()).body.sources).toEqual([expect.objectContaining({ filename: 'okapis.txt' })]);
+    expect(server.documentStore.get(legacy.id)).toMatchObject({ ownerId: SHARED_OWNER });
+    expect(await backfillChunkOwners(stores)).toBe(0);
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { getCacheConfig, normalizeQuery } from '../../server/response-cache.js';
+
+const parseNdjson = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+describe('response cache', () => {
+  let server;
+  let zebras;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    // "What do the zebras look like?" is about 0.91 similar to "What do zebras look like?" under the fake embeddings
+    vi.stubEnv('RESPONSE_CACHE_THRESHOLD', '0.9');
+    server = await createTestApp();
+    zebras = await server.seedDocument('zebras.txt', 'Zebras are African equines with distinctive black and white striped coats.');
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  beforeEach(() => {
+    server.ragService.responseCache.clear();
+    server.prompts.length = 0;
+  });
+
+  it('validates its settings', () => {
+    expect(getCacheConfig()).toMatchObject({ enabled: true, threshold: 0.9, ttlSeconds: 3600 });
+    expect(() => getCacheConfig({ threshold: 1.5 })).toThrow('RESPONSE_CACHE_THRESHOLD');
+    expect(() => getCacheConfig({ ttlSeconds: 0 })).toThrow('RESPONSE_CACHE_TTL_SECONDS');
+    expect(normalizeQuery('  What do   Zebras look like?? ')).toBe('what do zebras look like');
+  });
+
+  it('answers a repeated question from the cache without calling the model', async () => {
+    const { body: first } = await request(server.app).post('/api/query').send({ query: 'What do zebras look like?' }).expect(200);
+    expect(first.cache).toEqual({ hit: false });
+    const calls = server.prompts.length;
+
+    const { body: second } = await request(server.app).post('/api/query').send({ query: 'what do zebras   look like' }).expect(200);
+    expect(second.cache).toMatchObject({ hit: true, match: 'exact', similarity: 1, query: 'What do zebras look like?' });
+    expect(second.answer).toBe(first.answer);
+    expect(second.sources).toEqual(first.sources);
+    expect(server.prompts.length).toBe(calls);
+  });
+
+  it('matches similar questions above the threshold', async () => {
+    await request(server.app).post('/api/query').send({ query: 'What do zebras look like?' }).expect(200);
+    const { body } = await request(server.app).post('/api/query').send({ query: 'What do the zebras look like?' }).expect(200);
+    expect(body.cache).toMatchObject({ hit: true, match: 'semantic' });
+    expect(body.cache.similarity).toBeGreaterThanOrEqual(0.9);
+
+    const { body: unrelated } = await request(server.app).post('/api/query').send({ query: 'How fast can a zebra run?' }).expect(200);
+    expect(unrelated.cache.hit).toBe(false);
+  });
+
+  it('keeps separate entries per method, filters and prompt template', async () => {
+    await request(server.app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+    const requests = [
+      { method: 'langchain' },
+      { filters: { filename: 'zebras.txt' } },
+      { promptId: 'basic' },
+    ];
+    for (const body of requests) {
+      const { body: result } = await request(server.app).post('/api/query').send({ query: 'Zebras?', ...body }).expect(200);
+      expect(result.cache.hit).toBe(false);
+    }
+  });
+
+  it('skips the cache for chat history and cache: false', async () => {
+    await request(server.app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+    const { body: withHistory } = await request(server.app)
+      .post('/api/query')
+      .send({ query: 'Zebras?', chat_history: [{ role: 'human', content: 'Hi' }] })
+      .expect(200);
+    expect(withHistory.cache.hit).toBe(false);
+    const { body: bypassed } = await request(server.app).post('/api/query').send({ query: 'Zebras?', cache: false }).expect(200);
+    expect(bypassed.cache.hit).toBe(false);
+
+    await request(server.app).post('/api/query').send({ query: 'Zebras?', cache: 'yes' }).expect(400);
+  });
+
+  it('serves streamed chat answers from the cache', async () => {
+    await request(server.app).post('/api/chat').send({ message: 'What do zebras look like?' }).expect(200);
+    const response = await request(server.app).post('/api/chat/stream').send({ message: 'What do zebras look like?' }).expect(200);
+    const events = parseNdjson(response.text);
+    expect(events.map(event => event.type)).toEqual(['sources', 'token', 'done']);
+    expect(events[1].text).toContain('striped coats');
+    expect(events[2].cache).toMatchObject({ hit: true, match: 'exact' });
+  });
+
+  it('drops answers when a source document is deleted', async () => {
+    const other = await server.seedDocument('horses.txt', 'Horses are large domesticated hoofed mammals.');
+    await request(server.app).post('/api/query').send({ query: 'What do zebras look like?', filters: { filename: 'zebras.txt' } }).expect(200);
+    await request(server.app).post('/api/query').send({ query: 'Tell me about horses', filters: { filename: 'horses.txt' } }).expect(200);
+    expect(server.ragService.responseCache.entries.size).toBe(2);
+
+    await request(server.app).delete(`/api/documents/${other.id}`).expect(200);
+    const { entries } = (await request(server.app).get('/api/admin/cache').expect(200)).body;
+    expect(entries.map(entry => entry.query)).toEqual(['What do zebras look like?']);
+    expect(entries[0].documentIds).toEqual([zebras.id]);
+  });
+
+  it('drops answers without sources when any document is indexed', async () => {
+    await request(server.app).post('/api/query').send({ query: 'What do zebras look like?' }).expect(200);
+    const { body: empty } = await request(server.app)
+      .post('/api/query')
+      .send({ query: 'Tell me about giraffes', filters: { filename: 'giraffes.txt' } })
+      .expect(200);
+    expect(empty.sources).toEqual([]);
+    expect(server.ragService.responseCache.entries.size).toBe(2);
+
+    await server.seedDocument('giraffes.txt', 'Giraffes are the tallest living animals, with very long necks.');
+    const { entries } = (await request(server.app).get('/api/admin/cache').expect(200)).body;
+    expect(entries.map(entry => entry.query)).toEqual(['What do zebras look like?']);
+    const { body: answered } = await request(server.app)
+      .post('/api/query')
+      .send({ query: 'Tell me about giraffes', filters: { filename: 'giraffes.txt' } })
+      .expect(200);
+    expect(answered.cache.hit).toBe(false);
+    expect(answered.sources).toHaveLength(1);
+  });
+
+  it('embeds the question once on a cache miss', async () => {
+    const embedQuery = vi.spyOn(server.ragService.embeddings, 'embedQuery');
+    try {
+      await request(server.app)
+        .post('/api/query')
+        .send({ query: 'How do zebras defend themselves?', retrieval: { mmr: true } })
+        .expect(200);
+      expect(embedQuery).toHaveBeenCalledTimes(1);
+      await request(server.app).post('/api/query').send({ query: 'How do zebras defend themselves?', method: 'langchain' }).expect(200);
+      expect(embedQuery).toHaveBeenCalledTimes(2);
+    } finally {
+      embedQuery.mockRestore();
+    }
+  });
+
+  it('lets admins inspect and flush the cache', async () => {
+    await request(server.app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+    await request(server.app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+
+    const { body } = await request(server.app).get('/api/admin/cache').expect(200);
+    expect(body.size).toBe(1);
+    expect(body.entries[0]).toMatchObject({ method: 'hybrid', query: 'Zebras?', hits: 1 });
+    expect(body.entries[0]).not.toHaveProperty('result');
+
+    const { body: byDocument } = await request(server.app).delete(`/api/admin/cache?documentId=${zebras.id}`).expect(200);
+    expect(byDocument).toMatchObject({ status: 'flushed', removed: 1 });
+    await request(server.app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+    const { body: flushed } = await request(server.app).delete('/api/admin/cache').expect(200);
+    expect(flushed.removed).toBe(1);
+  });
+
+  it('expires entries after the TTL', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      await request(server.app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+      vi.setSystemTime(Date.now() + 3601 * 1000);
+      const { body } = await request(server.app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+      expect(body.cache.hit).toBe(false);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
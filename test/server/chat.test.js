@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+
+const parseNdjson = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+describe('chat routes', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    server = await createTestApp();
+    await server.seedDocument('zebras.txt', 'Zebras are African equines with distinctive black and white striped coats.');
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('requires a message', async () => {
+    await request(server.app).post('/api/chat').send({}).expect(400);
+  });
+
+  it('starts a conversation and stores both turns', async () => {
+    const response = await request(server.app)
+      .post('/api/chat')
+      .send({ message: 'What do zebras look like?' })
+      .expect(200);
+
+    expect(response.body.response).toContain('striped coats');
+    expect(response.body.sources[0].filename).toBe('zebras.txt');
+    const conversation = server.conversationStore.get(response.body.conversationId);
+    expect(conversation.messages.map(({ role, content }) => [role, content])).toEqual([
+      ['human', 'What do zebras look like?'],
+      ['ai', response.body.response],
+    ]);
+  });
+
+  it('sends the stored history to the model as User/Assistant lines', async () => {
+    const first = await request(server.app).post('/api/chat').send({ message: 'Tell me about zebras' }).expect(200);
+    server.prompts.length = 0;
+    await request(server.app)
+      .post('/api/chat')
+      .send({ message: 'Where do they live?', conversationId: first.body.conversationId })
+      .expect(200);
+
+    const prompt = server.prompts.at(-1);
+    expect(prompt).toContain(`User: Tell me about zebras\nAssistant: ${first.body.response}`);
+    expect(prompt).toContain("USER'S QUESTION: Where do they live?");
+    expect(prompt).not.toContain('[object Object]');
+  });
+
+  it('stores nothing when the model fails', async () => {
+    const { body: first } = await request(server.app).post('/api/chat').send({ message: 'Tell me about zebras' }).expect(200);
+    const conversationCount = server.conversationStore.list().length;
+    const invoke = vi.spyOn(server.ragService.llm, 'invoke').mockRejectedValue(new Error('Model unavailable'));
+    const stream = vi.spyOn(server.ragService.llm, 'stream').mockRejectedValue(new Error('Model unavailable'));
+    try {
+      await request(server.app)
+        .post('/api/chat')
+        .send({ message: 'Where do they live?', conversationId: first.conversationId, cache: false })
+        .expect(500);
+      await request(server.app).post('/api/chat').send({ message: 'A new question', cache: false }).expect(500);
+      const response = await request(server.app)
+        .post('/api/chat/stream')
+        .send({ message: 'Where do they live?', conversationId: first.conversationId, cache: false })
+        .expect(200);
+      expect(parseNdjson(response.text).at(-1)).toMatchObject({ type: 'error', error: 'Chat failed' });
+    } finally {
+      invoke.mockRestore();
+      stream.mockRestore();
+    }
+
+    expect(server.conversationStore.get(first.conversationId).messages.map(message => message.role)).toEqual(['human', 'ai']);
+    expect(server.conversationStore.list()).toHaveLength(conversationCount);
+  });
+
+  it('answers 404 for an unknown conversation', async () => {
+    await request(server.app).post('/api/chat').send({ message: 'hi', conversationId: 'missing' }).expect(404);
+  });
+
+  it('streams sources, tokens and a done event, then stores the answer', async () => {
+    const response = await request(server.app)
+      .post('/api/chat/stream')
+      // Asked before in this file; a cached answer would arrive as a single token
+      .send({ message: 'What do zebras look like?', cache: false })
+      .expect(200)
+      .expect('Content-Type', /application\/x-ndjson/);
+
+    const events = parseNdjson(response.text);
+    expect(events[0]).toMatchObject({ type: 'sources' });
+    expect(events[0].sources[0].filename).toBe('zebras.txt');
+    const tokens = events.filter(event => event.type === 'token');
+    expect(tokens.length).toBeGreaterThan(1);
+    const done = events.at(-1);
+    expect(done).toMatchObject({ type: 'done', totalSources: 1 });
+    expect(done.citations[0]).toMatchObject({ sourceId: 1 });
+
+    const answer = tokens.map(event => event.text).join('');
+    const conversation = server.conversationStore.get(done.conversationId);
+    expect(conversation.messages.at(-1)).toMatchObject({ role: 'ai', content: answer });
+  });
+});
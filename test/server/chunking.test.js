@@ -0,0 +1,88 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  getChunkingConfig, splitByCharacters, splitByTokens, splitMarkdownSections, chunkText, chunkDocuments,
+} from '../../server/chunking.js';
+
+const SENTENCES = Array.from({ length: 12 }, (_, i) => `Sentence number ${i + 1} is about zebras.`).join(' ');
+
+describe('chunking', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('reads the environment under per-request overrides and validates the result', () => {
+    vi.stubEnv('CHUNK_SIZE', '500');
+    vi.stubEnv('CHUNK_MARKDOWN_HEADINGS', 'false');
+    expect(getChunkingConfig()).toEqual({ splitter: 'characters', chunkSize: 500, chunkOverlap: 200, markdownHeadings: false });
+    expect(getChunkingConfig({ splitter: 'tokens', chunkSize: 100, chunkOverlap: 10 })).toMatchObject({ splitter: 'tokens', chunkSize: 100 });
+
+    expect(() => getChunkingConfig({ splitter: 'words' })).toThrow('Unknown splitter "words"');
+    expect(() => getChunkingConfig({ chunkSize: 0 })).toThrow('chunkSize must be a positive integer');
+    expect(() => getChunkingConfig({ chunkSize: 100, chunkOverlap: 100 })).toThrow('chunkOverlap must be');
+  });
+
+  it('splits characters at sentence breaks with the configured overlap', () => {
+    const chunks = splitByCharacters(SENTENCES, { chunkSize: 120, chunkOverlap: 30 });
+    expect(chunks.length).toBeGreaterThan(3);
+    for (const [index, chunk] of chunks.entries()) {
+      expect(chunk.text.length).toBeLessThanOrEqual(120);
+      expect(SENTENCES.slice(chunk.start, chunk.end)).toBe(chunk.text);
+      if (index < chunks.length - 1) expect(chunk.text).toMatch(/\.$/);
+      if (index > 0) expect(chunk.start).toBeLessThan(chunks[index - 1].end);
+    }
+    expect(chunks.at(-1).end).toBe(SENTENCES.length);
+  });
+
+  it('splits by tokens with an overlap of whole tokens', () => {
+    const text = 'one two three four five six seven eight nine ten';
+    const chunks = splitByTokens(text, { chunkSize: 4, chunkOverlap: 1 });
+    expect(chunks.map(chunk => chunk.text)).toEqual([
+      'one two three four',
+      'four five six seven',
+      'seven eight nine ten',
+    ]);
+    expect(chunks[1]).toMatchObject({ start: text.indexOf('four'), end: text.indexOf(' eight') });
+  });
+
+  it('tracks the heading path of markdown sections and ignores headings in code fences', () => {
+    const text = '# Zebras\nIntro.\n## Stripes\nBlack and white.\n```\n# not a heading\n```\n## Habitat\nSavanna.\n# Horses\nDomesticated.';
+    const sections = splitMarkdownSections(text);
+    expect(sections.map(section => section.headingPath)).toEqual([
+      ['Zebras'],
+      ['Zebras', 'Stripes'],
+      ['Zebras', 'Habitat'],
+      ['Horses'],
+    ]);
+    expect(sections[1].text).toContain('# not a heading');
+  });
+
+  it('gives every chunk its offsets, index, count and heading path', () => {
+    const text = '# Zebras\n## Stripes\nBlack and white stripes.\n## Habitat\nThe African savanna.';
+    const chunks = chunkText(text, { filename: 'zebras.md' }, getChunkingConfig());
+    expect(chunks.map(chunk => chunk.metadata)).toEqual([
+      { filename: 'zebras.md', chunkIndex: 0, chunkCount: 3, startChar: 0, endChar: 8, headingPath: 'Zebras' },
+      { filename: 'zebras.md', chunkIndex: 1, chunkCount: 3, startChar: 9, endChar: 44, headingPath: 'Zebras > Stripes' },
+      { filename: 'zebras.md', chunkIndex: 2, chunkCount: 3, startChar: 45, endChar: 76, headingPath: 'Zebras > Habitat' },
+    ]);
+    expect(chunks[1].text).toBe(text.slice(9, 44));
+
+    const plain = chunkText(text, { filename: 'zebras.txt' }, getChunkingConfig());
+    expect(plain).toHaveLength(1);
+    expect(plain[0].metadata.headingPath).toBe('');
+  });
+
+  it('numbers chunks across all documents of a file and keeps their own metadata', () => {
+    const config = getChunkingConfig({ chunkSize: 120, chunkOverlap: 0 });
+    const chunks = chunkDocuments([
+      { text: SENTENCES, metadata: { page: 1 } },
+      { text: 'Page two is short.', metadata: { page: 2 } },
+    ], { filename: 'zebras.pdf' }, config);
+
+    expect(chunks.map(chunk => chunk.metadata.chunkIndex)).toEqual(chunks.map((_, index) => index));
+    expect(new Set(chunks.map(chunk => chunk.metadata.chunkCount))).toEqual(new Set([chunks.length]));
+    expect(chunks.at(-1)).toEqual({
+      text: 'Page two is short.',
+      metadata: expect.objectContaining({ filename: 'zebras.pdf', page: 2, startChar: 0, endChar: 18 }),
+    });
+  });
+});
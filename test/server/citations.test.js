@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { getGroundingConfig, describeSource, extractCitations, checkGrounding, contentWords } from '../../server/citations.js';
+import { FakeChatModel } from '../../server/providers/fake.js';
+import { logger } from '../../server/logger.js';
+
+const ZEBRAS = 'Zebras are African equines with black and white striped coats.';
+const GIRAFFES = 'Giraffes are the tallest land animals and eat acacia leaves.';
+
+const sources = [
+  describeSource({ node: { text: ZEBRAS, metadata: { documentId: 'doc-z', filename: 'zebras.txt', chunkIndex: 0, startChar: 0, endChar: 63 } }, score: 0.91234 }, 0),
+  describeSource({ node: { text: GIRAFFES, metadata: { documentId: 'doc-g', source: 'giraffes.txt', chunkIndex: 2, startChar: 120, endChar: 181 } } }, 1),
+];
+
+describe('citations', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it('describes each retrieved chunk as a numbered source', () => {
+    expect(sources[0]).toMatchObject({ id: 1, text: ZEBRAS, similarity: 0.9123, documentId: 'doc-z', filename: 'zebras.txt', chunkIndex: 0 });
+    expect(sources[1]).toMatchObject({ id: 2, similarity: null, filename: 'giraffes.txt', startChar: 120, endChar: 181 });
+  });
+
+  it('maps each marker to the source it cites, with its position in the answer', () => {
+    const answer = 'Zebras are striped [1]. Both are African [Source 1, 2], unlike penguins [7].';
+    const citations = extractCitations(answer, sources);
+
+    expect(citations).toEqual([
+      { marker: '[1]', start: 19, end: 22, sourceId: 1, documentId: 'doc-z', filename: 'zebras.txt', chunkIndex: 0, startChar: 0, endChar: 63 },
+      expect.objectContaining({ marker: '[Source 1, 2]', start: 41, end: 54, sourceId: 1 }),
+      expect.objectContaining({ marker: '[Source 1, 2]', start: 41, end: 54, sourceId: 2, documentId: 'doc-g', startChar: 120 }),
+    ]);
+    expect(answer.slice(citations[1].start, citations[1].end)).toBe('[Source 1, 2]');
+    expect(extractCitations('No markers here.', sources)).toEqual([]);
+  });
+
+  it('reads the grounding mode, with true and false meaning overlap and off', () => {
+    expect(getGroundingConfig()).toEqual({ mode: 'overlap', threshold: 0.5 });
+    vi.stubEnv('GROUNDING_CHECK', 'llm');
+    vi.stubEnv('GROUNDING_THRESHOLD', '0.8');
+    expect(getGroundingConfig()).toEqual({ mode: 'llm', threshold: 0.8 });
+    expect(getGroundingConfig({ mode: true }).mode).toBe('overlap');
+    expect(getGroundingConfig({ mode: false }).mode).toBe('off');
+
+    expect(() => getGroundingConfig({ mode: 'strict' })).toThrow('Unknown grounding mode "strict"');
+    expect(() => getGroundingConfig({ threshold: 0 })).toThrow('threshold must be greater than 0 and at most 1');
+  });
+
+  it('ignores citation markers and filler words when comparing text', () => {
+    expect(contentWords('According to [Source 1], the zebras are striped [2].')).toEqual(['zebras', 'striped']);
+  });
+
+  it('flags sentences that share too few words with every source', async () => {
+    const answer = 'Zebras have black and white striped coats [1]. Thanks! Zebras were first domesticated on the moon.';
+    const result = await checkGrounding(answer, sources, { config: getGroundingConfig() });
+
+    expect(result).toMatchObject({ mode: 'overlap', grounded: false, unsupportedCount: 1 });
+    // "Thanks!" has too few content words to check
+    expect(result.sentences).toEqual([
+      { text: 'Zebras have black and white striped coats [1].', start: 0, end: 46, supported: true, sourceIds: [1], score: 1 },
+      expect.objectContaining({ text: 'Zebras were first domesticated on the moon.', supported: false, sourceIds: [], score: 0.25 }),
+    ]);
+    expect(answer.slice(result.sentences[1].start, result.sentences[1].end)).toBe(result.sentences[1].text);
+
+    expect(await checkGrounding(answer, sources, { config: getGroundingConfig({ mode: 'off' }) })).toBeNull();
+  });
+
+  it('asks the chat model in llm mode, falling back to word overlap for what it skips', async () => {
+    const answer = 'Zebras have black and white striped coats. Giraffes are tall and eat leaves. Zebras live on the moon.';
+    const llm = new FakeChatModel({ responses: ['1: 1\n2: 2, 9'] });
+    const invoke = vi.spyOn(llm, 'invoke');
+    const result = await checkGrounding(answer, sources, { config: getGroundingConfig({ mode: 'llm' }), llm });
+
+    expect(invoke.mock.calls[0][0]).toContain('[Source 2]: ' + GIRAFFES);
+    expect(invoke.mock.calls[0][0]).toContain('3. Zebras live on the moon.');
+    // Unknown source ids from the judge are dropped; statement 3 got no verdict and is scored by overlap
+    expect(result.sentences.map(({ supported, sourceIds, score }) => ({ supported, sourceIds, score }))).toEqual([
+      { supported: true, sourceIds: [1], score: undefined },
+      { supported: true, sourceIds: [2], score: undefined },
+      { supported: false, sourceIds: [], score: 0.33 },
+    ]);
+
+    const failing = new FakeChatModel();
+    vi.spyOn(failing, 'invoke').mockRejectedValue(new Error('judge unavailable'));
+    const warn = vi.spyOn(logger, 'warn').mockImplementation(() => {});
+    const fallback = await checkGrounding(answer, sources, { config: getGroundingConfig({ mode: 'llm' }), llm: failing });
+    expect(warn).toHaveBeenCalledWith('LLM grounding check failed, using word overlap instead', expect.anything());
+    expect(fallback).toMatchObject({ mode: 'llm', unsupportedCount: 1 });
+    expect(fallback.sentences.every(sentence => typeof sentence.score === 'number')).toBe(true);
+  });
+});
+
+describe('citations on /api/query', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    server = await createTestApp({ responses: ['Zebras have black and white striped coats [1]. Zebras were first domesticated on the moon.'] });
+    await server.seedDocument('zebras.txt', ZEBRAS);
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('returns the citations and the unsupported sentences with the answer', async () => {
+    const { body } = await request(server.app).post('/api/query').send({ query: 'What do zebras look like?', retrieval: { topK: 1 } }).expect(200);
+
+    expect(body.sources[0]).toMatchObject({ id: 1, text: ZEBRAS, filename: 'zebras.txt', chunkIndex: 0, startChar: 0 });
+    expect(body.citations).toEqual([expect.objectContaining({ marker: '[1]', start: 42, end: 45, sourceId: 1, documentId: body.sources[0].documentId })]);
+    expect(body.grounding).toMatchObject({ mode: 'overlap', grounded: false, unsupportedCount: 1 });
+
+    const { body: unchecked } = await request(server.app).post('/api/query').send({ query: 'Zebras?', grounding: false }).expect(200);
+    expect(unchecked.grounding).toBeNull();
+    await request(server.app).post('/api/query').send({ query: 'Zebras?', grounding: 'strict' }).expect(400);
+  });
+});
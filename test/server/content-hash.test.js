@@ -0,0 +1,117 @@
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { createTestApp } from './helpers.js';
+import { hashContent, chunkHash } from '../../server/content-hash.js';
+import { ingestContent, matchExistingDocument } from '../../server/ingestion.js';
+import { getChunkingConfig } from '../../server/chunking.js';
+import { SHARED_OWNER } from '../../server/auth.js';
+
+const PARAGRAPHS = [
+  'Capybaras are the largest living rodents and graze on riverbank grasses.',
+  'Beavers build dams of branches and mud that slow streams into ponds.',
+  'Porcupines are covered in quills that detach when a predator touches them.',
+];
+
+describe('content hashes', () => {
+  it('hashes chunk text, model and metadata but not the chunk position', () => {
+    const chunk = { text: 'Zebras are striped.', metadata: { filename: 'zebras.txt', chunkIndex: 0, startChar: 0, endChar: 19 } };
+    const hash = chunkHash(chunk, 'fake:fake-hash');
+    expect(hash).toBe(hashContent(JSON.stringify(['fake:fake-hash', 'Zebras are striped.', { filename: 'zebras.txt' }])));
+
+    expect(chunkHash({ ...chunk, metadata: { ...chunk.metadata, chunkIndex: 4, startChar: 80, endChar: 99 } }, 'fake:fake-hash')).toBe(hash);
+    expect(chunkHash(chunk, 'openai:text-embedding-3-small')).not.toBe(hash);
+    expect(chunkHash({ ...chunk, metadata: { ...chunk.metadata, page: 2 } }, 'fake:fake-hash')).not.toBe(hash);
+  });
+});
+
+describe('incremental ingestion', () => {
+  let server;
+  const chunkingConfig = getChunkingConfig({ chunkSize: 100, chunkOverlap: 0 });
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    server = await createTestApp();
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // Ingest `text` as a version of `filename`, the way the ingest CLI and the upload route match documents
+  const ingest = (filename, text, { ownerId = SHARED_OWNER } = {}) => {
+    const buffer = Buffer.from(text);
+    const { existing } = matchExistingDocument(server.documentStore, { ownerId, filename, contentHash: hashContent(buffer), chunkingConfig });
+    return ingestContent({
+      documentStore: server.documentStore,
+      index: server.ragService,
+      embeddingModel: 'fake:fake-hash',
+      uploadsDir: path.join(server.dataDir, 'uploads'),
+    }, { existing, filename, mimeType: 'text/plain', buffer, ownerId, chunkingConfig });
+  };
+
+  const indexedIds = (documentId) => [...server.ragService.vectorStore.records.values()]
+    .filter(record => record.metadata.documentId === documentId)
+    .map(record => record.id)
+    .sort();
+
+  it('gives chunks IDs from their document and content hash', async () => {
+    const { record, changes } = await ingest('rodents.txt', PARAGRAPHS.join('\n\n'));
+    expect(changes).toEqual({ added: 3, updated: 0, unchanged: 0, removed: 0 });
+    expect(record.chunks.map(chunk => chunk.id)).toEqual(record.chunks.map(chunk => `${record.id}#${chunk.hash.slice(0, 16)}`));
+    expect(indexedIds(record.id)).toEqual(record.chunks.map(chunk => chunk.id).sort());
+  });
+
+  it('embeds only the chunks that changed and removes the ones that are gone', async () => {
+    const before = server.documentStore.list().find(record => record.filename === 'rodents.txt');
+    const insertChunks = vi.spyOn(server.ragService, 'insertChunks');
+    const edited = [PARAGRAPHS[0], 'Beavers build lodges with underwater entrances.'];
+
+    const { record, changes } = await ingest('rodents.txt', edited.join('\n\n'));
+    expect(record.id).toBe(before.id);
+    // The first chunk keeps its vector; only its chunkCount is rewritten
+    expect(changes).toEqual({ added: 1, updated: 1, unchanged: 0, removed: 2 });
+    expect(insertChunks).toHaveBeenCalledTimes(1);
+    expect(insertChunks.mock.calls[0][1].map(chunk => chunk.text)).toEqual([edited[1]]);
+    expect(record.chunks[0]).toMatchObject({ id: before.chunks[0].id, metadata: { chunkCount: 2 } });
+    expect(indexedIds(record.id)).toEqual(record.chunks.map(chunk => chunk.id).sort());
+  });
+
+  it('is idempotent: the same content again changes nothing', async () => {
+    const before = server.documentStore.list().find(record => record.filename === 'rodents.txt');
+    const insertChunks = vi.spyOn(server.ragService, 'insertChunks');
+    const text = [PARAGRAPHS[0], 'Beavers build lodges with underwater entrances.'].join('\n\n');
+    expect(matchExistingDocument(server.documentStore, {
+      ownerId: SHARED_OWNER, filename: 'rodents.txt', contentHash: hashContent(Buffer.from(text)), chunkingConfig,
+    })).toEqual({ existing: before, unchanged: true });
+
+    const { record, changes } = await ingest('rodents.txt', text);
+    expect(changes).toEqual({ added: 0, updated: 0, unchanged: 2, removed: 0 });
+    expect(insertChunks).not.toHaveBeenCalled();
+    expect(record.chunks.map(chunk => chunk.id)).toEqual(before.chunks.map(chunk => chunk.id));
+  });
+
+  it('numbers repeated chunks so each keeps its own vector', async () => {
+    const footer = 'Confidential: internal use only, do not distribute outside the company.';
+    const { record } = await ingest('handbook.txt', [footer, PARAGRAPHS[1], footer].join('\n\n'));
+    const [first, , last] = record.chunks.map(chunk => chunk.id);
+    expect(last).toBe(`${first}-2`);
+    expect(indexedIds(record.id)).toHaveLength(3);
+  });
+
+  it('matches documents per owner, by filename or else by content', () => {
+    const contentHash = server.documentStore.list().find(record => record.filename === 'rodents.txt').contentHash;
+    const match = (fields) => matchExistingDocument(server.documentStore, { ownerId: SHARED_OWNER, chunkingConfig, ...fields });
+
+    // The same file under another name is a duplicate of it
+    expect(match({ filename: 'copy.txt', contentHash })).toMatchObject({ existing: { filename: 'rodents.txt' }, unchanged: true });
+    // A changed chunking config means embedding again
+    expect(match({ filename: 'rodents.txt', contentHash, chunkingConfig: getChunkingConfig() })).toMatchObject({ unchanged: false });
+    expect(match({ filename: 'other.txt', contentHash: hashContent('other') })).toEqual({ existing: null, unchanged: false });
+    expect(match({ filename: 'rodents.txt', contentHash, ownerId: 'someone' })).toEqual({ existing: null, unchanged: false });
+  });
+});
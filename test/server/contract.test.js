@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { operations, Answer, AgentAnswer, StreamEvent } from '../../server/api-schema.js';
+
+const parseNdjson = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+// "<method> <path>" of every route on the API router
+function routesOf(app) {
+  const api = app.router.stack.find(layer => layer.handle.stack?.some(inner => inner.route)).handle;
+  return api.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method} ${layer.route.path}`));
+}
+
+describe('API contract', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    server = await createTestApp();
+    await server.seedDocument('zebras.txt', 'Zebras are African equines with distinctive black and white striped coats.');
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('documents every route and nothing else', () => {
+    const documented = operations.map(({ method, path }) => `${method} ${path}`);
+    expect(routesOf(server.app).sort()).toEqual(documented.sort());
+  });
+
+  it('serves the OpenAPI document without an API key', async () => {
+    vi.stubEnv('AUTH_ENABLED', 'true');
+    try {
+      const { body: spec } = await request(server.app).get('/api/v1/openapi.json').expect(200);
+      expect(spec.openapi).toBe('3.1.0');
+      expect(spec.servers).toEqual([{ url: '/api/v1' }]);
+      expect(spec.paths['/documents/{id}'].delete.responses).toHaveProperty('503');
+      expect(spec.paths['/query'].post.requestBody.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/QueryRequest' });
+      expect(spec.components.schemas.QueryRequest.properties.method.enum).toEqual(['llamaindex', 'langchain', 'hybrid']);
+    } finally {
+      vi.stubEnv('AUTH_ENABLED', 'false');
+    }
+  });
+
+  it('rejects an unknown query method instead of falling back to hybrid', async () => {
+    const { body } = await request(server.app).post('/api/v1/query').send({ query: 'Zebras?', method: 'bm25' }).expect(400);
+    expect(body.error).toBe('Invalid request');
+    expect(body.issues).toEqual([expect.objectContaining({ path: 'body.method' })]);
+  });
+
+  it('lists every problem with a request', async () => {
+    const { body } = await request(server.app).post('/api/v1/chat').send({ message: '', cache: 'no', promptVersion: 0 }).expect(400);
+    expect(body.issues.map(issue => issue.path)).toEqual(['body.message', 'body.cache', 'body.promptVersion']);
+    expect(body.details).toContain('body.message: Message is required');
+  });
+
+  it('answers with the same shape from every method', async () => {
+    const shapes = [];
+    for (const method of ['llamaindex', 'langchain', 'hybrid']) {
+      const { body } = await request(server.app).post('/api/v1/query').send({ query: 'What do zebras look like?', method, rewrite: false }).expect(200);
+      expect(body.method).toBe(method);
+      expect(typeof body.sources[0].similarity).toBe('number');
+      shapes.push(Object.keys(Answer.parse(body)).sort());
+    }
+    expect(shapes[1]).toEqual(shapes[0]);
+    expect(shapes[2]).toEqual(shapes[0]);
+
+    const { body: chat } = await request(server.app).post('/api/v1/chat').send({ message: 'What do zebras look like?' }).expect(200);
+    expect(chat.answer).toBe(chat.response);
+    expect(Object.keys(Answer.parse(chat)).sort()).toEqual(expect.arrayContaining(shapes[0]));
+
+    const { body: agent } = await request(server.app).post('/api/v1/agent').send({ message: 'What do zebras look like?' }).expect(200);
+    expect(AgentAnswer.parse(agent)).toMatchObject({ method: 'agent', prompt: null, cache: { hit: false } });
+  });
+
+  it('streams events that match the schema', async () => {
+    const response = await request(server.app).post('/api/v1/chat/stream').send({ message: 'What do zebras look like?' }).expect(200);
+    const events = parseNdjson(response.text).map(event => StreamEvent.parse(event));
+    expect(events.map(event => event.type)).toEqual(expect.arrayContaining(['sources', 'token', 'done']));
+    expect(events.at(-1).method).toBe('hybrid');
+  });
+
+  it('serves the unversioned paths as deprecated aliases', async () => {
+    const current = await request(server.app).get('/api/v1/documents').expect(200);
+    expect(current.headers.deprecation).toBeUndefined();
+
+    const alias = await request(server.app).get('/api/documents').expect(200);
+    expect(alias.body).toEqual(current.body);
+    expect(alias.headers.deprecation).toBe('true');
+    expect(alias.headers.link).toBe('</api/v1/documents>; rel="successor-version"');
+
+    const { body } = await request(server.app).get('/api/v1/nothing-here').expect(404);
+    expect(body.error).toBe('Not found');
+  });
+
+  it('refuses to send a response that breaks the contract in strict mode', async () => {
+    vi.spyOn(server.ragService.responseCache, 'describe').mockReturnValueOnce({ size: 'lots' });
+    const { body } = await request(server.app).get('/api/v1/admin/cache').expect(500);
+    expect(body.error).toBe('Invalid response');
+    expect(body.details).toContain('getCache');
+  });
+});
@@ -0,0 +1,87 @@
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { ConversationStore, titleFromMessage } from '../../server/conversation-store.js';
+
+describe('conversation routes', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    server = await createTestApp();
+    await server.seedDocument('zebras.txt', 'Zebras are African equines with distinctive black and white striped coats.');
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('creates, renames, lists and deletes conversations', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-01T10:00:00Z'));
+    const { body: first } = await request(server.app).post('/api/conversations').send({ title: '  Zebras  ' }).expect(201);
+    expect(first).toMatchObject({ title: 'Zebras', messages: [], createdAt: '2025-01-01T10:00:00.000Z' });
+    vi.setSystemTime(new Date('2025-01-01T11:00:00Z'));
+    const { body: second } = await request(server.app).post('/api/conversations').expect(201);
+    expect(second.title).toBe('New conversation');
+
+    // Most recently updated first
+    let { body: list } = await request(server.app).get('/api/conversations').expect(200);
+    expect(list.conversations.map(conversation => conversation.id)).toEqual([second.id, first.id]);
+
+    vi.setSystemTime(new Date('2025-01-01T12:00:00Z'));
+    const { body: renamed } = await request(server.app).patch(`/api/conversations/${first.id}`).send({ title: 'Striped horses' }).expect(200);
+    expect(renamed).toMatchObject({ id: first.id, title: 'Striped horses', messageCount: 0, preview: '', updatedAt: '2025-01-01T12:00:00.000Z' });
+    ({ body: list } = await request(server.app).get('/api/conversations').expect(200));
+    expect(list.conversations[0]).toEqual(renamed);
+
+    await request(server.app).patch(`/api/conversations/${first.id}`).send({ title: '' }).expect(400);
+    await request(server.app).delete(`/api/conversations/${second.id}`).expect(200, { status: 'deleted', id: second.id });
+    for (const method of ['get', 'patch', 'delete']) {
+      await request(server.app)[method](`/api/conversations/${second.id}`).send({ title: 'Gone' }).expect(404);
+    }
+  });
+
+  it('keeps the turns of a chat with their sources, titled by the first question', async () => {
+    const { body: created } = await request(server.app).post('/api/conversations').expect(201);
+    const { body: answer } = await request(server.app)
+      .post('/api/chat')
+      .send({ message: 'What do zebras look like?', conversationId: created.id })
+      .expect(200);
+
+    const { body: conversation } = await request(server.app).get(`/api/conversations/${created.id}`).expect(200);
+    expect(conversation.title).toBe('What do zebras look like?');
+    expect(conversation.messages).toEqual([
+      expect.objectContaining({ role: 'human', content: 'What do zebras look like?', sources: [] }),
+      expect.objectContaining({ role: 'ai', content: answer.response, sources: answer.sources, citations: answer.citations }),
+    ]);
+
+    const { body: list } = await request(server.app).get('/api/conversations').expect(200);
+    expect(list.conversations.find(summary => summary.id === created.id)).toMatchObject({
+      messageCount: 2,
+      preview: answer.response.slice(0, 120),
+    });
+    expect(list.conversations[0]).not.toHaveProperty('messages');
+  });
+
+  it('survives a restart', async () => {
+    const { body: created } = await request(server.app).post('/api/conversations').send({ title: 'Kept' }).expect(201);
+    await request(server.app).post('/api/chat').send({ message: 'Zebras?', conversationId: created.id }).expect(200);
+
+    const reopened = new ConversationStore(path.join(server.dataDir, 'conversations.json'));
+    expect(reopened.get(created.id)).toEqual(server.conversationStore.get(created.id));
+  });
+
+  it('titles a conversation with the question on one line, cut to 60 characters', () => {
+    expect(titleFromMessage('  What do\n zebras   look like?  ')).toBe('What do zebras look like?');
+    const title = titleFromMessage('z'.repeat(100));
+    expect(title).toHaveLength(60);
+    expect(title.endsWith('…')).toBe(true);
+  });
+});
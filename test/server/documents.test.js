@@ -0,0 +1,105 @@
+import fs from 'fs';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+
+const TEXT = [
+  'Okapis are forest giraffids from the Congo.',
+  'Their legs carry white and brown stripes like a zebra.',
+  'They feed on leaves, buds and fungi in the understory.',
+].join('\n\n');
+
+// Upload through the job queue and return the finished file entry
+async function upload(app, buffer, filename) {
+  const { body } = await request(app).post('/api/upload').attach('files', buffer, filename).expect(202);
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body: job } = await request(app).get(`/api/jobs/${body.jobId}`).expect(200);
+    if (job.status === 'done') return job.files[0];
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${body.jobId} did not finish`);
+}
+
+describe('document routes', () => {
+  let server;
+  let documentId;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    server = await createTestApp();
+    server.ingestionQueue.start();
+    ({ documentId } = await upload(server.app, Buffer.from(TEXT), 'okapi.txt'));
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('lists uploaded documents without their chunks', async () => {
+    const { body } = await request(server.app).get('/api/documents').expect(200);
+    expect(body.documents).toEqual([expect.objectContaining({ id: documentId, filename: 'okapi.txt', chunkCount: 1 })]);
+    expect(body.documents[0]).not.toHaveProperty('chunks');
+    expect(body.documents[0]).not.toHaveProperty('storedPath');
+  });
+
+  it('shows a document with its chunks and their metadata', async () => {
+    const { body } = await request(server.app).get(`/api/documents/${documentId}`).expect(200);
+    expect(body).toMatchObject({ id: documentId, filename: 'okapi.txt', chunkCount: 1 });
+    expect(body).not.toHaveProperty('storedPath');
+    expect(body.chunks).toEqual([{
+      id: expect.stringMatching(new RegExp(`^${documentId}#`)),
+      hash: expect.any(String),
+      text: TEXT,
+      metadata: expect.objectContaining({ filename: 'okapi.txt', documentId, chunkIndex: 0, startChar: 0, endChar: TEXT.length }),
+    }]);
+
+    await request(server.app).get('/api/documents/missing').expect(404);
+  });
+
+  it('reindexes from the stored file with new chunking options', async () => {
+    const { body } = await request(server.app)
+      .post(`/api/documents/${documentId}/reindex`)
+      .send({ chunkSize: 60, chunkOverlap: 0 })
+      .expect(200);
+    expect(body.document).toMatchObject({ id: documentId, chunkCount: 3 });
+    expect(body.changes).toEqual({ added: 3, updated: 0, unchanged: 0, removed: 1 });
+
+    const { body: document } = await request(server.app).get(`/api/documents/${documentId}`).expect(200);
+    expect(document.chunkingConfig).toMatchObject({ chunkSize: 60, chunkOverlap: 0 });
+    const stored = await server.ragService.vectorStore.fetchMetadata(document.chunks.map(chunk => chunk.id));
+    expect(stored.size).toBe(3);
+
+    // Without options the previous settings are kept and nothing is embedded again
+    const { body: again } = await request(server.app).post(`/api/documents/${documentId}/reindex`).expect(200);
+    expect(again.changes).toEqual({ added: 0, updated: 0, unchanged: 3, removed: 0 });
+
+    await request(server.app).post(`/api/documents/${documentId}/reindex`).send({ chunkSize: 10, chunkOverlap: 20 }).expect(400);
+    await request(server.app).post('/api/documents/missing/reindex').expect(404);
+  });
+
+  it('refuses to reindex a document whose stored file is gone', async () => {
+    const { documentId: id } = await upload(server.app, Buffer.from('Tapirs have short prehensile snouts.'), 'tapir.txt');
+    fs.rmSync(server.documentStore.get(id).storedPath);
+    await request(server.app).post(`/api/documents/${id}/reindex`).expect(409);
+  });
+
+  it('deletes a document with its vectors and stored file', async () => {
+    const record = server.documentStore.get(documentId);
+    const chunkIds = record.chunks.map(chunk => chunk.id);
+    expect(fs.existsSync(record.storedPath)).toBe(true);
+
+    const { body } = await request(server.app).delete(`/api/documents/${documentId}`).expect(200);
+    expect(body).toEqual({ status: 'deleted', id: documentId, chunksDeleted: 3 });
+
+    expect((await server.ragService.vectorStore.fetchMetadata(chunkIds)).size).toBe(0);
+    // The file is removed in the background
+    await vi.waitFor(() => expect(fs.existsSync(record.storedPath)).toBe(false));
+    await request(server.app).get(`/api/documents/${documentId}`).expect(404);
+    await request(server.app).delete(`/api/documents/${documentId}`).expect(404);
+
+    const { body: answer } = await request(server.app).post('/api/query').send({ query: 'What do okapis eat?' }).expect(200);
+    expect(answer.sources.map(source => source.filename)).not.toContain('okapi.txt');
+  });
+});
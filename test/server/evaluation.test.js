@@ -0,0 +1,156 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { loadDataset, scoreRetrieval, judgeAnswer, summarizeResults, renderMarkdownReport } from '../../server/evaluation.js';
+import { FakeChatModel } from '../../server/providers/fake.js';
+import { DocumentStore, documentRegistryPath } from '../../server/document-store.js';
+import { removeStoredFile } from '../../server/ingestion.js';
+import { logger } from '../../server/logger.js';
+
+const CLI = path.resolve(import.meta.dirname, '../../server/eval.js');
+
+const ZEBRAS = 'Zebras are African equines with black and white striped coats.';
+const GIRAFFES = 'Giraffes are the tallest land animals and eat acacia leaves.';
+
+const QUESTIONS = [
+  { id: 'zebra-coat', question: 'What do zebras look like?', expectedAnswer: 'Zebras have black and white striped coats.', sources: ['docs/zebras.txt'] },
+  { id: 'giraffe-food', question: 'What do giraffes eat?', expectedAnswer: 'Giraffes eat acacia leaves.', sources: ['docs/giraffes.txt'] },
+];
+
+// A golden set whose sources sit in a subdirectory next to it, as datasets usually ship
+function writeDataset(dir, lines = QUESTIONS.map(question => JSON.stringify(question))) {
+  fs.mkdirSync(path.join(dir, 'docs'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'docs', 'zebras.txt'), ZEBRAS);
+  fs.writeFileSync(path.join(dir, 'docs', 'giraffes.txt'), GIRAFFES);
+  const filePath = path.join(dir, 'golden.jsonl');
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+  return filePath;
+}
+
+describe('evaluation scoring', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-dataset-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('loads a dataset, resolving its sources next to it', () => {
+    const filePath = writeDataset(dir, [JSON.stringify(QUESTIONS[0]), '', JSON.stringify({ question: 'Zebras?', sources: ['docs/zebras.txt'] })]);
+    const { questions, documents } = loadDataset(filePath);
+    expect(questions.map(question => question.id)).toEqual(['zebra-coat', 'q2']);
+    expect(questions[1].expectedAnswer).toBe('');
+    expect(documents).toEqual([path.join(dir, 'docs', 'zebras.txt')]);
+  });
+
+  it.each([
+    [['{"question": "Zebras?", "sources": ["a.txt"]}', '{not json'], /golden\.jsonl:2: /],
+    [['{"question": "Zebras?", "sources": []}'], /golden\.jsonl:1: each entry needs a question and a non-empty sources array/],
+    [['{"sources": ["a.txt"]}'], /golden\.jsonl:1: each entry needs a question/],
+    [['', '  '], /golden\.jsonl has no questions/],
+  ])('rejects malformed datasets (%j)', (lines, message) => {
+    expect(() => loadDataset(writeDataset(dir, lines))).toThrow(message);
+  });
+
+  it('scores hits, reciprocal rank and recall by document, whatever directory a source is in', () => {
+    const retrieved = ['giraffes.txt', 'zebras.txt', 'zebras.txt', 'okapis.txt'].map(filename => ({ filename }));
+    expect(scoreRetrieval(retrieved, ['docs/zebras.txt'])).toEqual({ hit: 1, reciprocalRank: 0.5, recall: 1 });
+    expect(scoreRetrieval(retrieved, [path.join(dir, 'docs', 'giraffes.txt')])).toEqual({ hit: 1, reciprocalRank: 1, recall: 1 });
+    expect(scoreRetrieval(retrieved, ['zebras.txt', 'tapirs.txt'])).toEqual({ hit: 1, reciprocalRank: 0.5, recall: 0.5 });
+    expect(scoreRetrieval(retrieved, ['tapirs.txt'])).toEqual({ hit: 0, reciprocalRank: 0, recall: 0 });
+    expect(scoreRetrieval([], ['zebras.txt'])).toEqual({ hit: 0, reciprocalRank: 0, recall: 0 });
+  });
+
+  const item = {
+    question: 'What do zebras look like?',
+    expectedAnswer: 'Zebras have black and white striped coats.',
+    answer: 'Zebras have black and white striped coats [1]. Zebras were first domesticated on the moon.',
+    sources: [{ filename: 'zebras.txt', text: ZEBRAS }],
+  };
+
+  it('scales the LLM judge\'s 1-5 scores to 0-1', async () => {
+    const llm = new FakeChatModel({ responses: ['faithfulness: 5\nrelevance: 3'] });
+    expect(await judgeAnswer(item, { mode: 'llm', llm })).toEqual({ faithfulness: 1, relevance: 0.5, judge: 'llm' });
+  });
+
+  it('falls back to word overlap when the judge reply is unusable or the call fails', async () => {
+    const overlap = { faithfulness: 0.5, relevance: 1, judge: 'overlap' };
+    expect(await judgeAnswer(item, { mode: 'overlap' })).toEqual(overlap);
+    expect(await judgeAnswer(item, { mode: 'llm', llm: new FakeChatModel({ responses: ['Looks good to me!'] }) })).toEqual(overlap);
+
+    const failing = new FakeChatModel();
+    vi.spyOn(failing, 'invoke').mockRejectedValue(new Error('judge unavailable'));
+    const warn = vi.spyOn(logger, 'warn').mockImplementation(() => {});
+    expect(await judgeAnswer(item, { mode: 'llm', llm: failing })).toEqual(overlap);
+    expect(warn).toHaveBeenCalledWith('LLM judge failed, using word overlap instead', expect.anything());
+  });
+
+  it('averages answered questions and lists the misses in the report', () => {
+    const results = [
+      { id: 'a', question: 'A?', retrieved: ['a.txt'], hit: 1, reciprocalRank: 1, recall: 1, faithfulness: 1, relevance: 0.5, latencyMs: 10, judge: 'overlap' },
+      { id: 'b', question: 'B?', retrieved: [], hit: 0, reciprocalRank: 0, recall: 0, faithfulness: 0.5, relevance: 0, latencyMs: 21, judge: 'overlap' },
+      { id: 'c', question: 'C?', error: 'Model unavailable' },
+    ];
+    const summary = summarizeResults(results);
+    expect(summary).toEqual({ questions: 3, failed: 1, hitRate: 0.5, mrr: 0.5, recall: 0.5, faithfulness: 0.75, relevance: 0.25, latencyMs: 16, judge: 'overlap' });
+
+    const markdown = renderMarkdownReport({
+      dataset: 'golden.jsonl', questions: 3, models: { chat: 'fake:fake-chat', embeddings: 'fake:fake-hash' },
+      vectorStore: 'local', startedAt: '2025-01-31T00:00:00.000Z', configurations: [{ name: 'hybrid', summary, results }],
+    });
+    expect(markdown).toContain('| hybrid | 0.500 | 0.500 | 0.500 | 0.750 | 0.250 | 16 ms | overlap | 1 |');
+    expect(markdown).toContain('- `b` B? (retrieved: nothing)');
+    expect(markdown).toContain('- `c` C? (error: Model unavailable)');
+  });
+});
+
+describe('eval CLI', () => {
+  let dir;
+  let dataDir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-cli-'));
+    dataDir = path.join(dir, 'data');
+  });
+
+  afterAll(() => {
+    // The harness keeps a copy of each dataset document next to the server's uploads
+    for (const record of new DocumentStore(documentRegistryPath(dataDir, 'eval')).list()) {
+      removeStoredFile(record.storedPath);
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('runs offline with the fake provider and writes both reports', async () => {
+    const dataset = writeDataset(dir);
+    const out = path.join(dir, 'reports');
+    const { stdout } = await promisify(execFile)(process.execPath, [CLI, '--dataset', dataset, '--methods', 'hybrid,langchain', '--judge', 'overlap', '--out', out], {
+      cwd: path.dirname(CLI),
+      timeout: 60 * 1000,
+      env: { ...process.env, MODEL_PROVIDER: 'fake', VECTOR_STORE: 'local', DATA_DIR: dataDir, VISION_ENGINE: 'off', PINECONE_NAMESPACE: '' },
+    });
+    expect(stdout).toContain('📥 Indexing 2 dataset document(s) into namespace "eval"');
+
+    const [jsonReport, markdownReport] = fs.readdirSync(out).sort();
+    expect(jsonReport).toMatch(/^eval-.*\.json$/);
+    expect(markdownReport).toMatch(/^eval-.*\.md$/);
+    const report = JSON.parse(fs.readFileSync(path.join(out, jsonReport), 'utf8'));
+    expect(report).toMatchObject({ questions: 2, judge: 'overlap', models: { chat: 'fake:fake-chat', embeddings: 'fake:fake-hash' } });
+    expect(report.configurations.map(configuration => configuration.name)).toEqual(['hybrid', 'langchain']);
+    for (const { summary, results } of report.configurations) {
+      expect(summary).toMatchObject({ questions: 2, failed: 0, hitRate: 1, recall: 1, judge: 'overlap' });
+      expect(results.map(result => result.retrieved[0])).toEqual(['zebras.txt', 'giraffes.txt']);
+    }
+    expect(fs.readFileSync(path.join(out, markdownReport), 'utf8')).toContain('| hybrid | 1.000 | 1.000 | 1.000 |');
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { parseFilters, matchesFilters } from '../../server/filters.js';
+import { LocalVectorStore } from '../../server/vector-stores/local.js';
+import { PineconeAdapter } from '../../server/vector-stores/pinecone.js';
+import { HashEmbeddings } from '../../server/providers/fake.js';
+import { toLlamaIndexEmbedding } from '../../server/providers/llamaindex-bridge.js';
+
+const embedModel = toLlamaIndexEmbedding(new HashEmbeddings());
+
+const JANUARY_31 = Date.parse('2025-01-31');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('parseFilters', () => {
+  it('translates each operator to a MetadataFilter', () => {
+    expect(parseFilters({
+      filename: 'spec.pdf',
+      chunkIndex: { eq: 0 },
+      category: { ne: 'frontend' },
+      documentId: { in: ['a', 'b'] },
+      type: { nin: ['faq'] },
+      page: { gt: 1, lte: 10 },
+      score: { gte: 0.5, lt: 1 },
+    })).toEqual({
+      condition: 'and',
+      filters: [
+        { key: 'filename', operator: '==', value: 'spec.pdf' },
+        { key: 'chunkIndex', operator: '==', value: 0 },
+        { key: 'category', operator: '!=', value: 'frontend' },
+        { key: 'documentId', operator: 'in', value: ['a', 'b'] },
+        { key: 'type', operator: 'nin', value: ['faq'] },
+        { key: 'page', operator: '>', value: 1 },
+        { key: 'page', operator: '<=', value: 10 },
+        { key: 'score', operator: '>=', value: 0.5 },
+        { key: 'score', operator: '<', value: 1 },
+      ],
+    });
+    expect(parseFilters(undefined)).toBeUndefined();
+    expect(parseFilters({})).toBeUndefined();
+  });
+
+  it('filters dates on their numeric copy, a bare end date through the end of that day', () => {
+    expect(parseFilters({ uploadedAt: { from: '2025-01-01', to: '2025-01-31' } }).filters).toEqual([
+      { key: 'uploadedAtTs', operator: '>=', value: Date.parse('2025-01-01') },
+      { key: 'uploadedAtTs', operator: '<', value: JANUARY_31 + DAY_MS },
+    ]);
+    expect(parseFilters({ uploadedAt: { to: '2025-01-31T12:00:00Z' } }).filters).toEqual([
+      { key: 'uploadedAtTs', operator: '<=', value: JANUARY_31 + DAY_MS / 2 },
+    ]);
+  });
+
+  it.each([
+    [[], 'filters must be an object'],
+    ['spec.pdf', 'filters must be an object'],
+    [{ 'file name': 'a' }, 'Invalid metadata key "file name"'],
+    [{ filename: null }, 'Filter on filename must be a value or an operator object'],
+    [{ filename: ['a'] }, 'Filter on filename must be a value or an operator object'],
+    [{ filename: {} }, 'Filter on filename has no operators'],
+    [{ filename: { like: 'spec' } }, 'Unknown operator "like" on filename'],
+    [{ createdAt: { from: '2025-01-01' } }, 'date ranges are supported on: uploadedAt'],
+    [{ documentId: { in: [] } }, 'documentId.in must be a non-empty array of values'],
+    [{ documentId: { nin: [{}] } }, 'documentId.nin must be a non-empty array of values'],
+    [{ page: { gt: '1' } }, 'page.gt must be a number'],
+    [{ filename: { eq: { a: 1 } } }, 'filename.eq must be a string, number or boolean'],
+    [{ uploadedAt: { from: 'last week' } }, 'uploadedAt.from must be an ISO date'],
+    [{ uploadedAt: { after: '2025-01-01' } }, 'Unknown date operator "after" on uploadedAt'],
+  ])('rejects %j', (input, message) => {
+    expect(() => parseFilters(input)).toThrow(message);
+  });
+
+  it('evaluates filters in memory like the vector stores do', () => {
+    const metadata = { filename: 'spec.pdf', page: 3, tags: ['api'] };
+    expect(matchesFilters(metadata, parseFilters({ filename: 'spec.pdf', page: { gte: 3 } }))).toBe(true);
+    expect(matchesFilters(metadata, parseFilters({ filename: { in: ['a.pdf', 'b.pdf'] } }))).toBe(false);
+    expect(matchesFilters(metadata, { condition: 'or', filters: [{ key: 'page', operator: '<', value: 2 }, { key: 'tags', operator: 'contains', value: 'api' }] })).toBe(true);
+    expect(matchesFilters(metadata, undefined)).toBe(true);
+  });
+
+  it('selects upload date ranges in the local store', async () => {
+    const store = new LocalVectorStore({ embedModel });
+    const days = ['2024-12-31T23:59:59Z', '2025-01-01T00:00:00Z', '2025-01-31T23:00:00Z', '2025-02-01T00:00:00Z'];
+    await store.upsert(days.map((uploadedAt, i) => ({
+      id: `chunk-${i}`,
+      values: [1, i / 10],
+      metadata: { text: `Chunk ${i}`, uploadedAt, uploadedAtTs: Date.parse(uploadedAt) },
+    })));
+
+    const search = async (uploadedAt) => {
+      const { ids } = await store.query({ queryEmbedding: [1, 0], similarityTopK: 10, mode: 'default', filters: parseFilters({ uploadedAt }) });
+      return ids.sort();
+    };
+    expect(await search({ from: '2025-01-01', to: '2025-01-31' })).toEqual(['chunk-1', 'chunk-2']);
+    expect(await search({ from: '2025-01-31T23:30:00Z' })).toEqual(['chunk-3']);
+    expect(await search({ to: '2024-12-31' })).toEqual(['chunk-0']);
+  });
+
+  it('translates to Pinecone filter syntax', () => {
+    const { llamaIndexStore } = new PineconeAdapter({ apiKey: 'test-key', indexName: 'rag', embedModel });
+    expect(llamaIndexStore.toPineconeFilter(parseFilters({
+      filename: 'spec.pdf',
+      documentId: { in: ['a', 'b'] },
+      uploadedAt: { from: '2025-01-01' },
+    }))).toEqual({
+      $and: [
+        { filename: { $eq: 'spec.pdf' } },
+        { documentId: { $in: ['a', 'b'] } },
+        { uploadedAtTs: { $gte: Date.parse('2025-01-01') } },
+      ],
+    });
+    expect(llamaIndexStore.toPineconeFilter(parseFilters({ category: { ne: 'frontend' } }))).toEqual({ category: { $ne: 'frontend' } });
+  });
+});
+
+describe('filters on the query routes', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    server = await createTestApp();
+    await server.seedDocument('zebras.txt', 'Zebras are African equines with black and white stripes.');
+    await server.seedDocument('zebra-crossings.txt', 'Zebra crossings have black and white stripes painted on the road.');
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('only retrieves chunks that match', async () => {
+    const { body: all } = await request(server.app).post('/api/query').send({ query: 'black and white stripes' }).expect(200);
+    expect(all.sources.map(source => source.filename).sort()).toEqual(['zebra-crossings.txt', 'zebras.txt']);
+
+    const { body: scoped } = await request(server.app)
+      .post('/api/query')
+      .send({ query: 'black and white stripes', filters: { filename: 'zebras.txt' } })
+      .expect(200);
+    expect(scoped.sources.map(source => source.filename)).toEqual(['zebras.txt']);
+
+    const { body: chat } = await request(server.app)
+      .post('/api/chat')
+      .send({ message: 'black and white stripes', filters: { filename: { ne: 'zebras.txt' } } })
+      .expect(200);
+    expect(chat.sources.map(source => source.filename)).toEqual(['zebra-crossings.txt']);
+  });
+
+  it('answers 400 with the reason for malformed filters', async () => {
+    const { body } = await request(server.app)
+      .post('/api/query')
+      .send({ query: 'stripes', filters: { filename: { like: 'zebra' } } })
+      .expect(400);
+    expect(body.details).toContain('Unknown operator "like" on filename');
+    await request(server.app).post('/api/chat').send({ message: 'stripes', filters: { uploadedAt: { from: 'yesterday' } } }).expect(400);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { createApp } from '../../server/app.js';
+import { RAGService } from '../../server/rag-service.js';
+import { FakeChatModel, HashEmbeddings } from '../../server/providers/fake.js';
+import { LocalVectorStore } from '../../server/vector-stores/local.js';
+import { HealthMonitor, getStartupConfig, retryDelay } from '../../server/health.js';
+
+describe('health checks', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    server = await createTestApp();
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('reports every component up once the service is initialized', async () => {
+    const { body: live } = await request(server.app).get('/api/health/live').expect(200);
+    expect(live.status).toBe('alive');
+
+    const { body } = await request(server.app).get('/api/health/ready').expect(200);
+    expect(body).toMatchObject({
+      status: 'ok',
+      ready: true,
+      initialization: { status: 'ready', attempts: 1, lastError: null },
+    });
+    for (const component of ['vectorStore', 'embeddings', 'chatModel']) {
+      expect(body.components[component].status).toBe('up');
+    }
+
+    const { body: health } = await request(server.app).get('/api/health').expect(200);
+    expect(health.status).toBe('healthy');
+    expect(health.health.ready).toBe(true);
+  });
+
+  it('starts degraded, answers 503 until a retry succeeds, then serves queries', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-test-'));
+    let failures = 2;
+    const ragService = new RAGService({
+      namespace: '',
+      models: { chat: new FakeChatModel(), embeddings: new HashEmbeddings() },
+      vectorStoreFactory: async ({ embedModel }) => {
+        if (failures-- > 0) throw new Error('connect ECONNREFUSED');
+        return new LocalVectorStore({ embedModel });
+      },
+    });
+    const { app } = createApp({ ragService, dataDir, uploadsDir: path.join(dataDir, 'uploads'), namespace: '' });
+
+    try {
+      const { body: starting } = await request(app).get('/api/health/ready').expect(503);
+      expect(starting).toMatchObject({ status: 'starting', ready: false, components: { vectorStore: { status: 'pending' } } });
+      await request(app).get('/api/health/live').expect(200);
+      await request(app).get('/api/health').expect(503);
+
+      await expect(ragService.initializeServices()).rejects.toThrow('ECONNREFUSED');
+      const { body: degraded } = await request(app).get('/api/health/ready').expect(503);
+      expect(degraded).toMatchObject({
+        status: 'degraded',
+        components: { vectorStore: { status: 'down', error: 'connect ECONNREFUSED' }, embeddings: { status: 'up' } },
+        initialization: { status: 'retrying', attempts: 1, lastError: 'connect ECONNREFUSED' },
+      });
+
+      const rejected = await request(app).post('/api/query').send({ query: 'Zebras?' }).expect(503);
+      expect(rejected.headers['retry-after']).toBe('5');
+      expect(rejected.body.details).toBe('The RAG service is not ready yet: connect ECONNREFUSED');
+
+      await expect(ragService.initializeWithRetry({ retryDelayMs: 1, maxRetryDelayMs: 1 })).resolves.toBe(true);
+      const { body: ready } = await request(app).get('/api/health/ready').expect(200);
+      expect(ready).toMatchObject({ status: 'ok', ready: true, initialization: { status: 'ready', attempts: 3, lastError: null } });
+      await request(app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  it('stops retrying once stopped', async () => {
+    const ragService = new RAGService({
+      namespace: '',
+      models: { chat: new FakeChatModel(), embeddings: new HashEmbeddings() },
+      vectorStoreFactory: async () => {
+        throw new Error('unreachable');
+      },
+    });
+    const retrying = ragService.initializeWithRetry({ retryDelayMs: 60000, maxRetryDelayMs: 60000 });
+    await vi.waitFor(() => expect(ragService.health.initialization.nextRetryAt).not.toBeNull());
+    ragService.stop();
+    await expect(retrying).resolves.toBe(false);
+    expect(ragService.health.initialization.attempts).toBe(1);
+  });
+
+  it('marks the vector store down when the readiness probe fails', async () => {
+    const stats = vi.spyOn(server.ragService.vectorStore, 'stats').mockRejectedValueOnce(new Error('index not found'));
+    const { body } = await request(server.app).get('/api/health/ready').expect(503);
+    expect(body).toMatchObject({ status: 'degraded', ready: false, components: { vectorStore: { status: 'down', error: 'index not found' } } });
+
+    stats.mockRestore();
+    await request(server.app).get('/api/health/ready').expect(200);
+  });
+
+  it('answers 503 while shutting down', async () => {
+    server.ragService.health.shuttingDown = true;
+    try {
+      const { body } = await request(server.app).get('/api/health/ready').expect(503);
+      expect(body.status).toBe('shutting_down');
+      const { body: rejected } = await request(server.app).post('/api/chat').send({ message: 'Zebras?' }).expect(503);
+      expect(rejected.details).toBe('The server is shutting down');
+    } finally {
+      server.ragService.health.shuttingDown = false;
+    }
+  });
+
+  it('keeps the health routes public when authentication is on', async () => {
+    vi.stubEnv('AUTH_ENABLED', 'true');
+    try {
+      await request(server.app).get('/api/health/live').expect(200);
+      await request(server.app).get('/api/health/ready').expect(200);
+      await request(server.app).get('/api/documents').expect(401);
+    } finally {
+      vi.stubEnv('AUTH_ENABLED', 'false');
+    }
+  });
+
+  it('records the outcome of real model calls', () => {
+    const health = new HealthMonitor();
+    health.initialized();
+    for (const name of ['vectorStore', 'embeddings', 'chatModel']) health.record(name);
+    expect(health.status).toBe('ok');
+
+    health.record('chatModel', Object.assign(new Error('Too Many Requests'), { status: 429 }));
+    expect(health.components.chatModel.status).toBe('degraded');
+    health.record('chatModel', new Error('API key not valid'));
+    expect(health.components.chatModel).toMatchObject({ status: 'down', error: 'API key not valid' });
+    expect(health.summary()).toMatchObject({ status: 'degraded', ready: true });
+  });
+
+  it('validates the startup settings and caps the retry delay', () => {
+    expect(getStartupConfig({ retryDelayMs: '100' }).retryDelayMs).toBe(100);
+    expect(() => getStartupConfig({ shutdownTimeoutMs: '-1' })).toThrow('SHUTDOWN_TIMEOUT_MS');
+    expect(() => getStartupConfig({ retryDelayMs: '5000', maxRetryDelayMs: '1000' })).toThrow('INIT_RETRY_MAX_DELAY_MS');
+
+    const config = { retryDelayMs: 1000, maxRetryDelayMs: 5000 };
+    expect([1, 2, 3, 4].map(attempt => retryDelay(attempt, config))).toEqual([1000, 2000, 4000, 5000]);
+  });
+});
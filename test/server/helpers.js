@@ -0,0 +1,66 @@
+// test/server/helpers.js
+// Builds the real Express app around fake models and an in-memory vector store, with its stores in a temp dir.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createApp } from '../../server/app.js';
+import { createRAGService } from '../../server/rag-service.js';
+import { FakeChatModel, HashEmbeddings } from '../../server/providers/fake.js';
+import { LocalVectorStore } from '../../server/vector-stores/local.js';
+import { getChunkingConfig } from '../../server/chunking.js';
+import { ingestContent } from '../../server/ingestion.js';
+import { SHARED_OWNER } from '../../server/auth.js';
+
+// Generous limits so a test file never trips the rate limiter unless it means to
+const TEST_LIMITS = { requestsPerMinute: 1000, requestsPerDay: 10000, tokensPerDay: 10000000, embeddingCallsPerDay: 10000 };
+
+export async function createTestApp({ responses, usageLimits = TEST_LIMITS } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-test-'));
+  const chat = new FakeChatModel({ responses });
+  // Every prompt the app sends to the chat model, for assertions on what the model saw
+  const prompts = [];
+  const invoke = chat.invoke.bind(chat);
+  chat.invoke = async (input, ...rest) => {
+    prompts.push(typeof input === 'string' ? input : JSON.stringify(input));
+    return invoke(input, ...rest);
+  };
+  const stream = chat.stream.bind(chat);
+  chat.stream = async (input, ...rest) => {
+    prompts.push(typeof input === 'string' ? input : JSON.stringify(input));
+    return stream(input, ...rest);
+  };
+
+  const ragService = await createRAGService({
+    namespace: '',
+    models: { chat, embeddings: new HashEmbeddings() },
+    vectorStoreFactory: ({ embedModel }) => new LocalVectorStore({ embedModel }),
+  });
+  const server = createApp({ ragService, dataDir, uploadsDir: path.join(dataDir, 'uploads'), namespace: '', usageLimits });
+
+  return {
+    ...server,
+    dataDir,
+    prompts,
+    // Index a document through the same pipeline as an upload, without going through the job queue
+    async seedDocument(filename, text, { ownerId = SHARED_OWNER } = {}) {
+      const { record } = await ingestContent({
+        documentStore: server.documentStore,
+        index: ragService,
+        embeddingModel: 'fake:fake-hash',
+        uploadsDir: path.join(dataDir, 'uploads'),
+      }, {
+        filename,
+        mimeType: 'text/plain',
+        buffer: Buffer.from(text),
+        ownerId,
+        chunkingConfig: getChunkingConfig(),
+      });
+      return record;
+    },
+    cleanup() {
+      server.traceStore.close();
+      server.usageStore.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,235 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { globToRegExp, createPathFilter, walkDirectory, readSitemap } from '../../server/ingest-sources.js';
+import { DocumentStore, documentRegistryPath } from '../../server/document-store.js';
+import { removeStoredFile } from '../../server/ingestion.js';
+
+const CLI = path.resolve(import.meta.dirname, '../../server/ingest.js');
+
+// Paragraphs of about 60 characters, so `--chunk-size 100 --chunk-overlap 0` gives one chunk each
+const page = (title, paragraphs) => `<html><head><title>${title}</title></head><body><nav>Home | Docs</nav>
+<main><h1>${title}</h1>${paragraphs.map(text => `<p>${text}</p>`).join('\n')}</main></body></html>`;
+
+const PAGES = {
+  '/docs/install.html': page('Install', [
+    'Install the server with npm install inside the server folder.',
+    'Copy .env.example to .env and fill in the provider API keys.',
+  ]),
+  '/docs/deploy.html': page('Deploy', [
+    'Deploy behind a reverse proxy that terminates TLS for the API.',
+  ]),
+  '/blog/launch.html': page('Launch', [
+    'We launched the retrieval service to every team this spring.',
+  ]),
+};
+
+function sitemapServer() {
+  const server = http.createServer((req, res) => {
+    const origin = `http://${req.headers.host}`;
+    if (req.url === '/sitemap.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(`<?xml version="1.0"?><sitemapindex><sitemap><loc>${origin}/docs-sitemap.xml</loc></sitemap>
+<sitemap><loc>/blog-sitemap.xml</loc></sitemap></sitemapindex>`);
+    } else if (req.url === '/docs-sitemap.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(`<urlset><url><loc>${origin}/docs/install.html</loc></url><url><loc><![CDATA[${origin}/docs/deploy.html]]></loc></url></urlset>`);
+    } else if (req.url === '/blog-sitemap.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end('<urlset><url><loc>/blog/launch.html</loc></url></urlset>');
+    } else if (PAGES[req.url]) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(PAGES[req.url]);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const NOTES = {
+  'guide.md': '# Guide\n\nThe ingest CLI reads directories, URLs and sitemaps.\n\n## Options\n\nUse --dry-run to count chunks before embedding anything.',
+  'notes/todo.txt': 'Write tests for the ingest command line tool.',
+  'notes/draft.txt': 'Drafts are excluded from ingestion.',
+  'node_modules/pkg/readme.md': 'Dependencies are never ingested.',
+  'image.xyz': 'Not a format any loader reads.',
+};
+
+function writeTree(root, files) {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+describe('ingest sources', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-sources-'));
+    writeTree(root, NOTES);
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it.each([
+    ['*.md', 'guide.md', true],
+    ['*.md', 'docs/deep/guide.md', true],
+    ['docs/*.md', 'docs/deep/guide.md', false],
+    ['docs/**/*.md', 'docs/guide.md', true],
+    ['docs/**/*.md', 'docs/deep/guide.md', true],
+    ['**/*.{md,txt}', 'notes/todo.txt', true],
+    ['**/*.{md,txt}', 'notes/todo.pdf', false],
+    ['report-?.csv', 'report-1.csv', true],
+    ['report-?.csv', 'report-10.csv', false],
+    ['v1.2/*.txt', 'v1x2/a.txt', false],
+  ])('globToRegExp(%s) on %s is %s', (glob, relativePath, expected) => {
+    expect(globToRegExp(glob).test(relativePath)).toBe(expected);
+  });
+
+  it('filters by include and exclude on top of the default excludes', () => {
+    const everything = createPathFilter();
+    expect(everything('notes/todo.txt')).toBe(true);
+    expect(everything('node_modules/pkg/readme.md')).toBe(false);
+    expect(everything('.git/config')).toBe(false);
+
+    const filter = createPathFilter({ include: ['*.md', 'notes/*.txt'], exclude: ['**/draft*'] });
+    expect(filter('guide.md')).toBe(true);
+    expect(filter('notes/todo.txt')).toBe(true);
+    expect(filter('notes/draft.txt')).toBe(false);
+    expect(filter('image.xyz')).toBe(false);
+  });
+
+  it('walks a directory in a stable order', () => {
+    const files = walkDirectory(root, createPathFilter({ exclude: ['*.xyz'] }));
+    expect(files.map(file => file.relativePath)).toEqual(['guide.md', 'notes/draft.txt', 'notes/todo.txt']);
+    expect(files[0].path).toBe(path.join(root, 'guide.md'));
+  });
+
+  it('reads page URLs from sitemaps, following sitemap indexes and relative locations', async () => {
+    const server = await sitemapServer();
+    try {
+      const origin = `http://127.0.0.1:${server.address().port}`;
+      expect(await readSitemap(`${origin}/sitemap.xml`)).toEqual([
+        `${origin}/docs/install.html`,
+        `${origin}/docs/deploy.html`,
+        `${origin}/blog/launch.html`,
+      ]);
+      await expect(readSitemap(`${origin}/missing.xml`)).rejects.toThrow('failed with 404');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('ingest CLI', () => {
+  let server;
+  let origin;
+  let root;
+  let dataDir;
+
+  // The CLI runs as its own process, against the fake models and a local vectors file in `dataDir`
+  const runCli = (args) => promisify(execFile)(process.execPath, [CLI, ...args, '--chunk-size', '100', '--chunk-overlap', '0'], {
+    cwd: path.dirname(CLI),
+    timeout: 60 * 1000,
+    env: { ...process.env, MODEL_PROVIDER: 'fake', VECTOR_STORE: 'local', DATA_DIR: dataDir, VISION_ENGINE: 'off', PINECONE_NAMESPACE: '' },
+  });
+  const registry = () => new DocumentStore(documentRegistryPath(dataDir));
+
+  beforeAll(async () => {
+    server = await sitemapServer();
+    origin = `http://127.0.0.1:${server.address().port}`;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-cli-'));
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-data-'));
+    writeTree(root, NOTES);
+  });
+
+  afterAll(async () => {
+    // The CLI keeps a copy of what it ingested next to the server's uploads
+    for (const record of registry().list()) {
+      removeStoredFile(record.storedPath);
+    }
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('counts chunks and embedding calls on a dry run without indexing anything', async () => {
+    const { stdout } = await runCli([root, '--exclude', '**/draft*', '--sitemap', `${origin}/sitemap.xml`, '--dry-run']);
+
+    expect(stdout).toContain(`🗺️  ${origin}/sitemap.xml: 3 page(s)`);
+    expect(stdout).toMatch(/🔎 guide\.md: 2 chunks \(2 added\)/);
+    expect(stdout).toMatch(/🔎 notes\/todo\.txt: 1 chunks \(1 added\)/);
+    expect(stdout).toMatch(/⏭️ {2}image\.xyz: unsupported file type/);
+    expect(stdout).not.toContain('draft.txt');
+    expect(stdout).not.toContain('node_modules');
+    expect(stdout).toMatch(new RegExp(`🔎 ${origin}/docs/install\\.html: 2 chunks`));
+    expect(stdout).toContain('📊 Dry run: 5 to index, 0 unchanged, 1 skipped, 0 failed; 7 chunks, 7 to embed in ~5 embedding call(s)');
+    expect(fs.existsSync(documentRegistryPath(dataDir))).toBe(false);
+  });
+
+  it('indexes with the same chunk metadata as /api/upload and skips unchanged sources on the next run', async () => {
+    const { stdout } = await runCli([root, '--include', '*.md', '--url', `${origin}/docs/install.html`]);
+    expect(stdout).toContain('📊 Done: 2 indexed, 0 unchanged, 0 skipped, 0 failed; 4 chunks embedded');
+
+    const documents = registry().list();
+    const guide = documents.find(record => record.filename === 'guide.md');
+    expect(guide).toMatchObject({ source: path.join(root, 'guide.md'), ownerId: 'shared', fileType: 'markdown' });
+    expect(documents.find(record => record.source === `${origin}/docs/install.html`)).toMatchObject({
+      filename: `${new URL(origin).host}/docs/install.html`,
+      fileType: 'html',
+    });
+
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    const app = await createTestApp();
+    try {
+      app.ingestionQueue.start();
+      const { body } = await request(app.app)
+        .post('/api/v1/upload')
+        .field('chunkSize', '100')
+        .field('chunkOverlap', '0')
+        .attach('files', Buffer.from(NOTES['guide.md']), 'guide.md')
+        .expect(202);
+      await vi.waitFor(() => expect(app.ingestionQueue.get(body.jobId).files[0].state).toBe('done'));
+      const uploaded = app.documentStore.get(body.job.files[0].documentId);
+
+      // Everything but the IDs and upload times matches
+      const comparable = (metadata) => Object.fromEntries(Object.entries(metadata)
+        .filter(([key]) => !['documentId', 'uploadedAt', 'uploadedAtTs'].includes(key)));
+      expect(guide.chunks.map(chunk => comparable(chunk.metadata))).toEqual(uploaded.chunks.map(chunk => comparable(chunk.metadata)));
+      expect(guide.chunks.map(chunk => chunk.text)).toEqual(uploaded.chunks.map(chunk => chunk.text));
+      expect(guide.chunkingConfig).toEqual(uploaded.chunkingConfig);
+    } finally {
+      app.cleanup();
+      vi.unstubAllEnvs();
+    }
+
+    const { stdout: again } = await runCli([root, '--include', '*.md', '--url', `${origin}/docs/install.html`]);
+    expect(again).toContain('📊 Done: 0 indexed, 2 unchanged, 0 skipped, 0 failed; 0 chunks embedded');
+  });
+
+  it('registers the sample documents of `npm run populate` like any other source', async () => {
+    const { scripts } = JSON.parse(fs.readFileSync(path.join(path.dirname(CLI), 'package.json'), 'utf8'));
+    const [command, script, ...args] = scripts.populate.split(' ');
+    expect([command, script]).toEqual(['node', 'ingest.js']);
+
+    const { stdout } = await runCli(args);
+    expect(stdout).toMatch(/📊 Done: 1 indexed, 0 unchanged, 0 skipped, 0 failed; \d+ chunks embedded/);
+    const samples = registry().list().find(record => record.filename === 'ai-stack.md');
+    expect(samples).toMatchObject({ source: path.join(path.dirname(CLI), 'sample-data', 'ai-stack.md'), ownerId: 'shared', fileType: 'markdown' });
+    expect(samples.chunks.every(chunk => chunk.id.startsWith(`${samples.id}#`))).toBe(true);
+
+    const { stdout: again } = await runCli(args);
+    expect(again).toContain('📊 Done: 0 indexed, 1 unchanged, 0 skipped, 0 failed; 0 chunks embedded');
+  });
+});
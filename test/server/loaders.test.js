@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import { describe, it, expect } from 'vitest';
+import {
+  loadDocuments, findLoader, registerLoader, getSupportedFormats, UnsupportedFileTypeError,
+} from '../../server/loaders.js';
+
+const FIXTURES = path.join(import.meta.dirname, 'fixtures');
+
+const load = (filename, mimeType) => loadDocuments(fs.readFileSync(path.join(FIXTURES, filename)), { filename, mimeType });
+
+describe('loaders', () => {
+  it('keeps the main content of an HTML page and drops the boilerplate around it', async () => {
+    const [document, ...rest] = await load('zebras.html');
+    expect(rest).toEqual([]);
+    expect(document).toEqual({
+      text: 'Plains zebra\nZebras have black and white stripes.\nSavanna\nGrassland',
+      metadata: { fileType: 'html', title: 'Zebras & Horses' },
+    });
+  });
+
+  it('turns each CSV row into a document of header: value lines', async () => {
+    const documents = await load('zebras.csv');
+    expect(documents).toEqual([
+      { text: 'name: Plains zebra\nhabitat: Savanna\nnotes: Most common, by far', metadata: { fileType: 'csv', row: 1 } },
+      { text: 'name: Grevy\'s zebra\nhabitat: Semi-desert\nnotes: Largest; "endangered"', metadata: { fileType: 'csv', row: 2 } },
+      { text: 'name: Mountain zebra\nhabitat: Mountains\nnotes: Climbs\nsteep slopes', metadata: { fileType: 'csv', row: 3 } },
+    ]);
+  });
+
+  it('turns each JSON and JSON Lines record into a document', async () => {
+    expect(await load('zebras.json')).toEqual([
+      { text: 'name: Plains zebra\nstripes: {"color":"black","width":"broad"}', metadata: { fileType: 'json', record: 1 } },
+      { text: 'name: Mountain zebra\nrange: ["Namibia","South Africa"]', metadata: { fileType: 'json', record: 2 } },
+    ]);
+    expect(await load('zebras.jsonl')).toEqual([
+      { text: 'name: Plains zebra\npopulation: 500000', metadata: { fileType: 'json', record: 1 } },
+      { text: 'name: Grevy\'s zebra\npopulation: 2000', metadata: { fileType: 'json', record: 2 } },
+    ]);
+
+    const single = await loadDocuments(Buffer.from('{"name":"Zebra"}'), { filename: 'zebra.json' });
+    expect(single).toEqual([{ text: 'name: Zebra', metadata: { fileType: 'json', record: 1 } }]);
+  });
+
+  it('reads the text of a Word document', async () => {
+    const documents = await load('zebras.docx');
+    expect(documents).toHaveLength(1);
+    expect(documents[0].text.trim()).toBe('Zebra care manual\n\nFeed the zebras twice a day.');
+    expect(documents[0].metadata).toEqual({ fileType: 'docx' });
+  });
+
+  it('reads a PDF as one document per page', async () => {
+    const documents = await load('zebras.pdf');
+    expect(documents.map(({ text, metadata }) => [text.trim(), metadata])).toEqual([
+      ['Zebras live on the savanna.', { fileType: 'pdf', page: 1, pageCount: 2 }],
+      ['Each zebra has unique stripes.', { fileType: 'pdf', page: 2, pageCount: 2 }],
+    ]);
+  });
+
+  it('picks a loader by extension before MIME type and rejects unknown types', async () => {
+    expect(findLoader('notes.md', 'application/octet-stream').name).toBe('markdown');
+    expect(findLoader('download', 'text/csv').name).toBe('csv');
+    expect(findLoader('archive.zip', 'application/zip')).toBeNull();
+    await expect(loadDocuments(Buffer.from('PK'), { filename: 'archive.zip', mimeType: 'application/zip' }))
+      .rejects.toThrow(UnsupportedFileTypeError);
+
+    const empty = await loadDocuments(Buffer.from('\uFEFF  \n'), { filename: 'empty.txt' });
+    expect(empty).toEqual([]);
+  });
+
+  it('lets a later registration override a built-in loader in place', async () => {
+    const names = getSupportedFormats().map(format => format.name);
+    registerLoader({
+      name: 'text',
+      extensions: ['.txt'],
+      mimeTypes: ['text/plain'],
+      load: async (buffer) => [{ text: buffer.toString('utf8').toUpperCase(), metadata: { shouted: true } }],
+    });
+    expect(getSupportedFormats().map(format => format.name)).toEqual(names);
+    expect(await loadDocuments(Buffer.from('zebras'), { filename: 'zebras.txt' }))
+      .toEqual([{ text: 'ZEBRAS', metadata: { fileType: 'text', shouted: true } }]);
+  });
+});
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { logger } from '../../server/logger.js';
+import { promptText } from '../../server/tracing.js';
+import { TraceStore } from '../../server/trace-store.js';
+import { UsageStore } from '../../server/usage-store.js';
+
+const parseNdjson = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+describe('observability', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    server = await createTestApp();
+    await server.seedDocument('zebras.txt', 'Zebras are African equines with distinctive black and white striped coats.');
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('gives every response a request ID, keeping a valid one from the caller', async () => {
+    const generated = await request(server.app).get('/api/health').expect(200);
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+    const kept = await request(server.app).get('/api/health').set('X-Request-Id', 'req-123').expect(200);
+    expect(kept.headers['x-request-id']).toBe('req-123');
+    const replaced = await request(server.app).get('/api/health').set('X-Request-Id', 'not valid!').expect(200);
+    expect(replaced.headers['x-request-id']).not.toBe('not valid!');
+  });
+
+  it('logs JSON lines carrying the request ID', async () => {
+    vi.stubEnv('LOG_LEVEL', 'info');
+    const lines = [];
+    const write = vi.spyOn(process.stdout, 'write').mockImplementation((line) => lines.push(JSON.parse(line)));
+    try {
+      await request(server.app).get('/api/health').set('X-Request-Id', 'log-test').expect(200);
+      logger.info('outside a request', { answer: 42 });
+    } finally {
+      write.mockRestore();
+      vi.stubEnv('LOG_LEVEL', 'warn');
+    }
+    expect(lines).toContainEqual(expect.objectContaining({
+      level: 'info', msg: 'request completed', requestId: 'log-test', route: '/api/health', status: 200,
+    }));
+    expect(lines.at(-1)).toMatchObject({ level: 'info', msg: 'outside a request', answer: 42 });
+    expect(lines.at(-1)).not.toHaveProperty('requestId');
+  });
+
+  it('returns per-stage timings in the debug block', async () => {
+    const { body } = await request(server.app)
+      .post('/api/query')
+      .send({ query: 'What do zebras look like?', rewrite: 'multi', retrieval: { rerank: 'llm' }, debug: true })
+      .expect(200);
+
+    expect(Object.keys(body.debug.timings)).toEqual(expect.arrayContaining(['rewrite', 'embed', 'retrieve', 'rerank', 'generate', 'grounding', 'total']));
+    expect(body.debug.chunkIds).toEqual([expect.stringMatching(/#[0-9a-f]{16}$/)]);
+    expect(body.debug.llmCalls).toBe(3);
+
+    const { body: plain } = await request(server.app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+    expect(plain).not.toHaveProperty('debug');
+    await request(server.app).post('/api/query').send({ query: 'Zebras?', debug: 'yes' }).expect(400);
+  });
+
+  it('puts the debug block on the done event of a stream', async () => {
+    const response = await request(server.app).post('/api/chat/stream').send({ message: 'Zebras?', debug: true }).expect(200);
+    const done = parseNdjson(response.text).at(-1);
+    expect(done.type).toBe('done');
+    expect(done.debug.timings.generate).toBeGreaterThanOrEqual(0);
+  });
+
+  it('stores a trace with the exact prompt and chunk IDs of each answer', async () => {
+    const { body } = await request(server.app)
+      .post('/api/chat')
+      .set('X-Request-Id', 'trace-test')
+      .send({ message: 'What do zebras look like?' })
+      .expect(200);
+
+    const { body: list } = await request(server.app).get('/api/admin/traces').expect(200);
+    expect(list.traces[0]).toMatchObject({
+      id: 'trace-test',
+      route: '/api/chat',
+      status: 200,
+      method: 'hybrid',
+      query: 'What do zebras look like?',
+      conversationId: body.conversationId,
+      prompt: { id: 'default', version: 1 },
+      llmCalls: 1,
+    });
+    expect(list.traces[0]).not.toHaveProperty('calls');
+
+    const { body: trace } = await request(server.app).get('/api/admin/traces/trace-test').expect(200);
+    expect(trace.chunkIds).toHaveLength(1);
+    expect(trace.calls).toHaveLength(1);
+    expect(trace.calls[0]).toMatchObject({ stage: 'generate', response: body.response });
+    expect(trace.calls[0].prompt).toContain('[Source 1]: Zebras are African equines');
+    expect(trace.calls[0].prompt).toContain('What do zebras look like?');
+
+    await request(server.app).get('/api/admin/traces/missing').expect(404);
+  });
+
+  it('writes traces and usage to their files in the background', async () => {
+    const tracesPath = path.join(server.dataDir, 'traces.json');
+    const usagePath = path.join(server.dataDir, 'usage.json');
+    await Promise.all([server.traceStore.flush(), server.usageStore.flush()]);
+    const tracesBefore = fs.statSync(tracesPath).mtimeMs;
+
+    await request(server.app).post('/api/query').set('X-Request-Id', 'deferred-write').send({ query: 'Zebras?' }).expect(200);
+    expect(server.traceStore.get('deferred-write')).not.toBeNull();
+    expect(fs.statSync(tracesPath).mtimeMs).toBe(tracesBefore);
+
+    await Promise.all([server.traceStore.flush(), server.usageStore.flush()]);
+    expect(new TraceStore(tracesPath).get('deferred-write')).toMatchObject({ route: '/api/query', status: 200 });
+    expect(new UsageStore(usagePath).report()).toEqual(server.usageStore.report());
+  });
+
+  it('serves Prometheus metrics', async () => {
+    await request(server.app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+    await request(server.app).post('/api/query').send({}).expect(400);
+
+    const response = await request(server.app).get('/metrics').expect(200).expect('Content-Type', /text\/plain/);
+    const text = response.text;
+    expect(text).toContain('# TYPE rag_http_requests_total counter');
+    expect(text).toMatch(/rag_http_requests_total\{method="POST",route="\/api\/query",status="200"\} \d+/);
+    expect(text).toMatch(/rag_http_requests_total\{method="POST",route="\/api\/query",status="400"\} \d+/);
+    expect(text).toMatch(/rag_http_request_duration_seconds_bucket\{method="POST",route="\/api\/query",le="\+Inf"\} \d+/);
+    expect(text).toMatch(/rag_stage_duration_seconds_count\{stage="retrieve"\} \d+/);
+    expect(text).toMatch(/rag_llm_tokens_total\{type="input"\} [1-9]\d*/);
+    expect(text).toMatch(/rag_embedding_calls_total [1-9]\d*/);
+  });
+
+  it('renders chat model input as text', () => {
+    expect(promptText('plain')).toBe('plain');
+    expect(promptText([['human', 'Hi'], { role: 'ai', content: [{ text: 'Hello' }] }])).toBe('human: Hi\n\nai: Hello');
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+
+const ALICE_TEXT = 'The Falcon launch code is 7731 and only Alice knows the zebra password.';
+const SHARED_TEXT = 'Zebra handbook: zebras are striped equines that live on the savanna.';
+
+// Two users with a key each, one private document for the first and one shared document
+async function usersAndDocuments(server) {
+  const [alice, bob] = ['alice', 'bob'].map(name => {
+    const user = server.userStore.createUser({ name });
+    const { key } = server.userStore.createKey(user.id);
+    return { ...user, auth: `Bearer ${key}` };
+  });
+  const secret = await server.seedDocument('alice-secret.txt', ALICE_TEXT, { ownerId: alice.id });
+  const handbook = await server.seedDocument('handbook.txt', SHARED_TEXT);
+  return { alice, bob, secret, handbook };
+}
+
+describe('document ownership', () => {
+  let server;
+  let alice;
+  let bob;
+  let secret;
+  let handbook;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'true');
+    server = await createTestApp();
+    ({ alice, bob, secret, handbook } = await usersAndDocuments(server));
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('lists and fetches only the caller\'s own and shared documents', async () => {
+    const listed = async (user) => {
+      const { body } = await request(server.app).get('/api/documents').set('Authorization', user.auth).expect(200);
+      return body.documents.map(document => document.filename).sort();
+    };
+    expect(await listed(alice)).toEqual(['alice-secret.txt', 'handbook.txt']);
+    expect(await listed(bob)).toEqual(['handbook.txt']);
+
+    await request(server.app).get(`/api/documents/${secret.id}`).set('Authorization', alice.auth).expect(200);
+    await request(server.app).get(`/api/documents/${secret.id}`).set('Authorization', bob.auth).expect(404);
+    await request(server.app).get(`/api/documents/${handbook.id}`).set('Authorization', bob.auth).expect(200);
+    await request(server.app).delete(`/api/documents/${secret.id}`).set('Authorization', bob.auth).expect(404);
+  });
+
+  it('never retrieves another user\'s chunks, even from the response cache', async () => {
+    const ask = (user) => request(server.app)
+      .post('/api/query')
+      .set('Authorization', user.auth)
+      .send({ query: 'What is the zebra password and launch code?', retrieval: { topK: 5 } })
+      .expect(200)
+      .then(({ body }) => body);
+
+    const first = await ask(alice);
+    expect(first.cache.hit).toBe(false);
+    expect(first.sources.map(source => source.filename).sort()).toEqual(['alice-secret.txt', 'handbook.txt']);
+    expect((await ask(alice)).cache.hit).toBe(true);
+
+    // The same question from Bob misses Alice's cached answer and is answered from the shared document alone
+    const prompts = server.prompts.length;
+    const answer = await ask(bob);
+    expect(answer.cache.hit).toBe(false);
+    expect(answer.sources.map(source => source.filename)).toEqual(['handbook.txt']);
+    expect(answer.answer).not.toContain('7731');
+    expect(server.prompts.slice(prompts).join('\n')).not.toContain('7731');
+  });
+});
+
+describe('document ownership in agent tools', () => {
+  let server;
+  let bob;
+  // The model's scripted turns; the ID of the private document is filled in once it exists
+  const toolCalls = [
+    { name: 'list_documents', args: {} },
+    { name: 'get_document', args: { filename: 'handbook.txt' } },
+    { name: 'get_document', args: { filename: 'alice-secret.txt' } },
+  ];
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'true');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    server = await createTestApp({ responses: [{ tool_calls: toolCalls }, 'Only the handbook is available.'] });
+    let secret;
+    ({ bob, secret } = await usersAndDocuments(server));
+    toolCalls.push({ name: 'get_document', args: { documentId: secret.id } });
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('only lists and reads documents the caller can read', async () => {
+    const { body } = await request(server.app).post('/api/agent').set('Authorization', bob.auth).send({ message: 'What documents are there?' }).expect(200);
+
+    const [list, shared, byName, byId] = body.steps;
+    expect(list.output).toContain('handbook.txt');
+    expect(list.output).not.toContain('alice-secret.txt');
+    expect(shared.output).toContain(SHARED_TEXT);
+    expect(byName.error).toBe('Document alice-secret.txt not found');
+    expect(byId.error).toBe(`Document ${toolCalls[3].args.documentId} not found`);
+    expect(JSON.stringify(body)).not.toContain('7731');
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+
+const SUPPORT_TEMPLATE = `You answer customer support tickets. Today is {{date}}.
+
+{{context}}
+
+Earlier messages:
+{{history}}
+
+Ticket: {{question}}`;
+
+describe('prompt templates', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    server = await createTestApp();
+    await server.seedDocument('zebras.txt', 'Zebras are African equines with distinctive black and white striped coats.');
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('lists the built-in templates', async () => {
+    const { body } = await request(server.app).get('/api/prompts').expect(200);
+    expect(body.prompts.map(prompt => prompt.id)).toEqual(['default', 'basic']);
+    expect(body.prompts[0]).toMatchObject({ builtIn: true, version: 1 });
+    expect(body.prompts[0].variables).toEqual(['context', 'history', 'question']);
+  });
+
+  it('records the default template on answers that name none', async () => {
+    const { body: hybrid } = await request(server.app).post('/api/query').send({ query: 'Zebras?' }).expect(200);
+    expect(hybrid.prompt).toEqual({ id: 'default', version: 1 });
+    const { body: langchain } = await request(server.app).post('/api/query').send({ query: 'Zebras?', method: 'langchain' }).expect(200);
+    expect(langchain.prompt).toEqual({ id: 'basic', version: 1 });
+  });
+
+  it('creates a template and answers with it', async () => {
+    const { body: created } = await request(server.app)
+      .post('/api/prompts')
+      .send({ name: 'Support Desk', description: 'Customer-facing answers', template: SUPPORT_TEMPLATE })
+      .expect(201);
+    expect(created).toMatchObject({ id: 'support-desk', version: 1, builtIn: false });
+
+    server.prompts.length = 0;
+    const { body } = await request(server.app)
+      .post('/api/chat')
+      .send({ message: 'What do zebras look like?', promptId: 'support-desk' })
+      .expect(200);
+
+    const prompt = server.prompts.at(-1);
+    expect(prompt).toMatch(/^You answer customer support tickets\. Today is \d{4}-\d{2}-\d{2}\./);
+    expect(prompt).toContain('[Source 1]: Zebras are African equines');
+    expect(prompt).toContain('Earlier messages:\nNo previous conversation.');
+    expect(prompt).toContain('Ticket: What do zebras look like?');
+    expect(body.prompt).toEqual({ id: 'support-desk', version: 1 });
+    const conversation = server.conversationStore.get(body.conversationId);
+    expect(conversation.messages.at(-1).prompt).toEqual({ id: 'support-desk', version: 1 });
+  });
+
+  it('versions edits and can answer with an earlier version', async () => {
+    const { body: updated } = await request(server.app)
+      .patch('/api/prompts/support-desk')
+      .send({ template: SUPPORT_TEMPLATE.replace('customer support tickets', 'support tickets briefly') })
+      .expect(200);
+    expect(updated.version).toBe(2);
+
+    const { body: renamed } = await request(server.app).patch('/api/prompts/support-desk').send({ name: 'Support' }).expect(200);
+    expect(renamed).toMatchObject({ name: 'Support', version: 2 });
+
+    const { body: detail } = await request(server.app).get('/api/prompts/support-desk').expect(200);
+    expect(detail.versions.map(version => version.version)).toEqual([1, 2]);
+    const { body: first } = await request(server.app).get('/api/prompts/support-desk/versions/1').expect(200);
+    expect(first.template).toBe(SUPPORT_TEMPLATE);
+
+    server.prompts.length = 0;
+    const { body } = await request(server.app)
+      .post('/api/query')
+      .send({ query: 'Zebras?', promptId: 'support-desk', promptVersion: 1 })
+      .expect(200);
+    expect(body.prompt).toEqual({ id: 'support-desk', version: 1 });
+    expect(server.prompts.at(-1)).toContain('customer support tickets');
+  });
+
+  it('streams the template in the done event', async () => {
+    const response = await request(server.app)
+      .post('/api/chat/stream')
+      .send({ message: 'Zebras?', promptId: 'support-desk' })
+      .expect(200);
+    const done = JSON.parse(response.text.trim().split('\n').at(-1));
+    expect(done).toMatchObject({ type: 'done', prompt: { id: 'support-desk', version: 2 } });
+  });
+
+  it('rejects unknown templates and variables', async () => {
+    await request(server.app).post('/api/query').send({ query: 'Zebras?', promptId: 'nope' }).expect(400);
+    await request(server.app).post('/api/query').send({ query: 'Zebras?', promptId: 'support-desk', promptVersion: 9 }).expect(400);
+    await request(server.app).post('/api/query').send({ query: 'Zebras?', method: 'llamaindex', promptId: 'default' }).expect(400);
+
+    const { body } = await request(server.app)
+      .post('/api/prompts')
+      .send({ name: 'Broken', template: '{{context}} {{question}} {{tone}}' })
+      .expect(400);
+    expect(body.details).toContain('{{tone}}');
+    await request(server.app).post('/api/prompts').send({ name: 'No question', template: '{{context}}' }).expect(400);
+    await request(server.app).post('/api/prompts').send({ id: 'support-desk', name: 'Again', template: SUPPORT_TEMPLATE }).expect(409);
+  });
+
+  it('deletes custom templates but keeps the built-in ones', async () => {
+    await request(server.app).delete('/api/prompts/default').expect(400);
+    await request(server.app).delete('/api/prompts/support-desk').expect(200);
+    await request(server.app).get('/api/prompts/support-desk').expect(404);
+  });
+});
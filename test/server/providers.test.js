@@ -0,0 +1,137 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  loadModelConfig, requiredEnvVarsForModels, createModels, describeModels, getProvider, contentText,
+} from '../../server/providers/index.js';
+import { FakeChatModel, HashEmbeddings } from '../../server/providers/fake.js';
+import { toLlamaIndexLLM, toLlamaIndexEmbedding } from '../../server/providers/llamaindex-bridge.js';
+
+const MODEL_ENV = [
+  'MODEL_PROVIDER', 'CHAT_PROVIDER', 'CHAT_MODEL', 'CHAT_TEMPERATURE', 'CHAT_MAX_TOKENS',
+  'EMBEDDING_PROVIDER', 'EMBEDDING_MODEL', 'EMBEDDING_DIMENSIONS',
+  'GOOGLE_API_KEY', 'GEMINI_API_KEY', 'OPENAI_API_KEY', 'OPENAI_BASE_URL',
+];
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('model providers', () => {
+  let configDir;
+
+  beforeEach(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-models-'));
+    // Start every test from a clean slate, whatever the developer's .env sets
+    vi.stubEnv('MODEL_CONFIG', path.join(configDir, 'models.json'));
+    for (const name of MODEL_ENV) vi.stubEnv(name, '');
+  });
+
+  afterEach(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+    vi.unstubAllEnvs();
+  });
+
+  it('defaults to Gemini and asks for its API key', () => {
+    expect(loadModelConfig()).toEqual({
+      chat: { provider: 'gemini', model: 'gemini-2.5-flash', temperature: 0.1, maxTokens: 1024 },
+      embeddings: { provider: 'gemini', model: 'text-embedding-004', dimensions: undefined },
+    });
+    expect(requiredEnvVarsForModels()).toEqual(['GOOGLE_API_KEY']);
+
+    // The variable populate-index.js used to read still works
+    vi.stubEnv('GEMINI_API_KEY', 'legacy-key');
+    expect(requiredEnvVarsForModels()).toEqual([]);
+  });
+
+  it('reads the config file and lets env vars override it', () => {
+    fs.writeFileSync(path.join(configDir, 'models.json'), JSON.stringify({
+      provider: 'openai',
+      chat: { model: 'llama3.1', temperature: 0 },
+      embeddings: { provider: 'fake' },
+      providers: { openai: { baseUrl: 'http://localhost:11434/v1' } },
+    }));
+    expect(loadModelConfig()).toEqual({
+      chat: { provider: 'openai', model: 'llama3.1', temperature: 0, maxTokens: 1024, baseUrl: 'http://localhost:11434/v1' },
+      embeddings: { provider: 'fake', model: 'fake-hash', dimensions: undefined },
+    });
+    // A local server needs no API key
+    expect(requiredEnvVarsForModels()).toEqual([]);
+
+    vi.stubEnv('CHAT_MODEL', 'qwen2.5');
+    vi.stubEnv('CHAT_MAX_TOKENS', '256');
+    vi.stubEnv('EMBEDDING_DIMENSIONS', '64');
+    const config = loadModelConfig();
+    expect(config.chat).toMatchObject({ model: 'qwen2.5', maxTokens: 256 });
+    expect(config.embeddings.dimensions).toBe(64);
+    expect(describeModels(config)).toEqual({ chat: 'openai:qwen2.5', embeddings: 'fake:fake-hash' });
+  });
+
+  it('builds the configured models and rejects unknown providers', () => {
+    vi.stubEnv('MODEL_PROVIDER', 'fake');
+    vi.stubEnv('EMBEDDING_DIMENSIONS', '32');
+    const { chat, embeddings } = createModels();
+    expect(chat).toBeInstanceOf(FakeChatModel);
+    expect(embeddings).toBeInstanceOf(HashEmbeddings);
+    expect(embeddings.dimensions).toBe(32);
+
+    vi.stubEnv('CHAT_PROVIDER', 'openai');
+    expect(requiredEnvVarsForModels()).toEqual(['OPENAI_API_KEY (or OPENAI_BASE_URL)']);
+
+    expect(() => getProvider('anthropic')).toThrow('Unknown model provider "anthropic" (expected one of: gemini, openai, fake)');
+    vi.stubEnv('CHAT_PROVIDER', 'anthropic');
+    expect(() => loadModelConfig()).toThrow('Unknown model provider "anthropic"');
+  });
+
+  it('embeds texts deterministically, closer together when they share words', async () => {
+    const embeddings = new HashEmbeddings({ dimensions: 64 });
+    const [zebras, stripes, horses] = await embeddings.embedDocuments([
+      'zebras have black and white stripes',
+      'black and white stripes',
+      'horses gallop',
+    ]);
+    expect(await embeddings.embedQuery('zebras have black and white stripes')).toEqual(zebras);
+    expect(zebras).toHaveLength(64);
+    expect(cosine(zebras, zebras)).toBeCloseTo(1);
+    expect(cosine(zebras, stripes)).toBeGreaterThan(cosine(zebras, horses));
+    expect(await embeddings.embedQuery('')).toEqual([1, ...new Array(63).fill(0)]);
+  });
+
+  it('answers from the first source in the prompt, or with scripted responses', async () => {
+    const model = new FakeChatModel();
+    const grounded = await model.invoke('[Source 2]: Zebras are striped.\n\nQuestion: What do zebras look like?');
+    expect(grounded.content).toBe('According to [Source 2]: Zebras are striped.');
+    expect(grounded.usage_metadata).toMatchObject({ output_tokens: 7 });
+    expect((await model.invoke('Hello')).content).toMatch(/^Fake answer \([0-9a-f]+\): Hello$/);
+
+    const scripted = new FakeChatModel({ responses: ['first', { content: 'second' }] });
+    expect((await scripted.invoke('a')).content).toBe('first');
+    expect((await scripted.invoke('b')).content).toBe('second');
+    expect((await scripted.invoke('c')).content).toBe('first');
+
+    const chunks = [];
+    for await (const chunk of await new FakeChatModel({ responses: ['Zebras are striped.'] }).stream('Hi')) chunks.push(chunk.content);
+    expect(chunks).toEqual(['Zebras ', 'are ', 'striped.']);
+  });
+
+  it('lets LlamaIndex use the same models through the bridge', async () => {
+    const llm = toLlamaIndexLLM(new FakeChatModel({ responses: ['Zebras are striped.'] }));
+    expect(llm.metadata.model).toBe('fake-chat');
+    const response = await llm.chat({ messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Zebras?' }] });
+    expect(response.message).toEqual({ role: 'assistant', content: 'Zebras are striped.' });
+
+    const deltas = [];
+    for await (const chunk of await llm.chat({ messages: [{ role: 'user', content: 'Zebras?' }], stream: true })) deltas.push(chunk.delta);
+    expect(deltas.join('')).toBe('Zebras are striped.');
+
+    const hash = new HashEmbeddings();
+    const embedModel = toLlamaIndexEmbedding(hash);
+    expect(await embedModel.getTextEmbedding('zebras')).toEqual(await hash.embedQuery('zebras'));
+    expect(await embedModel.getTextEmbeddings(['a', 'b'])).toEqual(await hash.embedDocuments(['a', 'b']));
+  });
+
+  it('reads text out of every shape of message content', () => {
+    expect(contentText('plain')).toBe('plain');
+    expect(contentText([{ type: 'text', text: 'Zebras ' }, { type: 'image_url' }, { type: 'text', text: 'are striped.' }])).toBe('Zebras are striped.');
+    expect(contentText({ answer: 42 })).toBe('{"answer":42}');
+  });
+});
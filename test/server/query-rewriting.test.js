@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { getRewriteConfig, rewriteQuery, mergeRetrievals } from '../../server/query-rewriting.js';
+import { FakeChatModel } from '../../server/providers/fake.js';
+
+const HISTORY = 'User: Tell me about zebras\nAssistant: Zebras are striped equines.';
+
+const result = (id, score) => ({ node: { id_: id }, score });
+
+describe('query rewriting', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('reads its settings and maps true and false to condense and off', () => {
+    expect(getRewriteConfig()).toEqual({ mode: 'off', subQueries: 3 });
+    vi.stubEnv('QUERY_REWRITE', 'multi');
+    vi.stubEnv('QUERY_REWRITE_SUBQUERIES', '2');
+    expect(getRewriteConfig()).toEqual({ mode: 'multi', subQueries: 2 });
+    expect(getRewriteConfig({ mode: true }).mode).toBe('condense');
+    expect(getRewriteConfig({ mode: false }).mode).toBe('off');
+
+    expect(() => getRewriteConfig({ mode: 'expand' })).toThrow('Unknown rewrite mode "expand"');
+    expect(() => getRewriteConfig({ subQueries: 6 })).toThrow('subQueries must be an integer between 1 and 5');
+  });
+
+  it('condenses a follow-up into one standalone query, without the labels models add', async () => {
+    const llm = new FakeChatModel({ responses: ['\nStandalone question: "Where do zebras live?"\nExtra line'] });
+    const condensed = await rewriteQuery(llm, 'Where do they live?', HISTORY, getRewriteConfig({ mode: 'condense' }));
+    expect(condensed).toEqual({ mode: 'condense', queries: ['Where do zebras live?'] });
+
+    // Nothing to resolve without history, and an empty reply keeps the question
+    const invoke = vi.spyOn(llm, 'invoke');
+    expect(await rewriteQuery(llm, 'Zebras?', '', getRewriteConfig({ mode: 'condense' }))).toEqual({ mode: 'off', queries: ['Zebras?'] });
+    expect(invoke).not.toHaveBeenCalled();
+    const empty = new FakeChatModel({ responses: ['  '] });
+    expect((await rewriteQuery(empty, 'Where do they live?', HISTORY, getRewriteConfig({ mode: 'condense' }))).queries).toEqual(['Where do they live?']);
+  });
+
+  it('splits a question into distinct sub-queries, up to the configured number', async () => {
+    const llm = new FakeChatModel({ responses: ['1. Zebra habitat\n2. zebra habitat\n- "Zebra diet"\n* Zebra predators\n4) Zebra lifespan'] });
+    const multi = await rewriteQuery(llm, 'Tell me about zebras', '', getRewriteConfig({ mode: 'multi', subQueries: 3 }));
+    expect(multi).toEqual({ mode: 'multi', queries: ['Zebra habitat', 'Zebra diet', 'Zebra predators'] });
+
+    const empty = new FakeChatModel({ responses: [''] });
+    expect((await rewriteQuery(empty, 'Zebras?', '', getRewriteConfig({ mode: 'multi' }))).queries).toEqual(['Zebras?']);
+  });
+
+  it('merges the results of several queries, keeping each chunk once with its best score', () => {
+    const merged = mergeRetrievals([
+      [result('a', 0.9), result('b', 0.5)],
+      [result('b', 0.7), result('c', 0.6)],
+    ]);
+    expect(merged.map(({ node, score }) => [node.id_, score])).toEqual([['a', 0.9], ['b', 0.7], ['c', 0.6]]);
+  });
+});
+
+describe('query rewriting on /api/query', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    server = await createTestApp({ responses: ['Where do zebras live?', 'According to [Source 1]: the savanna.'] });
+    await server.seedDocument('zebras.txt', 'Zebras live on the African savanna and in grasslands.');
+    await server.seedDocument('pricing.txt', 'Where they live does not change the pricing of the Pro plan.');
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('searches with the condensed question and returns it', async () => {
+    const { body } = await request(server.app)
+      .post('/api/query')
+      .send({
+        query: 'Where do they live?',
+        rewrite: true,
+        chat_history: [['human', 'Tell me about zebras'], ['ai', 'Zebras are striped equines.']],
+        retrieval: { topK: 1 },
+      })
+      .expect(200);
+
+    expect(body.rewrittenQuery).toBe('Where do zebras live?');
+    expect(body.searchQueries).toEqual(['Where do zebras live?']);
+    expect(body.sources[0].filename).toBe('zebras.txt');
+    expect(server.prompts[0]).toContain('LATEST QUESTION: Where do they live?');
+    expect(server.prompts[0]).toContain('User: Tell me about zebras');
+  });
+
+  it('leaves the question alone when rewriting is off', async () => {
+    server.prompts.length = 0;
+    const { body } = await request(server.app).post('/api/query').send({ query: 'Where do they live?' }).expect(200);
+    expect(body).not.toHaveProperty('rewrittenQuery');
+    expect(server.prompts).toHaveLength(1);
+    await request(server.app).post('/api/query').send({ query: 'Zebras?', rewrite: 'expand' }).expect(400);
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { getRetrievalConfig, reciprocalRankFusion } from '../../server/retrieval.js';
+import { LexicalIndex, tokenize } from '../../server/lexical-index.js';
+import { parseFilters } from '../../server/filters.js';
+
+const ranked = (...ids) => ids.map(id => ({ node: { id_: id }, score: 1 }));
+const fusedIds = (results) => results.map(result => result.node.id_);
+
+describe('retrieval settings', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('raises fetchK to topK when the request leaves it out', () => {
+    expect(getRetrievalConfig()).toMatchObject({ topK: 3, fetchK: 20 });
+    expect(getRetrievalConfig({ topK: 25 })).toMatchObject({ topK: 25, fetchK: 25 });
+    expect(getRetrievalConfig({ topK: 10 })).toMatchObject({ topK: 10, fetchK: 20 });
+    vi.stubEnv('RETRIEVAL_FETCH_K', '5');
+    expect(getRetrievalConfig({ topK: 8 })).toMatchObject({ topK: 8, fetchK: 8 });
+
+    // An explicit fetchK below topK is still a mistake
+    expect(() => getRetrievalConfig({ topK: 25, fetchK: 10 })).toThrow('fetchK must be an integer between topK and 200');
+  });
+
+  it('rejects settings outside their ranges', () => {
+    expect(() => getRetrievalConfig({ topK: 0 })).toThrow('topK must be an integer between 1 and 50');
+    expect(() => getRetrievalConfig({ fetchK: 201 })).toThrow('fetchK must be an integer between topK and 200');
+    expect(() => getRetrievalConfig({ vectorWeight: -1 })).toThrow('vectorWeight must be a non-negative number');
+    expect(() => getRetrievalConfig({ vectorWeight: 0, lexicalWeight: 0 })).toThrow('cannot both be 0');
+    expect(() => getRetrievalConfig({ mmrLambda: 0 })).toThrow('mmrLambda must be greater than 0');
+    expect(() => getRetrievalConfig({ topk: 5 })).toThrow('Unknown retrieval option "topk"');
+    expect(() => getRetrievalConfig([])).toThrow('retrieval must be an object');
+  });
+});
+
+describe('keyword index', () => {
+  it('indexes identifiers whole and by their parts', () => {
+    expect(tokenize('asRetriever failed with ERR_CONNECTION_REFUSED on v1.2.3')).toEqual([
+      'asretriever', 'as', 'retriever', 'failed', 'with',
+      'err_connection_refused', 'err', 'connection', 'refused', 'on', 'v1.2.3', 'v1', '2', '3',
+    ]);
+  });
+
+  it('scores by BM25: rare terms, repeated terms and short chunks rank higher', () => {
+    const index = new LexicalIndex();
+    index.add([
+      { id: 'common', text: 'zebras zebras graze' },
+      { id: 'rare', text: 'zebras okapi graze' },
+      { id: 'long', text: 'zebras okapi graze on the grasses of the wide open savanna all day long' },
+      { id: 'other', text: 'horses graze' },
+    ]);
+
+    const [rare, long, common] = index.search('okapi zebras');
+    expect([rare.id, long.id, common.id]).toEqual(['rare', 'long', 'common']);
+
+    // By hand: idf = ln(1 + (N - n + 0.5) / (n + 0.5)), tf = f (k1 + 1) / (f + k1 (1 - b + b |d| / avgdl))
+    const averageLength = (3 + 3 + 14 + 2) / 4;
+    const idf = (n) => Math.log(1 + (4 - n + 0.5) / (n + 0.5));
+    const tf = (f, length) => (f * 2.2) / (f + 1.2 * (0.25 + 0.75 * (length / averageLength)));
+    expect(rare.score).toBeCloseTo(idf(2) * tf(1, 3) + idf(3) * tf(1, 3));
+    expect(common.score).toBeCloseTo(idf(3) * tf(2, 3));
+    expect(index.search('giraffes')).toEqual([]);
+  });
+
+  it('applies filters and respects topK', () => {
+    const index = new LexicalIndex();
+    index.add([
+      { id: 'a', text: 'zebra stripes', metadata: { filename: 'a.txt' } },
+      { id: 'b', text: 'zebra stripes stripes', metadata: { filename: 'b.txt' } },
+    ]);
+    expect(index.search('stripes', { topK: 1 }).map(hit => hit.id)).toEqual(['b']);
+    expect(index.search('stripes', { filters: parseFilters({ filename: 'a.txt' }) })).toEqual([
+      { id: 'a', text: 'zebra stripes', metadata: { filename: 'a.txt' }, score: expect.any(Number) },
+    ]);
+  });
+
+  it('replaces, updates and removes entries', () => {
+    const index = new LexicalIndex();
+    index.add([{ id: 'a', text: 'zebra stripes' }, { id: 'b', text: 'horse mane' }]);
+    index.add([{ id: 'a', text: 'okapi stripes' }]);
+    expect(index.size).toBe(2);
+    expect(index.search('zebra')).toEqual([]);
+    expect(index.search('okapi').map(hit => hit.id)).toEqual(['a']);
+
+    index.updateMetadata([{ id: 'a', metadata: { chunkIndex: 1 } }, { id: 'missing', metadata: { chunkIndex: 2 } }]);
+    expect(index.search('okapi')[0].metadata).toEqual({ chunkIndex: 1 });
+
+    index.remove(['a', 'missing']);
+    expect(index.size).toBe(1);
+    expect(index.search('stripes')).toEqual([]);
+    expect(index.totalLength).toBe(2);
+    expect(index.postings.has('stripes')).toBe(false);
+  });
+});
+
+describe('reciprocal rank fusion', () => {
+  it('sums weight / (rrfK + rank) over the lists a chunk appears in', () => {
+    const fused = reciprocalRankFusion([
+      { results: ranked('a', 'b'), weight: 1 },
+      { results: ranked('b', 'c'), weight: 1 },
+    ], { rrfK: 60 });
+    expect(fusedIds(fused)).toEqual(['b', 'a', 'c']);
+    expect(fused[0].score).toBeCloseTo(1 / 62 + 1 / 61);
+    expect(fused[2].score).toBeCloseTo(1 / 62);
+  });
+
+  it('lets the weights decide between the two searches, and 0 turn one off', () => {
+    const lists = (vectorWeight, lexicalWeight) => [
+      { results: ranked('semantic'), weight: vectorWeight },
+      { results: ranked('keyword'), weight: lexicalWeight },
+    ];
+    expect(fusedIds(reciprocalRankFusion(lists(1, 3)))[0]).toBe('keyword');
+    expect(fusedIds(reciprocalRankFusion(lists(3, 1)))[0]).toBe('semantic');
+    expect(reciprocalRankFusion(lists(1, 0)).find(result => result.node.id_ === 'keyword').score).toBe(0);
+  });
+
+  it('puts the top keyword hit above vector hits further down', () => {
+    const fused = reciprocalRankFusion([
+      { results: ranked('a', 'b', 'c', 'd'), weight: 1 },
+      { results: ranked('ERR_QUOTA_7731', 'a'), weight: 1 },
+    ]);
+    expect(fusedIds(fused).slice(0, 3)).toEqual(['a', 'ERR_QUOTA_7731', 'b']);
+  });
+});
+
+describe('hybrid retrieval', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    server = await createTestApp();
+    // Short "What is ..." chunks are closer to the question under the fake embeddings than the
+    // chunk that explains the error code, so only the keyword search finds that one
+    await server.seedDocument('faq-1.txt', 'What is it?');
+    await server.seedDocument('faq-2.txt', 'What is this one?');
+    await server.seedDocument('faq-3.txt', 'What is this one here?');
+    await server.seedDocument('errors.txt', 'ERR_QUOTA_7731 means the storage quota is exhausted.');
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  const search = (retrieval) => request(server.app)
+    .post('/api/query')
+    .send({ query: 'What is ERR_QUOTA_7731?', retrieval: { topK: 3, fetchK: 3, ...retrieval } })
+    .expect(200)
+    .then(({ body }) => body.sources.map(source => source.filename));
+
+  it('ranks an error code only the keyword search finds among the top chunks', async () => {
+    expect(await search({ lexicalWeight: 0 })).not.toContain('errors.txt');
+    expect(await search({ vectorWeight: 0 })).toContain('errors.txt');
+    expect(await search({})).toEqual(['faq-1.txt', 'faq-2.txt', 'errors.txt']);
+  });
+
+  it('accepts a larger topK without a fetchK', async () => {
+    const { body } = await request(server.app).post('/api/query').send({ query: 'What is it?', retrieval: { topK: 25 } }).expect(200);
+    expect(body.sources).toHaveLength(4);
+  });
+
+  it('keeps the keyword index in step with uploads and deletes', async () => {
+    const { body: before } = await request(server.app).get('/api/health').expect(200);
+    const seeded = await server.seedDocument('limits.txt', 'ERR_RATE_LIMITED: too many requests per minute.');
+    const hits = () => server.ragService.lexicalIndex.search('ERR_RATE_LIMITED').map(hit => hit.metadata.documentId);
+    expect(hits()[0]).toBe(seeded.id);
+    const { body: after } = await request(server.app).get('/api/health').expect(200);
+    expect(after.keywordIndex.chunks).toBe(before.keywordIndex.chunks + 1);
+
+    await request(server.app).delete(`/api/documents/${seeded.id}`).expect(200);
+    expect(hits()).not.toContain(seeded.id);
+    expect(server.ragService.lexicalIndex.size).toBe(before.keywordIndex.chunks);
+  });
+});
@@ -0,0 +1,307 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { IngestionQueue, getIngestionConfig } from '../../server/ingestion-queue.js';
+import { logger } from '../../server/logger.js';
+
+// Poll the job until every file has finished
+async function waitForJob(app, jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body: job } = await request(app).get(`/api/jobs/${jobId}`).expect(200);
+    if (job.status === 'done') return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('upload route', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    server = await createTestApp();
+    server.ingestionQueue.start();
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('answers 400 without files', async () => {
+    await request(server.app).post('/api/upload').expect(400);
+  });
+
+  it('rejects file types no loader handles', async () => {
+    const response = await request(server.app)
+      .post('/api/upload')
+      .attach('files', Buffer.from('binary'), 'blob.xyz')
+      .expect(415);
+    expect(response.body.rejected[0].name).toBe('blob.xyz');
+  });
+
+  it('queues a job, indexes the file and makes it searchable', async () => {
+    const response = await request(server.app)
+      .post('/api/upload')
+      .attach('files', Buffer.from('Okapis are forest giraffids from the Congo.'), 'okapi.txt')
+      .expect(202);
+    expect(response.body.status).toBe('queued');
+
+    const job = await waitForJob(server.app, response.body.jobId);
+    expect(job.files[0]).toMatchObject({ name: 'okapi.txt', state: 'done', chunks: 1 });
+
+    const { body: documents } = await request(server.app).get('/api/documents').expect(200);
+    expect(documents.documents.map(document => document.filename)).toContain('okapi.txt');
+
+    const { body: answer } = await request(server.app).post('/api/query').send({ query: 'Where do okapis live?' }).expect(200);
+    expect(answer.sources[0].filename).toBe('okapi.txt');
+  });
+
+  it('reports an unchanged re-upload without embedding again', async () => {
+    const response = await request(server.app)
+      .post('/api/upload')
+      .attach('files', Buffer.from('Okapis are forest giraffids from the Congo.'), 'okapi.txt')
+      .expect(202);
+    expect(response.body.job.files[0]).toMatchObject({
+      state: 'done',
+      changes: { added: 0, updated: 0, unchanged: 1, removed: 0 },
+    });
+  });
+
+  it('keeps the vectors of chunks that only moved and rewrites their offsets', async () => {
+    const paragraphs = [
+      'Capybaras are the largest living rodents and graze on riverbank grasses.',
+      'Beavers build dams of branches and mud that slow streams into ponds.',
+      'Porcupines are covered in quills that detach when a predator touches them.',
+    ];
+    const uploadVersion = async (text) => {
+      const { body } = await request(server.app)
+        .post('/api/upload')
+        .field('chunkSize', '100')
+        .field('chunkOverlap', '0')
+        .attach('files', Buffer.from(text), 'rodents.txt')
+        .expect(202);
+      const job = await waitForJob(server.app, body.jobId);
+      return job.files[0];
+    };
+
+    const first = await uploadVersion(paragraphs.join('\n\n'));
+    expect(first).toMatchObject({ state: 'done', chunks: 3 });
+    const before = server.documentStore.get(first.documentId).chunks;
+
+    const inserted = 'Chinchillas have the densest fur of any land mammal.';
+    const second = await uploadVersion([inserted, ...paragraphs].join('\n\n'));
+    expect(second).toMatchObject({ state: 'done', chunks: 4, changes: { added: 1, updated: 3, unchanged: 0, removed: 0 } });
+
+    const after = server.documentStore.get(first.documentId).chunks;
+    expect(after.slice(1).map(chunk => chunk.id)).toEqual(before.map(chunk => chunk.id));
+    const shift = inserted.length + 2;
+    expect(after[1].metadata).toMatchObject({ chunkIndex: 1, startChar: before[0].metadata.startChar + shift });
+
+    // The vector of the moved chunk is the one stored before, with its new offsets
+    const [stored] = (await server.ragService.vectorStore.fetchMetadata([after[1].id])).values();
+    expect(stored).toMatchObject({ chunkIndex: 1, startChar: after[1].metadata.startChar });
+    const { body: answer } = await request(server.app).post('/api/query').send({ query: 'What do capybaras graze on?' }).expect(200);
+    expect(answer.sources.find(source => source.text === after[1].text)).toMatchObject({
+      chunkIndex: 1,
+      startChar: after[1].metadata.startChar,
+    });
+  });
+
+  it('fails files without text and keeps the others', async () => {
+    const response = await request(server.app)
+      .post('/api/upload')
+      .attach('files', Buffer.from('   '), 'empty.txt')
+      .attach('files', Buffer.from('Tapirs have short prehensile snouts.'), 'tapir.txt')
+      .expect(202);
+
+    const job = await waitForJob(server.app, response.body.jobId);
+    const states = Object.fromEntries(job.files.map(file => [file.name, file.state]));
+    expect(states).toEqual({ 'empty.txt': 'failed', 'tapir.txt': 'done' });
+    expect(job.progress).toMatchObject({ total: 2, done: 1, failed: 1 });
+  });
+
+  it('streams the job as server-sent events until it is done', async () => {
+    await server.ingestionQueue.stop();
+    const { body } = await request(server.app)
+      .post('/api/upload')
+      .attach('files', Buffer.from('Pangolins are covered in keratin scales.'), 'pangolin.txt')
+      .expect(202);
+
+    const stream = request(server.app)
+      .get(`/api/jobs/${body.jobId}/events`)
+      .buffer(true)
+      .parse((res, callback) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+      })
+      .then(response => response);
+    await vi.waitFor(() => expect(server.ingestionQueue.listenerCount('update')).toBe(1));
+    server.ingestionQueue.start();
+
+    const response = await stream;
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    const events = response.body.trim().split('\n\n').map(event => {
+      const [type, data] = event.split('\n');
+      expect(type).toBe('event: job');
+      return JSON.parse(data.slice('data: '.length));
+    });
+    expect(events.map(event => event.files[0].state)).toEqual(['queued', 'parsing', 'chunking', 'embedding', 'done']);
+    expect(events.at(-1)).toMatchObject({ status: 'done', progress: { total: 1, done: 1, failed: 0 } });
+    expect(server.ingestionQueue.listenerCount('update')).toBe(0);
+    await request(server.app).get('/api/jobs/missing/events').expect(404);
+  });
+});
+
+describe('ingestion queue', () => {
+  let dataDir;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-queue-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+  });
+
+  const newQueue = (name, options) => new IngestionQueue(path.join(dataDir, `${name}.json`), options);
+  const textFile = (name) => ({ documentId: `doc-${name}`, name, bytes: 5 });
+
+  it('reads its settings', () => {
+    expect(getIngestionConfig()).toEqual({ concurrency: 2, maxAttempts: 3, retryDelayMs: 1000 });
+    vi.stubEnv('INGEST_CONCURRENCY', '4');
+    expect(getIngestionConfig().concurrency).toBe(4);
+    expect(() => getIngestionConfig({ concurrency: 0 })).toThrow('INGEST_CONCURRENCY must be a positive integer');
+    expect(() => getIngestionConfig({ retryDelayMs: -1 })).toThrow('INGEST_RETRY_DELAY_MS must be a non-negative integer');
+  });
+
+  it('processes at most `concurrency` files at once, reporting each state', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const queue = newQueue('concurrency', {
+      config: { concurrency: 2, maxAttempts: 1, retryDelayMs: 0 },
+      processFile: async (job, file, setState) => {
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        setState('chunking');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        setState('embedding');
+        running--;
+        return { chunks: 2 };
+      },
+    });
+    const states = [];
+    queue.on('update', job => states.push(job.files.map(file => file.state).join(',')));
+
+    // Nothing runs before start()
+    const job = queue.enqueue({ userId: 'local', files: ['a', 'b', 'c', 'd'].map(textFile) });
+    expect(job.status).toBe('queued');
+    queue.start();
+    await vi.waitFor(() => expect(job.status).toBe('done'));
+
+    expect(mostRunning).toBe(2);
+    expect(states).toContain('chunking,chunking,queued,queued');
+    expect(job.files.map(file => [file.state, file.chunks])).toEqual(Array(4).fill(['done', 2]));
+    expect(job.finishedAt).toBe(job.updatedAt);
+    await queue.stop();
+  });
+
+  it('retries embedding errors with doubling delays, but not parse errors', async () => {
+    vi.spyOn(logger, 'warn').mockImplementation(() => {});
+    vi.spyOn(logger, 'error').mockImplementation(() => {});
+    const failed = [];
+    const queue = newQueue('retries', {
+      config: { concurrency: 1, maxAttempts: 3, retryDelayMs: 20 },
+      processFile: async (job, file, setState) => {
+        if (file.name === 'broken.pdf') throw new Error('Invalid PDF structure');
+        setState('embedding');
+        throw new Error('Embedding service unavailable');
+      },
+      onFailed: (job, file, error) => failed.push([file.name, error.message]),
+    });
+    // retryAt of each retry, measured from the update that scheduled it
+    const retries = new Map();
+    queue.on('update', job => {
+      const { retryAt } = job.files[0];
+      if (retryAt && !retries.has(retryAt)) retries.set(retryAt, Date.parse(retryAt) - Date.parse(job.updatedAt));
+    });
+
+    queue.start();
+    const job = queue.enqueue({
+      userId: 'local',
+      files: [textFile('notes.txt'), textFile('broken.pdf')],
+      rejected: [{ name: 'blob.xyz', error: 'Unsupported file type' }],
+    });
+    await vi.waitFor(() => expect(job.status).toBe('done'));
+
+    expect(job.files).toEqual([
+      expect.objectContaining({ name: 'notes.txt', state: 'failed', attempts: 3, error: 'Embedding service unavailable' }),
+      expect.objectContaining({ name: 'broken.pdf', state: 'failed', attempts: 1, error: 'Invalid PDF structure' }),
+      expect.objectContaining({ name: 'blob.xyz', state: 'failed', attempts: 0, error: 'Unsupported file type' }),
+    ]);
+    const [first, second] = retries.values();
+    expect(retries.size).toBe(2);
+    expect(first).toBeGreaterThanOrEqual(19);
+    expect(first).toBeLessThanOrEqual(21);
+    expect(second).toBeGreaterThanOrEqual(39);
+    expect(second).toBeLessThanOrEqual(41);
+    expect(failed).toEqual([['broken.pdf', 'Invalid PDF structure'], ['notes.txt', 'Embedding service unavailable']]);
+    await queue.stop();
+  });
+
+  it('queues files a restart interrupted again and finishes them', async () => {
+    const filePath = path.join(dataDir, 'restart.json');
+    const stalled = newQueue('restart', { processFile: async () => ({}) });
+    const job = stalled.enqueue({ userId: 'local', files: [textFile('a.txt'), textFile('b.txt')] });
+    Object.assign(job.files[0], { state: 'done', attempts: 1 });
+    Object.assign(job.files[1], { state: 'embedding', attempts: 1 });
+    stalled.save();
+
+    const queue = new IngestionQueue(filePath, { processFile: async () => ({ chunks: 1 }) });
+    const reloaded = queue.get(job.id);
+    expect(reloaded.files.map(file => file.state)).toEqual(['done', 'queued']);
+    expect(reloaded.status).toBe('running');
+
+    queue.start();
+    await vi.waitFor(() => expect(reloaded.status).toBe('done'));
+    expect(reloaded.files[1]).toMatchObject({ state: 'done', attempts: 2, chunks: 1 });
+    expect(queue.list({ userId: 'someone-else' })).toEqual([]);
+    await queue.stop();
+  });
+
+  it('clears pending retries on stop and schedules them again on start', async () => {
+    let attempts = 0;
+    const queue = new IngestionQueue(path.join(dataDir, 'jobs.json'), {
+      config: { concurrency: 1, maxAttempts: 3, retryDelayMs: 50 },
+      processFile: async (job, file, setState) => {
+        attempts++;
+        setState('embedding');
+        if (attempts === 1) throw new Error('Embedding service unavailable');
+        return { chunks: 1 };
+      },
+    });
+    queue.start();
+    const job = queue.enqueue({ userId: 'local', files: [{ documentId: 'doc-1', name: 'notes.txt', bytes: 5 }] });
+    await vi.waitFor(() => expect(job.files[0]).toMatchObject({ state: 'queued', attempts: 1 }));
+    expect(queue.retryTimers.size).toBe(1);
+
+    await queue.stop();
+    expect(queue.retryTimers.size).toBe(0);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(attempts).toBe(1);
+
+    queue.start();
+    await vi.waitFor(() => expect(job.files[0]).toMatchObject({ state: 'done', attempts: 2, chunks: 1 }));
+    expect(queue.retryTimers.size).toBe(0);
+    await queue.stop();
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { getUsageLimits } from '../../server/usage.js';
+import { logger } from '../../server/logger.js';
+
+const NO_LIMITS = { requestsPerMinute: 0, requestsPerDay: 0, tokensPerDay: 0, embeddingCallsPerDay: 0 };
+
+// An app with `limits`, one shared document and a user (or admin) per name, each with an API key
+async function limitedApp(limits, names = ['alice']) {
+  const server = await createTestApp({ usageLimits: { ...NO_LIMITS, ...limits } });
+  await server.seedDocument('zebras.txt', 'Zebras are African equines with black and white striped coats.');
+  const users = Object.fromEntries(names.map(name => {
+    const user = server.userStore.createUser({ name, role: name === 'admin' ? 'admin' : 'user' });
+    const { key } = server.userStore.createKey(user.id);
+    return [name, { ...user, auth: `Bearer ${key}` }];
+  }));
+  return { server, users };
+}
+
+const ask = (server, user, query = 'What do zebras look like?') => request(server.app)
+  .post('/api/query')
+  .set('Authorization', user.auth)
+  .send({ query });
+
+describe('usage limits', () => {
+  let server;
+
+  afterEach(() => {
+    server?.cleanup();
+    server = undefined;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+  });
+
+  it('reads the limits, 0 turning one off', () => {
+    expect(getUsageLimits()).toEqual({ requestsPerMinute: 20, requestsPerDay: 500, tokensPerDay: 200000, embeddingCallsPerDay: 1000 });
+    vi.stubEnv('RATE_LIMIT_PER_MINUTE', '0');
+    vi.stubEnv('QUOTA_TOKENS_PER_DAY', '5000');
+    expect(getUsageLimits()).toMatchObject({ requestsPerMinute: 0, tokensPerDay: 5000 });
+    expect(() => getUsageLimits({ requestsPerDay: 1.5 })).toThrow('QUOTA_REQUESTS_PER_DAY must be a non-negative integer');
+  });
+
+  it('answers 429 with Retry-After once a client goes over its requests per minute', async () => {
+    vi.stubEnv('AUTH_ENABLED', 'true');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-31T12:00:00Z'));
+    let users;
+    ({ server, users } = await limitedApp({ requestsPerMinute: 2 }, ['alice', 'bob']));
+
+    await ask(server, users.alice).expect(200);
+    vi.setSystemTime(new Date('2025-01-31T12:00:20Z'));
+    await ask(server, users.alice).expect(200);
+    const limited = await ask(server, users.alice).expect(429);
+    expect(limited.headers['retry-after']).toBe('40');
+    expect(limited.body).toEqual({
+      error: 'Too Many Requests',
+      details: 'Rate limit of 2 requests per minute reached',
+      limit: 'requestsPerMinute',
+      retryAfter: 40,
+    });
+    // Limits are per client, and the window slides
+    await ask(server, users.bob).expect(200);
+    vi.setSystemTime(new Date('2025-01-31T12:01:00.001Z'));
+    await ask(server, users.alice).expect(200);
+  });
+
+  it.each([
+    ['requestsPerDay', 'request'],
+    ['tokensPerDay', 'token'],
+    ['embeddingCallsPerDay', 'embedding call'],
+  ])('enforces %s until the next UTC day', async (limit, label) => {
+    vi.stubEnv('AUTH_ENABLED', 'true');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-31T23:00:00Z'));
+    let users;
+    ({ server, users } = await limitedApp({ [limit]: 1 }, ['alice', 'bob']));
+
+    // The request that reaches the quota is still answered; the next one isn't
+    await ask(server, users.alice).expect(200);
+    const limited = await ask(server, users.alice).expect(429);
+    expect(limited.headers['retry-after']).toBe('3600');
+    expect(limited.body).toMatchObject({ limit, details: `Daily ${label} quota of 1 reached`, retryAfter: 3600 });
+    await ask(server, users.bob).expect(200);
+
+    vi.setSystemTime(new Date('2025-02-01T00:00:00Z'));
+    await ask(server, users.alice).expect(200);
+  });
+
+  it('passes a provider rate limit on as a 429', async () => {
+    vi.stubEnv('AUTH_ENABLED', 'true');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    let users;
+    ({ server, users } = await limitedApp({}));
+    vi.spyOn(logger, 'error').mockImplementation(() => {});
+    vi.spyOn(server.ragService.llm, 'invoke').mockRejectedValueOnce(
+      new Error('[429 Too Many Requests] RESOURCE_EXHAUSTED {"retryDelay":"17s"}')
+    );
+
+    const limited = await ask(server, users.alice).expect(429);
+    expect(limited.headers['retry-after']).toBe('17');
+    expect(limited.body).toMatchObject({ limit: 'upstream', retryAfter: 17 });
+
+    const status = Object.assign(new Error('quota'), { status: 429 });
+    vi.spyOn(server.ragService.llm, 'invoke').mockRejectedValueOnce(status);
+    const { body } = await ask(server, users.alice).expect(429);
+    expect(body).toMatchObject({ limit: 'upstream', retryAfter: 60 });
+
+    vi.spyOn(server.ragService.llm, 'invoke').mockRejectedValueOnce(new Error('boom'));
+    await ask(server, users.alice).expect(500);
+  });
+});
+
+describe('usage report', () => {
+  let server;
+  let users;
+
+  afterEach(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('breaks usage down by client and endpoint', async () => {
+    vi.stubEnv('AUTH_ENABLED', 'true');
+    vi.stubEnv('RESPONSE_CACHE', 'false');
+    ({ server, users } = await limitedApp({ requestsPerDay: 100 }, ['alice', 'bob', 'admin']));
+
+    await ask(server, users.alice).expect(200);
+    await ask(server, users.alice, 'Where do zebras live?').expect(200);
+    await request(server.app).post('/api/chat').set('Authorization', users.alice.auth).send({ message: 'Zebras?' }).expect(200);
+    await ask(server, users.bob).expect(200);
+
+    const { body: own } = await request(server.app).get('/api/usage').set('Authorization', users.alice.auth).expect(200);
+    expect(own.limits).toMatchObject({ requestsPerDay: 100 });
+    expect(own.clients).toHaveLength(1);
+    const [alice] = own.clients;
+    expect(alice).toMatchObject({ clientId: users.alice.id, name: 'alice', totals: { requests: 3 } });
+    expect(Object.keys(alice.endpoints).sort()).toEqual(['POST /api/chat', 'POST /api/query']);
+    const queries = alice.endpoints['POST /api/query'];
+    expect(queries.requests).toBe(2);
+    expect(queries.embeddingCalls).toBeGreaterThanOrEqual(2);
+    expect(queries.totalTokens).toBe(queries.inputTokens + queries.outputTokens);
+    expect(queries.totalTokens).toBeGreaterThan(0);
+    expect(alice.totals.totalTokens).toBe(queries.totalTokens + alice.endpoints['POST /api/chat'].totalTokens);
+    // Someone else's ID is ignored for non-admins
+    const { body: other } = await request(server.app).get(`/api/usage?client=${users.bob.id}`).set('Authorization', users.alice.auth).expect(200);
+    expect(other.clients.map(client => client.name)).toEqual(['alice']);
+
+    const { body: everyone } = await request(server.app).get('/api/usage').set('Authorization', users.admin.auth).expect(200);
+    expect(everyone.clients.map(client => client.name).sort()).toEqual(['alice', 'bob']);
+    expect(everyone.totals.requests).toBe(4);
+    const { body: bob } = await request(server.app).get(`/api/usage?client=${users.bob.id}`).set('Authorization', users.admin.auth).expect(200);
+    expect(bob.clients).toEqual([expect.objectContaining({ name: 'bob', endpoints: { 'POST /api/query': expect.objectContaining({ requests: 1 }) } })]);
+  });
+});
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LocalVectorStore } from '../../server/vector-stores/local.js';
+import { createVectorStore, requiredEnvVarsFor, mergeStoredMetadata } from '../../server/vector-stores/index.js';
+import { HashEmbeddings } from '../../server/providers/fake.js';
+import { toLlamaIndexEmbedding } from '../../server/providers/llamaindex-bridge.js';
+
+const embedModel = toLlamaIndexEmbedding(new HashEmbeddings());
+
+// Unit vectors, so the cosine similarity of two records is the dot product of their values
+const RECORDS = [
+  { id: 'zebras#1', values: [1, 0, 0], metadata: { text: 'Zebras are striped.', documentId: 'zebras', filename: 'zebras.txt' } },
+  { id: 'zebras#2', values: [0.8, 0.6, 0], metadata: { text: 'Zebras live in Africa.', documentId: 'zebras', filename: 'zebras.txt' } },
+  { id: 'horses#1', values: [0, 1, 0], metadata: { text: 'Horses are domesticated.', documentId: 'horses', filename: 'horses.txt' } },
+];
+
+const query = (store, queryEmbedding, options = {}) =>
+  store.query({ queryEmbedding, similarityTopK: 2, mode: 'default', ...options });
+
+describe('local vector store', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-vectors-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    vi.unstubAllEnvs();
+  });
+
+  it('returns the nearest records with their text and metadata', async () => {
+    const store = new LocalVectorStore({ embedModel });
+    await store.upsert(RECORDS);
+
+    const result = await query(store, [1, 0, 0]);
+    expect(result.ids).toEqual(['zebras#1', 'zebras#2']);
+    expect(result.similarities[0]).toBeCloseTo(1);
+    expect(result.similarities[1]).toBeCloseTo(0.8);
+    expect(result.nodes[0].getContent()).toBe('Zebras are striped.');
+    expect(result.nodes[0].metadata).toEqual({ documentId: 'zebras', filename: 'zebras.txt' });
+
+    const filtered = await query(store, [1, 0, 0], {
+      filters: { filters: [{ key: 'filename', operator: '==', value: 'horses.txt' }], condition: 'and' },
+    });
+    expect(filtered.ids).toEqual(['horses#1']);
+    expect(await query(new LocalVectorStore({ embedModel }), [1, 0, 0])).toEqual({ nodes: [], similarities: [], ids: [] });
+  });
+
+  it('fetches, updates and deletes records by ID or document', async () => {
+    const store = new LocalVectorStore({ embedModel });
+    await store.upsert(RECORDS);
+
+    const found = await store.fetchMetadata(['zebras#1', 'missing']);
+    expect([...found.keys()]).toEqual(['zebras#1']);
+
+    await store.updateMetadata([{ id: 'zebras#1', metadata: { chunkIndex: 4 } }, { id: 'missing', metadata: { chunkIndex: 1 } }]);
+    expect((await store.fetchMetadata(['zebras#1'])).get('zebras#1')).toMatchObject({ text: 'Zebras are striped.', chunkIndex: 4 });
+    expect(store.records.has('missing')).toBe(false);
+
+    await store.deleteByIds(['horses#1']);
+    expect(await store.stats()).toEqual({ totalVectorCount: 2, dimension: 3 });
+    await store.delete('zebras');
+    expect(await store.stats()).toEqual({ totalVectorCount: 0, dimension: null });
+  });
+
+  it('patches the serialized node LlamaIndex rebuilds results from', () => {
+    const stored = { text: 'Zebras', _node_content: JSON.stringify({ id_: 'n1', metadata: { chunkIndex: 0, filename: 'zebras.txt' } }) };
+    const merged = mergeStoredMetadata(stored, { chunkIndex: 2 });
+    expect(merged.chunkIndex).toBe(2);
+    expect(JSON.parse(merged._node_content)).toEqual({ id_: 'n1', metadata: { chunkIndex: 2, filename: 'zebras.txt' } });
+  });
+
+  it('persists to its file and reloads what another process wrote', async () => {
+    const filePath = path.join(dataDir, 'vectors.json');
+    const store = new LocalVectorStore({ filePath, embedModel });
+    await store.upsert(RECORDS.slice(0, 2));
+    expect(store.describe()).toEqual({ backend: 'local', path: filePath });
+
+    const reopened = new LocalVectorStore({ filePath, embedModel });
+    expect([...reopened.records.keys()]).toEqual(['zebras#1', 'zebras#2']);
+    expect(reopened.reloadIfChanged()).toBe(false);
+
+    await store.upsert(RECORDS.slice(2));
+    // Make sure the change shows in the modification time even on a coarse clock
+    fs.utimesSync(filePath, new Date(), new Date(Date.now() + 1000));
+    expect(reopened.reloadIfChanged()).toBe(true);
+    expect((await query(reopened, [0, 1, 0])).ids[0]).toBe('horses#1');
+  });
+
+  it('is picked by VECTOR_STORE=local, with a file per namespace', async () => {
+    vi.stubEnv('VECTOR_STORE', 'local');
+    vi.stubEnv('DATA_DIR', dataDir);
+    expect((await createVectorStore({ embedModel })).describe().path).toBe(path.join(dataDir, 'vectors.json'));
+    expect((await createVectorStore({ namespace: 'staging', embedModel })).describe().path).toBe(path.join(dataDir, 'vectors.staging.json'));
+
+    vi.stubEnv('LOCAL_VECTOR_STORE_PATH', path.join(dataDir, 'custom.json'));
+    expect((await createVectorStore({ embedModel })).describe().path).toBe(path.join(dataDir, 'custom.json'));
+
+    expect(requiredEnvVarsFor('local')).toEqual([]);
+    expect(requiredEnvVarsFor('pinecone')).toEqual(['PINECONE_API_KEY', 'PINECONE_INDEX_NAME']);
+    await expect(createVectorStore({ backend: 'chroma', embedModel })).rejects.toThrow('Unknown VECTOR_STORE "chroma"');
+  });
+});
@@ -0,0 +1,195 @@
+import fs from 'fs';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createTestApp } from './helpers.js';
+import { assetDir } from '../../server/ingestion.js';
+import { getSupportedFormats, findLoader } from '../../server/loaders.js';
+import {
+  registerVisionEngine, getVisionConfig, isVisionEnabled, parseDescription, imageMimeType,
+} from '../../server/vision.js';
+
+// A 1x1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+// One page with a line of text and a 100x100 grey image
+function pdfWithImage(title = 'Architecture overview') {
+  const size = 100;
+  const pixels = Buffer.alloc(size * size * 3, 0x80);
+  const content = `BT /F1 12 Tf 72 720 Td (${title}) Tj ET q ${size} 0 0 ${size} 72 500 cm /Im1 Do Q`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> /XObject << /Im1 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    [`<< /Type /XObject /Subtype /Image /Width ${size} /Height ${size} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Length ${pixels.length} >>\nstream\n`, pixels, '\nendstream'],
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+  const parts = [Buffer.from('%PDF-1.4\n')];
+  const offsets = [];
+  let length = parts[0].length;
+  objects.forEach((object, index) => {
+    offsets.push(length);
+    const body = Buffer.concat([`${index + 1} 0 obj\n`, ...[].concat(object), '\nendobj\n'].map(part => Buffer.from(part)));
+    parts.push(body);
+    length += body.length;
+  });
+  const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+    + offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+    + `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+  return Buffer.concat([...parts, Buffer.from(xref)]);
+}
+
+// Reads every image as the same dashboard screenshot, and records what it was shown
+const described = [];
+registerVisionEngine('test-broken', {
+  requiredEnv: () => [],
+  describe: async () => {
+    throw new Error('The model does not accept images');
+  },
+});
+registerVisionEngine('test-ocr', {
+  requiredEnv: () => [],
+  describe: async (image) => {
+    described.push(image);
+    return { caption: 'A screenshot of the deploy dashboard', text: 'Deploys this week: 42 succeeded, 3 rolled back' };
+  },
+});
+
+async function waitForJob(app, jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body: job } = await request(app).get(`/api/v1/jobs/${jobId}`).expect(200);
+    if (job.status === 'done') return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+async function upload(app, buffer, filename) {
+  const { body } = await request(app).post('/api/v1/upload').attach('files', buffer, filename).expect(202);
+  const job = await waitForJob(app, body.jobId);
+  return job.files[0];
+}
+
+describe('vision config', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('is off by default and rejects unknown engines', () => {
+    vi.stubEnv('VISION_ENGINE', '');
+    expect(getVisionConfig()).toEqual({ engine: 'off', maxPdfImages: 20, minImageSize: 80 });
+    expect(isVisionEnabled()).toBe(false);
+    expect(getSupportedFormats().map(format => format.name)).not.toContain('image');
+    expect(findLoader('scan.png', 'image/png')).toBeNull();
+    vi.stubEnv('VISION_ENGINE', 'stub');
+    expect(getSupportedFormats().map(format => format.name)).toContain('image');
+    vi.stubEnv('VISION_ENGINE', 'magic');
+    expect(() => getVisionConfig()).toThrow('Unknown vision engine "magic" (expected one of: off, llm, tesseract, stub, test-broken, test-ocr)');
+    vi.stubEnv('VISION_ENGINE', 'off');
+    vi.stubEnv('VISION_MAX_PDF_IMAGES', '-1');
+    expect(() => getVisionConfig()).toThrow('maxPdfImages must be a non-negative integer');
+  });
+
+  it('reads captions and transcribed text from a model reply', () => {
+    expect(parseDescription('CAPTION: A login form.\nTEXT:\nUser name\nPassword')).toEqual({
+      caption: 'A login form.',
+      text: 'User name\nPassword',
+    });
+    expect(parseDescription('CAPTION: A photo of a cat.\nTEXT: none')).toEqual({ caption: 'A photo of a cat.', text: '' });
+    expect(parseDescription('A bar chart of sales')).toEqual({ caption: 'A bar chart of sales', text: '' });
+  });
+
+  it('recognizes images by their content', () => {
+    expect(imageMimeType(PNG)).toBe('image/png');
+    expect(imageMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+    expect(imageMimeType(Buffer.from('not an image'))).toBeNull();
+  });
+});
+
+describe('image ingestion', () => {
+  let server;
+
+  beforeAll(async () => {
+    vi.stubEnv('AUTH_ENABLED', 'false');
+    vi.stubEnv('VISION_ENGINE', 'test-ocr');
+    server = await createTestApp();
+    server.ingestionQueue.start();
+  });
+
+  afterAll(() => {
+    server.cleanup();
+    vi.unstubAllEnvs();
+  });
+
+  it('indexes the caption and text of an uploaded screenshot and serves the image', async () => {
+    const file = await upload(server.app, PNG, 'dashboard.png');
+    expect(file).toMatchObject({ state: 'done', chunks: 1 });
+    expect(described.at(-1)).toMatchObject({ filename: 'dashboard.png', mimeType: 'image/png' });
+
+    const { body: document } = await request(server.app).get(`/api/v1/documents/${file.documentId}`).expect(200);
+    expect(document).toMatchObject({ fileType: 'image', assets: [{ id: 'image-1.png', mimeType: 'image/png', bytes: PNG.length }] });
+    expect(document.chunks[0].text).toContain('Deploys this week: 42 succeeded');
+    expect(document.chunks[0].metadata.assetId).toBe('image-1.png');
+
+    const { body: answer } = await request(server.app).post('/api/v1/query').send({ query: 'How many deploys were rolled back?' }).expect(200);
+    expect(answer.sources[0]).toMatchObject({ documentId: file.documentId, assetId: 'image-1.png' });
+
+    const { body: assets } = await request(server.app).get(`/api/v1/documents/${file.documentId}/assets`).expect(200);
+    expect(assets).toEqual({ documentId: file.documentId, assets: document.assets });
+
+    const image = await request(server.app).get(`/api/v1/documents/${file.documentId}/assets/image-1.png`).expect(200);
+    expect(image.headers['content-type']).toBe('image/png');
+    expect(Buffer.compare(image.body, PNG)).toBe(0);
+
+    await request(server.app).get(`/api/v1/documents/${file.documentId}/assets/image-2.png`).expect(404);
+    await request(server.app).get(`/api/v1/documents/${file.documentId}/assets/..%2F..%2Fdocuments.json`).expect(404);
+  });
+
+  it('describes the images embedded in a PDF next to the text of their page', async () => {
+    const file = await upload(server.app, pdfWithImage(), 'architecture.pdf');
+    expect(file).toMatchObject({ state: 'done', chunks: 2 });
+
+    const { body: document } = await request(server.app).get(`/api/v1/documents/${file.documentId}`).expect(200);
+    expect(document.assets).toEqual([{ id: 'image-1.png', mimeType: 'image/png', bytes: expect.any(Number), page: 1 }]);
+    expect(document.chunks.map(chunk => chunk.metadata.page)).toEqual([1, 1]);
+    expect(document.chunks[1].text).toMatch(/^Image: architecture\.pdf, page 1\nCaption: A screenshot/);
+    expect(described.at(-1)).toMatchObject({ filename: 'architecture.pdf', page: 1, mimeType: 'image/png' });
+  });
+
+  it('removes the stored images with their document', async () => {
+    const file = await upload(server.app, PNG, 'to-delete.png');
+    const record = server.documentStore.get(file.documentId);
+    expect(fs.existsSync(assetDir(record.storedPath))).toBe(true);
+
+    await request(server.app).delete(`/api/v1/documents/${file.documentId}`).expect(200);
+    await vi.waitFor(() => expect(fs.existsSync(assetDir(record.storedPath))).toBe(false));
+  });
+
+  it('still indexes the text of a PDF whose images the engine fails on', async () => {
+    vi.stubEnv('VISION_ENGINE', 'test-broken');
+    try {
+      const file = await upload(server.app, pdfWithImage('Release checklist'), 'broken-figures.pdf');
+      expect(file).toMatchObject({ state: 'done', chunks: 1 });
+      const { body: document } = await request(server.app).get(`/api/v1/documents/${file.documentId}`).expect(200);
+      expect(document.assets ?? []).toEqual([]);
+      expect(document.chunks[0].text).toContain('Release checklist');
+    } finally {
+      vi.stubEnv('VISION_ENGINE', 'test-ocr');
+    }
+  });
+
+  it('fails images that are not PNG or JPEG, and rejects them when vision is off', async () => {
+    const broken = await upload(server.app, Buffer.from('not really a png'), 'broken.png');
+    expect(broken).toMatchObject({ state: 'failed', error: 'broken.png is not a PNG or JPEG image' });
+
+    vi.stubEnv('VISION_ENGINE', 'off');
+    try {
+      const { body: formats } = await request(server.app).get('/api/v1/formats').expect(200);
+      expect(JSON.stringify(formats)).not.toContain('.png');
+      const { body } = await request(server.app).post('/api/v1/upload').attach('files', PNG, 'offline.png').expect(415);
+      expect(body.rejected).toEqual([{ name: 'offline.png', error: expect.stringContaining('offline.png') }]);
+    } finally {
+      vi.stubEnv('VISION_ENGINE', 'test-ocr');
+    }
+  });
+});
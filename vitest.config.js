@@ -0,0 +1,27 @@
+import { defineConfig } from 'vitest/config'
+import react from '@vitejs/plugin-react-swc'
+
+// Two projects: the Express API and RAG service run in Node, the React app in jsdom
+export default defineConfig({
+  test: {
+    projects: [
+      {
+        test: {
+          name: 'server',
+          environment: 'node',
+          include: ['test/server/**/*.test.js'],
+          // Keep the per-request log lines out of the test output, and fail on responses that break the API contract
+          env: { LOG_LEVEL: 'warn', API_RESPONSE_VALIDATION: 'strict' },
+        },
+      },
+      {
+        plugins: [react()],
+        test: {
+          name: 'client',
+          environment: 'jsdom',
+          include: ['test/client/**/*.test.{js,jsx}'],
+        },
+      },
+    ],
+  },
+})